@@ -0,0 +1,441 @@
+// astcdecode.js - CPU decoder for ASTC LDR blocks (every 2D footprint)
+// Fallback for adapters without texture-compression-astc; decodes to RGBA8.
+// Follows the ASTC decode procedure of the Khronos Data Format spec: block mode,
+// integer sequence encoding (trits / quints), colour endpoint modes, partition hash,
+// dual plane and weight infill. HDR endpoints and illegal blocks give the error colour (magenta).
+
+// ISE ranges: [levels, trits, quints, bits]
+const ASTC_RANGES = [
+  [2, 0, 0, 1], [3, 1, 0, 0], [4, 0, 0, 2], [5, 0, 1, 0], [6, 1, 0, 1], [8, 0, 0, 3],
+  [10, 0, 1, 1], [12, 1, 0, 2], [16, 0, 0, 4], [20, 0, 1, 2], [24, 1, 0, 3], [32, 0, 0, 5],
+  [40, 0, 1, 3], [48, 1, 0, 4], [64, 0, 0, 6], [80, 0, 1, 4], [96, 1, 0, 5], [128, 0, 0, 7],
+  [160, 0, 1, 5], [192, 1, 0, 6], [256, 0, 0, 8]
+];
+
+const ASTC_ERROR_COLOR = [255, 0, 255, 255];
+
+function astcISEBitCount(count, range) {
+  const [, trits, quints, bits] = ASTC_RANGES[range];
+  return count * bits + (trits ? Math.ceil(count * 8 / 5) : 0) + (quints ? Math.ceil(count * 7 / 3) : 0);
+}
+
+// Reads n (<= 8) bits starting at bit pos of the 16-byte block at b[o]
+function astcBits(b, o, pos, n) {
+  if (n === 0) return 0;
+  const byte = pos >> 3, shift = pos & 7;
+  const v = (b[o + byte] | ((b[o + byte + 1] || 0) << 8)) >> shift;
+  return v & ((1 << n) - 1);
+}
+
+// Trit / quint blocks, decoded once from the spec's bit-manipulation procedure
+const ASTC_TRITS = (() => {
+  const table = [];
+  for (let T = 0; T < 256; T++) {
+    const bit = (i) => (T >> i) & 1;
+    let C, t4, t3, t2, t1, t0;
+    if (((T >> 2) & 7) === 7) {
+      C = (((T >> 5) & 7) << 2) | (T & 3);
+      t4 = t3 = 2;
+    } else {
+      C = T & 31;
+      if (((T >> 5) & 3) === 3) { t4 = 2; t3 = bit(7); } else { t4 = bit(7); t3 = (T >> 5) & 3; }
+    }
+    const cb = (i) => (C >> i) & 1;
+    if ((C & 3) === 3) { t2 = 2; t1 = cb(4); t0 = (cb(3) << 1) | (cb(2) & ~cb(3) & 1); }
+    else if (((C >> 2) & 3) === 3) { t2 = 2; t1 = 2; t0 = C & 3; }
+    else { t2 = cb(4); t1 = (C >> 2) & 3; t0 = (cb(1) << 1) | (cb(0) & ~cb(1) & 1); }
+    table.push([t0, t1, t2, t3, t4]);
+  }
+  return table;
+})();
+
+const ASTC_QUINTS = (() => {
+  const table = [];
+  for (let Q = 0; Q < 128; Q++) {
+    const bit = (i) => (Q >> i) & 1;
+    let q2, q1, q0;
+    if (((Q >> 1) & 3) === 3 && ((Q >> 5) & 3) === 0) {
+      q2 = (bit(0) << 2) | ((bit(4) & ~bit(0) & 1) << 1) | (bit(3) & ~bit(0) & 1);
+      q1 = q0 = 4;
+    } else {
+      let C;
+      if (((Q >> 1) & 3) === 3) { q2 = 4; C = (((Q >> 3) & 3) << 3) | ((~(Q >> 5) & 3) << 1) | bit(0); }
+      else { q2 = (Q >> 5) & 3; C = Q & 31; }
+      if ((C & 7) === 5) { q1 = 4; q0 = (C >> 3) & 3; } else { q1 = (C >> 3) & 3; q0 = C & 7; }
+    }
+    table.push([q0, q1, q2]);
+  }
+  return table;
+})();
+
+// Integer sequence decode: count values of the given range from bit pos; each value is D * 2^bits + m
+function astcDecodeISE(b, o, start, count, range) {
+  const [, trits, quints, bits] = ASTC_RANGES[range];
+  const out = new Array(count);
+  // A trailing partial trit / quint group reads zeros past the end of the sequence
+  const end = start + astcISEBitCount(count, range);
+  const read = (p, n) => (p >= end ? 0 : astcBits(b, o, p, Math.min(n, end - p)));
+  let pos = start;
+  if (trits) {
+    // Five values share 8 trit bits, interleaved after each value's low bits as 2, 2, 1, 2, 1
+    const split = [2, 2, 1, 2, 1];
+    for (let i = 0; i < count; i += 5) {
+      const m = [];
+      let T = 0, tpos = 0;
+      for (let j = 0; j < 5; j++) {
+        m.push(read(pos, bits)); pos += bits;
+        T |= read(pos, split[j]) << tpos; pos += split[j]; tpos += split[j];
+      }
+      const t = ASTC_TRITS[T];
+      for (let j = 0; j < 5 && i + j < count; j++) out[i + j] = (t[j] << bits) | m[j];
+    }
+  } else if (quints) {
+    // Three values share 7 quint bits, interleaved as 3, 2, 2
+    const split = [3, 2, 2];
+    for (let i = 0; i < count; i += 3) {
+      const m = [];
+      let Q = 0, qpos = 0;
+      for (let j = 0; j < 3; j++) {
+        m.push(read(pos, bits)); pos += bits;
+        Q |= read(pos, split[j]) << qpos; pos += split[j]; qpos += split[j];
+      }
+      const q = ASTC_QUINTS[Q];
+      for (let j = 0; j < 3 && i + j < count; j++) out[i + j] = (q[j] << bits) | m[j];
+    }
+  } else {
+    for (let i = 0; i < count; i++, pos += bits) out[i] = astcBits(b, o, pos, bits);
+  }
+  return out;
+}
+
+const astcReplicate = (v, from, to) => {
+  let r = 0, n = 0;
+  while (n < to) { r = (r << from) | v; n += from; }
+  return r >> (n - to);
+};
+
+// Unquantisation tables: colour values to 0..255 (ranges >= 6 levels), weights to 0..64 (ranges < 32 levels)
+const ASTC_COLOR_UNQUANT = ASTC_RANGES.map(([levels, trits, quints, bits], range) => {
+  if (range < 4) return null;
+  const table = [];
+  for (let v = 0; v < levels; v++) {
+    const m = v & ((1 << bits) - 1), D = v >> bits;
+    if (!trits && !quints) { table.push(astcReplicate(v, bits, 8)); continue; }
+    const A = (m & 1) ? 0x1FF : 0;
+    const h = m >> 1; // bits b, c, d, ... above the lowest one
+    let B = 0, C;
+    if (trits) {
+      C = [0, 204, 93, 44, 22, 11, 5][bits];
+      if (bits === 2) B = (h << 8) | (h << 4) | (h << 2) | (h << 1);
+      else if (bits === 3) B = (h << 7) | (h << 2) | h;
+      else if (bits === 4) B = (h << 6) | h;
+      else if (bits === 5) B = (h << 5) | (h >> 2);
+      else if (bits === 6) B = (h << 4) | (h >> 4);
+    } else {
+      C = [0, 113, 54, 26, 13, 6][bits];
+      if (bits === 2) B = (h << 8) | (h << 3) | (h << 2);
+      else if (bits === 3) B = (h << 7) | (h << 1) | (h >> 1);
+      else if (bits === 4) B = (h << 6) | (h >> 1);
+      else if (bits === 5) B = (h << 5) | (h >> 3);
+    }
+    let T = (D * C + B) ^ A;
+    table.push((A & 0x80) | (T >> 2));
+  }
+  return table;
+});
+
+const ASTC_WEIGHT_UNQUANT = ASTC_RANGES.slice(0, 12).map(([levels, trits, quints, bits]) => {
+  if (bits === 0) return trits ? [0, 32, 64] : [0, 16, 32, 48, 64];
+  const table = [];
+  for (let v = 0; v < levels; v++) {
+    const m = v & ((1 << bits) - 1), D = v >> bits;
+    let T;
+    if (!trits && !quints) {
+      T = astcReplicate(v, bits, 6);
+    } else {
+      const A = (m & 1) ? 0x7F : 0;
+      const h = m >> 1;
+      let B = 0, C;
+      if (trits) {
+        C = [0, 50, 23, 11][bits];
+        if (bits === 2) B = (h << 6) | (h << 2) | h;
+        else if (bits === 3) B = (h << 5) | h;
+      } else {
+        C = [0, 28, 13][bits];
+        if (bits === 2) B = (h << 6) | (h << 1);
+      }
+      T = (D * C + B) ^ A;
+      T = (A & 0x20) | (T >> 2);
+    }
+    table.push(T > 32 ? T + 1 : T);
+  }
+  return table;
+});
+
+// Block mode (bits 0..10): weight grid size, weight range and dual plane, or null when reserved
+function astcBlockMode(mode) {
+  let R = (mode >> 4) & 1;
+  let H = (mode >> 9) & 1, D = (mode >> 10) & 1;
+  const A = (mode >> 5) & 3;
+  let W, Hgt;
+  if (mode & 3) {
+    R |= (mode & 3) << 1;
+    let B = (mode >> 7) & 3;
+    switch ((mode >> 2) & 3) {
+      case 0: W = B + 4; Hgt = A + 2; break;
+      case 1: W = B + 8; Hgt = A + 2; break;
+      case 2: W = A + 2; Hgt = B + 8; break;
+      default:
+        B &= 1;
+        if (mode & 0x100) { W = B + 2; Hgt = A + 2; } else { W = A + 2; Hgt = B + 6; }
+    }
+  } else {
+    R |= ((mode >> 2) & 3) << 1;
+    if (((mode >> 2) & 3) === 0) return null;
+    const B = (mode >> 9) & 3;
+    switch ((mode >> 7) & 3) {
+      case 0: W = 12; Hgt = A + 2; break;
+      case 1: W = A + 2; Hgt = 12; break;
+      case 2: W = A + 6; Hgt = B + 6; D = 0; H = 0; break;
+      default:
+        if (A === 0) { W = 6; Hgt = 10; } else if (A === 1) { W = 10; Hgt = 6; } else return null;
+    }
+  }
+  return { width: W, height: Hgt, dualPlane: !!D, range: (R - 2) + 6 * H };
+}
+
+// 32-bit partition hash
+function astcHash52(p) {
+  p ^= p >>> 15; p = (p - (p << 17)) >>> 0; p = (p + (p << 7)) >>> 0; p = (p + (p << 4)) >>> 0;
+  p ^= p >>> 5; p = (p + (p << 16)) >>> 0; p ^= p >>> 7; p ^= p >>> 3;
+  p = (p ^ (p << 6)) >>> 0; p ^= p >>> 17;
+  return p >>> 0;
+}
+
+function astcSelectPartition(seed, x, y, z, partitionCount, smallBlock) {
+  if (smallBlock) { x <<= 1; y <<= 1; z <<= 1; }
+  seed += (partitionCount - 1) * 1024;
+  const rnum = astcHash52(seed);
+  const s = [
+    rnum & 0xF, (rnum >>> 4) & 0xF, (rnum >>> 8) & 0xF, (rnum >>> 12) & 0xF,
+    (rnum >>> 16) & 0xF, (rnum >>> 20) & 0xF, (rnum >>> 24) & 0xF, (rnum >>> 28) & 0xF,
+    (rnum >>> 18) & 0xF, (rnum >>> 22) & 0xF, (rnum >>> 26) & 0xF, ((rnum >>> 30) | (rnum << 2)) & 0xF
+  ].map(v => v * v);
+  let sh1, sh2;
+  if (seed & 1) { sh1 = seed & 2 ? 4 : 5; sh2 = partitionCount === 3 ? 6 : 5; }
+  else { sh1 = partitionCount === 3 ? 6 : 5; sh2 = seed & 2 ? 4 : 5; }
+  const sh3 = seed & 0x10 ? sh1 : sh2;
+  const sh = [sh1, sh2, sh1, sh2, sh1, sh2, sh1, sh2, sh3, sh3, sh3, sh3];
+  for (let i = 0; i < 12; i++) s[i] >>= sh[i];
+  const a = (s[0] * x + s[1] * y + s[10] * z + (rnum >>> 14)) & 0x3F;
+  const b = (s[2] * x + s[3] * y + s[11] * z + (rnum >>> 10)) & 0x3F;
+  const c = partitionCount < 3 ? 0 : (s[4] * x + s[5] * y + s[8] * z + (rnum >>> 6)) & 0x3F;
+  const d = partitionCount < 4 ? 0 : (s[6] * x + s[7] * y + s[9] * z + (rnum >>> 2)) & 0x3F;
+  if (a >= b && a >= c && a >= d) return 0;
+  if (b >= c && b >= d) return 1;
+  if (c >= d) return 2;
+  return 3;
+}
+
+function astcBitTransferSigned(a, b) {
+  b = (b >> 1) | (a & 0x80);
+  a = (a >> 1) & 0x3F;
+  if (a & 0x20) a -= 0x40;
+  return [a, b];
+}
+
+const astcBlueContract = (r, g, b, a) => [(r + b) >> 1, (g + b) >> 1, b, a];
+const astcClamp = (c) => c.map(v => (v < 0 ? 0 : (v > 255 ? 255 : v)));
+
+// LDR colour endpoint modes; null for the HDR modes
+function astcDecodeEndpoints(cem, v) {
+  switch (cem) {
+    case 0: return [[v[0], v[0], v[0], 255], [v[1], v[1], v[1], 255]];
+    case 1: {
+      const l0 = (v[0] >> 2) | (v[1] & 0xC0);
+      const l1 = Math.min(l0 + (v[1] & 0x3F), 255);
+      return [[l0, l0, l0, 255], [l1, l1, l1, 255]];
+    }
+    case 4: return [[v[0], v[0], v[0], v[2]], [v[1], v[1], v[1], v[3]]];
+    case 5: {
+      const [d1, b0] = astcBitTransferSigned(v[1], v[0]);
+      const [d3, b2] = astcBitTransferSigned(v[3], v[2]);
+      return [[b0, b0, b0, b2], astcClamp([b0 + d1, b0 + d1, b0 + d1, b2 + d3])];
+    }
+    case 6: case 10: {
+      const a0 = cem === 10 ? v[4] : 255, a1 = cem === 10 ? v[5] : 255;
+      return [[(v[0] * v[3]) >> 8, (v[1] * v[3]) >> 8, (v[2] * v[3]) >> 8, a0], [v[0], v[1], v[2], a1]];
+    }
+    case 8: case 12: {
+      const a0 = cem === 12 ? v[6] : 255, a1 = cem === 12 ? v[7] : 255;
+      if (v[1] + v[3] + v[5] >= v[0] + v[2] + v[4]) return [[v[0], v[2], v[4], a0], [v[1], v[3], v[5], a1]];
+      return [astcBlueContract(v[1], v[3], v[5], a1), astcBlueContract(v[0], v[2], v[4], a0)];
+    }
+    case 9: case 13: {
+      const [d1, b0] = astcBitTransferSigned(v[1], v[0]);
+      const [d3, b2] = astcBitTransferSigned(v[3], v[2]);
+      const [d5, b4] = astcBitTransferSigned(v[5], v[4]);
+      let a0 = 255, a1 = 255;
+      if (cem === 13) { const [d7, b6] = astcBitTransferSigned(v[7], v[6]); a0 = b6; a1 = b6 + d7; }
+      if (d1 + d3 + d5 >= 0) return [[b0, b2, b4, a0], astcClamp([b0 + d1, b2 + d3, b4 + d5, a1])];
+      return [astcClamp(astcBlueContract(b0 + d1, b2 + d3, b4 + d5, a1)), astcClamp(astcBlueContract(b0, b2, b4, a0))];
+    }
+    default: return null;
+  }
+}
+
+// Decodes the 128-bit block at b[o] into px (bw * bh RGBA8 texels); srgb selects the sRGB endpoint expansion
+function decodeASTCBlock(b, o, bw, bh, px, srgb) {
+  const texels = bw * bh;
+  const fill = (c) => { for (let i = 0; i < texels; i++) px.set(c, i * 4); };
+  const error = () => fill(ASTC_ERROR_COLOR);
+  const mode = b[o] | ((b[o + 1] & 7) << 8);
+
+  // Void-extent block: one constant UNORM16 colour
+  if ((mode & 0x1FF) === 0x1FC) {
+    if (mode & 0x200) return error(); // HDR
+    const u16 = (i) => b[o + 8 + i * 2] | (b[o + 9 + i * 2] << 8);
+    const s0 = astcBits(b, o, 12, 8) | (astcBits(b, o, 20, 5) << 8);
+    const t0 = astcBits(b, o, 38, 8) | (astcBits(b, o, 46, 5) << 8);
+    const s1 = astcBits(b, o, 25, 8) | (astcBits(b, o, 33, 5) << 8);
+    const t1 = astcBits(b, o, 51, 8) | (astcBits(b, o, 59, 5) << 8);
+    const allOnes = s0 === 0x1FFF && s1 === 0x1FFF && t0 === 0x1FFF && t1 === 0x1FFF;
+    if (!allOnes && (s0 >= s1 || t0 >= t1)) return error();
+    return fill([0, 1, 2, 3].map(i => (srgb ? u16(i) >> 8 : Math.round(u16(i) / 257))));
+  }
+
+  const bm = astcBlockMode(mode);
+  if (!bm || bm.width > bw || bm.height > bh) return error();
+  const planes = bm.dualPlane ? 2 : 1;
+  const weightCount = bm.width * bm.height * planes;
+  const weightBits = astcISEBitCount(weightCount, bm.range);
+  if (weightCount > 64 || weightBits < 24 || weightBits > 96) return error();
+
+  const partitions = astcBits(b, o, 11, 2) + 1;
+  if (partitions === 4 && bm.dualPlane) return error();
+
+  // Colour endpoint modes; for mixed modes the extra bits sit just below the weights
+  const cems = [];
+  let colorStart, extraBits = 0;
+  if (partitions === 1) {
+    cems.push(astcBits(b, o, 13, 4));
+    colorStart = 17;
+  } else {
+    colorStart = 29;
+    const cemField = astcBits(b, o, 23, 6);
+    if ((cemField & 3) === 0) {
+      for (let i = 0; i < partitions; i++) cems.push(cemField >> 2);
+    } else {
+      extraBits = 3 * partitions - 4;
+      const extraPos = 128 - weightBits - extraBits;
+      let encoded = (cemField >> 2) | (astcBits(b, o, extraPos, extraBits) << 4);
+      const baseClass = (cemField & 3) - 1;
+      for (let i = 0; i < partitions; i++) {
+        const cls = baseClass + ((encoded >> i) & 1);
+        cems.push(cls * 4 + ((encoded >> (partitions + i * 2)) & 3));
+      }
+    }
+  }
+  const ccsPos = 128 - weightBits - extraBits - 2;
+  const ccs = bm.dualPlane ? astcBits(b, o, ccsPos, 2) : -1;
+
+  const valueCount = cems.reduce((n, cem) => n + ((cem >> 2) + 1) * 2, 0);
+  const colorBits = 128 - weightBits - extraBits - (bm.dualPlane ? 2 : 0) - colorStart;
+  if (valueCount > 18) return error();
+  let colorRange = -1;
+  for (let r = 20; r >= 4; r--) {
+    if (astcISEBitCount(valueCount, r) <= colorBits) { colorRange = r; break; }
+  }
+  if (colorRange < 0) return error();
+
+  const unquant = ASTC_COLOR_UNQUANT[colorRange];
+  const colorValues = astcDecodeISE(b, o, colorStart, valueCount, colorRange).map(v => unquant[v]);
+  const endpoints = [];
+  for (let p = 0, vi = 0; p < partitions; p++) {
+    const n = ((cems[p] >> 2) + 1) * 2;
+    // HDR endpoints only turn their own partition's texels into the error colour
+    endpoints.push(astcDecodeEndpoints(cems[p], colorValues.slice(vi, vi + n)));
+    vi += n;
+  }
+
+  // Weights are stored bit-reversed from the top of the block
+  const reversed = new Uint8Array(18);
+  for (let i = 0; i < 16; i++) reversed[i] = ASTC_REVERSE_BYTE[b[o + 15 - i]];
+  const wq = ASTC_WEIGHT_UNQUANT[bm.range];
+  const grid = astcDecodeISE(reversed, 0, 0, weightCount, bm.range).map(v => wq[v]);
+
+  // Bilinear infill from the weight grid to the texels
+  const ds = Math.floor((1024 + (bw >> 1)) / (bw - 1));
+  const dt = Math.floor((1024 + (bh >> 1)) / (bh - 1));
+  const seed = partitions > 1 ? astcBits(b, o, 13, 8) | (astcBits(b, o, 21, 2) << 8) : 0;
+  const smallBlock = texels < 31;
+  const gw = bm.width;
+  for (let t = 0; t < bh; t++) {
+    for (let s = 0; s < bw; s++) {
+      const gs = (ds * s * (gw - 1) + 32) >> 6;
+      const gt = (dt * t * (bm.height - 1) + 32) >> 6;
+      const js = gs >> 4, fs = gs & 15, jt = gt >> 4, ft = gt & 15;
+      const w11 = (fs * ft + 8) >> 4, w10 = ft - w11, w01 = fs - w11, w00 = 16 - fs - ft + w11;
+      const v0 = js + jt * gw;
+      const weightOf = (plane) => {
+        const at = (v) => grid[v * planes + plane] || 0;
+        return (at(v0) * w00 + at(v0 + 1) * w01 + at(v0 + gw) * w10 + at(v0 + gw + 1) * w11 + 8) >> 4;
+      };
+      const w0 = weightOf(0), w1 = bm.dualPlane ? weightOf(1) : w0;
+
+      const part = partitions > 1 ? astcSelectPartition(seed, s, t, 0, partitions, smallBlock) : 0;
+      const d = (t * bw + s) * 4;
+      if (!endpoints[part]) { px.set(ASTC_ERROR_COLOR, d); continue; }
+      const [e0, e1] = endpoints[part];
+      for (let c = 0; c < 4; c++) {
+        const w = c === ccs ? w1 : w0;
+        const c0 = srgb ? (e0[c] << 8) | 0x80 : (e0[c] << 8) | e0[c];
+        const c1 = srgb ? (e1[c] << 8) | 0x80 : (e1[c] << 8) | e1[c];
+        const v = (c0 * (64 - w) + c1 * w + 32) >> 6;
+        px[d + c] = srgb ? v >> 8 : Math.round(v / 257);
+      }
+    }
+  }
+}
+
+const ASTC_REVERSE_BYTE = (() => {
+  const table = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) {
+    let r = 0;
+    for (let j = 0; j < 8; j++) r |= ((i >> j) & 1) << (7 - j);
+    table[i] = r;
+  }
+  return table;
+})();
+
+// WebGPU format the CPU-decoded texels are uploaded as
+function astcDecodeTarget(formatInfo) {
+  return { format: formatInfo.format.endsWith('-srgb') ? 'rgba8unorm-srgb' : 'rgba8unorm', bytesPerPixel: 4 };
+}
+
+// Decodes one ASTC image (all slices) into tightly packed RGBA8 texels
+function decodeASTCImage(data, width, height, depth, formatInfo) {
+  const bw = formatInfo.blockWidth, bh = formatInfo.blockHeight;
+  const srgb = formatInfo.format.endsWith('-srgb');
+  const out = new Uint8Array(width * height * depth * 4);
+  const px = new Uint8Array(bw * bh * 4);
+  const blocksX = Math.ceil(width / bw), blocksY = Math.ceil(height / bh);
+
+  let o = 0;
+  for (let z = 0; z < depth; z++) {
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++, o += 16) {
+        decodeASTCBlock(data, o, bw, bh, px, srgb);
+        for (let y = 0; y < bh && by * bh + y < height; y++) {
+          const row = (z * height + by * bh + y) * width + bx * bw;
+          const cols = Math.min(bw, width - bx * bw);
+          out.set(px.subarray(y * bw * 4, (y * bw + cols) * 4), row * 4);
+        }
+      }
+    }
+  }
+  return out;
+}
+
+window.astcDecodeTarget = astcDecodeTarget;
+window.decodeASTCImage = decodeASTCImage;
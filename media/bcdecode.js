@@ -0,0 +1,410 @@
+// bcdecode.js - CPU decoders for BC1-BC7 block compression
+// Fallback for adapters without texture-compression-bc: BC1/2/3/7 and unsigned BC4/5
+// decode to RGBA8, BC6H and signed BC4/5 to RGBA16F (half-float bits).
+
+// 16 digits per partition: the subset of each texel of a 4x4 block (BC7 and BC6H)
+const BC_PARTITIONS_2 = [
+  '0011001100110011', '0001000100010001', '0111011101110111', '0001001100110111',
+  '0000000100010011', '0011011101111111', '0001001101111111', '0000000100110111',
+  '0000000000010011', '0011011111111111', '0000000101111111', '0000000000010111',
+  '0001011111111111', '0000000011111111', '0000111111111111', '0000000000001111',
+  '0000100011101111', '0111000100000000', '0000000010001110', '0111001100010000',
+  '0011000100000000', '0000100011001110', '0000000010001100', '0111001100110001',
+  '0011000100010000', '0000100010001100', '0110011001100110', '0011011001101100',
+  '0001011111101000', '0000111111110000', '0111000110001110', '0011100110011100',
+  '0101010101010101', '0000111100001111', '0101101001011010', '0011001111001100',
+  '0011110000111100', '0101010110101010', '0110100101101001', '0101101010100101',
+  '0111001111001110', '0001001111001000', '0011001001001100', '0011101111011100',
+  '0110100110010110', '0011110011000011', '0110011010011001', '0000011001100000',
+  '0100111001000000', '0010011100100000', '0000001001110010', '0000010011100100',
+  '0110110010010011', '0011011011001001', '0110001110011100', '0011100111000110',
+  '0110110011001001', '0110001100111001', '0111111010000001', '0001100011100111',
+  '0000111100110011', '0011001111110000', '0010001011101110', '0100010001110111'
+].map(s => Array.from(s, Number));
+
+const BC_PARTITIONS_3 = [
+  '0011001102212222', '0001001122112221', '0000200122112211', '0222002200110111',
+  '0000000011221122', '0011001100220022', '0022002211111111', '0011001122112211',
+  '0000000011112222', '0000111111112222', '0000111122222222', '0012001200120012',
+  '0112011201120112', '0122012201220122', '0011011211221222', '0011200122002220',
+  '0001001101121122', '0111001120012200', '0000112211221122', '0022002200221111',
+  '0111011102220222', '0001000122212221', '0000001101220122', '0000110022102210',
+  '0122012200110000', '0012001211222222', '0110122112210110', '0000011012211221',
+  '0022110211020022', '0110011020022222', '0011012201220011', '0000200022112221',
+  '0000000211221222', '0222002200120011', '0011001200220222', '0120012001200120',
+  '0000111122220000', '0120120120120120', '0120201212010120', '0011220011220011',
+  '0011112222000011', '0101010122222222', '0000000021212121', '0022112200221122',
+  '0022001100220011', '0220122102201221', '0101222222220101', '0000212121212121',
+  '0101010101012222', '0222011102220111', '0002111200021112', '0000211221122112',
+  '0222011101110222', '0002111211120002', '0110011001102222', '0000000021122112',
+  '0110011022222222', '0022001100110022', '0022112211220022', '0000000000002112',
+  '0002000100020001', '0222122202221222', '0101222222222222', '0111201122012220'
+].map(s => Array.from(s, Number));
+
+// Anchor texel (index stored with one bit less) of the second subset of 2-subset
+// partitions, and of the second / third subsets of 3-subset partitions
+const BC_ANCHOR_2 = [
+  15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15,
+  15, 2, 8, 2, 2, 8, 8, 15, 2, 8, 2, 2, 8, 8, 2, 2,
+  15, 15, 6, 8, 2, 8, 15, 15, 2, 8, 2, 2, 2, 15, 15, 6,
+  6, 2, 6, 8, 15, 15, 2, 2, 15, 15, 15, 15, 15, 2, 2, 15
+];
+const BC_ANCHOR_3A = [
+  3, 3, 15, 15, 8, 3, 15, 15, 8, 8, 6, 6, 6, 5, 3, 3,
+  3, 3, 8, 15, 3, 3, 6, 10, 5, 8, 8, 6, 8, 5, 15, 15,
+  8, 15, 3, 5, 6, 10, 8, 15, 15, 3, 15, 5, 15, 15, 15, 15,
+  3, 15, 5, 5, 5, 8, 5, 10, 5, 10, 8, 13, 15, 12, 3, 3
+];
+const BC_ANCHOR_3B = [
+  15, 8, 8, 3, 15, 15, 3, 8, 15, 15, 15, 15, 15, 15, 15, 8,
+  15, 8, 15, 3, 15, 8, 15, 8, 3, 15, 6, 10, 15, 15, 10, 8,
+  15, 3, 15, 10, 10, 8, 9, 10, 6, 15, 8, 15, 3, 6, 6, 8,
+  15, 3, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 3, 15, 15, 8
+];
+
+const BC_WEIGHTS = {
+  2: [0, 21, 43, 64],
+  3: [0, 9, 18, 27, 37, 46, 55, 64],
+  4: [0, 4, 9, 13, 17, 21, 26, 30, 34, 38, 43, 47, 51, 55, 60, 64]
+};
+
+// n (<= 25) bits of the block at byte offset o, starting at bit pos, LSB first
+function bcBits(b, o, pos, n) {
+  const i = o + (pos >> 3);
+  const word = (b[i] | (b[i + 1] << 8) | (b[i + 2] << 16) | (b[i + 3] << 24)) >>> (pos & 7);
+  return word & ((1 << n) - 1);
+}
+
+function bcFloatToHalf(v) {
+  const f = new Float32Array([v]);
+  const x = new Uint32Array(f.buffer)[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = ((x >>> 23) & 0xFF) - 112;
+  if (exp <= 0) return sign; // the values here are in [-1, 1]; denormals flush to zero
+  // A mantissa that rounds up carries into the exponent
+  return sign | ((exp << 10) + (((x & 0x7FFFFF) + 0x1000) >>> 13));
+}
+
+// BC1 colour block at b[o..o+8) into px (16 RGBA8 texels); BC2/BC3 always use four colours
+function decodeBC1Block(b, o, px, fourColor) {
+  const c0 = b[o] | (b[o + 1] << 8);
+  const c1 = b[o + 2] | (b[o + 3] << 8);
+  const rgb = (c) => {
+    const r = c >> 11, g = (c >> 5) & 0x3F, bl = c & 0x1F;
+    return [(r << 3) | (r >> 2), (g << 2) | (g >> 4), (bl << 3) | (bl >> 2)];
+  };
+  const a = rgb(c0), z = rgb(c1);
+  const palette = [[...a, 255], [...z, 255]];
+  if (fourColor || c0 > c1) {
+    palette.push(a.map((v, i) => ((2 * v + z[i]) / 3) | 0).concat(255));
+    palette.push(a.map((v, i) => ((v + 2 * z[i]) / 3) | 0).concat(255));
+  } else {
+    palette.push(a.map((v, i) => (v + z[i]) >> 1).concat(255));
+    palette.push([0, 0, 0, 0]);
+  }
+  const indices = (b[o + 4] | (b[o + 5] << 8) | (b[o + 6] << 16) | (b[o + 7] << 24)) >>> 0;
+  for (let t = 0; t < 16; t++) {
+    const c = palette[(indices >>> (t * 2)) & 3];
+    px[t * 4] = c[0]; px[t * 4 + 1] = c[1]; px[t * 4 + 2] = c[2]; px[t * 4 + 3] = c[3];
+  }
+}
+
+// BC3 alpha / BC4 block at b[o..o+8): 16 values written to out[t * stride + channel]
+// (bytes, or floats in [-1, 1] when signed); unsigned interpolants round to the nearest
+// 8-bit step, signed ones stay exact since they are stored as halves
+function decodeBC4Block(b, o, out, stride, channel, signed) {
+  let e0 = b[o], e1 = b[o + 1];
+  let max = 255, min = 0;
+  if (signed) {
+    // -128 decodes as -127 so that both ends of the range are exact
+    e0 = Math.max(-127, (e0 << 24) >> 24);
+    e1 = Math.max(-127, (e1 << 24) >> 24);
+    max = 127; min = -127;
+  }
+  const values = [e0, e1];
+  if (e0 > e1) {
+    for (let i = 1; i < 7; i++) values.push(((7 - i) * e0 + i * e1) / 7);
+  } else {
+    for (let i = 1; i < 5; i++) values.push(((5 - i) * e0 + i * e1) / 5);
+    values.push(min, max);
+  }
+  const lo = b[o + 2] | (b[o + 3] << 8) | (b[o + 4] << 16);
+  const hi = b[o + 5] | (b[o + 6] << 8) | (b[o + 7] << 16);
+  for (let t = 0; t < 16; t++) {
+    const idx = t < 8 ? (lo >> (t * 3)) & 7 : (hi >> ((t - 8) * 3)) & 7;
+    out[t * stride + channel] = signed ? values[idx] / 127 : Math.round(values[idx]);
+  }
+}
+
+// BC7 modes: subsets, partition / rotation / index-selection bits, colour and alpha bits,
+// per-endpoint and shared p-bits, primary and secondary index bits
+const BC7_MODES = [
+  { ns: 3, pb: 4, rb: 0, isb: 0, cb: 4, ab: 0, epb: 1, spb: 0, ib: 3, ib2: 0 },
+  { ns: 2, pb: 6, rb: 0, isb: 0, cb: 6, ab: 0, epb: 0, spb: 1, ib: 3, ib2: 0 },
+  { ns: 3, pb: 6, rb: 0, isb: 0, cb: 5, ab: 0, epb: 0, spb: 0, ib: 2, ib2: 0 },
+  { ns: 2, pb: 6, rb: 0, isb: 0, cb: 7, ab: 0, epb: 1, spb: 0, ib: 2, ib2: 0 },
+  { ns: 1, pb: 0, rb: 2, isb: 1, cb: 5, ab: 6, epb: 0, spb: 0, ib: 2, ib2: 3 },
+  { ns: 1, pb: 0, rb: 2, isb: 0, cb: 7, ab: 8, epb: 0, spb: 0, ib: 2, ib2: 2 },
+  { ns: 1, pb: 0, rb: 0, isb: 0, cb: 7, ab: 7, epb: 1, spb: 0, ib: 4, ib2: 0 },
+  { ns: 2, pb: 6, rb: 0, isb: 0, cb: 5, ab: 5, epb: 1, spb: 0, ib: 2, ib2: 0 }
+];
+
+// Subset of texel t and whether t is an anchor (its index has one bit less)
+function bcSubset(ns, partition, t) {
+  if (ns === 1) return [0, t === 0];
+  if (ns === 2) {
+    const s = BC_PARTITIONS_2[partition][t];
+    return [s, t === 0 || (s === 1 && t === BC_ANCHOR_2[partition])];
+  }
+  const s = BC_PARTITIONS_3[partition][t];
+  return [s, t === 0 || (s === 1 && t === BC_ANCHOR_3A[partition]) || (s === 2 && t === BC_ANCHOR_3B[partition])];
+}
+
+function decodeBC7Block(b, o, px) {
+  let mode = 0;
+  while (mode < 8 && !(b[o] & (1 << mode))) mode++;
+  if (mode === 8) { px.fill(0); return; } // reserved
+  const m = BC7_MODES[mode];
+  let pos = mode + 1;
+  const read = (n) => { const v = bcBits(b, o, pos, n); pos += n; return v; };
+
+  const partition = read(m.pb);
+  const rotation = read(m.rb);
+  const indexSelection = read(m.isb);
+
+  const count = m.ns * 2;
+  const ep = [];
+  for (let i = 0; i < count; i++) ep.push([0, 0, 0, 255]);
+  for (let c = 0; c < 3; c++) for (let i = 0; i < count; i++) ep[i][c] = read(m.cb);
+  if (m.ab) for (let i = 0; i < count; i++) ep[i][3] = read(m.ab);
+
+  let cb = m.cb, ab = m.ab;
+  if (m.epb || m.spb) {
+    const p = [];
+    if (m.epb) for (let i = 0; i < count; i++) p.push(read(1));
+    else for (let s = 0; s < m.ns; s++) { const bit = read(1); p.push(bit, bit); }
+    for (let i = 0; i < count; i++) {
+      for (let c = 0; c < 3; c++) ep[i][c] = (ep[i][c] << 1) | p[i];
+      if (ab) ep[i][3] = (ep[i][3] << 1) | p[i];
+    }
+    cb++;
+    if (ab) ab++;
+  }
+  for (let i = 0; i < count; i++) {
+    for (let c = 0; c < 3; c++) ep[i][c] = (ep[i][c] << (8 - cb)) | (ep[i][c] >> (2 * cb - 8));
+    if (ab) ep[i][3] = (ep[i][3] << (8 - ab)) | (ep[i][3] >> (2 * ab - 8));
+  }
+
+  const primary = new Array(16);
+  for (let t = 0; t < 16; t++) primary[t] = read(bcSubset(m.ns, partition, t)[1] ? m.ib - 1 : m.ib);
+  const secondary = new Array(16);
+  if (m.ib2) for (let t = 0; t < 16; t++) secondary[t] = read(t === 0 ? m.ib2 - 1 : m.ib2);
+
+  for (let t = 0; t < 16; t++) {
+    const s = bcSubset(m.ns, partition, t)[0];
+    const e0 = ep[s * 2], e1 = ep[s * 2 + 1];
+    let colorWeight, alphaWeight;
+    if (!m.ib2) {
+      colorWeight = alphaWeight = BC_WEIGHTS[m.ib][primary[t]];
+    } else if (indexSelection) {
+      colorWeight = BC_WEIGHTS[m.ib2][secondary[t]];
+      alphaWeight = BC_WEIGHTS[m.ib][primary[t]];
+    } else {
+      colorWeight = BC_WEIGHTS[m.ib][primary[t]];
+      alphaWeight = BC_WEIGHTS[m.ib2][secondary[t]];
+    }
+    const c = [0, 1, 2].map(i => ((64 - colorWeight) * e0[i] + colorWeight * e1[i] + 32) >> 6);
+    c.push(((64 - alphaWeight) * e0[3] + alphaWeight * e1[3] + 32) >> 6);
+    if (rotation) { const a = c[3]; c[3] = c[rotation - 1]; c[rotation - 1] = a; }
+    px[t * 4] = c[0]; px[t * 4 + 1] = c[1]; px[t * 4 + 2] = c[2]; px[t * 4 + 3] = c[3];
+  }
+}
+
+// BC6H modes by mode bits: endpoint bits, delta bits (r, g, b), transformed endpoints,
+// and the order the header bits are stored in ("field:bit" or "field:from-to")
+const BC6H_MODES = {
+  0x00: { regions: 2, epb: 10, delta: [5, 5, 5], transformed: true,
+    bits: 'g2:4 b2:4 b3:4 r0:0-9 g0:0-9 b0:0-9 r1:0-4 g3:4 g2:0-3 g1:0-4 b3:0 g3:0-3 b1:0-4 b3:1 b2:0-3 r2:0-4 b3:2 r3:0-4 b3:3' },
+  0x01: { regions: 2, epb: 7, delta: [6, 6, 6], transformed: true,
+    bits: 'g2:5 g3:4 g3:5 r0:0-6 b3:0 b3:1 b2:4 g0:0-6 b2:5 b3:2 g2:4 b0:0-6 b3:3 b3:5 b3:4 r1:0-5 g2:0-3 g1:0-5 g3:0-3 b1:0-5 b2:0-3 r2:0-5 r3:0-5' },
+  0x02: { regions: 2, epb: 11, delta: [5, 4, 4], transformed: true,
+    bits: 'r0:0-9 g0:0-9 b0:0-9 r1:0-4 r0:10 g2:0-3 g1:0-3 g0:10 b3:0 g3:0-3 b1:0-3 b0:10 b3:1 b2:0-3 r2:0-4 b3:2 r3:0-4 b3:3' },
+  0x06: { regions: 2, epb: 11, delta: [4, 5, 4], transformed: true,
+    bits: 'r0:0-9 g0:0-9 b0:0-9 r1:0-3 r0:10 g3:4 g2:0-3 g1:0-4 g0:10 g3:0-3 b1:0-3 b0:10 b3:1 b2:0-3 r2:0-3 b3:0 b3:2 r3:0-3 g2:4 b3:3' },
+  0x0A: { regions: 2, epb: 11, delta: [4, 4, 5], transformed: true,
+    bits: 'r0:0-9 g0:0-9 b0:0-9 r1:0-3 r0:10 b2:4 g2:0-3 g1:0-3 g0:10 b3:0 g3:0-3 b1:0-4 b0:10 b2:0-3 r2:0-3 b3:1 b3:2 r3:0-3 b3:4 b3:3' },
+  0x0E: { regions: 2, epb: 9, delta: [5, 5, 5], transformed: true,
+    bits: 'r0:0-8 b2:4 g0:0-8 g2:4 b0:0-8 b3:4 r1:0-4 g3:4 g2:0-3 g1:0-4 b3:0 g3:0-3 b1:0-4 b3:1 b2:0-3 r2:0-4 b3:2 r3:0-4 b3:3' },
+  0x12: { regions: 2, epb: 8, delta: [6, 5, 5], transformed: true,
+    bits: 'r0:0-7 g3:4 b2:4 g0:0-7 b3:2 g2:4 b0:0-7 b3:3 b3:4 r1:0-5 g2:0-3 g1:0-4 b3:0 g3:0-3 b1:0-4 b3:1 b2:0-3 r2:0-5 r3:0-5' },
+  0x16: { regions: 2, epb: 8, delta: [5, 6, 5], transformed: true,
+    bits: 'r0:0-7 b3:0 b2:4 g0:0-7 g2:5 g2:4 b0:0-7 g3:5 b3:4 r1:0-4 g3:4 g2:0-3 g1:0-5 g3:0-3 b1:0-4 b3:1 b2:0-3 r2:0-4 b3:2 r3:0-4 b3:3' },
+  0x1A: { regions: 2, epb: 8, delta: [5, 5, 6], transformed: true,
+    bits: 'r0:0-7 b3:1 b2:4 g0:0-7 b2:5 g2:4 b0:0-7 b3:5 b3:4 r1:0-4 g3:4 g2:0-3 g1:0-4 b3:0 g3:0-3 b1:0-5 b2:0-3 r2:0-4 b3:2 r3:0-4 b3:3' },
+  0x1E: { regions: 2, epb: 6, delta: [6, 6, 6], transformed: false,
+    bits: 'r0:0-5 g3:4 b3:0 b3:1 b2:4 g0:0-5 g2:5 b2:5 b3:2 g2:4 b0:0-5 g3:5 b3:3 b3:5 b3:4 r1:0-5 g2:0-3 g1:0-5 g3:0-3 b1:0-5 b2:0-3 r2:0-5 r3:0-5' },
+  0x03: { regions: 1, epb: 10, delta: [10, 10, 10], transformed: false,
+    bits: 'r0:0-9 g0:0-9 b0:0-9 r1:0-9 g1:0-9 b1:0-9' },
+  0x07: { regions: 1, epb: 11, delta: [9, 9, 9], transformed: true,
+    bits: 'r0:0-9 g0:0-9 b0:0-9 r1:0-8 r0:10 g1:0-8 g0:10 b1:0-8 b0:10' },
+  0x0B: { regions: 1, epb: 12, delta: [8, 8, 8], transformed: true,
+    bits: 'r0:0-9 g0:0-9 b0:0-9 r1:0-7 r0:11-10 g1:0-7 g0:11-10 b1:0-7 b0:11-10' },
+  0x0F: { regions: 1, epb: 16, delta: [4, 4, 4], transformed: true,
+    bits: 'r0:0-9 g0:0-9 b0:0-9 r1:0-3 r0:15-10 g1:0-3 g0:15-10 b1:0-3 b0:15-10' }
+};
+
+// Header layouts as [endpoint, channel, bit] in stream order
+for (const mode of Object.values(BC6H_MODES)) {
+  mode.layout = [];
+  for (const token of mode.bits.split(' ')) {
+    const [, channel, endpoint, from, to] = /^([rgb])(\d):(\d+)(?:-(\d+))?$/.exec(token);
+    const last = to === undefined ? +from : +to;
+    const step = last >= +from ? 1 : -1;
+    for (let bit = +from; ; bit += step) {
+      mode.layout.push([+endpoint, 'rgb'.indexOf(channel), bit]);
+      if (bit === last) break;
+    }
+  }
+}
+
+function bcSignExtend(v, bits) {
+  return (v << (32 - bits)) >> (32 - bits);
+}
+
+function bc6hUnquantize(v, bits, signed) {
+  if (!signed) {
+    if (bits >= 15 || v === 0) return v;
+    if (v === (1 << bits) - 1) return 0xFFFF;
+    return ((v << 16) + 0x8000) >> bits;
+  }
+  if (bits >= 16) return v;
+  const negative = v < 0;
+  if (negative) v = -v;
+  let u;
+  if (v === 0) u = 0;
+  else if (v >= (1 << (bits - 1)) - 1) u = 0x7FFF;
+  else u = ((v << 15) + 0x4000) >> (bits - 1);
+  return negative ? -u : u;
+}
+
+// BC6H block at b[o..o+16) into px (16 RGBA texels of half-float bits)
+function decodeBC6HBlock(b, o, px, signed) {
+  let modeBits = b[o] & 3;
+  let pos = 2;
+  if (modeBits > 1) { modeBits = b[o] & 0x1F; pos = 5; }
+  const mode = BC6H_MODES[modeBits];
+  if (!mode) { // reserved
+    for (let t = 0; t < 16; t++) { px[t * 4] = px[t * 4 + 1] = px[t * 4 + 2] = 0; px[t * 4 + 3] = 0x3C00; }
+    return;
+  }
+
+  const count = mode.regions * 2;
+  const ep = [];
+  for (let i = 0; i < count; i++) ep.push([0, 0, 0]);
+  for (const [e, c, bit] of mode.layout) ep[e][c] |= bcBits(b, o, pos++, 1) << bit;
+  const partition = mode.regions === 2 ? bcBits(b, o, pos, 5) : 0;
+  if (mode.regions === 2) pos += 5;
+
+  const mask = (1 << mode.epb) - 1;
+  for (let c = 0; c < 3; c++) {
+    if (signed) ep[0][c] = bcSignExtend(ep[0][c], mode.epb);
+    for (let i = 1; i < count; i++) {
+      if (mode.transformed) {
+        ep[i][c] = (ep[0][c] + bcSignExtend(ep[i][c], mode.delta[c])) & mask;
+        if (signed) ep[i][c] = bcSignExtend(ep[i][c], mode.epb);
+      } else if (signed) {
+        ep[i][c] = bcSignExtend(ep[i][c], mode.epb);
+      }
+    }
+    for (let i = 0; i < count; i++) ep[i][c] = bc6hUnquantize(ep[i][c], mode.epb, signed);
+  }
+
+  const indexBits = mode.regions === 2 ? 3 : 4;
+  const weights = BC_WEIGHTS[indexBits];
+  for (let t = 0; t < 16; t++) {
+    const [s, anchor] = bcSubset(mode.regions, partition, t);
+    const n = anchor ? indexBits - 1 : indexBits;
+    const w = weights[bcBits(b, o, pos, n)];
+    pos += n;
+    for (let c = 0; c < 3; c++) {
+      const v = (ep[s * 2][c] * (64 - w) + ep[s * 2 + 1][c] * w + 32) >> 6;
+      // Scale to half-float bits: 0x7BFF is the largest finite half
+      px[t * 4 + c] = !signed ? (v * 31) >> 6
+        : (v < 0 ? 0x8000 | ((-v * 31) >> 5) : (v * 31) >> 5);
+    }
+    px[t * 4 + 3] = 0x3C00; // 1.0
+  }
+}
+
+// WebGPU format the CPU-decoded texels are uploaded as
+function bcDecodeTarget(formatInfo) {
+  const f = formatInfo.format;
+  if (f.startsWith('bc6h') || f.endsWith('-snorm')) {
+    return { format: 'rgba16float', bytesPerPixel: 8 };
+  }
+  return { format: f.endsWith('-srgb') ? 'rgba8unorm-srgb' : 'rgba8unorm', bytesPerPixel: 4 };
+}
+
+// Decodes one BC image (all slices of a 3D level) into tightly packed texels of
+// bcDecodeTarget(formatInfo): Uint8Array RGBA8, or the bytes of RGBA16F halves
+function decodeBCImage(data, width, height, depth, formatInfo) {
+  const f = formatInfo.format;
+  const half = bcDecodeTarget(formatInfo).format === 'rgba16float';
+  const out = half ? new Uint16Array(width * height * depth * 4) : new Uint8Array(width * height * depth * 4);
+  const px = half ? new Uint16Array(64) : new Uint8Array(64);
+  const values = new Float32Array(64);
+  const signed = f.endsWith('-snorm') || f === 'bc6h-rgb-float';
+  const blocksX = Math.ceil(width / 4), blocksY = Math.ceil(height / 4);
+  const bytesPerBlock = formatInfo.bytesPerBlock;
+
+  let o = 0;
+  for (let z = 0; z < depth; z++) {
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++, o += bytesPerBlock) {
+        if (f.startsWith('bc1')) {
+          decodeBC1Block(data, o, px, false);
+        } else if (f.startsWith('bc2')) {
+          decodeBC1Block(data, o + 8, px, true);
+          for (let t = 0; t < 16; t++) px[t * 4 + 3] = ((data[o + (t >> 1)] >> ((t & 1) * 4)) & 0xF) * 17;
+        } else if (f.startsWith('bc3')) {
+          decodeBC1Block(data, o + 8, px, true);
+          decodeBC4Block(data, o, px, 4, 3, false);
+        } else if (f.startsWith('bc4') || f.startsWith('bc5')) {
+          const channels = f.startsWith('bc4') ? 1 : 2;
+          const target = signed ? values : px;
+          target.fill(0);
+          for (let c = 0; c < channels; c++) decodeBC4Block(data, o + c * 8, target, 4, c, signed);
+          if (signed) {
+            for (let t = 0; t < 16; t++) {
+              px[t * 4] = bcFloatToHalf(values[t * 4]);
+              px[t * 4 + 1] = bcFloatToHalf(values[t * 4 + 1]);
+              px[t * 4 + 2] = 0;
+              px[t * 4 + 3] = 0x3C00;
+            }
+          } else {
+            for (let t = 0; t < 16; t++) px[t * 4 + 3] = 255;
+          }
+        } else if (f.startsWith('bc6h')) {
+          decodeBC6HBlock(data, o, px, signed);
+        } else if (f.startsWith('bc7')) {
+          decodeBC7Block(data, o, px);
+        } else {
+          throw new Error(`No CPU decoder for ${f}`);
+        }
+
+        // Copy the block's texels that lie inside the image
+        for (let y = 0; y < 4 && by * 4 + y < height; y++) {
+          const row = (z * height + by * 4 + y) * width;
+          for (let x = 0; x < 4 && bx * 4 + x < width; x++) {
+            const d = (row + bx * 4 + x) * 4, s = (y * 4 + x) * 4;
+            out[d] = px[s]; out[d + 1] = px[s + 1]; out[d + 2] = px[s + 2]; out[d + 3] = px[s + 3];
+          }
+        }
+      }
+    }
+  }
+  return half ? new Uint8Array(out.buffer) : out;
+}
+
+window.bcDecodeTarget = bcDecodeTarget;
+window.decodeBCImage = decodeBCImage;
@@ -0,0 +1,15 @@
+// decode-worker.js - worker side of the ETC2/EAC and ASTC CPU decoders
+// main.js runs this from a blob: URL holding `const window = self;`, etcdecode.js,
+// astcdecode.js and this file, so the decoders' window.* exports land on the worker global.
+// Messages: { id, data, width, height, depth, formatInfo } -> { id, pixels } or { id, error }
+
+self.onmessage = (e) => {
+  const { id, data, width, height, depth, formatInfo } = e.data;
+  try {
+    const decode = formatInfo.format.startsWith('astc') ? self.decodeASTCImage : self.decodeETCImage;
+    const pixels = decode(data, width, height, depth, formatInfo);
+    self.postMessage({ id, pixels }, [pixels.buffer]);
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
@@ -0,0 +1,222 @@
+// etcdecode.js - CPU decoders for ETC1 / ETC2 / EAC block compression
+// Fallback for adapters without texture-compression-etc2: ETC2 RGB, punch-through and
+// RGBA decode to RGBA8, EAC R11 / RG11 to RGBA16F (half-float bits).
+// Blocks are big-endian and texel indices run down the columns (index = x * 4 + y).
+
+const ETC_MODIFIERS = [
+  [2, 8, -2, -8], [5, 17, -5, -17], [9, 29, -9, -29], [13, 42, -13, -42],
+  [18, 60, -18, -60], [24, 80, -24, -80], [33, 106, -33, -106], [47, 183, -47, -183]
+];
+
+// T and H mode distances
+const ETC_DISTANCES = [3, 6, 11, 16, 23, 32, 41, 64];
+
+const EAC_MODIFIERS = [
+  [-3, -6, -9, -15, 2, 5, 8, 14], [-3, -7, -10, -13, 2, 6, 9, 12],
+  [-2, -5, -8, -13, 1, 4, 7, 12], [-2, -4, -6, -13, 1, 3, 5, 12],
+  [-3, -6, -8, -12, 2, 5, 7, 11], [-3, -7, -9, -11, 2, 6, 8, 10],
+  [-4, -7, -8, -11, 3, 6, 7, 10], [-3, -5, -8, -11, 2, 4, 7, 10],
+  [-2, -6, -8, -10, 1, 5, 7, 9], [-2, -5, -8, -10, 1, 4, 7, 9],
+  [-2, -4, -8, -10, 1, 3, 7, 9], [-2, -5, -7, -10, 1, 4, 6, 9],
+  [-3, -4, -7, -10, 2, 3, 6, 9], [-1, -2, -3, -10, 0, 1, 2, 9],
+  [-4, -6, -8, -9, 3, 5, 7, 8], [-3, -5, -7, -9, 2, 4, 6, 8]
+];
+
+const etcClamp = (v) => (v < 0 ? 0 : (v > 255 ? 255 : v));
+const etcExtend4 = (v) => v * 17;
+const etcExtend5 = (v) => (v << 3) | (v >> 2);
+
+// ETC1 / ETC2 colour block at b[o..o+8) into px (16 RGBA8 texels, row-major).
+// punchThrough: RGB8A1, where the "diff" bit is the opaque flag instead
+function decodeETC2ColorBlock(b, o, px, punchThrough) {
+  const hi = ((b[o] << 24) | (b[o + 1] << 16) | (b[o + 2] << 8) | b[o + 3]) >>> 0;
+  const lo = ((b[o + 4] << 24) | (b[o + 5] << 16) | (b[o + 6] << 8) | b[o + 7]) >>> 0;
+  const diff = punchThrough ? true : !!(hi & 2);
+  const opaque = punchThrough ? !!(hi & 2) : true;
+  const index = (x, y) => {
+    const i = x * 4 + y;
+    return (((lo >>> (i + 16)) & 1) << 1) | ((lo >>> i) & 1);
+  };
+  const set = (x, y, r, g, bl, a = 255) => {
+    const d = (y * 4 + x) * 4;
+    px[d] = r; px[d + 1] = g; px[d + 2] = bl; px[d + 3] = a;
+  };
+
+  let base1, base2;
+  if (diff) {
+    const r = (hi >>> 27) & 31, g = (hi >>> 19) & 31, bl = (hi >>> 11) & 31;
+    const dr = ((hi >>> 24) & 7) << 29 >> 29;
+    const dg = ((hi >>> 16) & 7) << 29 >> 29;
+    const db = ((hi >>> 8) & 7) << 29 >> 29;
+
+    // Out-of-range second base colours select the ETC2 modes
+    if (r + dr < 0 || r + dr > 31) {
+      // T mode
+      const c1 = [((hi >>> 27) & 3) << 2 | ((hi >>> 24) & 3), (hi >>> 20) & 15, (hi >>> 16) & 15].map(etcExtend4);
+      const c2 = [(hi >>> 12) & 15, (hi >>> 8) & 15, (hi >>> 4) & 15].map(etcExtend4);
+      const d = ETC_DISTANCES[(((hi >>> 2) & 3) << 1) | (hi & 1)];
+      const paint = [c1, c2.map(v => etcClamp(v + d)), c2, c2.map(v => etcClamp(v - d))];
+      etcPaint(px, paint, index, opaque);
+      return;
+    }
+    if (g + dg < 0 || g + dg > 31) {
+      // H mode
+      const r1 = (hi >>> 27) & 15;
+      const g1 = (((hi >>> 24) & 7) << 1) | ((hi >>> 20) & 1);
+      const b1 = (((hi >>> 19) & 1) << 3) | ((hi >>> 15) & 7);
+      const r2 = (hi >>> 11) & 15, g2 = (hi >>> 7) & 15, b2 = (hi >>> 3) & 15;
+      const order = ((r1 << 8) | (g1 << 4) | b1) >= ((r2 << 8) | (g2 << 4) | b2) ? 1 : 0;
+      const d = ETC_DISTANCES[(((hi >>> 2) & 1) << 2) | ((hi & 1) << 1) | order];
+      const c1 = [r1, g1, b1].map(etcExtend4), c2 = [r2, g2, b2].map(etcExtend4);
+      const paint = [c1.map(v => etcClamp(v + d)), c1.map(v => etcClamp(v - d)),
+        c2.map(v => etcClamp(v + d)), c2.map(v => etcClamp(v - d))];
+      etcPaint(px, paint, index, opaque);
+      return;
+    }
+    if (bl + db < 0 || bl + db > 31) {
+      // Planar mode: origin, horizontal and vertical colours, never transparent
+      const ro = (hi >>> 25) & 63;
+      const go = (((hi >>> 24) & 1) << 6) | ((hi >>> 17) & 63);
+      const bo = (((hi >>> 16) & 1) << 5) | (((hi >>> 11) & 3) << 3) | ((hi >>> 7) & 7);
+      const rh = (((hi >>> 2) & 31) << 1) | (hi & 1);
+      const gh = (lo >>> 25) & 127, bh = (lo >>> 19) & 63;
+      const rv = (lo >>> 13) & 63, gv = (lo >>> 6) & 127, bv = lo & 63;
+      const e6 = (v) => (v << 2) | (v >> 4), e7 = (v) => (v << 1) | (v >> 6);
+      const O = [e6(ro), e7(go), e6(bo)], H = [e6(rh), e7(gh), e6(bh)], V = [e6(rv), e7(gv), e6(bv)];
+      for (let y = 0; y < 4; y++) {
+        for (let x = 0; x < 4; x++) {
+          const c = [0, 1, 2].map(i => etcClamp((x * (H[i] - O[i]) + y * (V[i] - O[i]) + 4 * O[i] + 2) >> 2));
+          set(x, y, c[0], c[1], c[2]);
+        }
+      }
+      return;
+    }
+    base1 = [r, g, bl].map(etcExtend5);
+    base2 = [r + dr, g + dg, bl + db].map(etcExtend5);
+  } else {
+    base1 = [(hi >>> 28) & 15, (hi >>> 20) & 15, (hi >>> 12) & 15].map(etcExtend4);
+    base2 = [(hi >>> 24) & 15, (hi >>> 16) & 15, (hi >>> 8) & 15].map(etcExtend4);
+  }
+
+  // Individual / differential mode: two 2x4 (flip = 0) or 4x2 (flip = 1) sub-blocks
+  const flip = hi & 1;
+  const tables = [ETC_MODIFIERS[(hi >>> 5) & 7], ETC_MODIFIERS[(hi >>> 2) & 7]];
+  for (let y = 0; y < 4; y++) {
+    for (let x = 0; x < 4; x++) {
+      const sub = flip ? (y >= 2 ? 1 : 0) : (x >= 2 ? 1 : 0);
+      const idx = index(x, y);
+      if (!opaque && idx === 2) { set(x, y, 0, 0, 0, 0); continue; }
+      // Punch-through blocks without the opaque flag drop the small modifiers
+      const m = !opaque && (idx & 1) === 0 ? 0 : tables[sub][idx];
+      const base = sub ? base2 : base1;
+      set(x, y, etcClamp(base[0] + m), etcClamp(base[1] + m), etcClamp(base[2] + m));
+    }
+  }
+}
+
+// T / H mode texels from their four paint colours; index 2 is transparent in non-opaque punch-through blocks
+function etcPaint(px, paint, index, opaque) {
+  for (let y = 0; y < 4; y++) {
+    for (let x = 0; x < 4; x++) {
+      const idx = index(x, y);
+      const d = (y * 4 + x) * 4;
+      if (!opaque && idx === 2) { px[d] = px[d + 1] = px[d + 2] = px[d + 3] = 0; continue; }
+      const c = paint[idx];
+      px[d] = c[0]; px[d + 1] = c[1]; px[d + 2] = c[2]; px[d + 3] = 255;
+    }
+  }
+}
+
+// EAC block at b[o..o+8): 16 values to out[(y * 4 + x) * stride + channel].
+// 'alpha' gives the 8-bit ETC2 alpha, 'r11' / 'r11s' the unsigned / signed 11-bit value as a float
+function decodeEACBlock(b, o, out, stride, channel, kind) {
+  const base = kind === 'r11s' ? Math.max(-127, (b[o] << 24) >> 24) : b[o];
+  const multiplier = b[o + 1] >> 4;
+  const table = EAC_MODIFIERS[b[o + 1] & 15];
+  // 48 bits of 3-bit indices, first texel in the most significant bits
+  const hi = (b[o + 2] << 16) | (b[o + 3] << 8) | b[o + 4];
+  const lo = (b[o + 5] << 16) | (b[o + 6] << 8) | b[o + 7];
+  for (let i = 0; i < 16; i++) {
+    const idx = i < 8 ? (hi >> (21 - i * 3)) & 7 : (lo >> (21 - (i - 8) * 3)) & 7;
+    const x = i >> 2, y = i & 3;
+    const d = (y * 4 + x) * stride + channel;
+    if (kind === 'alpha') {
+      out[d] = etcClamp(base + table[idx] * multiplier);
+    } else if (kind === 'r11') {
+      // A zero multiplier still steps by 1/8 of the 11-bit range
+      const m = multiplier ? table[idx] * multiplier * 8 : table[idx];
+      const v = Math.min(2047, Math.max(0, base * 8 + 4 + m));
+      out[d] = ((v << 5) | (v >> 6)) / 65535;
+    } else {
+      const m = multiplier ? table[idx] * multiplier * 8 : table[idx];
+      const v = Math.min(1023, Math.max(-1023, base * 8 + m));
+      out[d] = v / 1023;
+    }
+  }
+}
+
+// WebGPU format the CPU-decoded texels are uploaded as
+function etcDecodeTarget(formatInfo) {
+  const f = formatInfo.format;
+  if (f.startsWith('eac')) return { format: 'rgba16float', bytesPerPixel: 8 };
+  return { format: f.endsWith('-srgb') ? 'rgba8unorm-srgb' : 'rgba8unorm', bytesPerPixel: 4 };
+}
+
+// Decodes one ETC2 / EAC image (all slices) into tightly packed texels of etcDecodeTarget(formatInfo)
+function decodeETCImage(data, width, height, depth, formatInfo) {
+  const f = formatInfo.format;
+  const eac = f.startsWith('eac');
+  const out = eac ? new Uint16Array(width * height * depth * 4) : new Uint8Array(width * height * depth * 4);
+  const px = new Uint8Array(64);
+  const values = new Float32Array(64);
+  const blocksX = Math.ceil(width / 4), blocksY = Math.ceil(height / 4);
+  const bytesPerBlock = formatInfo.bytesPerBlock;
+  const kind = f.includes('snorm') ? 'r11s' : 'r11';
+  const channels = f.startsWith('eac-rg') ? 2 : 1;
+
+  let o = 0;
+  for (let z = 0; z < depth; z++) {
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++, o += bytesPerBlock) {
+        if (eac) {
+          values.fill(0);
+          for (let c = 0; c < channels; c++) decodeEACBlock(data, o + c * 8, values, 4, c, kind);
+        } else if (f.startsWith('etc2-rgba8')) {
+          decodeETC2ColorBlock(data, o + 8, px, false);
+          decodeEACBlock(data, o, px, 4, 3, 'alpha');
+        } else {
+          decodeETC2ColorBlock(data, o, px, f.startsWith('etc2-rgb8a1'));
+        }
+
+        for (let y = 0; y < 4 && by * 4 + y < height; y++) {
+          const row = (z * height + by * 4 + y) * width;
+          for (let x = 0; x < 4 && bx * 4 + x < width; x++) {
+            const d = (row + bx * 4 + x) * 4, s = (y * 4 + x) * 4;
+            if (eac) {
+              out[d] = etcFloatToHalf(values[s]);
+              out[d + 1] = etcFloatToHalf(values[s + 1]);
+              out[d + 2] = 0;
+              out[d + 3] = 0x3C00;
+            } else {
+              out[d] = px[s]; out[d + 1] = px[s + 1]; out[d + 2] = px[s + 2]; out[d + 3] = px[s + 3];
+            }
+          }
+        }
+      }
+    }
+  }
+  return eac ? new Uint8Array(out.buffer) : out;
+}
+
+// Values in [-1, 1]; denormals flush to zero
+function etcFloatToHalf(v) {
+  const f = new Float32Array([v]);
+  const x = new Uint32Array(f.buffer)[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = ((x >>> 23) & 0xFF) - 112;
+  if (exp <= 0) return sign;
+  return sign | ((exp << 10) + (((x & 0x7FFFFF) + 0x1000) >>> 13));
+}
+
+window.etcDecodeTarget = etcDecodeTarget;
+window.decodeETCImage = decodeETCImage;
@@ -0,0 +1,531 @@
+// exr.js - OpenEXR decoder
+// Single-part scanline images with NONE, RLE, ZIPS, ZIP or PIZ compression and
+// HALF / FLOAT / UINT channels, decoded into linear RGBA float32.
+// PIZ follows ImfPizCompressor / ImfHuf / ImfWav from the OpenEXR library.
+
+const EXR_MAGIC = 20000630;
+const EXR_COMPRESSION_NAMES = ['NONE', 'RLE', 'ZIPS', 'ZIP', 'PIZ', 'PXR24', 'B44', 'B44A', 'DWAA', 'DWAB', 'HTJ2K'];
+// Scanlines stored per chunk, by compression
+const EXR_LINES_PER_BLOCK = [1, 1, 1, 16, 32, 16, 32, 32, 32, 256, 256];
+const EXR_PIXEL_BYTES = [4, 2, 4]; // UINT, HALF, FLOAT
+
+function exrHex(n) {
+  return '0x' + n.toString(16).toUpperCase();
+}
+
+function exrCheckRange(limit, what, offset, length) {
+  if (offset + length > limit) {
+    throw new Error(`${what} at ${exrHex(offset)} (${length} bytes) extends past EOF at ${exrHex(limit)}`);
+  }
+}
+
+function exrHalfToFloat(h) {
+  const exp = (h >> 10) & 0x1F;
+  const mant = h & 0x3FF;
+  const sign = h & 0x8000 ? -1 : 1;
+  if (exp === 0) return sign * mant * 5.960464477539063e-8; // 2^-24
+  if (exp === 31) return mant ? NaN : sign * Infinity;
+  return sign * (1 + mant / 1024) * Math.pow(2, exp - 15);
+}
+
+// HEADER
+
+function readEXRString(bytes, pos, limit) {
+  let end = pos;
+  while (end < limit && bytes[end] !== 0) end++;
+  if (end >= limit) throw new Error(`OpenEXR header: unterminated string at ${exrHex(pos)}`);
+  let s = '';
+  for (let i = pos; i < end; i++) s += String.fromCharCode(bytes[i]);
+  return { value: s, next: end + 1 };
+}
+
+function parseEXRChannels(dv, bytes, pos, end) {
+  const channels = [];
+  while (pos < end && bytes[pos] !== 0) {
+    const name = readEXRString(bytes, pos, end);
+    pos = name.next;
+    exrCheckRange(end, `Channel "${name.value}"`, pos, 16);
+    channels.push({
+      name: name.value,
+      pixelType: dv.getInt32(pos, true),
+      xSampling: dv.getInt32(pos + 8, true),
+      ySampling: dv.getInt32(pos + 12, true)
+    });
+    pos += 16;
+  }
+  return channels;
+}
+
+function parseEXRHeader(dv, bytes) {
+  exrCheckRange(bytes.length, 'OpenEXR header', 0, 8);
+  if (dv.getUint32(0, true) !== EXR_MAGIC) throw new Error('Not an OpenEXR file (bad magic number)');
+  const version = dv.getUint32(4, true);
+  if ((version & 0xFF) !== 2) throw new Error(`Unsupported OpenEXR version ${version & 0xFF}`);
+  if (version & 0x200) throw new Error('Tiled OpenEXR files are not supported');
+  if (version & 0x800) throw new Error('Deep OpenEXR files are not supported');
+  if (version & 0x1000) throw new Error('Multi-part OpenEXR files are not supported');
+
+  const header = {};
+  let pos = 8;
+  for (;;) {
+    exrCheckRange(bytes.length, 'OpenEXR header', pos, 1);
+    if (bytes[pos] === 0) { pos++; break; }
+    const name = readEXRString(bytes, pos, bytes.length);
+    const type = readEXRString(bytes, name.next, bytes.length);
+    exrCheckRange(bytes.length, `Attribute "${name.value}"`, type.next, 4);
+    const size = dv.getInt32(type.next, true);
+    const start = type.next + 4;
+    exrCheckRange(bytes.length, `Attribute "${name.value}"`, start, size);
+
+    switch (type.value) {
+      case 'chlist': header[name.value] = parseEXRChannels(dv, bytes, start, start + size); break;
+      case 'compression':
+      case 'lineOrder': header[name.value] = bytes[start]; break;
+      case 'box2i':
+        header[name.value] = {
+          xMin: dv.getInt32(start, true), yMin: dv.getInt32(start + 4, true),
+          xMax: dv.getInt32(start + 8, true), yMax: dv.getInt32(start + 12, true)
+        };
+        break;
+      default: break; // other attributes are not needed for display
+    }
+    pos = start + size;
+  }
+
+  for (const required of ['channels', 'compression', 'dataWindow']) {
+    if (header[required] === undefined) throw new Error(`OpenEXR header has no "${required}" attribute`);
+  }
+  for (const ch of header.channels) {
+    if (EXR_PIXEL_BYTES[ch.pixelType] === undefined) {
+      throw new Error(`Channel "${ch.name}" has unknown pixel type ${ch.pixelType}`);
+    }
+    if (ch.xSampling !== 1 || ch.ySampling !== 1) {
+      throw new Error(`Channel "${ch.name}" is subsampled (${ch.xSampling}×${ch.ySampling}), not supported`);
+    }
+  }
+  header.offsetTable = pos;
+  return header;
+}
+
+// ZIP / RLE
+
+// Undo the byte predictor and split of ZIP and RLE compression
+function exrUnpredictAndInterleave(tmp) {
+  for (let i = 1; i < tmp.length; i++) tmp[i] = (tmp[i - 1] + tmp[i] - 128) & 0xFF;
+  const out = new Uint8Array(tmp.length);
+  const half = (tmp.length + 1) >> 1;
+  for (let i = 0, t1 = 0, t2 = half; i < tmp.length; i++) {
+    out[i] = i & 1 ? tmp[t2++] : tmp[t1++];
+  }
+  return out;
+}
+
+function exrDecompressRLE(src, expected) {
+  const tmp = new Uint8Array(expected);
+  let i = 0, o = 0;
+  while (i < src.length) {
+    const n = (src[i++] << 24) >> 24; // signed run byte
+    if (n < 0) {
+      if (o - n > expected || i - n > src.length) throw new Error('OpenEXR RLE data is corrupt');
+      tmp.set(src.subarray(i, i - n), o);
+      i -= n;
+      o -= n;
+    } else {
+      if (o + n + 1 > expected || i >= src.length) throw new Error('OpenEXR RLE data is corrupt');
+      tmp.fill(src[i++], o, o + n + 1);
+      o += n + 1;
+    }
+  }
+  if (o !== expected) throw new Error(`OpenEXR RLE data decodes to ${o} bytes, expected ${expected}`);
+  return exrUnpredictAndInterleave(tmp);
+}
+
+async function exrDecompressZIP(src, expected) {
+  const tmp = await window.inflateZlib(src);
+  if (tmp.length !== expected) throw new Error(`OpenEXR ZIP data decodes to ${tmp.length} bytes, expected ${expected}`);
+  return exrUnpredictAndInterleave(tmp);
+}
+
+// PIZ: Huffman coding (ImfHuf)
+
+const HUF_ENCBITS = 16;
+const HUF_DECBITS = 14;
+const HUF_ENCSIZE = (1 << HUF_ENCBITS) + 1;
+const HUF_DECSIZE = 1 << HUF_DECBITS;
+const HUF_DECMASK = HUF_DECSIZE - 1;
+const HUF_SHORT_ZEROCODE_RUN = 59;
+const HUF_LONG_ZEROCODE_RUN = 63;
+const HUF_SHORTEST_LONG_RUN = 2 + HUF_LONG_ZEROCODE_RUN - HUF_SHORT_ZEROCODE_RUN;
+
+// Bit reader over bytes; c holds the unread low lc bits. Codes longer than
+// 24 bits need more than 32 bits of buffer and are not supported, as in most
+// JavaScript decoders; they only occur for pathological symbol distributions.
+function createHufReader(bytes, pos) {
+  return { bytes, pos, c: 0, lc: 0 };
+}
+function hufGetChar(r) {
+  r.c = (r.c << 8) | r.bytes[r.pos++];
+  r.lc += 8;
+}
+function hufGetBits(r, n) {
+  while (r.lc < n) hufGetChar(r);
+  r.lc -= n;
+  return (r.c >> r.lc) & ((1 << n) - 1);
+}
+
+// Code table entries hold the length in the low 6 bits and the code above;
+// arithmetic instead of shifts keeps codes wider than 26 bits exact
+const hufLength = (code) => code % 64;
+const hufCode = (code) => Math.floor(code / 64);
+
+function hufCanonicalCodeTable(hcode) {
+  const n = new Array(59).fill(0);
+  for (let i = 0; i < HUF_ENCSIZE; i++) n[hcode[i]]++;
+  let c = 0;
+  for (let i = 58; i > 0; i--) {
+    const nc = (c + n[i]) / 2;
+    n[i] = c;
+    c = Math.floor(nc);
+  }
+  for (let i = 0; i < HUF_ENCSIZE; i++) {
+    const l = hcode[i];
+    if (l > 0) hcode[i] = l + 64 * n[l]++;
+  }
+}
+
+function hufUnpackEncTable(r, end, im, iM, hcode) {
+  for (; im <= iM; im++) {
+    if (r.pos > end) throw new Error('OpenEXR PIZ: Huffman table is truncated');
+    const l = hcode[im] = hufGetBits(r, 6);
+    if (l === HUF_LONG_ZEROCODE_RUN) {
+      if (r.pos > end) throw new Error('OpenEXR PIZ: Huffman table is truncated');
+      const run = hufGetBits(r, 8) + HUF_SHORTEST_LONG_RUN;
+      if (im + run > iM + 1) throw new Error('OpenEXR PIZ: Huffman table run is too long');
+      hcode.fill(0, im, im + run);
+      im += run - 1;
+    } else if (l >= HUF_SHORT_ZEROCODE_RUN) {
+      const run = l - HUF_SHORT_ZEROCODE_RUN + 2;
+      if (im + run > iM + 1) throw new Error('OpenEXR PIZ: Huffman table run is too long');
+      hcode.fill(0, im, im + run);
+      im += run - 1;
+    }
+  }
+  hufCanonicalCodeTable(hcode);
+}
+
+// Decoding table: short codes (<= 14 bits) fill every slot they prefix;
+// long codes are listed in the slot of their first 14 bits
+function hufBuildDecTable(hcode, im, iM) {
+  const len = new Uint8Array(HUF_DECSIZE);
+  const lit = new Int32Array(HUF_DECSIZE);
+  const long = new Array(HUF_DECSIZE);
+  for (; im <= iM; im++) {
+    const c = hufCode(hcode[im]);
+    const l = hufLength(hcode[im]);
+    if (c >= Math.pow(2, l)) throw new Error('OpenEXR PIZ: invalid Huffman code table');
+    if (l > HUF_DECBITS) {
+      const slot = Math.floor(c / Math.pow(2, l - HUF_DECBITS));
+      if (len[slot]) throw new Error('OpenEXR PIZ: invalid Huffman code table');
+      (long[slot] ??= []).push(im);
+    } else if (l) {
+      const first = c << (HUF_DECBITS - l);
+      for (let slot = first; slot < first + (1 << (HUF_DECBITS - l)); slot++) {
+        if (len[slot] || long[slot]) throw new Error('OpenEXR PIZ: invalid Huffman code table');
+        len[slot] = l;
+        lit[slot] = im;
+      }
+    }
+  }
+  return { len, lit, long };
+}
+
+function hufDecode(hcode, dec, r, nBits, rlc, out) {
+  let o = 0;
+  const emit = (symbol) => {
+    if (symbol === rlc) {
+      if (r.lc < 8) hufGetChar(r);
+      r.lc -= 8;
+      const run = (r.c >> r.lc) & 0xFF;
+      if (o === 0 || o + run > out.length) throw new Error('OpenEXR PIZ: Huffman run overflows the output');
+      out.fill(out[o - 1], o, o + run);
+      o += run;
+    } else {
+      if (o >= out.length) throw new Error('OpenEXR PIZ: Huffman data overflows the output');
+      out[o++] = symbol;
+    }
+  };
+
+  const end = r.pos + ((nBits + 7) >> 3);
+  while (r.pos < end) {
+    hufGetChar(r);
+    while (r.lc >= HUF_DECBITS) {
+      const slot = (r.c >> (r.lc - HUF_DECBITS)) & HUF_DECMASK;
+      if (dec.len[slot]) {
+        r.lc -= dec.len[slot];
+        emit(dec.lit[slot]);
+        continue;
+      }
+      const candidates = dec.long[slot];
+      if (!candidates) throw new Error('OpenEXR PIZ: invalid Huffman code');
+      let found = false;
+      for (const symbol of candidates) {
+        const l = hufLength(hcode[symbol]);
+        while (r.lc < l && r.pos < end) hufGetChar(r);
+        if (r.lc >= l && hufCode(hcode[symbol]) === ((r.c >> (r.lc - l)) & ((1 << l) - 1))) {
+          r.lc -= l;
+          emit(symbol);
+          found = true;
+          break;
+        }
+      }
+      if (!found) throw new Error('OpenEXR PIZ: invalid Huffman code');
+    }
+  }
+
+  // The last byte holds fewer than 8 valid bits
+  const pad = (8 - nBits) & 7;
+  r.c >>= pad;
+  r.lc -= pad;
+  while (r.lc > 0) {
+    const slot = (r.c << (HUF_DECBITS - r.lc)) & HUF_DECMASK;
+    if (!dec.len[slot]) throw new Error('OpenEXR PIZ: invalid Huffman code');
+    r.lc -= dec.len[slot];
+    emit(dec.lit[slot]);
+  }
+  if (o !== out.length) throw new Error(`OpenEXR PIZ: Huffman data decodes to ${o} values, expected ${out.length}`);
+}
+
+function hufUncompress(bytes, pos, length, out) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  exrCheckRange(bytes.length, 'OpenEXR PIZ Huffman data', pos, length);
+  if (length < 20) throw new Error('OpenEXR PIZ: Huffman data is too short');
+  const end = pos + length;
+  const im = dv.getUint32(pos, true);
+  const iM = dv.getUint32(pos + 4, true);
+  const nBits = dv.getUint32(pos + 12, true);
+  if (im >= HUF_ENCSIZE || iM >= HUF_ENCSIZE) throw new Error('OpenEXR PIZ: invalid Huffman table range');
+
+  const r = createHufReader(bytes, pos + 20);
+  const hcode = new Array(HUF_ENCSIZE).fill(0);
+  hufUnpackEncTable(r, end, im, iM, hcode);
+  if (nBits > 8 * (end - r.pos)) throw new Error('OpenEXR PIZ: Huffman bit count exceeds the data');
+  const dec = hufBuildDecTable(hcode, im, iM);
+  // The code stream starts at the next whole byte after the table
+  hufDecode(hcode, dec, createHufReader(bytes, r.pos), nBits, iM, out);
+}
+
+// PIZ: wavelet transform (ImfWav)
+
+function wdec14(l, h) {
+  const ls = (l << 16) >> 16;
+  const hs = (h << 16) >> 16;
+  const ai = ls + (hs & 1) + (hs >> 1);
+  return [ai & 0xFFFF, (ai - hs) & 0xFFFF];
+}
+
+function wdec16(l, h) {
+  const b = (l - (h >> 1)) & 0xFFFF;
+  const a = (h + b - 0x8000) & 0xFFFF;
+  return [a, b];
+}
+
+// In-place 2D inverse wavelet of nx × ny values at in[start], strides ox and oy
+function wav2Decode(buf, start, nx, ox, ny, oy, mx) {
+  const wdec = mx < (1 << 14) ? wdec14 : wdec16;
+  const n = Math.min(nx, ny);
+  let p = 1;
+  while (p <= n) p <<= 1;
+  p >>= 1;
+  let p2 = p;
+  p >>= 1;
+
+  while (p >= 1) {
+    let py = start;
+    const ey = start + oy * (ny - p2);
+    const oy1 = oy * p, oy2 = oy * p2, ox1 = ox * p, ox2 = ox * p2;
+
+    for (; py <= ey; py += oy2) {
+      let px = py;
+      const ex = py + ox * (nx - p2);
+      for (; px <= ex; px += ox2) {
+        const p01 = px + ox1, p10 = px + oy1, p11 = p10 + ox1;
+        const [i00, i10] = wdec(buf[px], buf[p10]);
+        const [i01, i11] = wdec(buf[p01], buf[p11]);
+        [buf[px], buf[p01]] = wdec(i00, i01);
+        [buf[p10], buf[p11]] = wdec(i10, i11);
+      }
+      if (nx & p) { // odd column
+        const p10 = px + oy1;
+        [buf[px], buf[p10]] = wdec(buf[px], buf[p10]);
+      }
+    }
+
+    if (ny & p) { // odd row
+      let px = py;
+      const ex = py + ox * (nx - p2);
+      for (; px <= ex; px += ox2) {
+        const p01 = px + ox1;
+        [buf[px], buf[p01]] = wdec(buf[px], buf[p01]);
+      }
+    }
+
+    p2 = p;
+    p >>= 1;
+  }
+}
+
+// PIZ: Huffman + wavelet + value remapping through a bitmap of used values
+function exrDecompressPIZ(src, channels, width, lines) {
+  const dv = new DataView(src.buffer, src.byteOffset, src.byteLength);
+  exrCheckRange(src.length, 'OpenEXR PIZ bitmap range', 0, 4);
+  const minNonZero = dv.getUint16(0, true);
+  const maxNonZero = dv.getUint16(2, true);
+  if (maxNonZero >= 8192) throw new Error('OpenEXR PIZ: bitmap range is out of bounds');
+
+  const bitmap = new Uint8Array(8192);
+  let pos = 4;
+  if (minNonZero <= maxNonZero) {
+    const count = maxNonZero - minNonZero + 1;
+    exrCheckRange(src.length, 'OpenEXR PIZ bitmap', pos, count);
+    bitmap.set(src.subarray(pos, pos + count), minNonZero);
+    pos += count;
+  }
+
+  // Reverse lookup: dense index -> original 16-bit value
+  const lut = new Uint16Array(65536);
+  let k = 0;
+  for (let i = 0; i < 65536; i++) {
+    if (i === 0 || (bitmap[i >> 3] & (1 << (i & 7)))) lut[k++] = i;
+  }
+  const maxValue = k - 1;
+
+  exrCheckRange(src.length, 'OpenEXR PIZ Huffman length', pos, 4);
+  const length = dv.getInt32(pos, true);
+  pos += 4;
+
+  // Channels are stored one after another, each as lines × width × (2-byte units)
+  const units = channels.map(ch => EXR_PIXEL_BYTES[ch.pixelType] / 2);
+  const total = units.reduce((sum, u) => sum + u * width * lines, 0);
+  const tmp = new Uint16Array(total);
+  hufUncompress(src, pos, length, tmp);
+
+  let start = 0;
+  for (const u of units) {
+    for (let j = 0; j < u; j++) {
+      wav2Decode(tmp, start + j, width, u, lines, width * u, maxValue);
+    }
+    start += width * lines * u;
+  }
+  for (let i = 0; i < total; i++) tmp[i] = lut[tmp[i]];
+
+  // Back to scanline order: each line holds every channel in turn
+  const out = new Uint16Array(total);
+  const planeStart = [];
+  start = 0;
+  for (const u of units) {
+    planeStart.push(start);
+    start += width * lines * u;
+  }
+  let o = 0;
+  for (let y = 0; y < lines; y++) {
+    units.forEach((u, c) => {
+      const n = width * u;
+      out.set(tmp.subarray(planeStart[c] + y * n, planeStart[c] + (y + 1) * n), o);
+      o += n;
+    });
+  }
+  return new Uint8Array(out.buffer);
+}
+
+// DECODER
+
+function exrChannelReader(dv, pixelType) {
+  if (pixelType === 1) return (offset) => exrHalfToFloat(dv.getUint16(offset, true));
+  if (pixelType === 2) return (offset) => dv.getFloat32(offset, true);
+  return (offset) => dv.getUint32(offset, true);
+}
+
+// Decodes an OpenEXR file: { width, height, data: Float32Array RGBA, top row
+// first, channels, compression }. R, G, B and A are taken by name (ignoring any
+// layer prefix); a lone Y channel shows as gray; a missing A is opaque.
+async function parseEXR(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const dv = new DataView(arrayBuffer);
+  const header = parseEXRHeader(dv, bytes);
+
+  const { xMin, yMin, xMax, yMax } = header.dataWindow;
+  const width = xMax - xMin + 1;
+  const height = yMax - yMin + 1;
+  if (width <= 0 || height <= 0) throw new Error('OpenEXR data window is empty');
+
+  const compression = header.compression;
+  const compressionName = EXR_COMPRESSION_NAMES[compression] ?? `compression ${compression}`;
+  if (compression > 4) throw new Error(`OpenEXR ${compressionName} compression is not supported`);
+
+  // Channels are stored in name order, as listed in the chlist
+  const channels = header.channels;
+  const lineBytes = channels.reduce((sum, ch) => sum + EXR_PIXEL_BYTES[ch.pixelType] * width, 0);
+  const linesPerBlock = EXR_LINES_PER_BLOCK[compression];
+  const blockCount = Math.ceil(height / linesPerBlock);
+  exrCheckRange(bytes.length, 'OpenEXR offset table', header.offsetTable, blockCount * 8);
+
+  const target = {};
+  channels.forEach((ch, i) => {
+    const base = ch.name.slice(ch.name.lastIndexOf('.') + 1);
+    const slot = { R: 0, G: 1, B: 2, A: 3, Y: 'Y' }[base];
+    if (slot !== undefined && target[slot] === undefined) target[slot] = i;
+  });
+  const gray = target[0] === undefined && target.Y !== undefined;
+  if (gray) target[0] = target[1] = target[2] = target.Y;
+  if (target[0] === undefined && target[1] === undefined && target[2] === undefined) {
+    // No color channels: show the first one as gray
+    target[0] = target[1] = target[2] = 0;
+  }
+
+  const data = new Float32Array(width * height * 4);
+  for (let i = 3; i < data.length; i += 4) data[i] = 1;
+
+  for (let b = 0; b < blockCount; b++) {
+    const offset = Number(dv.getBigUint64(header.offsetTable + b * 8, true));
+    exrCheckRange(bytes.length, `OpenEXR chunk ${b}`, offset, 8);
+    const y0 = dv.getInt32(offset, true) - yMin;
+    const size = dv.getInt32(offset + 4, true);
+    exrCheckRange(bytes.length, `OpenEXR chunk ${b} data`, offset + 8, size);
+    if (y0 < 0 || y0 >= height) throw new Error(`OpenEXR chunk ${b} starts at line ${y0 + yMin}, outside the data window`);
+
+    const lines = Math.min(linesPerBlock, height - y0);
+    const expected = lineBytes * lines;
+    const src = bytes.subarray(offset + 8, offset + 8 + size);
+    let block;
+    if (size >= expected || compression === 0) {
+      // Chunks that would not shrink are stored uncompressed
+      if (size < expected) throw new Error(`OpenEXR chunk ${b} is ${size} bytes, expected ${expected}`);
+      block = src;
+    } else if (compression === 1) {
+      block = exrDecompressRLE(src, expected);
+    } else if (compression === 4) {
+      block = exrDecompressPIZ(src, channels, width, lines);
+    } else {
+      block = await exrDecompressZIP(src, expected);
+    }
+
+    const bdv = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    for (let ly = 0; ly < lines; ly++) {
+      let chOffset = ly * lineBytes;
+      const rowBase = (y0 + ly) * width * 4;
+      channels.forEach((ch, c) => {
+        const size = EXR_PIXEL_BYTES[ch.pixelType];
+        const read = exrChannelReader(bdv, ch.pixelType);
+        for (let slot = 0; slot < 4; slot++) {
+          if (target[slot] !== c) continue;
+          for (let x = 0; x < width; x++) data[rowBase + x * 4 + slot] = read(chOffset + x * size);
+        }
+        chOffset += size * width;
+      });
+    }
+  }
+
+  return { width, height, data, channels: channels.map(ch => ch.name), compression: compressionName };
+}
+
+window.parseEXR = parseEXR;
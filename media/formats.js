@@ -0,0 +1,291 @@
+// formats.js - vkFormat registry shared by the parsers, the uploader, the memory estimate and the validator
+// Loaded as a classic script in the webview (window.getVkFormatInfo, ...) and with require() in Node.
+// One entry per vkFormat allowed in KTX2:
+//   { vkFormat, name, label, blockWidth, blockHeight, blockDepth, bytesPerBlock, typeSize,
+//     channels, componentBits, numeric, srgb, compressed, webgpu, feature, upload }
+// name is the Vulkan name without VK_FORMAT_, label the short name shown in the viewer.
+// channels lists the components in the order of the Vulkan name (X = padding, E = shared exponent),
+// componentBits their sizes (null for block-compressed formats).
+// webgpu is the WebGPU format with the same texel layout (null when there is none) and feature the
+// device feature it needs. upload is how the viewer puts the data on the GPU: the WebGPU format info
+// used by read.js/main.js, possibly with a CPU conversion (convert / sourceBytesPerPixel) and a
+// feature it needs plus the fallback upload without it; null when the viewer can't show the format.
+
+const VK_FORMATS = new Map();
+const WEBGPU_FORMATS = new Map();
+
+// KTX 2.0 section 3.1: A8B8G8R8_*_PACK32 and every *SCALED format
+const KTX2_PROHIBITED_FORMATS = new Set([
+  11, 12, 18, 19, 25, 26, 32, 33, 39, 40, 46, 47, 51, 52, 53, 54, 55, 56, 57,
+  60, 61, 66, 67, 72, 73, 79, 80, 86, 87, 93, 94
+]);
+
+// Uncompressed WebGPU formats that have a vkFormat twin
+const WEBGPU_UNCOMPRESSED = new Set([
+  'r8unorm', 'r8snorm', 'r8uint', 'r8sint', 'rg8unorm', 'rg8snorm', 'rg8uint', 'rg8sint',
+  'rgba8unorm', 'rgba8unorm-srgb', 'rgba8snorm', 'rgba8uint', 'rgba8sint', 'bgra8unorm', 'bgra8unorm-srgb',
+  'r16unorm', 'r16snorm', 'r16uint', 'r16sint', 'r16float', 'rg16unorm', 'rg16snorm', 'rg16uint', 'rg16sint', 'rg16float',
+  'rgba16unorm', 'rgba16snorm', 'rgba16uint', 'rgba16sint', 'rgba16float',
+  'r32uint', 'r32sint', 'r32float', 'rg32uint', 'rg32sint', 'rg32float', 'rgba32uint', 'rgba32sint', 'rgba32float'
+]);
+const WEBGPU_NUMERIC = { UNORM: 'unorm', SNORM: 'snorm', UINT: 'uint', SINT: 'sint', SFLOAT: 'float', SRGB: 'unorm-srgb' };
+
+// WebGPU formats the viewer samples as stored; 16-bit norms need texture-formats-tier1 and
+// 32-bit floats float32-filterable, with a converted fallback for devices without them
+const VIEWER_NATIVE = new Set([
+  'r8unorm', 'r8snorm', 'rg8unorm', 'rg8snorm', 'rgba8unorm', 'rgba8unorm-srgb', 'rgba8snorm',
+  'bgra8unorm', 'bgra8unorm-srgb', 'r16unorm', 'r16snorm', 'rg16unorm', 'rg16snorm', 'rgba16unorm', 'rgba16snorm',
+  'r16float', 'rg16float', 'rgba16float', 'r32float', 'rg32float', 'rgba32float',
+  'rgb10a2unorm', 'rg11b10ufloat', 'rgb9e5ufloat'
+]);
+
+// How the viewer uploads an uncompressed format: as stored when WebGPU can filter it, otherwise
+// converted on the CPU (convert: true, see pixelconvert.js) to RGBA8 for 8-bit normalized data
+// and to r/rg/rgba float for the rest. Half floats hold integers up to 2048 exactly, so wider
+// components go to float32 where the device can filter it.
+function pixelUpload(entry) {
+  const { vkFormat, webgpu, channels, numeric, componentBits, bytesPerBlock } = entry;
+  const bits = Math.max(...componentBits);
+  const plain = /^[RGBA]+$/.test(channels) && componentBits.length === channels.length;
+  if (!VIEWER_NATIVE.has(webgpu) && (!plain || entry.blockWidth > 1 || bits > 32)) {
+    return null; // depth/stencil, X-padded, 4:2:2 and 64-bit formats
+  }
+  const convert = { vkFormat, sourceBytesPerPixel: bytesPerBlock, convert: true };
+  const floatChannels = ['r', 'rg', 'rgba', 'rgba'][channels.length - 1];
+  const half = { format: `${floatChannels}16float`, bytesPerPixel: floatChannels.length * 2, ...convert };
+  const float = bits <= 11 || (numeric === 'SFLOAT' && bits === 16) ? half
+    : { format: `${floatChannels}32float`, bytesPerPixel: floatChannels.length * 4, ...convert, feature: 'float32-filterable', fallback: half };
+
+  if (VIEWER_NATIVE.has(webgpu)) {
+    const native = { format: webgpu, bytesPerPixel: bytesPerBlock, vkFormat };
+    if (entry.feature) return { ...native, feature: entry.feature, fallback: float };
+    if (/32float$/.test(webgpu)) return { ...native, feature: 'float32-filterable', fallback: half };
+    return native;
+  }
+  if (bits <= 8 && /NORM|SRGB/.test(numeric)) {
+    const format = { SNORM: 'rgba8snorm', SRGB: 'rgba8unorm-srgb' }[numeric] || 'rgba8unorm';
+    return { format, bytesPerPixel: 4, ...convert };
+  }
+  return float;
+}
+
+function addFormat(vkFormat, name, label, props) {
+  const entry = {
+    vkFormat, name, label,
+    blockWidth: 1, blockHeight: 1, blockDepth: 1,
+    numeric: name.match(/_(UNORM|SNORM|UINT|SINT|SRGB|SFLOAT|UFLOAT)/)[1],
+    compressed: false, webgpu: null, feature: null,
+    ...props
+  };
+  entry.srgb = entry.numeric === 'SRGB';
+  if (entry.compressed) {
+    entry.componentBits = null;
+    entry.upload = entry.webgpu
+      ? { format: entry.webgpu, blockWidth: entry.blockWidth, blockHeight: entry.blockHeight, bytesPerBlock: entry.bytesPerBlock }
+      : null;
+  } else {
+    entry.componentBits = entry.componentBits || name.split('_')[0].match(/\d+/g).map(Number);
+    entry.upload = pixelUpload(entry);
+  }
+  VK_FORMATS.set(vkFormat, entry);
+  if (entry.webgpu && !WEBGPU_FORMATS.has(entry.webgpu)) WEBGPU_FORMATS.set(entry.webgpu, entry);
+}
+
+// Array formats: one component size, channels in memory order, e.g. 'BGRA' x 8 bits
+function addArrayFormats(firstVkFormat, channels, bits, numerics) {
+  const bytes = bits / 8;
+  numerics.forEach((numeric, i) => {
+    const vkFormat = firstVkFormat + i;
+    if (KTX2_PROHIBITED_FORMATS.has(vkFormat)) return;
+    const name = Array.from(channels, c => c + bits).join('') + '_' + numeric;
+    const webgpu = `${channels.toLowerCase()}${bits}${WEBGPU_NUMERIC[numeric]}`;
+    const known = WEBGPU_UNCOMPRESSED.has(webgpu);
+    addFormat(vkFormat, name, `${channels}${bits} ${numeric === 'SFLOAT' ? 'FLOAT' : numeric}`, {
+      bytesPerBlock: bytes * channels.length, typeSize: bytes, channels,
+      webgpu: known ? webgpu : null,
+      feature: known && bits === 16 && /NORM/.test(numeric) ? 'texture-formats-tier1' : null
+    });
+  });
+}
+
+// Packed formats: every component in one 8/16/32-bit word
+function addPackedFormat(vkFormat, name, channels, packBytes, props = {}) {
+  const label = name.replace(/_PACK\d+$/, '').replace('_', ' ');
+  addFormat(vkFormat, name, label, { bytesPerBlock: packBytes, typeSize: packBytes, channels, ...props });
+}
+
+// Block-compressed formats: typeSize is always 1
+function addBlockFormat(vkFormat, name, label, channels, [blockWidth, blockHeight, blockDepth = 1], bytesPerBlock, webgpu, feature) {
+  addFormat(vkFormat, name, label, {
+    blockWidth, blockHeight, blockDepth, bytesPerBlock, typeSize: 1, channels, compressed: true,
+    webgpu, feature: webgpu ? feature : null
+  });
+}
+
+const UNORM_TO_SRGB = ['UNORM', 'SNORM', 'USCALED', 'SSCALED', 'UINT', 'SINT', 'SRGB'];
+const UNORM_TO_SFLOAT = ['UNORM', 'SNORM', 'USCALED', 'SSCALED', 'UINT', 'SINT', 'SFLOAT'];
+const UINT_TO_SFLOAT = ['UINT', 'SINT', 'SFLOAT'];
+
+// --- PACKED 8/16-BIT ---
+addPackedFormat(1, 'R4G4_UNORM_PACK8', 'RG', 1);
+addPackedFormat(2, 'R4G4B4A4_UNORM_PACK16', 'RGBA', 2);
+addPackedFormat(3, 'B4G4R4A4_UNORM_PACK16', 'BGRA', 2);
+addPackedFormat(4, 'R5G6B5_UNORM_PACK16', 'RGB', 2);
+addPackedFormat(5, 'B5G6R5_UNORM_PACK16', 'BGR', 2);
+addPackedFormat(6, 'R5G5B5A1_UNORM_PACK16', 'RGBA', 2);
+addPackedFormat(7, 'B5G5R5A1_UNORM_PACK16', 'BGRA', 2);
+addPackedFormat(8, 'A1R5G5B5_UNORM_PACK16', 'ARGB', 2);
+
+// --- 8-BIT COMPONENTS (51-57, A8B8G8R8_*_PACK32, are prohibited) ---
+addArrayFormats(9, 'R', 8, UNORM_TO_SRGB);
+addArrayFormats(16, 'RG', 8, UNORM_TO_SRGB);
+addArrayFormats(23, 'RGB', 8, UNORM_TO_SRGB);
+addArrayFormats(30, 'BGR', 8, UNORM_TO_SRGB);
+addArrayFormats(37, 'RGBA', 8, UNORM_TO_SRGB);
+addArrayFormats(44, 'BGRA', 8, UNORM_TO_SRGB);
+
+// --- PACKED 10-BIT ---
+['UNORM', 'SNORM', 'USCALED', 'SSCALED', 'UINT', 'SINT'].forEach((numeric, i) => {
+  if (!KTX2_PROHIBITED_FORMATS.has(58 + i)) addPackedFormat(58 + i, `A2R10G10B10_${numeric}_PACK32`, 'ARGB', 4);
+  if (!KTX2_PROHIBITED_FORMATS.has(64 + i)) {
+    const webgpu = { UNORM: 'rgb10a2unorm', UINT: 'rgb10a2uint' }[numeric] || null;
+    addPackedFormat(64 + i, `A2B10G10R10_${numeric}_PACK32`, 'ABGR', 4, { webgpu });
+  }
+});
+
+// --- 16/32/64-BIT COMPONENTS ---
+addArrayFormats(70, 'R', 16, UNORM_TO_SFLOAT);
+addArrayFormats(77, 'RG', 16, UNORM_TO_SFLOAT);
+addArrayFormats(84, 'RGB', 16, UNORM_TO_SFLOAT);
+addArrayFormats(91, 'RGBA', 16, UNORM_TO_SFLOAT);
+addArrayFormats(98, 'R', 32, UINT_TO_SFLOAT);
+addArrayFormats(101, 'RG', 32, UINT_TO_SFLOAT);
+addArrayFormats(104, 'RGB', 32, UINT_TO_SFLOAT);
+addArrayFormats(107, 'RGBA', 32, UINT_TO_SFLOAT);
+addArrayFormats(110, 'R', 64, UINT_TO_SFLOAT);
+addArrayFormats(113, 'RG', 64, UINT_TO_SFLOAT);
+addArrayFormats(116, 'RGB', 64, UINT_TO_SFLOAT);
+addArrayFormats(119, 'RGBA', 64, UINT_TO_SFLOAT);
+
+// --- PACKED FLOAT ---
+addPackedFormat(122, 'B10G11R11_UFLOAT_PACK32', 'BGR', 4, { webgpu: 'rg11b10ufloat' });
+addPackedFormat(123, 'E5B9G9R9_UFLOAT_PACK32', 'EBGR', 4, { webgpu: 'rgb9e5ufloat' });
+
+// --- DEPTH / STENCIL ---
+// typeSize is the depth component size; bytesPerBlock the Vulkan texel size
+addFormat(124, 'D16_UNORM', 'D16 UNORM', { componentBits: [16], bytesPerBlock: 2, typeSize: 2, channels: 'D', webgpu: 'depth16unorm' });
+addFormat(125, 'X8_D24_UNORM_PACK32', 'X8 D24 UNORM', { componentBits: [8, 24], bytesPerBlock: 4, typeSize: 4, channels: 'XD' });
+addFormat(126, 'D32_SFLOAT', 'D32 FLOAT', { componentBits: [32], bytesPerBlock: 4, typeSize: 4, channels: 'D', webgpu: 'depth32float' });
+addFormat(127, 'S8_UINT', 'S8 UINT', { componentBits: [8], bytesPerBlock: 1, typeSize: 1, channels: 'S', webgpu: 'stencil8' });
+addFormat(128, 'D16_UNORM_S8_UINT', 'D16 S8', { componentBits: [16, 8], bytesPerBlock: 3, typeSize: 2, channels: 'DS' });
+addFormat(129, 'D24_UNORM_S8_UINT', 'D24 S8', { componentBits: [24, 8], bytesPerBlock: 4, typeSize: 4, channels: 'DS' });
+addFormat(130, 'D32_SFLOAT_S8_UINT', 'D32 FLOAT S8', { componentBits: [32, 8], bytesPerBlock: 5, typeSize: 4, channels: 'DS' });
+
+// --- BC ---
+const FEATURE_BC = 'texture-compression-bc';
+addBlockFormat(131, 'BC1_RGB_UNORM_BLOCK', 'BC1 (DXT1) UNORM', 'RGB', [4, 4], 8, 'bc1-rgba-unorm', FEATURE_BC);
+addBlockFormat(132, 'BC1_RGB_SRGB_BLOCK', 'BC1 (DXT1) SRGB', 'RGB', [4, 4], 8, 'bc1-rgba-unorm-srgb', FEATURE_BC);
+addBlockFormat(133, 'BC1_RGBA_UNORM_BLOCK', 'BC1 (DXT1) RGBA UNORM', 'RGBA', [4, 4], 8, 'bc1-rgba-unorm', FEATURE_BC);
+addBlockFormat(134, 'BC1_RGBA_SRGB_BLOCK', 'BC1 (DXT1) RGBA SRGB', 'RGBA', [4, 4], 8, 'bc1-rgba-unorm-srgb', FEATURE_BC);
+addBlockFormat(135, 'BC2_UNORM_BLOCK', 'BC2 (DXT3) UNORM', 'RGBA', [4, 4], 16, 'bc2-rgba-unorm', FEATURE_BC);
+addBlockFormat(136, 'BC2_SRGB_BLOCK', 'BC2 (DXT3) SRGB', 'RGBA', [4, 4], 16, 'bc2-rgba-unorm-srgb', FEATURE_BC);
+addBlockFormat(137, 'BC3_UNORM_BLOCK', 'BC3 (DXT5) UNORM', 'RGBA', [4, 4], 16, 'bc3-rgba-unorm', FEATURE_BC);
+addBlockFormat(138, 'BC3_SRGB_BLOCK', 'BC3 (DXT5) SRGB', 'RGBA', [4, 4], 16, 'bc3-rgba-unorm-srgb', FEATURE_BC);
+addBlockFormat(139, 'BC4_UNORM_BLOCK', 'BC4 (RGTC1) UNORM', 'R', [4, 4], 8, 'bc4-r-unorm', FEATURE_BC);
+addBlockFormat(140, 'BC4_SNORM_BLOCK', 'BC4 (RGTC1) SNORM', 'R', [4, 4], 8, 'bc4-r-snorm', FEATURE_BC);
+addBlockFormat(141, 'BC5_UNORM_BLOCK', 'BC5 (RGTC2) UNORM', 'RG', [4, 4], 16, 'bc5-rg-unorm', FEATURE_BC);
+addBlockFormat(142, 'BC5_SNORM_BLOCK', 'BC5 (RGTC2) SNORM', 'RG', [4, 4], 16, 'bc5-rg-snorm', FEATURE_BC);
+addBlockFormat(143, 'BC6H_UFLOAT_BLOCK', 'BC6H UFLOAT', 'RGB', [4, 4], 16, 'bc6h-rgb-ufloat', FEATURE_BC);
+addBlockFormat(144, 'BC6H_SFLOAT_BLOCK', 'BC6H FLOAT', 'RGB', [4, 4], 16, 'bc6h-rgb-float', FEATURE_BC);
+addBlockFormat(145, 'BC7_UNORM_BLOCK', 'BC7 UNORM', 'RGBA', [4, 4], 16, 'bc7-rgba-unorm', FEATURE_BC);
+addBlockFormat(146, 'BC7_SRGB_BLOCK', 'BC7 SRGB', 'RGBA', [4, 4], 16, 'bc7-rgba-unorm-srgb', FEATURE_BC);
+
+// --- ETC2 / EAC ---
+const FEATURE_ETC2 = 'texture-compression-etc2';
+addBlockFormat(147, 'ETC2_R8G8B8_UNORM_BLOCK', 'ETC2 RGB8 UNORM', 'RGB', [4, 4], 8, 'etc2-rgb8unorm', FEATURE_ETC2);
+addBlockFormat(148, 'ETC2_R8G8B8_SRGB_BLOCK', 'ETC2 RGB8 SRGB', 'RGB', [4, 4], 8, 'etc2-rgb8unorm-srgb', FEATURE_ETC2);
+addBlockFormat(149, 'ETC2_R8G8B8A1_UNORM_BLOCK', 'ETC2 RGB8A1 UNORM', 'RGBA', [4, 4], 8, 'etc2-rgb8a1unorm', FEATURE_ETC2);
+addBlockFormat(150, 'ETC2_R8G8B8A1_SRGB_BLOCK', 'ETC2 RGB8A1 SRGB', 'RGBA', [4, 4], 8, 'etc2-rgb8a1unorm-srgb', FEATURE_ETC2);
+addBlockFormat(151, 'ETC2_R8G8B8A8_UNORM_BLOCK', 'ETC2 RGBA8 UNORM', 'RGBA', [4, 4], 16, 'etc2-rgba8unorm', FEATURE_ETC2);
+addBlockFormat(152, 'ETC2_R8G8B8A8_SRGB_BLOCK', 'ETC2 RGBA8 SRGB', 'RGBA', [4, 4], 16, 'etc2-rgba8unorm-srgb', FEATURE_ETC2);
+addBlockFormat(153, 'EAC_R11_UNORM_BLOCK', 'EAC R11 UNORM', 'R', [4, 4], 8, 'eac-r11unorm', FEATURE_ETC2);
+addBlockFormat(154, 'EAC_R11_SNORM_BLOCK', 'EAC R11 SNORM', 'R', [4, 4], 8, 'eac-r11snorm', FEATURE_ETC2);
+addBlockFormat(155, 'EAC_R11G11_UNORM_BLOCK', 'EAC RG11 UNORM', 'RG', [4, 4], 16, 'eac-rg11unorm', FEATURE_ETC2);
+addBlockFormat(156, 'EAC_R11G11_SNORM_BLOCK', 'EAC RG11 SNORM', 'RG', [4, 4], 16, 'eac-rg11snorm', FEATURE_ETC2);
+
+// --- ASTC ---
+// 2D LDR footprints at 157 + 2i (UNORM, SRGB), HDR at 1000066000 + i;
+// 3D footprints (EXT) at 1000288000 + 3i (UNORM, SRGB, SFLOAT), none of which WebGPU samples
+const FEATURE_ASTC = 'texture-compression-astc';
+const ASTC_2D = ['4x4', '5x4', '5x5', '6x5', '6x6', '8x5', '8x6', '8x8', '10x5', '10x6', '10x8', '10x10', '12x10', '12x12'];
+const ASTC_3D = ['3x3x3', '4x3x3', '4x4x3', '4x4x4', '5x4x4', '5x5x4', '5x5x5', '6x5x5', '6x6x5', '6x6x6'];
+ASTC_2D.forEach((fp, i) => {
+  const block = fp.split('x').map(Number);
+  addBlockFormat(157 + i * 2, `ASTC_${fp}_UNORM_BLOCK`, `ASTC ${fp} UNORM`, 'RGBA', block, 16, `astc-${fp}-unorm`, FEATURE_ASTC);
+  addBlockFormat(158 + i * 2, `ASTC_${fp}_SRGB_BLOCK`, `ASTC ${fp} SRGB`, 'RGBA', block, 16, `astc-${fp}-unorm-srgb`, FEATURE_ASTC);
+  addBlockFormat(1000066000 + i, `ASTC_${fp}_SFLOAT_BLOCK`, `ASTC ${fp} HDR`, 'RGBA', block, 16, null);
+});
+ASTC_3D.forEach((fp, i) => {
+  const block = fp.split('x').map(Number);
+  addBlockFormat(1000288000 + i * 3, `ASTC_${fp}_UNORM_BLOCK_EXT`, `ASTC ${fp} UNORM`, 'RGBA', block, 16, null);
+  addBlockFormat(1000288001 + i * 3, `ASTC_${fp}_SRGB_BLOCK_EXT`, `ASTC ${fp} SRGB`, 'RGBA', block, 16, null);
+  addBlockFormat(1000288002 + i * 3, `ASTC_${fp}_SFLOAT_BLOCK_EXT`, `ASTC ${fp} HDR`, 'RGBA', block, 16, null);
+});
+
+// --- PVRTC (IMG) ---
+[['PVRTC1_2BPP', [8, 4]], ['PVRTC1_4BPP', [4, 4]], ['PVRTC2_2BPP', [8, 4]], ['PVRTC2_4BPP', [4, 4]]].forEach(([fmt, block], i) => {
+  const label = fmt.replace('_', ' ');
+  addBlockFormat(1000054000 + i, `${fmt}_UNORM_BLOCK_IMG`, `${label} UNORM`, 'RGBA', block, 8, null);
+  addBlockFormat(1000054004 + i, `${fmt}_SRGB_BLOCK_IMG`, `${label} SRGB`, 'RGBA', block, 8, null);
+});
+
+// --- 4:2:2 AND X-PADDED (YCbCr extension formats without planes) ---
+addFormat(1000156000, 'G8B8G8R8_422_UNORM', 'G8B8G8R8 422 UNORM', { blockWidth: 2, bytesPerBlock: 4, typeSize: 1, channels: 'GBGR' });
+addFormat(1000156001, 'B8G8R8G8_422_UNORM', 'B8G8R8G8 422 UNORM', { blockWidth: 2, bytesPerBlock: 4, typeSize: 1, channels: 'BGRG' });
+[[1000156007, 10], [1000156017, 12]].forEach(([first, bits]) => {
+  const x = `X${16 - bits}`;
+  const c = (ch) => `${ch}${bits}${x}`;
+  addPackedFormat(first, `${c('R')}_UNORM_PACK16`, 'R', 2);
+  addFormat(first + 1, `${c('R')}${c('G')}_UNORM_2PACK16`, `RG${bits} UNORM`, { bytesPerBlock: 4, typeSize: 2, channels: 'RG' });
+  addFormat(first + 2, `${c('R')}${c('G')}${c('B')}${c('A')}_UNORM_4PACK16`, `RGBA${bits} UNORM`, { bytesPerBlock: 8, typeSize: 2, channels: 'RGBA' });
+  addFormat(first + 3, `${c('G')}${c('B')}${c('G')}${c('R')}_422_UNORM_4PACK16`, `GBGR${bits} 422 UNORM`, { blockWidth: 2, bytesPerBlock: 8, typeSize: 2, channels: 'GBGR' });
+  addFormat(first + 4, `${c('B')}${c('G')}${c('R')}${c('G')}_422_UNORM_4PACK16`, `BGRG${bits} 422 UNORM`, { blockWidth: 2, bytesPerBlock: 8, typeSize: 2, channels: 'BGRG' });
+});
+addFormat(1000156027, 'G16B16G16R16_422_UNORM', 'G16B16G16R16 422 UNORM', { blockWidth: 2, bytesPerBlock: 8, typeSize: 2, channels: 'GBGR' });
+addFormat(1000156028, 'B16G16R16G16_422_UNORM', 'B16G16R16G16 422 UNORM', { blockWidth: 2, bytesPerBlock: 8, typeSize: 2, channels: 'BGRG' });
+
+// --- 4444 (EXT) ---
+addPackedFormat(1000340000, 'A4R4G4B4_UNORM_PACK16', 'ARGB', 2);
+addPackedFormat(1000340001, 'A4B4G4R4_UNORM_PACK16', 'ABGR', 2);
+
+// Registry entry for a vkFormat, or null when it isn't a KTX2 format
+function getVkFormatInfo(vkFormat) {
+  return VK_FORMATS.get(vkFormat) || null;
+}
+
+// Registry entry of the (first) vkFormat stored as this WebGPU format
+function getWebGPUFormatInfo(format) {
+  return WEBGPU_FORMATS.get(format) || null;
+}
+
+function isKTX2ProhibitedFormat(vkFormat) {
+  return KTX2_PROHIBITED_FORMATS.has(vkFormat);
+}
+
+function isDepthStencilFormat(info) {
+  return /[DS]/.test(info.channels) && !/[RGB]/.test(info.channels);
+}
+
+if (typeof window !== 'undefined') {
+  window.getVkFormatInfo = getVkFormatInfo;
+  window.getWebGPUFormatInfo = getWebGPUFormatInfo;
+  window.isKTX2ProhibitedFormat = isKTX2ProhibitedFormat;
+  window.isDepthStencilFormat = isDepthStencilFormat;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    VK_FORMATS, getVkFormatInfo, getWebGPUFormatInfo,
+    isKTX2ProhibitedFormat, isDepthStencilFormat
+  };
+}
@@ -0,0 +1,482 @@
+// gltf.js - glTF 2.0 (.gltf / .glb) scene loader for the scene preview
+// Resolves buffers and images (GLB BIN chunk, data: URIs or external files through
+// a callback) and flattens the default scene into triangle primitives and the
+// world matrices of the nodes that draw them; main.js uploads and renders the result.
+
+const GLB_MAGIC = 0x46546C67;      // 'glTF'
+const GLB_CHUNK_JSON = 0x4E4F534A; // 'JSON'
+const GLB_CHUNK_BIN = 0x004E4942;  // 'BIN\0'
+
+const GLTF_TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+// componentType -> [DataView getter, bytes, normalization divisor]
+const GLTF_COMPONENTS = {
+  5120: ['getInt8', 1, 127],
+  5121: ['getUint8', 1, 255],
+  5122: ['getInt16', 2, 32767],
+  5123: ['getUint16', 2, 65535],
+  5125: ['getUint32', 4, 0],
+  5126: ['getFloat32', 4, 0]
+};
+
+// Extensions the preview understands; other required extensions are reported
+const GLTF_SUPPORTED_EXTENSIONS = ['KHR_texture_basisu', 'KHR_materials_emissive_strength'];
+
+const GLTF_ALPHA_MODES = { OPAQUE: 0, MASK: 1, BLEND: 2 };
+
+// Sampler enums -> GPUSamplerDescriptor fields
+const GLTF_WRAP_MODES = { 33071: 'clamp-to-edge', 33648: 'mirror-repeat', 10497: 'repeat' };
+const GLTF_MIN_FILTERS = {
+  9728: ['nearest', 'nearest'], 9729: ['linear', 'nearest'],
+  9984: ['nearest', 'nearest'], 9985: ['linear', 'nearest'],
+  9986: ['nearest', 'linear'], 9987: ['linear', 'linear']
+};
+
+function parseGLB(arrayBuffer) {
+  const dv = new DataView(arrayBuffer);
+  if (arrayBuffer.byteLength < 12 || dv.getUint32(0, true) !== GLB_MAGIC) throw new Error('Not a GLB file (bad magic)');
+  const version = dv.getUint32(4, true);
+  if (version !== 2) throw new Error(`Unsupported GLB version ${version}`);
+  const length = Math.min(dv.getUint32(8, true), arrayBuffer.byteLength);
+
+  let json = null;
+  let bin = null;
+  for (let offset = 12; offset + 8 <= length;) {
+    const chunkLength = dv.getUint32(offset, true);
+    const type = dv.getUint32(offset + 4, true);
+    const start = offset + 8;
+    if (start + chunkLength > length) {
+      throw new Error(`GLB chunk at 0x${offset.toString(16).toUpperCase()} runs past the end of the file`);
+    }
+    if (type === GLB_CHUNK_JSON && !json) {
+      json = JSON.parse(new TextDecoder().decode(new Uint8Array(arrayBuffer, start, chunkLength)));
+    } else if (type === GLB_CHUNK_BIN && !bin) {
+      bin = new Uint8Array(arrayBuffer, start, chunkLength);
+    }
+    offset = start + Math.ceil(chunkLength / 4) * 4;
+  }
+  if (!json) throw new Error('GLB has no JSON chunk');
+  return { json, bin };
+}
+
+// data:[<mime>][;base64],<payload> -> { mimeType, bytes }
+function decodeDataUri(uri) {
+  const m = /^data:([^,]*?)(;base64)?,(.*)$/s.exec(uri);
+  if (!m) throw new Error('Malformed data: URI');
+  const text = m[2] ? atob(m[3]) : decodeURIComponent(m[3]);
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+  return { mimeType: m[1].split(';')[0] || null, bytes };
+}
+
+// Embedded (data:) or external (resolveUri(path) -> ArrayBuffer) resource bytes
+async function readGLTFUri(uri, resolveUri) {
+  if (uri.startsWith('data:')) return decodeDataUri(uri).bytes;
+  return new Uint8Array(await resolveUri(decodeURIComponent(uri)));
+}
+
+// Image MIME type from the glTF JSON, the URI or the leading bytes
+function gltfImageType(image, bytes) {
+  if (image.mimeType) return image.mimeType;
+  if (image.uri?.startsWith('data:')) {
+    const type = decodeDataUri(image.uri).mimeType;
+    if (type) return type;
+  }
+  const ext = /\.(\w+)$/.exec(image.uri || '')?.[1].toLowerCase();
+  if (ext === 'ktx2') return 'image/ktx2';
+  if (ext === 'png') return 'image/png';
+  if (ext === 'jpg' || ext === 'jpeg') return 'image/jpeg';
+  if (ext === 'webp') return 'image/webp';
+  if (bytes?.[0] === 0xAB && bytes[1] === 0x4B && bytes[2] === 0x54 && bytes[3] === 0x58) return 'image/ktx2';
+  if (bytes?.[0] === 0x89 && bytes[1] === 0x50) return 'image/png';
+  if (bytes?.[0] === 0xFF && bytes[1] === 0xD8) return 'image/jpeg';
+  return 'application/octet-stream';
+}
+
+// count elements of size components from a buffer view into out (tightly packed),
+// converting normalized integers to floats
+function readBufferViewElements(gltf, viewIndex, byteOffset, count, size, componentType, normalized, out, what) {
+  const view = gltf.json.bufferViews?.[viewIndex];
+  const buffer = view && gltf.buffers[view.buffer];
+  if (!buffer) throw new Error(`${what}: bufferView ${viewIndex} is missing`);
+  const [getter, bytes, divisor] = GLTF_COMPONENTS[componentType] || [];
+  if (!getter) throw new Error(`${what}: unsupported componentType ${componentType}`);
+
+  const elementBytes = size * bytes;
+  const stride = view.byteStride || elementBytes;
+  const base = (view.byteOffset || 0) + byteOffset;
+  const end = count ? base + stride * (count - 1) + elementBytes : base;
+  if (end > (view.byteOffset || 0) + view.byteLength || end > buffer.byteLength) {
+    throw new Error(`${what}: ${count} elements run past the end of bufferView ${viewIndex}`);
+  }
+
+  const dv = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const norm = normalized && divisor ? divisor : 0;
+  for (let i = 0; i < count; i++) {
+    const p = base + i * stride;
+    for (let c = 0; c < size; c++) {
+      const v = dv[getter](p + c * bytes, true);
+      out[i * size + c] = norm ? Math.max(v / norm, -1) : v;
+    }
+  }
+}
+
+// Accessor values as a tightly packed Float32Array (or Uint32Array for indices),
+// with sparse substitutions applied
+function readAccessor(gltf, index, ArrayType = Float32Array) {
+  const acc = gltf.json.accessors?.[index];
+  if (!acc) throw new Error(`accessor ${index} is missing`);
+  const size = GLTF_TYPE_SIZES[acc.type];
+  if (!size) throw new Error(`accessor ${index}: unknown type ${acc.type}`);
+  const what = `accessor ${index}`;
+
+  const out = new ArrayType(acc.count * size);
+  if (acc.bufferView !== undefined) {
+    readBufferViewElements(gltf, acc.bufferView, acc.byteOffset || 0, acc.count, size, acc.componentType, acc.normalized, out, what);
+  }
+  if (acc.sparse) {
+    const { count, indices, values } = acc.sparse;
+    const at = new Uint32Array(count);
+    const replaced = new ArrayType(count * size);
+    readBufferViewElements(gltf, indices.bufferView, indices.byteOffset || 0, count, 1, indices.componentType, false, at, `${what} sparse indices`);
+    readBufferViewElements(gltf, values.bufferView, values.byteOffset || 0, count, size, acc.componentType, acc.normalized, replaced, `${what} sparse values`);
+    for (let i = 0; i < count; i++) out.set(replaced.subarray(i * size, (i + 1) * size), at[i] * size);
+  }
+  return { data: out, size, count: acc.count };
+}
+
+// Triangle list indices for TRIANGLES (4), TRIANGLE_STRIP (5) and TRIANGLE_FAN (6)
+function triangleListIndices(mode, indices) {
+  if (mode === 4) return indices.subarray(0, indices.length - indices.length % 3);
+  const triangles = Math.max(0, indices.length - 2);
+  const out = new Uint32Array(triangles * 3);
+  for (let i = 0; i < triangles; i++) {
+    if (mode === 6) out.set([indices[0], indices[i + 1], indices[i + 2]], i * 3);
+    else if (i % 2) out.set([indices[i + 1], indices[i], indices[i + 2]], i * 3); // keep the winding
+    else out.set([indices[i], indices[i + 1], indices[i + 2]], i * 3);
+  }
+  return out;
+}
+
+// Primitives without NORMAL get flat normals (glTF 2.0 §3.7.2.1): every triangle
+// gets its own three vertices
+function unweldFlat(prim) {
+  const { indices } = prim;
+  const expand = (src, size) => {
+    if (!src) return null;
+    const out = new Float32Array(indices.length * size);
+    for (let i = 0; i < indices.length; i++) out.set(src.subarray(indices[i] * size, indices[i] * size + size), i * size);
+    return out;
+  };
+  const positions = expand(prim.positions, 3);
+  const normals = new Float32Array(positions.length);
+  for (let t = 0; t < indices.length; t += 3) {
+    const p = (k) => positions.subarray((t + k) * 3, (t + k) * 3 + 3);
+    const [a, b, c] = [p(0), p(1), p(2)];
+    const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    const n = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+    const len = Math.hypot(...n) || 1;
+    for (let k = 0; k < 3; k++) normals.set(n.map(v => v / len), (t + k) * 3);
+  }
+  return {
+    ...prim,
+    positions, normals,
+    uvs: expand(prim.uvs, 2), tangents: expand(prim.tangents, 4), colors: expand(prim.colors, 4),
+    indices: Uint32Array.from(indices, (_, i) => i)
+  };
+}
+
+function readGLTFPrimitive(gltf, prim, label, warnings) {
+  const mode = prim.mode ?? 4;
+  if (mode < 4 || mode > 6) {
+    warnings.push(`${label}: mode ${mode} (points/lines) is not drawn`);
+    return null;
+  }
+  if (prim.extensions?.KHR_draco_mesh_compression || prim.extensions?.EXT_meshopt_compression) {
+    warnings.push(`${label}: compressed geometry (${Object.keys(prim.extensions).join(', ')}) is not supported`);
+    return null;
+  }
+  const attributes = prim.attributes || {};
+  if (attributes.POSITION === undefined) {
+    warnings.push(`${label}: no POSITION attribute`);
+    return null;
+  }
+  if (prim.targets?.length) warnings.push(`${label}: morph targets are ignored`);
+
+  const positions = readAccessor(gltf, attributes.POSITION);
+  const vertexCount = positions.count;
+  const optional = (name) => (attributes[name] === undefined ? null : readAccessor(gltf, attributes[name]).data);
+  let colors = null;
+  if (attributes.COLOR_0 !== undefined) {
+    const c = readAccessor(gltf, attributes.COLOR_0);
+    colors = c.size === 4 ? c.data : new Float32Array(vertexCount * 4).fill(1);
+    if (c.size === 3) for (let i = 0; i < vertexCount; i++) colors.set(c.data.subarray(i * 3, i * 3 + 3), i * 4);
+  }
+  const indices = prim.indices === undefined
+    ? Uint32Array.from({ length: vertexCount }, (_, i) => i)
+    : readAccessor(gltf, prim.indices, Uint32Array).data;
+  for (const i of indices) {
+    if (i >= vertexCount) throw new Error(`${label}: index ${i} is out of range (${vertexCount} vertices)`);
+  }
+
+  const out = {
+    positions: positions.data,
+    normals: optional('NORMAL'),
+    uvs: optional('TEXCOORD_0'),
+    tangents: optional('TANGENT'),
+    colors,
+    indices: triangleListIndices(mode, indices),
+    material: prim.material
+  };
+  return out.normals ? out : unweldFlat(out);
+}
+
+// Material factors with the glTF defaults; texture references are { texture, texCoord, ... }
+function readGLTFMaterial(m = {}, index, warnings) {
+  const pbr = m.pbrMetallicRoughness || {};
+  const strength = m.extensions?.KHR_materials_emissive_strength?.emissiveStrength ?? 1;
+  const textureRef = (info, extra = {}) => {
+    if (!info) return null;
+    if (info.texCoord) warnings.push(`material ${index}: texCoord ${info.texCoord} is not supported; using TEXCOORD_0`);
+    return { texture: info.index, ...extra };
+  };
+  return {
+    name: m.name || `material ${index}`,
+    baseColorFactor: pbr.baseColorFactor || [1, 1, 1, 1],
+    baseColorTexture: textureRef(pbr.baseColorTexture),
+    metallicFactor: pbr.metallicFactor ?? 1,
+    roughnessFactor: pbr.roughnessFactor ?? 1,
+    metallicRoughnessTexture: textureRef(pbr.metallicRoughnessTexture),
+    normalTexture: textureRef(m.normalTexture, { scale: m.normalTexture?.scale ?? 1 }),
+    occlusionTexture: textureRef(m.occlusionTexture, { strength: m.occlusionTexture?.strength ?? 1 }),
+    emissiveTexture: textureRef(m.emissiveTexture),
+    emissiveFactor: (m.emissiveFactor || [0, 0, 0]).map(v => v * strength),
+    alphaMode: GLTF_ALPHA_MODES[m.alphaMode || 'OPAQUE'] ?? 0,
+    alphaCutoff: m.alphaCutoff ?? 0.5,
+    doubleSided: !!m.doubleSided
+  };
+}
+
+function readGLTFSampler(s = {}) {
+  const [minFilter, mipmapFilter] = GLTF_MIN_FILTERS[s.minFilter] || ['linear', 'linear'];
+  return {
+    magFilter: s.magFilter === 9728 ? 'nearest' : 'linear',
+    minFilter, mipmapFilter,
+    addressModeU: GLTF_WRAP_MODES[s.wrapS] || 'repeat',
+    addressModeV: GLTF_WRAP_MODES[s.wrapT] || 'repeat'
+  };
+}
+
+// ---------- Column-major 4x4 matrices ----------
+
+function gltfMat4Multiply(a, b) {
+  const out = new Float32Array(16);
+  for (let c = 0; c < 4; c++) {
+    for (let r = 0; r < 4; r++) {
+      out[c * 4 + r] = a[r] * b[c * 4] + a[4 + r] * b[c * 4 + 1] + a[8 + r] * b[c * 4 + 2] + a[12 + r] * b[c * 4 + 3];
+    }
+  }
+  return out;
+}
+
+function gltfMat4FromTRS(t = [0, 0, 0], q = [0, 0, 0, 1], s = [1, 1, 1]) {
+  const [x, y, z, w] = q;
+  return new Float32Array([
+    (1 - 2 * (y * y + z * z)) * s[0], 2 * (x * y + z * w) * s[0], 2 * (x * z - y * w) * s[0], 0,
+    2 * (x * y - z * w) * s[1], (1 - 2 * (x * x + z * z)) * s[1], 2 * (y * z + x * w) * s[1], 0,
+    2 * (x * z + y * w) * s[2], 2 * (y * z - x * w) * s[2], (1 - 2 * (x * x + y * y)) * s[2], 0,
+    t[0], t[1], t[2], 1
+  ]);
+}
+
+// Determinant of the upper 3x3; negative when the transform mirrors (flips the winding)
+function gltfDeterminant3(m) {
+  return m[0] * (m[5] * m[10] - m[6] * m[9]) - m[4] * (m[1] * m[10] - m[2] * m[9]) + m[8] * (m[1] * m[6] - m[2] * m[5]);
+}
+
+// Inverse transpose of the upper 3x3, as a mat4 for uniform alignment
+function gltfNormalMatrix(m) {
+  const det = gltfDeterminant3(m) || 1;
+  const cof = (r0, r1, c0, c1) => (m[c0 * 4 + r0] * m[c1 * 4 + r1] - m[c1 * 4 + r0] * m[c0 * 4 + r1]) / det;
+  return new Float32Array([
+    cof(1, 2, 1, 2), -cof(0, 2, 1, 2), cof(0, 1, 1, 2), 0,
+    -cof(1, 2, 0, 2), cof(0, 2, 0, 2), -cof(0, 1, 0, 2), 0,
+    cof(1, 2, 0, 1), -cof(0, 2, 0, 1), cof(0, 1, 0, 1), 0,
+    0, 0, 0, 1
+  ]);
+}
+
+function gltfTransformPoint(m, x, y, z) {
+  return [
+    m[0] * x + m[4] * y + m[8] * z + m[12],
+    m[1] * x + m[5] * y + m[9] * z + m[13],
+    m[2] * x + m[6] * y + m[10] * z + m[14]
+  ];
+}
+
+// Right-handed perspective projection with WebGPU's 0..1 clip depth
+function gltfPerspective(fovY, aspect, near, far) {
+  const f = 1 / Math.tan(fovY / 2);
+  return new Float32Array([
+    f / aspect, 0, 0, 0,
+    0, f, 0, 0,
+    0, 0, far / (near - far), -1,
+    0, 0, near * far / (near - far), 0
+  ]);
+}
+
+function gltfLookAt(eye, target, up) {
+  const norm = (v) => { const l = Math.hypot(...v) || 1; return v.map(c => c / l); };
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  const z = norm([eye[0] - target[0], eye[1] - target[1], eye[2] - target[2]]);
+  const x = norm(cross(up, z));
+  const y = cross(z, x);
+  return new Float32Array([
+    x[0], y[0], z[0], 0,
+    x[1], y[1], z[1], 0,
+    x[2], y[2], z[2], 0,
+    -dot(x, eye), -dot(y, eye), -dot(z, eye), 1
+  ]);
+}
+
+// ---------- Scene ----------
+
+// Parses a .gltf (JSON) or .glb file. resolveUri(path) resolves to the ArrayBuffer of an
+// external buffer or image, path being relative to the glTF file. Returns
+//   { meshes: [[primitive]], instances: [{ mesh, matrix }], materials, textures: [{ source, fallback, sampler }],
+//     images: [{ name, mimeType, bytes }], samplers, bounds: { min, max }, extensionsUsed, warnings }
+// Images that cannot be read keep bytes = null and are reported in warnings.
+async function loadGLTF(arrayBuffer, fileName, resolveUri) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const isGLB = bytes.length >= 4 && new DataView(arrayBuffer).getUint32(0, true) === GLB_MAGIC;
+  const { json, bin } = isGLB ? parseGLB(arrayBuffer) : { json: JSON.parse(new TextDecoder().decode(bytes)), bin: null };
+
+  const version = json.asset?.version;
+  if (!version || parseInt(version, 10) !== 2) throw new Error(`${fileName}: glTF asset version ${version ?? '(missing)'} is not 2.x`);
+
+  const warnings = [];
+  const unsupported = (json.extensionsRequired || []).filter(e => !GLTF_SUPPORTED_EXTENSIONS.includes(e));
+  if (unsupported.length) warnings.push(`Required extensions not supported: ${unsupported.join(', ')}; the preview may be wrong`);
+
+  // Buffers: the GLB BIN chunk is the buffer without a uri
+  const buffers = [];
+  for (const [i, b] of (json.buffers || []).entries()) {
+    let data;
+    if (b.uri === undefined) {
+      if (!bin) throw new Error(`buffer ${i} has no uri and there is no GLB BIN chunk`);
+      data = bin;
+    } else {
+      try {
+        data = await readGLTFUri(b.uri, resolveUri);
+      } catch (err) {
+        throw new Error(`buffer ${i} (${b.uri.startsWith('data:') ? 'data: URI' : b.uri}): ${err.message}`);
+      }
+    }
+    if (data.byteLength < b.byteLength) throw new Error(`buffer ${i} is ${data.byteLength} bytes, expected ${b.byteLength}`);
+    buffers.push(data);
+  }
+  const gltf = { json, buffers };
+
+  // Images: bytes from a bufferView, a data: URI or an external file
+  const images = [];
+  for (const [i, image] of (json.images || []).entries()) {
+    const external = image.uri !== undefined && !image.uri.startsWith('data:');
+    const name = image.name || (external ? image.uri.split('/').pop() : `image ${i}`);
+    let data = null;
+    try {
+      if (image.bufferView !== undefined) {
+        const view = json.bufferViews[image.bufferView];
+        const buffer = buffers[view.buffer];
+        data = buffer.subarray(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength);
+      } else if (image.uri !== undefined) {
+        data = await readGLTFUri(image.uri, resolveUri);
+      }
+    } catch (err) {
+      warnings.push(`image ${i} (${name}): ${err.message}`);
+    }
+    images.push({ name, mimeType: gltfImageType(image, data), bytes: data });
+  }
+
+  // KHR_texture_basisu points at a KTX2 image; source (if any) is the fallback PNG/JPEG
+  const textures = (json.textures || []).map(t => {
+    const basisu = t.extensions?.KHR_texture_basisu?.source;
+    return { source: basisu ?? t.source, fallback: basisu !== undefined ? t.source : undefined, sampler: t.sampler };
+  });
+  const samplers = (json.samplers || []).map(readGLTFSampler);
+  const materials = (json.materials || []).map((m, i) => readGLTFMaterial(m, i, warnings));
+
+  const meshes = (json.meshes || []).map((mesh, m) =>
+    (mesh.primitives || []).map((p, i) => readGLTFPrimitive(gltf, p, `mesh ${m} (${mesh.name || 'unnamed'}) primitive ${i}`, warnings))
+      .filter(Boolean));
+
+  // Primitives without a (valid) material use the glTF default material
+  let defaultMaterial;
+  for (const prim of meshes.flat()) {
+    if (prim.material !== undefined && materials[prim.material]) continue;
+    if (prim.material !== undefined) warnings.push(`material ${prim.material} is missing; using the default material`);
+    if (defaultMaterial === undefined) {
+      defaultMaterial = materials.length;
+      materials.push({ ...readGLTFMaterial({}, defaultMaterial, warnings), name: 'default material' });
+    }
+    prim.material = defaultMaterial;
+  }
+
+  // Default scene, or every root node when the file has no scenes
+  let roots;
+  if (json.scenes?.length) {
+    roots = json.scenes[json.scene ?? 0]?.nodes || [];
+  } else {
+    const children = new Set((json.nodes || []).flatMap(n => n.children || []));
+    roots = (json.nodes || []).map((_, i) => i).filter(i => !children.has(i));
+  }
+  const instances = [];
+  const visit = (index, parent, path) => {
+    const node = json.nodes?.[index];
+    if (!node) throw new Error(`node ${index} is missing`);
+    if (path.has(index)) throw new Error(`node ${index} is its own ancestor`);
+    const local = node.matrix ? new Float32Array(node.matrix) : gltfMat4FromTRS(node.translation, node.rotation, node.scale);
+    const matrix = gltfMat4Multiply(parent, local);
+    if (node.mesh !== undefined) {
+      if (!meshes[node.mesh]) throw new Error(`node ${index}: mesh ${node.mesh} is missing`);
+      if (node.skin !== undefined) warnings.push(`node ${index}: skinning is ignored (bind pose shown)`);
+      instances.push({ mesh: node.mesh, matrix });
+    }
+    path.add(index);
+    for (const child of node.children || []) visit(child, matrix, path);
+    path.delete(index);
+  };
+  const identity = gltfMat4FromTRS();
+  for (const root of roots) visit(root, identity, new Set());
+
+  // World-space bounds of everything drawn
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (const { mesh, matrix } of instances) {
+    for (const prim of meshes[mesh]) {
+      const p = prim.positions;
+      for (let i = 0; i < p.length; i += 3) {
+        const w = gltfTransformPoint(matrix, p[i], p[i + 1], p[i + 2]);
+        for (let c = 0; c < 3; c++) {
+          if (w[c] < min[c]) min[c] = w[c];
+          if (w[c] > max[c]) max[c] = w[c];
+        }
+      }
+    }
+  }
+  if (min[0] > max[0]) throw new Error(`${fileName}: the scene draws no triangles`);
+
+  return {
+    meshes, instances, materials, textures, images, samplers,
+    bounds: { min, max },
+    extensionsUsed: json.extensionsUsed || [],
+    warnings
+  };
+}
+
+window.loadGLTF = loadGLTF;
+window.gltfMat4Multiply = gltfMat4Multiply;
+window.gltfNormalMatrix = gltfNormalMatrix;
+window.gltfDeterminant3 = gltfDeterminant3;
+window.gltfTransformPoint = gltfTransformPoint;
+window.gltfPerspective = gltfPerspective;
+window.gltfLookAt = gltfLookAt;
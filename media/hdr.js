@@ -0,0 +1,140 @@
+// hdr.js - Radiance RGBE (.hdr / .pic) decoder
+// Decodes flat, old-style RLE and adaptive RLE scanlines into linear RGBA float32.
+
+function readRadianceLine(bytes, pos) {
+  let end = pos;
+  while (end < bytes.length && bytes[end] !== 0x0A) end++;
+  if (end >= bytes.length) throw new Error(`Radiance header: unterminated line at 0x${pos.toString(16).toUpperCase()}`);
+  let line = '';
+  for (let i = pos; i < end; i++) line += String.fromCharCode(bytes[i]);
+  return { line, next: end + 1 };
+}
+
+// Header lines up to the blank line, then the resolution string
+function parseRadianceHeader(bytes) {
+  let { line, next } = readRadianceLine(bytes, 0);
+  if (!/^#\?(RADIANCE|RGBE)/.test(line)) {
+    throw new Error('Not a Radiance file (missing #?RADIANCE signature)');
+  }
+
+  let format = null;
+  let exposure = 1;
+  for (;;) {
+    ({ line, next } = readRadianceLine(bytes, next));
+    if (line === '') break;
+    const m = /^(\w+)=(.*)$/.exec(line);
+    if (!m) continue; // comments and commands
+    if (m[1] === 'FORMAT') format = m[2].trim();
+    // EXPOSURE is cumulative; pixel values were multiplied by it
+    if (m[1] === 'EXPOSURE') exposure *= parseFloat(m[2]) || 1;
+  }
+  if (format && format !== '32-bit_rle_rgbe') {
+    throw new Error(`Unsupported Radiance FORMAT ${format} (only 32-bit_rle_rgbe)`);
+  }
+
+  ({ line, next } = readRadianceLine(bytes, next));
+  const res = /^([-+])Y\s+(\d+)\s+([-+])X\s+(\d+)$/.exec(line.trim());
+  if (!res) throw new Error(`Unsupported Radiance resolution string "${line.trim()}"`);
+  return {
+    width: parseInt(res[4], 10),
+    height: parseInt(res[2], 10),
+    flipY: res[1] === '+', // +Y: first scanline is the bottom row
+    flipX: res[3] === '-',
+    exposure,
+    dataOffset: next
+  };
+}
+
+// One scanline of RGBE bytes into line (width * 4); returns the new read position
+function decodeRadianceScanline(bytes, pos, width, line) {
+  const need = (n) => {
+    if (pos + n > bytes.length) {
+      throw new Error(`Radiance scanline data at 0x${pos.toString(16).toUpperCase()} extends past EOF`);
+    }
+  };
+
+  need(4);
+  const adaptive = width >= 8 && width < 0x8000 &&
+    bytes[pos] === 2 && bytes[pos + 1] === 2 && (bytes[pos + 2] & 0x80) === 0;
+
+  if (adaptive) {
+    if (((bytes[pos + 2] << 8) | bytes[pos + 3]) !== width) {
+      throw new Error(`Radiance scanline at 0x${pos.toString(16).toUpperCase()} has the wrong width`);
+    }
+    pos += 4;
+    // Each component is run-length encoded separately
+    for (let c = 0; c < 4; c++) {
+      let x = 0;
+      while (x < width) {
+        need(1);
+        let count = bytes[pos++];
+        if (count > 128) {
+          count -= 128;
+          need(1);
+          if (x + count > width) throw new Error('Radiance run overflows the scanline');
+          const value = bytes[pos++];
+          for (let i = 0; i < count; i++) line[(x++) * 4 + c] = value;
+        } else {
+          if (count === 0 || x + count > width) throw new Error('Radiance run overflows the scanline');
+          need(count);
+          for (let i = 0; i < count; i++) line[(x++) * 4 + c] = bytes[pos++];
+        }
+      }
+    }
+    return pos;
+  }
+
+  // Flat pixels, with old-style runs (1, 1, 1, n) repeating the previous pixel
+  let x = 0;
+  let shift = 0;
+  while (x < width) {
+    need(4);
+    const r = bytes[pos], g = bytes[pos + 1], b = bytes[pos + 2], e = bytes[pos + 3];
+    pos += 4;
+    if (r === 1 && g === 1 && b === 1) {
+      const count = e << shift;
+      if (x === 0 || x + count > width) throw new Error('Radiance run overflows the scanline');
+      const s = (x - 1) * 4;
+      for (let i = 0; i < count; i++, x++) line.copyWithin(x * 4, s, s + 4);
+      shift += 8;
+    } else {
+      line[x * 4] = r; line[x * 4 + 1] = g; line[x * 4 + 2] = b; line[x * 4 + 3] = e;
+      x++;
+      shift = 0;
+    }
+  }
+  return pos;
+}
+
+// Decodes a Radiance file: { width, height, data: Float32Array RGBA, top row first }
+function parseRadianceHDR(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const header = parseRadianceHeader(bytes);
+  const { width, height, flipX, flipY, exposure } = header;
+  if (width === 0 || height === 0) throw new Error('Radiance image has no pixels');
+
+  const data = new Float32Array(width * height * 4);
+  const line = new Uint8Array(width * 4);
+  let pos = header.dataOffset;
+  const scale = 1 / exposure;
+
+  for (let row = 0; row < height; row++) {
+    pos = decodeRadianceScanline(bytes, pos, width, line);
+    const y = flipY ? height - 1 - row : row;
+    for (let i = 0; i < width; i++) {
+      const x = flipX ? width - 1 - i : i;
+      const e = line[i * 4 + 3];
+      const o = (y * width + x) * 4;
+      // RGBE: mantissas share the exponent e - 128, scaled by 1/256
+      const f = e === 0 ? 0 : Math.pow(2, e - 136) * scale;
+      data[o] = line[i * 4] * f;
+      data[o + 1] = line[i * 4 + 1] * f;
+      data[o + 2] = line[i * 4 + 2] * f;
+      data[o + 3] = 1;
+    }
+  }
+
+  return { width, height, data };
+}
+
+window.parseRadianceHDR = parseRadianceHDR;
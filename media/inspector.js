@@ -0,0 +1,106 @@
+// inspector.js - Helpers for the pixel inspector
+// Maps a view position to a stored texel and formats the raw bytes of that
+// texel; the decoded values come from a GPU readback in main.js.
+
+// Inverse of cube_dir() in shaders.wgsl: face index and face uv for a direction
+function cubeFaceFromDirection(x, y, z) {
+  const ax = Math.abs(x), ay = Math.abs(y), az = Math.abs(z);
+  let face, s, t;
+  if (ax >= ay && ax >= az) {
+    face = x > 0 ? 0 : 1;
+    s = (x > 0 ? -z : z) / ax;
+    t = -y / ax;
+  } else if (ay >= az) {
+    face = y > 0 ? 2 : 3;
+    s = x / ay;
+    t = (y > 0 ? z : -z) / ay;
+  } else {
+    face = z > 0 ? 4 : 5;
+    s = (z > 0 ? x : -x) / az;
+    t = -y / az;
+  }
+  return { face, u: (s + 1) / 2, v: (t + 1) / 2 };
+}
+
+// Direction for an equirectangular uv (matches fs_cube)
+function equirectDirection(u, v) {
+  const lon = (u - 0.5) * 2 * Math.PI;
+  const lat = (0.5 - v) * Math.PI;
+  return [Math.cos(lat) * Math.sin(lon), Math.sin(lat), Math.cos(lat) * Math.cos(lon)];
+}
+
+// Face shown in a cell of the horizontal cross (matches cross_face()), -1 for empty cells
+function crossFace(cx, cy) {
+  if (cx === 1 && cy === 0) return 2;
+  if (cx === 1 && cy === 2) return 3;
+  if (cy === 1) return [1, 4, 0, 5][cx] ?? -1;
+  return -1;
+}
+
+function halfToFloat(h) {
+  const sign = h & 0x8000 ? -1 : 1;
+  const exp = (h >> 10) & 0x1F;
+  const mant = h & 0x3FF;
+  if (exp === 0) return sign * mant * Math.pow(2, -24);
+  if (exp === 31) return mant ? NaN : sign * Infinity;
+  return sign * (1 + mant / 1024) * Math.pow(2, exp - 15);
+}
+
+// Raw stored bytes of texel (x, y, z) in one image (a layer/face of a mip level,
+// all z slices). Block formats return the whole block containing the texel.
+function getRawTexel(image, formatInfo, width, height, x, y, z = 0) {
+  if (formatInfo.blockWidth) {
+    const { blockWidth, blockHeight, bytesPerBlock } = formatInfo;
+    const bx = Math.floor(x / blockWidth), by = Math.floor(y / blockHeight);
+    const blocksPerRow = Math.ceil(width / blockWidth);
+    const blocksPerSlice = blocksPerRow * Math.ceil(height / blockHeight);
+    const blockIndex = z * blocksPerSlice + by * blocksPerRow + bx;
+    const offset = blockIndex * bytesPerBlock;
+    return {
+      kind: 'block', block: [bx, by], blockIndex, offset,
+      bytes: image.subarray(offset, offset + bytesPerBlock)
+    };
+  }
+  const texelBytes = formatInfo.sourceBytesPerPixel || formatInfo.bytesPerPixel;
+  const offset = ((z * height + y) * width + x) * texelBytes;
+  return { kind: 'pixel', offset, bytes: image.subarray(offset, offset + texelBytes) };
+}
+
+// Component values of an uncompressed texel, or null for packed formats
+function decodeRawComponents(bytes, format) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (/8unorm/.test(format)) return Array.from(bytes);
+  if (/16float/.test(format)) {
+    return Array.from({ length: bytes.length / 2 }, (_, i) => halfToFloat(dv.getUint16(i * 2, true)));
+  }
+  if (/32float/.test(format)) {
+    return Array.from({ length: bytes.length / 4 }, (_, i) => dv.getFloat32(i * 4, true));
+  }
+  return null;
+}
+
+function formatBytesHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+// Sidebar text for a raw texel; formats from the vkFormat registry (formatInfo.vkFormat)
+// are decoded as stored and labelled with their channels
+function describeRawTexel(raw, formatInfo) {
+  if (raw.kind === 'block') {
+    return `Block (${raw.block[0]}, ${raw.block[1]}) #${raw.blockIndex} @ +0x${raw.offset.toString(16)}\n` +
+      formatBytesHex(raw.bytes);
+  }
+  const info = formatInfo.vkFormat !== undefined ? window.getVkFormatInfo(formatInfo.vkFormat) : null;
+  const values = info ? window.readTexelComponents(raw.bytes, 0, info) : decodeRawComponents(raw.bytes, formatInfo.format);
+  const hex = formatBytesHex(raw.bytes);
+  if (!values) return hex;
+  const shown = values.map(v => Number.isInteger(v) ? String(v) : v.toPrecision(5));
+  const labelled = info ? shown.map((v, i) => `${info.channels[i]} ${v}`) : shown;
+  return `${labelled.join(', ')}  (${hex})`;
+}
+
+window.cubeFaceFromDirection = cubeFaceFromDirection;
+window.equirectDirection = equirectDirection;
+window.crossFace = crossFace;
+window.getRawTexel = getRawTexel;
+window.describeRawTexel = describeRawTexel;
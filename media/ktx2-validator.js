@@ -0,0 +1,456 @@
+// ktx2-validator.js - KTX 2.0 conformance checks
+// Runs in the webview (window.validateKTX2) and headless in Node:
+//   node media/ktx2-validator.js file.ktx2 [...]
+// Issues use the same shape and severities as the glTF validator report
+// (0 = error, 1 = warning, 2 = info), with a byte offset instead of a JSON pointer.
+
+const KTX2_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+const KTX2_HEADER_SIZE = 12 + 68; // identifier + header + index, before the level index
+const LEVEL_INDEX_ENTRY_SIZE = 24;
+
+const SEVERITY_ERROR = 0;
+const SEVERITY_WARNING = 1;
+const SEVERITY_INFO = 2;
+
+const SCHEME_NONE = 0;
+const SCHEME_BASISLZ = 1;
+const SCHEME_ZLIB = 3;
+
+const DFD_MODEL_ETC1S = 163;
+const DFD_MODEL_UASTC = 166;
+
+// vkFormat registry (formats.js): a classic script in the webview, a CommonJS module in Node
+const ktx2Formats = typeof module !== 'undefined' && module.exports ? require('./formats.js') : window;
+
+// typeSize mandated by the spec for a vkFormat; null when the format is unknown here
+function expectedTypeSize(vkFormat) {
+  if (vkFormat === 0) return 1;
+  return ktx2Formats.getVkFormatInfo(vkFormat)?.typeSize ?? null;
+}
+
+function isBlockCompressed(vkFormat) {
+  return !!ktx2Formats.getVkFormatInfo(vkFormat)?.compressed;
+}
+
+function isDepthStencil(vkFormat) {
+  const info = ktx2Formats.getVkFormatInfo(vkFormat);
+  return !!info && ktx2Formats.isDepthStencilFormat(info);
+}
+
+function hex(n) {
+  return '0x' + n.toString(16);
+}
+
+// Validate a KTX2 file; accepts an ArrayBuffer or a typed array view
+function validateKTX2(input) {
+  const bytes = input instanceof Uint8Array ? input
+    : ArrayBuffer.isView(input) ? new Uint8Array(input.buffer, input.byteOffset, input.byteLength)
+    : new Uint8Array(input);
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const fileSize = bytes.byteLength;
+
+  const messages = [];
+  const report = (severity, code, message, offset) => {
+    messages.push({ severity, code, message, offset, pointer: offset !== undefined ? hex(offset) : undefined });
+  };
+  const error = (code, message, offset) => report(SEVERITY_ERROR, code, message, offset);
+  const warning = (code, message, offset) => report(SEVERITY_WARNING, code, message, offset);
+  const info = (code, message, offset) => report(SEVERITY_INFO, code, message, offset);
+
+  const result = () => ({
+    issues: {
+      numErrors: messages.filter(m => m.severity === SEVERITY_ERROR).length,
+      numWarnings: messages.filter(m => m.severity === SEVERITY_WARNING).length,
+      numInfos: messages.filter(m => m.severity === SEVERITY_INFO).length,
+      messages
+    },
+    info: summary
+  });
+  let summary = null;
+
+  // Identifier and fixed-size header
+  if (fileSize < 12 || KTX2_IDENTIFIER.some((b, i) => bytes[i] !== b)) {
+    error('IDENTIFIER', 'File does not start with the KTX 2.0 identifier', 0);
+    return result();
+  }
+  if (fileSize < KTX2_HEADER_SIZE) {
+    error('HEADER_TRUNCATED', `File is ${fileSize} bytes, too small for the ${KTX2_HEADER_SIZE} byte header`, fileSize);
+    return result();
+  }
+
+  const u32 = (o) => dv.getUint32(o, true);
+  const u64 = (o) => Number(dv.getBigUint64(o, true));
+
+  const header = {
+    vkFormat: u32(12), typeSize: u32(16),
+    pixelWidth: u32(20), pixelHeight: u32(24), pixelDepth: u32(28),
+    layerCount: u32(32), faceCount: u32(36), levelCount: u32(40),
+    supercompressionScheme: u32(44)
+  };
+  const index = {
+    dfdByteOffset: u32(48), dfdByteLength: u32(52),
+    kvdByteOffset: u32(56), kvdByteLength: u32(60),
+    sgdByteOffset: u64(64), sgdByteLength: u64(72)
+  };
+  const { vkFormat, pixelWidth, pixelHeight, pixelDepth, faceCount, supercompressionScheme: scheme } = header;
+  summary = { ...header, fileSize };
+
+  // Header fields
+  const typeSize = expectedTypeSize(vkFormat);
+  if (ktx2Formats.isKTX2ProhibitedFormat(vkFormat)) {
+    error('VK_FORMAT_PROHIBITED', `vkFormat ${vkFormat} (a *SCALED or A8B8G8R8_*_PACK32 format) is not allowed in KTX2`, 12);
+  } else if (typeSize === null) {
+    warning('VK_FORMAT_UNKNOWN', `vkFormat ${vkFormat} is not a format this validator knows`, 12);
+  } else if (header.typeSize !== typeSize) {
+    error('TYPE_SIZE', `typeSize is ${header.typeSize}, vkFormat ${vkFormat} requires ${typeSize}`, 16);
+  }
+
+  if (pixelWidth === 0) error('PIXEL_WIDTH', 'pixelWidth must not be 0', 20);
+  if (pixelHeight === 0 && pixelDepth !== 0) {
+    error('PIXEL_HEIGHT', '1D textures (pixelHeight 0) must have pixelDepth 0', 24);
+  }
+  if (isBlockCompressed(vkFormat) && pixelHeight === 0) {
+    error('PIXEL_HEIGHT', 'Block-compressed formats cannot be 1D; pixelHeight must not be 0', 24);
+  }
+  if (isDepthStencil(vkFormat) && pixelDepth !== 0) {
+    error('PIXEL_DEPTH', 'Depth/stencil formats cannot be 3D', 28);
+  }
+
+  if (faceCount !== 1 && faceCount !== 6) {
+    error('FACE_COUNT', `faceCount is ${faceCount}, must be 1 or 6`, 36);
+  } else if (faceCount === 6) {
+    if (pixelWidth !== pixelHeight) error('CUBEMAP_NOT_SQUARE', `Cubemap faces must be square, got ${pixelWidth}×${pixelHeight}`, 20);
+    if (pixelDepth !== 0) error('CUBEMAP_DEPTH', 'Cubemaps must have pixelDepth 0', 28);
+  }
+
+  const maxDim = Math.max(pixelWidth, pixelHeight, pixelDepth);
+  const maxLevels = maxDim > 0 ? Math.floor(Math.log2(maxDim)) + 1 : 1;
+  if (header.levelCount > maxLevels) {
+    error('LEVEL_COUNT', `levelCount ${header.levelCount} exceeds the ${maxLevels} levels possible for ${maxDim} texels`, 40);
+  }
+  if (header.levelCount === 0) {
+    if (isBlockCompressed(vkFormat) || vkFormat === 0) {
+      error('LEVEL_COUNT', 'levelCount 0 (generate mipmaps) is not allowed for block-compressed formats', 40);
+    } else {
+      info('LEVEL_COUNT', 'levelCount is 0: loaders are asked to generate the mip chain', 40);
+    }
+  }
+
+  if (scheme > SCHEME_ZLIB && !(scheme >= 0x10000 && scheme <= 0x1FFFF)) {
+    error('SUPERCOMPRESSION_SCHEME', `supercompressionScheme ${scheme} is reserved`, 44);
+  } else if (scheme > SCHEME_ZLIB) {
+    warning('SUPERCOMPRESSION_SCHEME', `supercompressionScheme ${hex(scheme)} is vendor specific`, 44);
+  }
+  if (scheme === SCHEME_BASISLZ && vkFormat !== 0) {
+    error('BASISLZ_FORMAT', `BasisLZ requires vkFormat 0 (VK_FORMAT_UNDEFINED), got ${vkFormat}`, 12);
+  }
+
+  // Level index entries follow the header
+  const levelCount = Math.max(1, header.levelCount);
+  const levelIndexEnd = KTX2_HEADER_SIZE + levelCount * LEVEL_INDEX_ENTRY_SIZE;
+  if (levelIndexEnd > fileSize) {
+    error('LEVEL_INDEX_TRUNCATED', `Level index needs ${levelCount} entries up to ${hex(levelIndexEnd)}, file is ${fileSize} bytes`, KTX2_HEADER_SIZE);
+    return result();
+  }
+
+  // Checks that a block [offset, offset + length) lies inside the file
+  const inBounds = (code, name, offset, length, fieldOffset) => {
+    if (offset + length > fileSize) {
+      error(code, `${name} [${hex(offset)}, ${hex(offset + length)}) extends past end of file (${hex(fileSize)})`, fieldOffset);
+      return false;
+    }
+    return true;
+  };
+
+  // DFD: mandatory, 4-byte aligned, right after the level index
+  let dfd = null;
+  if (index.dfdByteLength === 0 || index.dfdByteOffset === 0) {
+    error('DFD_MISSING', 'dfdByteOffset/dfdByteLength are 0; a Data Format Descriptor is required', 48);
+  } else if (inBounds('DFD_BOUNDS', 'DFD', index.dfdByteOffset, index.dfdByteLength, 48)) {
+    if (index.dfdByteOffset % 4 !== 0) error('DFD_ALIGNMENT', `dfdByteOffset ${hex(index.dfdByteOffset)} is not 4-byte aligned`, 48);
+    if (index.dfdByteOffset < levelIndexEnd) {
+      error('DFD_OVERLAP', `DFD at ${hex(index.dfdByteOffset)} overlaps the level index ending at ${hex(levelIndexEnd)}`, 48);
+    } else if (index.dfdByteOffset !== levelIndexEnd) {
+      warning('DFD_OFFSET', `DFD should immediately follow the level index at ${hex(levelIndexEnd)}`, 48);
+    }
+    dfd = validateDFD(dv, index.dfdByteOffset, index.dfdByteLength, header, error, warning);
+  }
+
+  // KVD: optional, 4-byte aligned, follows the DFD
+  if (index.kvdByteLength === 0) {
+    if (index.kvdByteOffset !== 0) error('KVD_OFFSET', 'kvdByteOffset must be 0 when kvdByteLength is 0', 56);
+    warning('KVD_MISSING', 'No key/value data; files should identify their KTXwriter', 56);
+  } else if (inBounds('KVD_BOUNDS', 'KVD', index.kvdByteOffset, index.kvdByteLength, 56)) {
+    if (index.kvdByteOffset % 4 !== 0) error('KVD_ALIGNMENT', `kvdByteOffset ${hex(index.kvdByteOffset)} is not 4-byte aligned`, 56);
+    if (dfd && index.kvdByteOffset !== index.dfdByteOffset + index.dfdByteLength) {
+      warning('KVD_OFFSET', `KVD should immediately follow the DFD at ${hex(index.dfdByteOffset + index.dfdByteLength)}`, 56);
+    }
+    summary.kvd = validateKVD(bytes, dv, index.kvdByteOffset, index.kvdByteLength, header, error, warning, info);
+  }
+
+  // SGD: BasisLZ only, 8-byte aligned
+  if (index.sgdByteLength === 0) {
+    if (index.sgdByteOffset !== 0) error('SGD_OFFSET', 'sgdByteOffset must be 0 when sgdByteLength is 0', 64);
+    if (scheme === SCHEME_BASISLZ) error('SGD_MISSING', 'BasisLZ files need supercompression global data', 64);
+  } else if (inBounds('SGD_BOUNDS', 'SGD', index.sgdByteOffset, index.sgdByteLength, 64)) {
+    if (index.sgdByteOffset % 8 !== 0) error('SGD_ALIGNMENT', `sgdByteOffset ${hex(index.sgdByteOffset)} is not 8-byte aligned`, 64);
+    if (scheme !== SCHEME_BASISLZ && scheme <= SCHEME_ZLIB) {
+      error('SGD_UNEXPECTED', `Supercompression scheme ${scheme} has no global data, but sgdByteLength is ${index.sgdByteLength}`, 72);
+    }
+  }
+
+  // Levels: in bounds, aligned, stored smallest mip first, sizes consistent
+  const levels = [];
+  for (let i = 0; i < levelCount; i++) {
+    const at = KTX2_HEADER_SIZE + i * LEVEL_INDEX_ENTRY_SIZE;
+    levels.push({ at, byteOffset: u64(at), byteLength: u64(at + 8), uncompressedByteLength: u64(at + 16) });
+  }
+
+  const blockDims = dfd ? dfd.texelBlockDimension.map(d => d + 1) : [1, 1, 1];
+  const bytesPlane0 = dfd ? dfd.bytesPlane0 : 0;
+  const texelBlockSize = bytesPlane0 || header.typeSize || 1;
+  const requiredAlignment = scheme === SCHEME_NONE ? lcm(texelBlockSize, 4) : 1;
+  const metadataEnd = Math.max(levelIndexEnd,
+    index.dfdByteOffset + index.dfdByteLength,
+    index.kvdByteOffset + index.kvdByteLength,
+    index.sgdByteOffset + index.sgdByteLength);
+
+  levels.forEach((lvl, i) => {
+    const where = `Level ${i}`;
+    if (lvl.byteLength === 0) {
+      error('LEVEL_EMPTY', `${where} has byteLength 0`, lvl.at + 8);
+      return;
+    }
+    if (!inBounds('LEVEL_BOUNDS', `${where} data`, lvl.byteOffset, lvl.byteLength, lvl.at)) return;
+    if (lvl.byteOffset < metadataEnd) {
+      error('LEVEL_OVERLAP', `${where} data at ${hex(lvl.byteOffset)} overlaps the header/DFD/KVD/SGD ending at ${hex(metadataEnd)}`, lvl.at);
+    }
+    if (lvl.byteOffset % requiredAlignment !== 0) {
+      error('LEVEL_ALIGNMENT', `${where} byteOffset ${hex(lvl.byteOffset)} is not aligned to ${requiredAlignment} bytes`, lvl.at);
+    }
+
+    if (scheme === SCHEME_NONE && lvl.uncompressedByteLength !== lvl.byteLength) {
+      error('LEVEL_UNCOMPRESSED_LENGTH', `${where} uncompressedByteLength ${lvl.uncompressedByteLength} differs from byteLength ${lvl.byteLength} without supercompression`, lvl.at + 16);
+    }
+    if (scheme === SCHEME_BASISLZ && lvl.uncompressedByteLength !== 0) {
+      error('LEVEL_UNCOMPRESSED_LENGTH', `${where} uncompressedByteLength must be 0 for BasisLZ`, lvl.at + 16);
+    }
+
+    // Expected size from the DFD block size; only meaningful for uncompressed payloads
+    if (bytesPlane0 && scheme !== SCHEME_BASISLZ) {
+      const w = Math.max(1, pixelWidth >> i), h = Math.max(1, pixelHeight >> i), d = Math.max(1, pixelDepth >> i);
+      const blocks = Math.ceil(w / blockDims[0]) * Math.ceil(h / blockDims[1]) * Math.ceil(d / blockDims[2]);
+      const expected = blocks * bytesPlane0 * Math.max(1, header.layerCount) * faceCount;
+      const actual = scheme === SCHEME_NONE ? lvl.byteLength : lvl.uncompressedByteLength;
+      if (actual !== expected) {
+        error('LEVEL_SIZE', `${where} holds ${actual} bytes, ${w}×${h}×${d} with ${Math.max(1, header.layerCount)} layer(s) and ${faceCount} face(s) needs ${expected}`, lvl.at + (scheme === SCHEME_NONE ? 8 : 16));
+      }
+    }
+
+    // Level 0 is last in the file; each smaller level must come before the next larger
+    if (i > 0) {
+      const larger = levels[i - 1];
+      if (lvl.byteOffset + lvl.byteLength > larger.byteOffset) {
+        error('LEVEL_ORDER', `${where} (${hex(lvl.byteOffset)}) must be stored before level ${i - 1} (${hex(larger.byteOffset)}), without overlap`, lvl.at);
+      }
+    }
+  });
+
+  const last = levels[0];
+  if (last && last.byteOffset + last.byteLength < fileSize) {
+    warning('TRAILING_DATA', `${fileSize - (last.byteOffset + last.byteLength)} bytes after level 0 are not referenced`, last.byteOffset + last.byteLength);
+  }
+
+  summary.levels = levels.map(({ byteOffset, byteLength, uncompressedByteLength }) => ({ byteOffset, byteLength, uncompressedByteLength }));
+  return result();
+}
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+function lcm(a, b) {
+  return a / gcd(a, b) * b;
+}
+
+// Basic descriptor block checks; returns the fields other rules depend on
+function validateDFD(dv, base, length, header, error, warning) {
+  if (length < 4 + 24) {
+    error('DFD_TRUNCATED', `DFD is ${length} bytes, too small for a basic descriptor block`, base);
+    return null;
+  }
+  const totalSize = dv.getUint32(base, true);
+  if (totalSize !== length) error('DFD_TOTAL_SIZE', `DFD totalSize ${totalSize} differs from dfdByteLength ${length}`, base);
+
+  const block = base + 4;
+  const vendorId = dv.getUint32(block, true) & 0x1FFFF;
+  const descriptorType = dv.getUint32(block, true) >>> 17;
+  const versionNumber = dv.getUint16(block + 4, true);
+  const descriptorBlockSize = dv.getUint16(block + 6, true);
+  if (vendorId !== 0 || descriptorType !== 0) {
+    error('DFD_BLOCK_TYPE', `First descriptor block must be Khronos basic (vendor 0, type 0), got vendor ${vendorId}, type ${descriptorType}`, block);
+  }
+  if (versionNumber !== 2) warning('DFD_VERSION', `DFD versionNumber is ${versionNumber}, KTX2 expects 2`, block + 4);
+  if (descriptorBlockSize < 24 || (descriptorBlockSize - 24) % 16 !== 0) {
+    error('DFD_BLOCK_SIZE', `descriptorBlockSize ${descriptorBlockSize} is not 24 + 16 × samples`, block + 6);
+    return null;
+  }
+  if (4 + descriptorBlockSize > length) {
+    error('DFD_BLOCK_SIZE', `descriptorBlockSize ${descriptorBlockSize} runs past the DFD end`, block + 6);
+    return null;
+  }
+
+  const colorModel = dv.getUint8(block + 8);
+  const texelBlockDimension = [0, 1, 2, 3].map(i => dv.getUint8(block + 12 + i));
+  const bytesPlane0 = dv.getUint8(block + 16);
+  const sampleCount = (descriptorBlockSize - 24) / 16;
+
+  const scheme = header.supercompressionScheme;
+  if (scheme !== SCHEME_NONE && bytesPlane0 !== 0) {
+    error('DFD_BYTES_PLANE', `bytesPlane0 must be 0 for supercompressed files, got ${bytesPlane0}`, block + 16);
+  }
+  if (header.vkFormat === 0) {
+    if (scheme === SCHEME_BASISLZ && colorModel !== DFD_MODEL_ETC1S) {
+      error('DFD_COLOR_MODEL', `BasisLZ needs DFD colorModel ETC1S (163), got ${colorModel}`, block + 8);
+    } else if (scheme !== SCHEME_BASISLZ && colorModel !== DFD_MODEL_UASTC) {
+      error('DFD_COLOR_MODEL', `vkFormat 0 without BasisLZ needs DFD colorModel UASTC (166), got ${colorModel}`, block + 8);
+    }
+  }
+  if (sampleCount === 0 && header.vkFormat !== 0) {
+    warning('DFD_NO_SAMPLES', 'DFD has no sample information', block + 6);
+  }
+  if (scheme === SCHEME_NONE && header.typeSize > 1 && bytesPlane0 % header.typeSize !== 0) {
+    error('TYPE_SIZE', `bytesPlane0 ${bytesPlane0} is not a multiple of typeSize ${header.typeSize}`, 16);
+  }
+
+  return { colorModel, texelBlockDimension, bytesPlane0, sampleCount };
+}
+
+// Key/value entries: bounds, NUL-terminated keys, sorted and unique, KTX* values
+function validateKVD(bytes, dv, base, length, header, error, warning, info) {
+  const end = base + length;
+  const keys = [];
+  let offset = base;
+  while (offset < end) {
+    if (offset + 4 > end) {
+      error('KVD_TRUNCATED', 'Key/value entry length field runs past the KVD end', offset);
+      break;
+    }
+    const kvByteLength = dv.getUint32(offset, true);
+    const entry = offset + 4;
+    if (kvByteLength === 0) {
+      error('KVD_ENTRY_EMPTY', `Key/value entry at ${hex(offset)} has a kvByteLength of 0; it must hold at least a key and its NUL`, offset);
+      offset = entry;
+      continue;
+    }
+    if (entry + kvByteLength > end) {
+      error('KVD_ENTRY_BOUNDS', `Key/value entry of ${kvByteLength} bytes at ${hex(offset)} runs past the KVD end ${hex(end)}`, offset);
+      break;
+    }
+    const kv = bytes.subarray(entry, entry + kvByteLength);
+    const nul = kv.indexOf(0);
+    if (nul <= 0) {
+      error('KVD_KEY', nul === 0 ? 'Empty key' : 'Key is not NUL-terminated', entry);
+    } else {
+      const key = new TextDecoder().decode(kv.subarray(0, nul));
+      const value = kv.subarray(nul + 1);
+      if (keys.length && keys[keys.length - 1].key >= key) {
+        const prev = keys[keys.length - 1].key;
+        if (prev === key) error('KVD_DUPLICATE', `Duplicate key "${key}"`, entry);
+        else error('KVD_ORDER', `Keys must be sorted; "${key}" follows "${prev}"`, entry);
+      }
+      keys.push({ key, value, offset: entry + nul + 1 });
+    }
+    offset = entry + kvByteLength;
+    offset += (4 - (offset % 4)) % 4;
+  }
+
+  const find = (key) => keys.find(k => k.key === key);
+  const text = (kv) => {
+    const hasNul = kv.value.length > 0 && kv.value[kv.value.length - 1] === 0;
+    if (!hasNul) error('KVD_VALUE', `${kv.key} value must be a NUL-terminated UTF-8 string`, kv.offset);
+    return new TextDecoder().decode(hasNul ? kv.value.subarray(0, -1) : kv.value);
+  };
+
+  const writer = find('KTXwriter');
+  if (writer) {
+    text(writer);
+  } else if (find('KTXwriterScParams')) {
+    error('KTXWRITER_REQUIRED', 'KTXwriter is required when KTXwriterScParams is present', base);
+  } else {
+    warning('KTXWRITER_MISSING', 'KTXwriter should identify the tool that wrote the file', base);
+  }
+
+  const orientation = find('KTXorientation');
+  if (!orientation) {
+    info('KTXORIENTATION_MISSING', 'No KTXorientation; viewers assume "rd" (right, down)', base);
+  } else {
+    const value = text(orientation);
+    const dims = header.pixelDepth > 0 ? 3 : (header.pixelHeight > 0 ? 2 : 1);
+    const pattern = [/^[rl]$/, /^[rl][du]$/, /^[rl][du][oi]$/][dims - 1];
+    if (!pattern.test(value)) {
+      error('KTXORIENTATION_VALUE', `KTXorientation "${value}" is invalid for a ${dims}D texture`, orientation.offset);
+    }
+  }
+
+  const swizzle = find('KTXswizzle');
+  if (swizzle && !/^[rgba01]{4}$/.test(text(swizzle))) {
+    error('KTXSWIZZLE_VALUE', 'KTXswizzle must be 4 characters from r, g, b, a, 0, 1', swizzle.offset);
+  }
+
+  const known = ['KTXwriter', 'KTXwriterScParams', 'KTXorientation', 'KTXswizzle', 'KTXglFormat',
+    'KTXdxgiFormat__', 'KTXmetalPixelFormat', 'KTXcubemapIncomplete', 'KTXanimData', 'KTXastcDecodeMode'];
+  for (const { key, offset } of keys) {
+    if (/^ktx/i.test(key) && !known.includes(key)) {
+      warning('KVD_RESERVED_KEY', `Unknown key "${key}" uses the reserved KTX prefix`, offset);
+    }
+  }
+
+  return keys.map(k => k.key);
+}
+
+// Plain text rendering of a report, for the CLI and logs
+function formatKTX2Report(name, report) {
+  const { numErrors, numWarnings, messages } = report.issues;
+  const lines = [`${name}: ${numErrors} error(s), ${numWarnings} warning(s)`];
+  for (const m of messages) {
+    const severity = ['error', 'warning', 'info'][m.severity];
+    lines.push(`  ${severity} ${m.code}${m.pointer ? ` @${m.pointer}` : ''}: ${m.message}`);
+  }
+  return lines.join('\n');
+}
+
+if (typeof window !== 'undefined') {
+  window.validateKTX2 = validateKTX2;
+  window.formatKTX2Report = formatKTX2Report;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { validateKTX2, formatKTX2Report };
+
+  // CLI: exit code 1 when any file has errors
+  if (require.main === module) {
+    const fs = require('fs');
+    const files = process.argv.slice(2);
+    if (files.length === 0) {
+      console.error('usage: node media/ktx2-validator.js <file.ktx2>...');
+      process.exit(2);
+    }
+    let failed = false;
+    for (const file of files) {
+      let bytes;
+      try {
+        bytes = fs.readFileSync(file);
+      } catch (err) {
+        console.error(`${file}: cannot read (${err.message})`);
+        failed = true;
+        continue;
+      }
+      const report = validateKTX2(bytes);
+      console.log(formatKTX2Report(file, report));
+      if (report.issues.numErrors > 0) failed = true;
+    }
+    process.exit(failed ? 1 : 0);
+  }
+}
@@ -182,6 +182,13 @@
       const supportsBC   = adapter.features.has("texture-compression-bc");
       const supportsETC2 = adapter.features.has("texture-compression-etc2");
       const supportsASTC = adapter.features.has("texture-compression-astc");
+      // Block-compressed 3D textures need the sliced-3d extensions
+      const supportsBC3D   = adapter.features.has("texture-compression-bc-sliced-3d");
+      const supportsASTC3D = adapter.features.has("texture-compression-astc-sliced-3d");
+      // Filterable rgba32float keeps .hdr/.exr at full precision; otherwise rgba16float
+      const supportsFloat32Filter = adapter.features.has("float32-filterable");
+      // r16unorm/rg16unorm/rgba16unorm (and snorm); without it 16-bit norms are converted to float
+      const supportsTier1Formats = adapter.features.has("texture-formats-tier1");
 
       console.log("BC supported?", supportsBC);
       console.log("ETC2 supported?", supportsETC2);
@@ -191,6 +198,10 @@
       if (supportsBC)   requiredFeatures.push("texture-compression-bc");
       if (supportsETC2) requiredFeatures.push("texture-compression-etc2");
       if (supportsASTC) requiredFeatures.push("texture-compression-astc");
+      if (supportsBC3D)   requiredFeatures.push("texture-compression-bc-sliced-3d");
+      if (supportsASTC3D) requiredFeatures.push("texture-compression-astc-sliced-3d");
+      if (supportsFloat32Filter) requiredFeatures.push("float32-filterable");
+      if (supportsTier1Formats) requiredFeatures.push("texture-formats-tier1");
 
       const device = await adapter.requestDevice({ requiredFeatures });
 
@@ -230,10 +241,37 @@
       // UI refs (now guaranteed to exist either via template or injection)
       const evInput = document.getElementById('ev');
       const evVal   = document.getElementById('evv');
+      const toneMapSel         = document.getElementById('toneMap');
+      const outputTransformSel = document.getElementById('outputTransform');
+      const whitePointRow      = document.getElementById('whitePointRow');
+      const whitePointSlider   = document.getElementById('whitePoint');
+      const whitePointLabel    = document.getElementById('whitePointLabel');
       const fileInp = document.getElementById('file');
+      const compareFileInp      = document.getElementById('compareFile');
+      const compareControls     = document.getElementById('compareControls');
+      const compareModeSel      = document.getElementById('compareMode');
+      const compareClearBtn     = document.getElementById('compareClear');
+      const compareNameLabel    = document.getElementById('compareName');
+      const compareSplitRow     = document.getElementById('compareSplitRow');
+      const compareSplitSlider  = document.getElementById('compareSplit');
+      const compareFlickerRow   = document.getElementById('compareFlickerRow');
+      const compareFlickerSlider = document.getElementById('compareFlicker');
+      const compareFlickerLabel = document.getElementById('compareFlickerLabel');
+      const compareGainRow      = document.getElementById('compareGainRow');
+      const compareGainSlider   = document.getElementById('compareGain');
+      const compareGainLabel    = document.getElementById('compareGainLabel');
+      const compareMetricsBtn   = document.getElementById('compareMetricsBtn');
+      const compareMetricsContent = document.getElementById('compareMetrics');
       const stat    = document.getElementById('stat');
       const meta    = document.getElementById('meta');
       const filterMode = document.getElementById('filterMode');
+      const viewFitBtn  = document.getElementById('viewFit');
+      const viewFillBtn = document.getElementById('viewFill');
+      const view1to1Btn = document.getElementById('view1to1');
+      const zoomLabel   = document.getElementById('zoomLabel');
+      const texelGridBox = document.getElementById('texelGrid');
+      const inspectorPanel   = document.getElementById('inspector');
+      const inspectorContent = document.getElementById('inspectorContent');
 
       // glTF specific UI
       const gltfControls = document.getElementById('gltf-controls');
@@ -244,9 +282,32 @@
       const mipLabel    = document.getElementById('mipLabel');
       const mipOnlyBox  = document.getElementById('mipOnly');
 
+      const layerControls = document.getElementById('layer-controls');
+      const layerSlider   = document.getElementById('layerSlider');
+      const layerLabel    = document.getElementById('layerLabel');
+      const contactSheetBox = document.getElementById('contactSheet');
+
+      const volumeControls = document.getElementById('volume-controls');
+      const volAxisSel     = document.getElementById('volAxis');
+      const volSliceSlider = document.getElementById('volSlice');
+      const volSliceLabel  = document.getElementById('volSliceLabel');
+      const volModeSel     = document.getElementById('volMode');
+
+      const cubeControls = document.getElementById('cube-controls');
+      const cubeModeSel  = document.getElementById('cubeMode');
+      const cubeFaceSel  = document.getElementById('cubeFace');
+      const cubeFaceRow  = document.getElementById('cubeFaceRow');
+
       const texInfo = document.getElementById('texInfo');
       const texInfoContent = document.getElementById('texInfoContent');
 
+      const statsPanel     = document.getElementById('statsPanel');
+      const statsContent   = document.getElementById('statsContent');
+      const histogramCanvas = document.getElementById('histogram');
+      const histScaleSel   = document.getElementById('histScale');
+      const autoExposeBtn  = document.getElementById('autoExpose');
+
+      const channelLayoutSel = document.getElementById('channelLayout');
       const channelR = document.getElementById('channelR');
       const channelG = document.getElementById('channelG');
       const channelB = document.getElementById('channelB');
@@ -276,40 +337,41 @@
         return (bytes / Math.pow(k, i)).toFixed(2) + ' ' + sizes[i];
       }
 
-      // Calculate GPU memory for a texture
-      function calculateGPUMemory(width, height, format, mipLevels) {
-        // Bytes per pixel for different formats
-        const formatSizes = {
-          'rgba8unorm': 4,
-          'bc1-rgba-unorm': 0.5,  // 4 bits per pixel
-          'bc2-rgba-unorm': 1,    // 8 bits per pixel
-          'bc3-rgba-unorm': 1,    // 8 bits per pixel
-          'bc4-r-unorm': 0.5,     // 4 bits per pixel
-          'bc5-rg-unorm': 1,      // 8 bits per pixel
-          'bc6h-rgb-ufloat': 1,   // 8 bits per pixel
-          'bc7-rgba-unorm': 1     // 8 bits per pixel
-        };
-
-        const bytesPerPixel = formatSizes[format] || 4;
-        let totalBytes = 0;
+      // File-supplied text (KVD keys and values, DDS/KTX1 format names) goes into innerHTML escaped
+      function escapeHTML(text) {
+        return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+      }
 
-        // Calculate for each mip level
-        for (let i = 0; i < mipLevels; i++) {
-          const mipWidth = Math.max(1, width >> i);
-          const mipHeight = Math.max(1, height >> i);
-          totalBytes += mipWidth * mipHeight * bytesPerPixel;
+      // Expandable per-mip table of getLevelSizes() rows with a totals row
+      function levelSizesTable(rows, totals, open) {
+        const n = (v) => (v === null ? '-' : v.toLocaleString('en-US'));
+        const cell = 'padding:1px 4px; text-align:right; white-space:nowrap;';
+        const tr = (cells, style = '') => `<tr style="${style}">${cells.map(c => `<td style="${cell}">${c}</td>`).join('')}</tr>`;
+        let html = `<details${open ? ' open' : ''} style="margin-bottom:4px;"><summary style="color:#8cf; cursor:pointer;">Per-level sizes (bytes)</summary>`;
+        html += '<div style="overflow-x:auto;"><table style="border-collapse:collapse; font:11px monospace; margin-top:4px;">';
+        html += tr(['Mip', 'Size', 'Stored', 'Uncompressed', 'GPU', 'Blocks'], 'color:#aaa;');
+        for (const r of rows) {
+          const size = r.depth > 1 ? `${r.width}×${r.height}×${r.depth}` : `${r.width}×${r.height}`;
+          html += tr([r.level, size, n(r.stored), n(r.uncompressed), n(r.gpu), n(r.blocks)]);
         }
-
-        return totalBytes;
+        html += tr(['All', '', n(totals.stored), n(totals.uncompressed), n(totals.gpu), n(totals.blocks)], 'border-top:1px solid #444; color:#ccc;');
+        return html + '</table></div></details>';
       }
 
       // Update texture info panel
       function updateTextureInfo(fileSize, width, height, format, mipLevels, fileName, metadata = null) {
-        const gpuMemory = calculateGPUMemory(width, height, format, mipLevels);
+        const rows = window.getLevelSizes(width, height, mipLevels, metadata?.gpuFormat || format, {
+          depth: metadata?.depth || 1, images: metadata?.gpuLayers || 1,
+          blockSize: metadata?.blockSize, levels: metadata?.levels
+        });
+        const totals = window.sumLevelSizes(rows);
+        const gpuMemory = totals.gpu;
+        const tableOpen = texInfoContent.querySelector('details')?.open;
         const aspectRatio = (width / height).toFixed(3);
         
         let html = `<div style="color:#8cf;">Dimensions:</div>`;
-        html += `<div style="margin-left:8px; margin-bottom:4px;">${width} × ${height} (${aspectRatio}:1)</div>`;
+        const depthStr = metadata?.depth ? ` × ${metadata.depth}` : '';
+        html += `<div style="margin-left:8px; margin-bottom:4px;">${width} × ${height}${depthStr} (${aspectRatio}:1)</div>`;
         
         html += `<div style="color:#8cf;">Format:</div>`;
         html += `<div style="margin-left:8px; margin-bottom:4px;">${format}</div>`;
@@ -320,26 +382,52 @@
         html += `<div style="color:#8cf;">File Size:</div>`;
         html += `<div style="margin-left:8px; margin-bottom:4px;">${formatBytes(fileSize)}</div>`;
         
-        html += `<div style="color:#8cf;">GPU Memory (Estimated):</div>`;
-        html += `<div style="margin-left:8px; margin-bottom:4px;">${formatBytes(gpuMemory)}</div>`;
-        
-        const compressionRatio = fileSize > 0 ? (gpuMemory / fileSize).toFixed(2) : 'N/A';
-        html += `<div style="color:#8cf;">Compression:</div>`;
-        html += `<div style="margin-left:8px; margin-bottom:4px;">${compressionRatio}x (GPU/File)</div>`;
+        // Level data as stored and after undoing supercompression, against the GPU allocation
+        let levelData = null;
+        if (totals.stored !== null) {
+          const { stored, uncompressed } = totals;
+          levelData = { stored, uncompressed };
+          html += `<div style="color:#8cf;">Level Data:</div>`;
+          const inflated = uncompressed !== null && uncompressed !== stored
+            ? `, ${formatBytes(uncompressed)} uncompressed (${(uncompressed / stored).toFixed(2)}:1)` : '';
+          html += `<div style="margin-left:8px; margin-bottom:4px;">${formatBytes(stored)} stored${inflated}</div>`;
+        }
+
+        html += `<div style="color:#8cf;">GPU Memory:</div>`;
+        const expansion = levelData?.uncompressed && gpuMemory !== levelData.uncompressed
+          ? ` (${(gpuMemory / levelData.uncompressed).toFixed(2)}× the uncompressed level data)` : '';
+        html += `<div style="margin-left:8px; margin-bottom:4px;">${formatBytes(gpuMemory)}${expansion}</div>`;
+        html += levelSizesTable(rows, totals, tableOpen);
         
         // Add metadata if provided (for KTX2 files)
         if (metadata) {
+          if (metadata.source) {
+            html += `<div style="color:#8cf;">Source:</div>`;
+            html += `<div style="margin-left:8px; margin-bottom:4px;">${escapeHTML(metadata.source)}</div>`;
+          }
+          if (metadata.layout) {
+            html += `<div style="color:#8cf;">Layout:</div>`;
+            html += `<div style="margin-left:8px; margin-bottom:4px;">${metadata.layout}</div>`;
+          }
           if (metadata.supercompression) {
             html += `<div style="color:#8cf;">Supercompression:</div>`;
             html += `<div style="margin-left:8px; margin-bottom:4px;">${metadata.supercompression}</div>`;
           }
+          if (metadata.transcode) {
+            html += `<div style="color:#8cf;">Transcoded To:</div>`;
+            html += `<div style="margin-left:8px; margin-bottom:4px;">${metadata.transcode}</div>`;
+          }
+          if (metadata.cpuDecode) {
+            html += `<div style="color:#8cf;">CPU Decoded To:</div>`;
+            html += `<div style="margin-left:8px; margin-bottom:4px;">${metadata.cpuDecode}</div>`;
+          }
           if (metadata.kvd) {
             html += `<div style="color:#8cf;">KVD:</div>`;
-            html += `<div style="margin-left:8px; margin-bottom:4px;">${metadata.kvd}</div>`;
+            html += `<div style="margin-left:8px; margin-bottom:4px;">${escapeHTML(metadata.kvd)}</div>`;
           }
           if (metadata.dfd) {
             html += `<div style="color:#8cf;">DFD:</div>`;
-            html += `<div style="margin-left:8px;">${metadata.dfd}</div>`;
+            html += metadata.dfd.map(line => `<div style="margin-left:8px;">${line}</div>`).join('');
           }
         }
         
@@ -370,17 +458,317 @@
         usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
       });
       let exposureEV = 0;
+      // Tone mapping operator and output encoding; values match TONEMAP_* and
+      // OUTPUT_* in shaders.wgsl
+      let toneMap = 3;
+      let whitePoint = 4;
+      let outputTransform = 0;
+      let cubeMode = 0;
+      let cubeFace = 0;
+      let volAxis = 2;
+      let volSlice = 0;
+      let volMode = 0;
+      let volumeSize = [1, 1, 1]; // level 0 width, height, depth
+      let alphaPremultiplied = false; // from the KTX2 DFD flags
+      // CHANNELS_* in shaders.wgsl picked by "Auto": grayscale for one-channel formats, RG for two
+      let formatChannelLayout = 0;
+      function currentChannelLayout() {
+        return channelLayoutSel.value === 'auto' ? formatChannelLayout : parseInt(channelLayoutSel.value, 10);
+      }
+      // Comparison texture (B) shown against srcTex (A) by the COMPARE_* modes in shaders.wgsl:
+      // { tex, view, name, width, height, mipCount, channelLayout, block }; 2D views only
+      const COMPARE_SIDE_BY_SIDE = 1, COMPARE_WIPE = 2, COMPARE_FLICKER = 3, COMPARE_DIFFERENCE = 4;
+      let compareTarget = null;
+      let compareMode = COMPARE_SIDE_BY_SIDE;
+      let compareSplit = 0.5;
+      let compareFlickerMs = 500;
+      let compareGain = 8;
+      function compareActive() {
+        return compareTarget !== null && compareMode > 0 && texViewDimension === '2d';
+      }
       function updateUniforms() {
         const mul = Math.pow(2, exposureEV);
         const ch = getChannelMultipliers();
-        const arr = new Float32Array([exposureEV, mul, lastW, lastH, ch.r, ch.g, ch.b, ch.a]);
+        const arr = new Float32Array([
+          exposureEV, mul, lastW, lastH, ch.r, ch.g, ch.b, ch.a,
+          cubeMode, cubeFace,
+          currentLayer, layerCount, contactSheetBox.checked ? 1 : 0,
+          volAxis, (volSlice + 0.5) / volumeSize[volAxis], volMode,
+          alphaPremultiplied ? 1 : 0,
+          ...updateViewTransform(),
+          toneMap, whitePoint, outputTransform,
+          currentChannelLayout(),
+          compareActive() ? compareMode : 0, compareSplit, compareGain,
+          Math.floor(performance.now() / compareFlickerMs) % 2
+        ]);
         device.queue.writeBuffer(uniformBuf, 0, arr.buffer);
+        return arr;
       }
 
       evInput.oninput = () => {
         exposureEV = parseFloat(evInput.value);
         evVal.textContent = evInput.value;
       };
+      autoExposeBtn.onclick = () => {
+        if (!lastStats) return;
+        const ev = Math.max(-10, Math.min(10, Math.round(lastStats.exposureEV * 10) / 10));
+        evInput.value = ev;
+        evInput.oninput();
+        logApp(`Auto exposure: ${ev >= 0 ? '+' : ''}${ev} EV`, 'info');
+      };
+      toneMapSel.onchange = () => {
+        toneMap = parseInt(toneMapSel.value, 10);
+        whitePointRow.style.display = toneMap === 2 ? 'flex' : 'none';
+      };
+      whitePointSlider.oninput = () => {
+        whitePoint = parseFloat(whitePointSlider.value);
+        whitePointLabel.textContent = whitePoint.toFixed(1);
+      };
+      outputTransformSel.onchange = () => {
+        outputTransform = parseInt(outputTransformSel.value, 10);
+      };
+
+      // 3D volume controls; the slice index is in level 0 texels along the axis
+      function updateVolumeSlider() {
+        const size = volumeSize[volAxis];
+        volSliceSlider.max = Math.max(0, size - 1);
+        volSlice = Math.min(volSlice, size - 1);
+        volSliceSlider.value = volSlice;
+        volSliceLabel.textContent = `${volSlice}/${size - 1}`;
+      }
+      function resetVolumeControls(size) {
+        volumeSize = size;
+        volAxis = 2;
+        volAxisSel.value = '2';
+        volSlice = Math.floor(size[2] / 2);
+        updateVolumeSlider();
+      }
+      volAxisSel.onchange = () => {
+        const t = (volSlice + 0.5) / volumeSize[volAxis];
+        volAxis = parseInt(volAxisSel.value, 10);
+        volSlice = Math.floor(t * volumeSize[volAxis]);
+        updateVolumeSlider();
+      };
+      volSliceSlider.oninput = () => {
+        volSlice = parseInt(volSliceSlider.value, 10);
+        updateVolumeSlider();
+      };
+      volModeSel.onchange = () => {
+        volMode = parseInt(volModeSel.value, 10);
+        volSliceSlider.disabled = volMode === 1;
+      };
+
+      // View transform: content texels -> canvas pixels. viewScale is canvas pixels
+      // per content texel and viewCenter the content texel at the canvas center.
+      // A preset ('fit', 'fill', '1:1') is re-applied every frame so it follows
+      // resizes and view changes; zooming or panning by hand clears it.
+      const TEXEL_GRID_MIN_SCALE = 8;
+      const MIN_ZOOM = 1 / 64, MAX_ZOOM = 512;
+      let viewPreset = 'fit';
+      let viewScale = 1;
+      let viewCenter = [0.5, 0.5];
+      let lastContent = [1, 1];
+
+      // Size in texels of what the current view mode draws (cross, contact sheet, slice plane...)
+      function contentSize() {
+        const mip = mipOnlyBox.checked ? currentMip : 0;
+        const w = Math.max(1, srcTex.width >> mip);
+        const h = Math.max(1, srcTex.height >> mip);
+        if (texViewDimension === 'cube') {
+          if (cubeMode === 1) return [4 * w, 3 * h];
+          if (cubeMode === 2) return [4 * w, 2 * h];
+          return [w, h];
+        }
+        if (texViewDimension === '2d-array' && contactSheetBox.checked) {
+          const cols = Math.ceil(Math.sqrt(layerCount));
+          return [cols * w, Math.ceil(layerCount / cols) * h];
+        }
+        if (texViewDimension === '3d') {
+          const d = Math.max(1, srcTex.depthOrArrayLayers >> mip);
+          if (volAxis === 0) return [d, h];
+          if (volAxis === 1) return [w, d];
+        }
+        if (compareActive() && compareMode === COMPARE_SIDE_BY_SIDE) return [2 * w, h];
+        return [w, h];
+      }
+
+      function updateViewTransform() {
+        const [cw, ch] = contentSize();
+        if (viewPreset) {
+          const fit = Math.min(lastW / cw, lastH / ch);
+          const fill = Math.max(lastW / cw, lastH / ch);
+          viewScale = viewPreset === 'fill' ? fill : (viewPreset === '1:1' ? 1 : fit);
+          viewCenter = [cw / 2, ch / 2];
+        } else if (cw !== lastContent[0] || ch !== lastContent[1]) {
+          // Keep the same region in view when the content is resized (e.g. a mip change)
+          const rx = cw / lastContent[0], ry = ch / lastContent[1];
+          viewCenter = [viewCenter[0] * rx, viewCenter[1] * ry];
+          viewScale /= rx;
+        }
+        lastContent = [cw, ch];
+        zoomLabel.textContent = `${+(viewScale * 100).toPrecision(4)}%`;
+
+        // The equirectangular view does not map to texels
+        const gridAllowed = !(texViewDimension === 'cube' && cubeMode === 2);
+        const grid = texelGridBox.checked && gridAllowed && viewScale >= TEXEL_GRID_MIN_SCALE;
+        return [cw, ch, viewScale, viewCenter[0], viewCenter[1], grid ? 1 : 0];
+      }
+
+      // Canvas pixel -> content texel coordinate (used by zoom and the pixel inspector)
+      function canvasToContent(x, y) {
+        return [
+          (x - lastW / 2) / viewScale + viewCenter[0],
+          (y - lastH / 2) / viewScale + viewCenter[1]
+        ];
+      }
+
+      viewFitBtn.onclick  = () => { viewPreset = 'fit'; };
+      viewFillBtn.onclick = () => { viewPreset = 'fill'; };
+      view1to1Btn.onclick = () => { viewPreset = '1:1'; };
+      canvas.addEventListener('dblclick', () => {
+        if (scene) resetOrbit();
+        viewPreset = 'fit';
+      });
+
+      // Wheel zooms around the cursor: the texel under it stays put
+      canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const lineHeight = e.deltaMode === 1 ? 16 : 1;
+        if (scene) {
+          dollyOrbit(e.deltaY * lineHeight);
+          return;
+        }
+        const [tx, ty] = canvasToContent(e.offsetX, e.offsetY);
+        viewScale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, viewScale * Math.pow(1.0015, -e.deltaY * lineHeight)));
+        viewCenter = [
+          tx - (e.offsetX - lastW / 2) / viewScale,
+          ty - (e.offsetY - lastH / 2) / viewScale
+        ];
+        viewPreset = null;
+      }, { passive: false });
+
+      // Drag to pan; in wipe comparison, dragging the split line moves it
+      let dragging = false;
+      let draggingSplit = false;
+      function nearSplitLine(px) {
+        if (!compareActive() || compareMode !== COMPARE_WIPE) return false;
+        const lineX = (compareSplit * lastContent[0] - viewCenter[0]) * viewScale + lastW / 2;
+        return Math.abs(px - lineX) <= 6;
+      }
+      canvas.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        draggingSplit = nearSplitLine(e.offsetX);
+        dragging = !draggingSplit;
+        canvas.setPointerCapture?.(e.pointerId);
+      });
+      canvas.addEventListener('pointermove', (e) => {
+        canvas.style.cursor = draggingSplit || nearSplitLine(e.offsetX) ? 'ew-resize' : '';
+        if (draggingSplit) {
+          compareSplit = Math.min(1, Math.max(0, canvasToContent(e.offsetX, e.offsetY)[0] / lastContent[0]));
+          compareSplitSlider.value = compareSplit;
+          return;
+        }
+        if (!dragging || (e.movementX === 0 && e.movementY === 0)) return;
+        if (scene) {
+          moveOrbit(e.movementX, e.movementY, e.shiftKey);
+          return;
+        }
+        viewCenter = [viewCenter[0] - e.movementX / viewScale, viewCenter[1] - e.movementY / viewScale];
+        viewPreset = null;
+      });
+      const endDrag = (e) => {
+        dragging = false;
+        draggingSplit = false;
+        canvas.releasePointerCapture?.(e.pointerId);
+      };
+      canvas.addEventListener('pointerup', endDrag);
+      canvas.addEventListener('pointercancel', endDrag);
+
+      // Pixel inspector: the loaders keep the stored bytes of every image here
+      // ({ formatInfo, levels: [{ width, height, depth, images: [{ layer, face, data }] }] })
+      let inspectSource = null;
+      let inspectKey = null; // texel and uniforms of the last readback; null after a load
+      let loadCount = 0;     // bumped once a loader has uploaded every level
+      let hoverPos = null;
+      canvas.addEventListener('pointermove', (e) => { hoverPos = [e.offsetX, e.offsetY]; });
+      canvas.addEventListener('pointerleave', () => { hoverPos = null; });
+
+      // Stored texel under a canvas position: mip, texel x/y/z, array layer and cube face
+      function texelAt(px, py) {
+        const [tx, ty] = canvasToContent(px, py);
+        const [cw, ch] = lastContent;
+        if (tx < 0 || ty < 0 || tx >= cw || ty >= ch) return null;
+        const mip = mipOnlyBox.checked ? currentMip : 0;
+        const w = Math.max(1, srcTex.width >> mip);
+        const h = Math.max(1, srcTex.height >> mip);
+        const texel = (u, v) => [Math.min(w - 1, Math.floor(u * w)), Math.min(h - 1, Math.floor(v * h))];
+
+        if (texViewDimension === 'cube') {
+          let face = cubeFace, u = tx / w, v = ty / h;
+          if (cubeMode === 1) {
+            const cx = Math.floor(tx / w), cy = Math.floor(ty / h);
+            face = window.crossFace(cx, cy);
+            if (face < 0) return null;
+            u = tx / w - cx;
+            v = ty / h - cy;
+          } else if (cubeMode === 2) {
+            ({ face, u, v } = window.cubeFaceFromDirection(...window.equirectDirection(tx / cw, ty / ch)));
+          }
+          const [x, y] = texel(u, v);
+          return { mip, x, y, z: 0, layer: currentLayer, face };
+        }
+        if (texViewDimension === '2d-array' && contactSheetBox.checked) {
+          const cols = Math.ceil(Math.sqrt(layerCount));
+          const cx = Math.floor(tx / w), cy = Math.floor(ty / h);
+          const layer = cy * cols + cx;
+          if (layer >= layerCount) return null;
+          const [x, y] = texel(tx / w - cx, ty / h - cy);
+          return { mip, x, y, z: 0, layer, face: 0 };
+        }
+        if (texViewDimension === '3d') {
+          const d = Math.max(1, srcTex.depthOrArrayLayers >> mip);
+          const size = [w, h, d];
+          const plane = [[2, 1], [0, 2], [0, 1]][volAxis]; // texture axes across and down
+          const coord = [0, 0, 0];
+          coord[plane[0]] = Math.min(size[plane[0]] - 1, Math.floor(tx));
+          coord[plane[1]] = Math.min(size[plane[1]] - 1, Math.floor(ty));
+          coord[volAxis] = Math.min(size[volAxis] - 1,
+            Math.floor((volSlice + 0.5) / volumeSize[volAxis] * size[volAxis]));
+          return { mip, x: coord[0], y: coord[1], z: coord[2], layer: 0, face: 0 };
+        }
+        if (compareActive() && compareMode === COMPARE_SIDE_BY_SIDE) {
+          // Both halves inspect A
+          const [x, y] = texel((tx % (cw / 2)) / (cw / 2), ty / ch);
+          return { mip, x, y, z: 0, layer: 0, face: 0 };
+        }
+        const [x, y] = texel(tx / cw, ty / ch);
+        return { mip, x, y, z: 0, layer: texViewDimension === '2d-array' ? currentLayer : 0, face: 0 };
+      }
+
+      // Cubemap view controls
+      cubeModeSel.onchange = () => {
+        cubeMode = parseInt(cubeModeSel.value, 10);
+        cubeFaceRow.style.display = cubeMode === 0 ? 'flex' : 'none';
+      };
+      cubeFaceSel.onchange = () => {
+        cubeFace = parseInt(cubeFaceSel.value, 10);
+      };
+
+      // KTX2 spec validation; runs before parsing so broken files still get a report
+      const ktx2ValidateBtn = document.getElementById('ktx2ValidateBtn');
+      let lastKTX2Validation = null;
+      function validateKTX2File(buf, fileName) {
+        if (typeof window.validateKTX2 !== 'function') return;
+        const report = window.validateKTX2(buf);
+        lastKTX2Validation = { report, fileName };
+        const { numErrors, numWarnings } = report.issues;
+        const level = numErrors ? 'error' : (numWarnings ? 'warn' : 'success');
+        logApp(`KTX2 validation: ${numErrors} error(s), ${numWarnings} warning(s)`, level);
+        ktx2ValidateBtn.style.display = 'block';
+      }
+      ktx2ValidateBtn.onclick = () => {
+        if (lastKTX2Validation) window.showKTX2Validation(lastKTX2Validation.report, lastKTX2Validation.fileName);
+      };
 
       // glTF Validation Handler
       if (validateBtn) {
@@ -469,6 +857,37 @@
       }
       let srcView = srcTex.createView();
 
+      // View dimension of srcTex ('2d', 'cube', '2d-array' or '3d'); also picks the pipeline
+      let texViewDimension = '2d';
+      function createSrcView(desc = {}) {
+        // Cube arrays are browsed one cube (6 layers) at a time
+        const cubeLayers = texViewDimension === 'cube'
+          ? { baseArrayLayer: currentLayer * 6, arrayLayerCount: 6 }
+          : {};
+        return srcTex.createView({ dimension: texViewDimension, ...cubeLayers, ...desc });
+      }
+
+      // Array layer state
+      let currentLayer = 0;
+      let layerCount = 1;
+      layerSlider.oninput = () => {
+        currentLayer = Math.floor(parseFloat(layerSlider.value));
+        layerLabel.textContent = currentLayer;
+        applySelectedMip();
+      };
+
+      function resetLayerControls(count, allowContactSheet) {
+        layerCount = count;
+        currentLayer = 0;
+        layerSlider.min = 0;
+        layerSlider.max = Math.max(0, count - 1);
+        layerSlider.value = 0;
+        layerLabel.textContent = '0';
+        contactSheetBox.parentNode.style.display = allowContactSheet ? 'flex' : 'none';
+        if (!allowContactSheet) contactSheetBox.checked = false;
+        layerControls.style.display = count > 1 ? 'block' : 'none';
+      }
+
       // Mip state
       let currentMip = 0;
       let mipCount = 1;
@@ -501,35 +920,51 @@
         return mips;
       }
 
-      async function loadImageToTexture(file) {
-        logApp(`Loading ${file.name}...`, 'info');
-        const bmp = await createImageBitmap(file, { imageOrientation: 'from-image' });
-
+      // rgba8unorm-srgb texture with the mip chain of a browser-decoded image; leaves the viewer state alone
+      async function createImageTexture(bmp) {
         const levels = Math.floor(Math.log2(Math.max(1, Math.max(bmp.width, bmp.height)))) + 1;
-        srcTex?.destroy?.();
-        srcTex = device.createTexture({
+        const mipImages = await createMipImages(bmp);
+        const texture = device.createTexture({
           size: { width: bmp.width, height: bmp.height, depthOrArrayLayers: 1 },
-          format: 'rgba8unorm',
+          format: 'rgba8unorm-srgb',
           mipLevelCount: levels,
           usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
         });
-
-        srcView = srcTex.createView();
-        texBindGroup = makeTexBindGroup();
-
-        const mipImages = await createMipImages(bmp);
         for (let i = 0; i < mipImages.length; i++) {
           const m = mipImages[i];
           const { data, bytesPerRow } = padRows(m.data, m.width, m.height, 4);
           device.queue.writeTexture(
-            { texture: srcTex, mipLevel: i },
+            { texture, mipLevel: i },
             data,
             { bytesPerRow },
             { width: m.width, height: m.height, depthOrArrayLayers: 1 }
           );
         }
+        return { texture, levels, mipImages };
+      }
+
+      async function loadImageToTexture(file) {
+        logApp(`Loading ${file.name}...`, 'info');
+        const bmp = await createImageBitmap(file, { imageOrientation: 'from-image' });
+        const { texture, levels, mipImages } = await createImageTexture(bmp);
+
+        srcTex?.destroy?.();
+        srcTex = texture;
+        texViewDimension = '2d';
+        alphaPremultiplied = false;
+        formatChannelLayout = 0;
+        ktx2ValidateBtn.style.display = 'none';
+        cubeControls.style.display = 'none';
+        volumeControls.style.display = 'none';
+        resetLayerControls(1, false);
+        inspectSource = {
+          formatInfo: { format: 'rgba8unorm-srgb', bytesPerPixel: 4 },
+          levels: mipImages.map(m => ({ width: m.width, height: m.height, depth: 1, images: [{ layer: 0, face: 0, data: m.data }] }))
+        };
 
         srcView = srcTex.createView();
+        inspectKey = null;
+        loadCount++;
         mipCount = levels;
         currentMip = 0;
         mipSlider.min = 0;
@@ -544,11 +979,116 @@
         if (texPipeline) texBindGroup = makeTexBindGroup();
         
         // Update texture info panel
-        updateTextureInfo(file.size, bmp.width, bmp.height, 'rgba8unorm', levels, file.name);
+        updateTextureInfo(file.size, bmp.width, bmp.height, 'rgba8unorm-srgb', levels, file.name);
         
         logApp(`Successfully loaded ${file.name} (${bmp.width}×${bmp.height}, ${levels} mips)`, 'success');
       }
 
+      // Box-filtered mip chain of a linear RGBA float32 image
+      function createFloatMipImages(width, height, data) {
+        const mips = [{ width, height, data }];
+        while (width > 1 || height > 1) {
+          const w = Math.max(1, width >> 1), h = Math.max(1, height >> 1);
+          const src = data;
+          const dst = new Float32Array(w * h * 4);
+          for (let y = 0; y < h; y++) {
+            const y0 = Math.min(2 * y, height - 1), y1 = Math.min(2 * y + 1, height - 1);
+            for (let x = 0; x < w; x++) {
+              const x0 = Math.min(2 * x, width - 1), x1 = Math.min(2 * x + 1, width - 1);
+              for (let c = 0; c < 4; c++) {
+                dst[(y * w + x) * 4 + c] = 0.25 * (
+                  src[(y0 * width + x0) * 4 + c] + src[(y0 * width + x1) * 4 + c] +
+                  src[(y1 * width + x0) * 4 + c] + src[(y1 * width + x1) * 4 + c]);
+              }
+            }
+          }
+          mips.push({ width: w, height: h, data: dst });
+          width = w; height = h; data = dst;
+        }
+        return mips;
+      }
+
+      // Reads a .hdr / .pic / .exr file: { image: { width, height, data: Float32Array RGBA }, source }
+      async function readFloatImage(file) {
+        if (/\.(hdr|pic)$/i.test(file.name)) {
+          return { image: window.parseRadianceHDR(await file.arrayBuffer()), source: 'Radiance RGBE' };
+        }
+        const image = await window.parseEXR(await file.arrayBuffer());
+        return { image, source: `OpenEXR ${image.compression}, channels ${image.channels.join(' ')}` };
+      }
+
+      // Float texture (rgba32float where filterable, else rgba16float) with the box-filtered mip chain
+      // of a decoded float image; leaves the viewer state alone
+      function createFloatImageTexture(image) {
+        const { width, height } = image;
+        const format = supportsFloat32Filter ? 'rgba32float' : 'rgba16float';
+        const mipImages = createFloatMipImages(width, height, image.data);
+        const texture = device.createTexture({
+          size: { width, height, depthOrArrayLayers: 1 },
+          format,
+          mipLevelCount: mipImages.length,
+          usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+        });
+
+        const bytesPerPixel = format === 'rgba32float' ? 16 : 8;
+        for (let i = 0; i < mipImages.length; i++) {
+          const m = mipImages[i];
+          const f32Bytes = new Uint8Array(m.data.buffer, m.data.byteOffset, m.data.byteLength);
+          const raw = bytesPerPixel === 16 ? f32Bytes : convertRGBA32FtoRGBA16F(f32Bytes, m.width, m.height);
+          const { data, bytesPerRow } = padRows(raw, m.width, m.height, bytesPerPixel);
+          device.queue.writeTexture(
+            { texture, mipLevel: i },
+            data,
+            { bytesPerRow },
+            { width: m.width, height: m.height, depthOrArrayLayers: 1 }
+          );
+        }
+        return { texture, format, mipImages };
+      }
+
+      // Decoded .hdr / .exr image into srcTex
+      function loadFloatImageToTexture(file, image, source) {
+        const { width, height } = image;
+        const { texture, format, mipImages } = createFloatImageTexture(image);
+        const levels = mipImages.length;
+
+        srcTex?.destroy?.();
+        srcTex = texture;
+        texViewDimension = '2d';
+        alphaPremultiplied = false;
+        formatChannelLayout = 0;
+        ktx2ValidateBtn.style.display = 'none';
+        cubeControls.style.display = 'none';
+        volumeControls.style.display = 'none';
+        resetLayerControls(1, false);
+        // The inspector shows the decoded float32 values, before any half conversion
+        inspectSource = {
+          formatInfo: { format: 'rgba32float', bytesPerPixel: 16 },
+          levels: mipImages.map(m => ({
+            width: m.width, height: m.height, depth: 1,
+            images: [{ layer: 0, face: 0, data: new Uint8Array(m.data.buffer, m.data.byteOffset, m.data.byteLength) }]
+          }))
+        };
+
+        srcView = srcTex.createView();
+        inspectKey = null;
+        loadCount++;
+        mipCount = levels;
+        currentMip = 0;
+        mipSlider.min = 0;
+        mipSlider.max = Math.max(0, mipCount - 1);
+        mipSlider.value = 0;
+        mipLabel.textContent = '0';
+        mipControls.style.display = mipCount > 1 ? 'block' : 'none';
+
+        stat.textContent = `Loaded ${file.name} (${width}×${height})`;
+        meta.textContent = '';
+        if (texPipeline) texBindGroup = makeTexBindGroup();
+
+        updateTextureInfo(file.size, width, height, format, levels, file.name, { source });
+        logApp(`Successfully loaded ${file.name} (${width}×${height}, ${source}, ${levels} mips)`, 'success');
+      }
+
       function float32ToFloat16(val) {
         const floatView = new Float32Array(1);
         const intView = new Uint32Array(floatView.buffer);
@@ -584,118 +1124,300 @@
         return new Uint8Array(dst.buffer);
       }
 
-      async function loadKTX2_ToTexture(file) {
-        if (!bcSupported) {
-          logApp('BC compressed textures not supported on this device.', 'error');
-          throw new Error('BC compressed textures not supported on this device.');
+      // Upload one uncompressed image (a face or layer of a mip, or all slices of a 3D mip) into srcTex
+      function uploadPixelImage(texture, raw, mipLevel, layer, width, height, formatInfo, depth = 1) {
+        // Formats WebGPU can't sample as stored are converted first (pixelconvert.js)
+        if (formatInfo.convert) {
+          raw = window.convertPixels(raw, width * height * depth, formatInfo);
         }
-        
+
+        // Compute row padding; slices are just more rows
+        const { data, bytesPerRow } = padRows(raw, width, height * depth, formatInfo.bytesPerPixel);
+
+        device.queue.writeTexture(
+          { texture, mipLevel, origin: { x: 0, y: 0, z: layer } },
+          data,
+          { bytesPerRow, rowsPerImage: height },
+          { width, height, depthOrArrayLayers: depth }
+        );
+      }
+
+      // Upload one block-compressed image (a face or layer of a mip, or all slices of a 3D mip) into srcTex
+      function uploadBlockImage(texture, raw, mipLevel, layer, width, height, formatInfo, depth = 1) {
+        const { blockWidth, blockHeight, bytesPerBlock } = formatInfo;
+        const uploadWidth = Math.ceil(width / blockWidth) * blockWidth;
+        const uploadHeight = Math.ceil(height / blockHeight) * blockHeight;
+        // Block rows of consecutive slices follow each other, so pad them as one tall image
+        const { data, bytesPerRow } =
+          padBlockRowsBC(raw, width, uploadHeight * depth, bytesPerBlock, blockWidth, blockHeight);
+        device.queue.writeTexture(
+          { texture, mipLevel, origin: { x: 0, y: 0, z: layer } },
+          data,
+          { bytesPerRow, rowsPerImage: uploadHeight / blockHeight },
+          { width: uploadWidth, height: uploadHeight, depthOrArrayLayers: depth }
+        );
+      }
+
+      // ETC2/EAC and ASTC fallback decodes run in a worker. Webviews can only start workers from
+      // blob: URLs, so it is assembled from the fetched decoder scripts; without one they run inline.
+      let decodeWorker;
+      let decodeJobId = 0;
+      const decodeJobs = new Map();
+
+      async function getDecodeWorker() {
+        if (decodeWorker !== undefined) return decodeWorker;
+        decodeWorker = null;
+        try {
+          if (typeof Worker !== 'function') throw new Error('Worker is not available');
+          const sources = await Promise.all(window.decodeWorkerUris.map(async (uri) => {
+            const res = await fetch(uri);
+            if (!res.ok) throw new Error(`${uri}: HTTP ${res.status}`);
+            return res.text();
+          }));
+          const url = URL.createObjectURL(new Blob(['const window = self;\n', ...sources], { type: 'text/javascript' }));
+          const worker = new Worker(url);
+          worker.onmessage = (e) => {
+            const job = decodeJobs.get(e.data.id);
+            decodeJobs.delete(e.data.id);
+            if (e.data.error) job?.reject(new Error(e.data.error));
+            else job?.resolve(e.data.pixels);
+          };
+          // Raised when the worker script cannot load (e.g. CSP); pending jobs finish inline
+          worker.onerror = (e) => {
+            logApp(`Decode worker failed (${e.message || 'script error'}); decoding on the main thread`, 'warn');
+            decodeWorker = null;
+            for (const job of decodeJobs.values()) job.inline();
+            decodeJobs.clear();
+          };
+          decodeWorker = worker;
+        } catch (err) {
+          logApp(`Decode worker unavailable (${err.message}); decoding on the main thread`, 'warn');
+        }
+        return decodeWorker;
+      }
+
+      function decodeBlocksInline(data, width, height, depth, formatInfo) {
+        return formatInfo.format.startsWith('astc')
+          ? window.decodeASTCImage(data, width, height, depth, formatInfo)
+          : window.decodeETCImage(data, width, height, depth, formatInfo);
+      }
+
+      // Decodes one ETC2/EAC or ASTC image to the decoder's target format
+      async function decodeBlocksOffThread(data, width, height, depth, formatInfo) {
+        const worker = await getDecodeWorker();
+        if (!worker) return decodeBlocksInline(data, width, height, depth, formatInfo);
+        const copy = data.slice();
+        return new Promise((resolve, reject) => {
+          const id = ++decodeJobId;
+          const inline = () => {
+            try { resolve(decodeBlocksInline(data, width, height, depth, formatInfo)); } catch (err) { reject(err); }
+          };
+          decodeJobs.set(id, { resolve, reject, inline });
+          worker.postMessage({ id, data: copy, width, height, depth, formatInfo }, [copy.buffer]);
+        });
+      }
+
+      async function loadKTX2_ToTexture(file) {
         logApp(`Loading KTX2 ${file.name}...`, 'info');
         await waitForKTXParser();
 
         const buf = await file.arrayBuffer();
-        const { header, levels, dfd, kvd } = await window.parseKTX2(buf);
+        validateKTX2File(buf, file.name);
+        const parsed = await window.parseKTX2(buf);
+        await uploadParsedTexture(file, buf, parsed, 'KTX2');
+      }
 
-        const is2D = header.pixelDepth === 0 && header.faceCount === 1;
-        if (!is2D) {
-          logApp('Only 2D, 1-face KTX2 supported in this demo.', 'error');
-          throw new Error('Only 2D, 1-face KTX2 supported in this demo.');
+      async function loadKTX1_ToTexture(file) {
+        logApp(`Loading KTX1 ${file.name}...`, 'info');
+        const buf = await file.arrayBuffer();
+        const parsed = window.parseKTX1(buf);
+        ktx2ValidateBtn.style.display = 'none';
+        await uploadParsedTexture(file, buf, parsed, 'KTX1');
+      }
+
+      async function loadDDS_ToTexture(file) {
+        logApp(`Loading DDS ${file.name}...`, 'info');
+        const buf = await file.arrayBuffer();
+        const parsed = window.parseDDS(buf);
+        ktx2ValidateBtn.style.display = 'none';
+        await uploadParsedTexture(file, buf, parsed, 'DDS');
+      }
+
+      // Creates and fills a GPU texture from a parsed container ({ header, levels, dfd } as returned
+      // by parseKTX2, or parseKTX1 / parseDDS whose levels carry their bytes in level.data): Basis
+      // payloads are transcoded, and formats the device can't sample are converted or CPU-decoded.
+      // Leaves the viewer state alone; the comparison loader uses it for B and the glTF scene for KTX2 images.
+      async function createParsedTexture(buf, parsed) {
+        const { header, levels, dfd } = parsed;
+
+        const is3D = header.pixelDepth > 0;
+        if (is3D && (header.faceCount !== 1 || header.layerCount > 0)) {
+          logApp('3D cubemaps and 3D texture arrays are not supported.', 'error');
+          throw new Error('3D cubemaps and 3D texture arrays are not supported.');
+        }
+        if (header.faceCount !== 1 && header.faceCount !== 6) {
+          throw new Error(`Invalid faceCount ${header.faceCount}`);
         }
 
-        const formatInfo = window.vkFormatToWebGPU(header.vkFormat);
-        if (!formatInfo) throw new Error(`Unsupported vkFormat ${header.vkFormat}`);
+        // BasisLZ (ETC1S) and UASTC payloads have vkFormat 0 and go through the Basis transcoder first
+        let formatInfo;
+        let formatName;
+        let transcoded = null;
+        let transcodeInfo = null;
+        if (header.vkFormat === 0) {
+          if (typeof window.transcodeFullKTX2 !== 'function') {
+            throw new Error('Basis transcoder (transcoder.js) not loaded.');
+          }
+          const basisName = header.supercompressionScheme === 1 ? 'BasisLZ/ETC1S'
+            : (dfd?.colorModel === 166 ? 'UASTC' : 'Basis');
+          const srgb = window.isDFDSRGB(dfd);
+          formatInfo = window.selectTranscodeTarget(adapter.features, srgb);
+
+          logApp(`Transcoding ${basisName} to ${formatInfo.name}...`, 'info');
+          const t0 = performance.now();
+          transcoded = await window.transcodeFullKTX2(buf, formatInfo, header);
+          const ms = performance.now() - t0;
+
+          formatName = `${basisName} → ${formatInfo.format}`;
+          transcodeInfo = `${formatInfo.name} (${formatInfo.format}) in ${ms.toFixed(1)} ms`;
+          logApp(`Transcoded to ${formatInfo.name} in ${ms.toFixed(1)} ms`, 'success');
+        } else {
+          formatInfo = window.vkFormatToWebGPU(header.vkFormat);
+          if (!formatInfo) throw new Error(`Unsupported vkFormat ${header.vkFormat}`);
+          formatName = window.getFormatName ? window.getFormatName(header.vkFormat) : `vkFormat ${header.vkFormat}`;
+
+          // Uploads that need a device feature fall back to a converted format without it
+          while (formatInfo.feature && !device.features.has(formatInfo.feature)) {
+            logApp(`No ${formatInfo.feature}; uploading ${formatName} as ${formatInfo.fallback.format} instead of ${formatInfo.format}`, 'warn');
+            formatInfo = formatInfo.fallback;
+          }
+
+          const dfdFormat = window.applyDFDTransfer(formatInfo, dfd);
+          if (dfdFormat !== formatInfo) {
+            logApp(`DFD transfer is ${window.getDFDTransferName(dfd.transferFunction)}; using ${dfdFormat.format} instead of ${formatInfo.format}`, 'warn');
+            formatInfo = dfdFormat;
+          }
+        }
 
         const isBlock = !!formatInfo.blockWidth; // BC formats
         const isPixel = !!formatInfo.bytesPerPixel; // uncompressed
 
-        const { format: wgpuFormat, blockWidth, blockHeight, bytesPerBlock } = formatInfo;
-        const formatName = window.getFormatName ? window.getFormatName(header.vkFormat) : `vkFormat ${header.vkFormat}`;
-
-        if (
-            formatInfo.format.startsWith("etc2") &&
-            !adapter.features.has("texture-compression-etc2")
-        ) {
-            throw new Error("ETC2 textures are not supported on this GPU/browser.");
+        // Without the matching texture-compression feature, blocks are decoded on the CPU and
+        // uploaded uncompressed: BC inline, ETC2/EAC and ASTC in the decode worker
+        let cpuDecode = null;
+        const compressionFamily = formatInfo.format.startsWith('bc') ? 'bc'
+          : (/^(etc2|eac)-/.test(formatInfo.format) ? 'etc2'
+          : (formatInfo.format.startsWith('astc') ? 'astc' : null));
+        if (compressionFamily === 'bc' && !bcSupported) {
+            if (typeof window.decodeBCImage !== 'function') {
+              logApp('BC compressed textures not supported on this device.', 'error');
+              throw new Error('BC compressed textures not supported on this device.');
+            }
+            cpuDecode = window.bcDecodeTarget(formatInfo);
+        } else if (compressionFamily === 'etc2' && !supportsETC2) {
+            cpuDecode = window.etcDecodeTarget(formatInfo);
+        } else if (compressionFamily === 'astc' && !supportsASTC) {
+            cpuDecode = window.astcDecodeTarget(formatInfo);
+        }
+        if (cpuDecode) {
+          logApp(`${compressionFamily.toUpperCase()} compressed textures not supported on this device; decoding ${formatInfo.format} to ${cpuDecode.format} on the CPU`, 'warn');
         }
 
-        if (
-            formatInfo.format.startsWith("astc") &&
-            !adapter.features.has("texture-compression-astc")
-        ) {
-            throw new Error("ASTC textures are not supported on this GPU/browser.");
+        const { format: wgpuFormat } = cpuDecode || formatInfo;
+
+        if (is3D && formatInfo.blockWidth && !cpuDecode) {
+          const sliced = formatInfo.format.startsWith('bc') ? supportsBC3D
+            : (formatInfo.format.startsWith('astc') ? supportsASTC3D : false);
+          if (!sliced) throw new Error(`3D ${formatInfo.format} textures are not supported on this GPU/browser.`);
         }
 
-        srcTex?.destroy?.();
-        srcTex = device.createTexture({
-          size: { width: header.pixelWidth, height: header.pixelHeight, depthOrArrayLayers: 1 },
+        // Cubemaps keep their six faces as array layers and are viewed through a 'cube' view;
+        // array layers follow each other, each holding faceCount images
+        const faceCount = header.faceCount || 1;
+        const arrayLayers = Math.max(1, header.layerCount || 1);
+        const isCube = faceCount === 6;
+        const isArray = header.layerCount > 0;
+
+        const texture = device.createTexture({
+          dimension: is3D ? '3d' : '2d',
+          size: {
+            width: header.pixelWidth,
+            height: header.pixelHeight,
+            depthOrArrayLayers: is3D ? header.pixelDepth : arrayLayers * faceCount
+          },
           format: wgpuFormat,
           mipLevelCount: levels.length,
           usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
         });
 
-        srcView = srcTex.createView();
-
-        if (texPipeline) {
-            texBindGroup = makeTexBindGroup();
-        }
-
-        
-        for (let i = 0; i < levels.length; i++) {
-
-          const lvl = levels[i];
-          if (isPixel) {
-            let raw = window.getLevelData(buf, lvl);
-
-            if (formatInfo.sourceChannels === 3) {
-                const pixelCount = lvl.width * lvl.height;
-                const rgba = new Uint8Array(pixelCount * 4);
-
-                for (let p = 0; p < pixelCount; p++) {
-                    rgba[p*4+0] = raw[p*3+0];
-                    rgba[p*4+1] = raw[p*3+1];
-                    rgba[p*4+2] = raw[p*3+2];
-                    rgba[p*4+3] = 255;
-                }
-                raw = rgba;
+        const inspectLevels = [];
+        let cpuDecodeMs = 0;
+        try {
+          for (let i = 0; i < levels.length; i++) {
+            const lvl = levels[i];
+            const levelData = transcoded ? transcoded[i].data
+              : (lvl.data ?? await window.decodeLevelData(buf, lvl, header.supercompressionScheme, i));
+
+            const images = window.getLevelImages(levelData, formatInfo, lvl, arrayLayers, faceCount, i);
+            inspectLevels.push({ width: lvl.width, height: lvl.height, depth: lvl.depth, images });
+            for (const { layer, face, data } of images) {
+              const z = layer * faceCount + face;
+              if (cpuDecode) {
+                const t0 = performance.now();
+                const decoded = compressionFamily === 'bc'
+                  ? window.decodeBCImage(data, lvl.width, lvl.height, lvl.depth, formatInfo)
+                  : await decodeBlocksOffThread(data, lvl.width, lvl.height, lvl.depth, formatInfo);
+                cpuDecodeMs += performance.now() - t0;
+                uploadPixelImage(texture, decoded, i, z, lvl.width, lvl.height, cpuDecode, lvl.depth);
+              } else if (isPixel) {
+                uploadPixelImage(texture, data, i, z, lvl.width, lvl.height, formatInfo, lvl.depth);
+              } else {
+                uploadBlockImage(texture, data, i, z, lvl.width, lvl.height, formatInfo, lvl.depth);
+              }
             }
+          }
+        } catch (e) {
+          texture.destroy();
+          throw e;
+        }
 
-            if (formatInfo.sourceBytesPerPixel === 16 && formatInfo.bytesPerPixel === 8) {
-                // Convert float32 → float16 per component
-                raw = convertRGBA32FtoRGBA16F(raw, lvl.width, lvl.height);
-            }
+        return {
+          texture, formatInfo, formatName, wgpuFormat, transcodeInfo, cpuDecode, cpuDecodeMs, compressionFamily,
+          is3D, isCube, isArray, arrayLayers, faceCount, inspectLevels
+        };
+      }
 
+      // formatChannelLayout of a stored format: 1 for single-channel, 2 for two-channel, else 0
+      function vkFormatChannelLayout(vkFormat) {
+        const colorChannels = window.getVkFormatInfo(vkFormat)?.channels.replace(/[^RGBA]/g, '').length;
+        return colorChannels === 1 ? 1 : (colorChannels === 2 ? 2 : 0);
+      }
 
-            // Compute row padding
-            const { data, bytesPerRow } = padRows(
-                raw,
-                lvl.width,
-                lvl.height,
-                formatInfo.bytesPerPixel
-            );
+      // Uploads a parsed container into srcTex and fills the Texture Info panel
+      async function uploadParsedTexture(file, buf, parsed, containerName) {
+        const { header, levels, dfd, kvd } = parsed;
+        const {
+          texture, formatInfo, formatName, wgpuFormat, transcodeInfo, cpuDecode, cpuDecodeMs, compressionFamily,
+          is3D, isCube, isArray, arrayLayers, faceCount, inspectLevels
+        } = await createParsedTexture(buf, parsed);
 
-            device.queue.writeTexture(
-                { texture: srcTex, mipLevel: i },
-                data,
-                { bytesPerRow },
-                { width: lvl.width, height: lvl.height, depthOrArrayLayers: 1 }
-            );
+        alphaPremultiplied = dfd ? window.isDFDPremultiplied(dfd) : !!parsed.premultiplied;
+        formatChannelLayout = vkFormatChannelLayout(header.vkFormat);
 
-            continue; // Skip BC path
-          }
+        srcTex?.destroy?.();
+        srcTex = texture;
+        texViewDimension = is3D ? '3d' : (isCube ? 'cube' : (isArray ? '2d-array' : '2d'));
+        resetLayerControls(arrayLayers, isArray && !isCube);
+        if (is3D) resetVolumeControls([header.pixelWidth, header.pixelHeight, header.pixelDepth]);
+        srcView = createSrcView();
 
-          const raw = window.getLevelData(buf, lvl);
-          const { data, bytesPerRow, rowsPerImage } =
-            padBlockRowsBC(raw, lvl.width, lvl.height, bytesPerBlock, blockWidth, blockHeight);
-          const uploadWidth = Math.ceil(lvl.width / blockWidth) * blockWidth;
-          const uploadHeight = Math.ceil(lvl.height / blockHeight) * blockHeight;
-          device.queue.writeTexture(
-            { texture: srcTex, mipLevel: i },
-            data,
-            { bytesPerRow, rowsPerImage },
-            { width: uploadWidth, height: uploadHeight, depthOrArrayLayers: 1 }
-          );
+        if (texPipeline) {
+            texBindGroup = makeTexBindGroup();
         }
+        inspectSource = { formatInfo, levels: inspectLevels };
 
+        inspectKey = null;
+        loadCount++;
         mipCount = levels.length || 1;
         currentMip = 0;
         mipSlider.min = 0;
@@ -703,15 +1425,36 @@
         mipSlider.value = 0;
         mipLabel.textContent = '0';
         mipControls.style.display = mipCount > 1 ? 'block' : 'none';
+        cubeControls.style.display = isCube ? 'block' : 'none';
+        volumeControls.style.display = is3D ? 'block' : 'none';
 
         // Build metadata object for texture info panel
         const compressionName = window.getSupercompressionName ? 
           window.getSupercompressionName(header.supercompressionScheme) : 
           (header.supercompressionScheme === 0 ? 'None' : `Scheme ${header.supercompressionScheme}`);
         
+        // Basis payloads (vkFormat 0) are 4x4 blocks
+        const storedInfo = window.getVkFormatInfo(header.vkFormat);
         const metadata = {
-          supercompression: compressionName
+          supercompression: compressionName,
+          gpuFormat: wgpuFormat,
+          gpuLayers: is3D ? 1 : arrayLayers * faceCount,
+          levels,
+          blockSize: storedInfo ? [storedInfo.blockWidth, storedInfo.blockHeight] : [4, 4]
         };
+        if (parsed.source) metadata.source = parsed.source;
+        if (transcodeInfo) metadata.transcode = transcodeInfo;
+        if (cpuDecode) {
+          metadata.cpuDecode = `${cpuDecode.format} (no texture-compression-${compressionFamily}) in ${cpuDecodeMs.toFixed(1)} ms`;
+          logApp(`Decoded ${formatInfo.format} on the CPU in ${cpuDecodeMs.toFixed(1)} ms`, 'success');
+        }
+        if (isCube && isArray) metadata.layout = `Cubemap array (${arrayLayers} cubes)`;
+        else if (isCube) metadata.layout = 'Cubemap (6 faces)';
+        else if (isArray) metadata.layout = `Array (${arrayLayers} layers)`;
+        else if (is3D) {
+          metadata.layout = `3D volume (${header.pixelDepth} slices)`;
+          metadata.depth = header.pixelDepth;
+        }
         
         if (kvd && Object.keys(kvd).length > 0) {
           let kvdStr = Object.keys(kvd).join(', ');
@@ -720,50 +1463,131 @@
         }
         
         if (dfd) {
-          metadata.dfd = `colorModel=${dfd.colorModel}, transfer=${dfd.transferFunction}`;
+          metadata.dfd = window.describeDFD(dfd);
         }
         
-        stat.textContent = `Loaded ${file.name} (${header.pixelWidth}×${header.pixelHeight}, ${mipCount} mip${mipCount>1?'s':''})`;
+        const dims = is3D ? `${header.pixelWidth}×${header.pixelHeight}×${header.pixelDepth}` : `${header.pixelWidth}×${header.pixelHeight}`;
+        stat.textContent = `Loaded ${file.name} (${dims}, ${mipCount} mip${mipCount>1?'s':''})`;
         meta.textContent = '';  // Clear old meta display
         
         // Update texture info panel with metadata
         updateTextureInfo(file.size, header.pixelWidth, header.pixelHeight, formatName, mipCount, file.name, metadata);
         
-        logApp(`Successfully loaded KTX2 ${file.name} (${header.pixelWidth}×${header.pixelHeight}, ${formatName}, ${mipCount} mips)`, 'success');
+        logApp(`Successfully loaded ${containerName} ${file.name} (${dims}, ${formatName}, ${mipCount} mips)`, 'success');
       }
 
-      fileInp.addEventListener('change', async () => {
-        const f = fileInp.files?.[0];
-        if (!f) return;
-        
+      // Last file opened successfully (A)
+      let currentFile = null;
+
+      // Returns false when the file failed to load (the error is logged)
+      async function openFile(f, reload = false) {
         const fileName = f.name.toLowerCase();
+        // A new file starts fitted unless a preset was chosen
+        if (!reload && !viewPreset) viewPreset = 'fit';
 
         try {
           if (fileName.endsWith('.gltf') || fileName.endsWith('.glb')) {
             // --- glTF Handling ---
             window.currentGltfFile = f;
             if (gltfControls) gltfControls.style.display = 'block';
-            
-            stat.textContent = `Selected: ${f.name}`;
-            meta.textContent = 'glTF detected. Click Validate button to analyze.';
-            texInfo.style.display = 'none'; // Hide texture info panel
-            
-            logApp(`Selected glTF file: ${f.name}`, 'info');
+            await loadGLTFScene(f, reload);
+            currentFile = f;
           } else {
             // --- Texture Handling ---
             window.currentGltfFile = null;
             if (gltfControls) gltfControls.style.display = 'none';
+            clearScene();
             
             if (fileName.endsWith('.ktx2')) {
               await loadKTX2_ToTexture(f);
+            } else if (fileName.endsWith('.ktx')) {
+              await loadKTX1_ToTexture(f);
+            } else if (fileName.endsWith('.dds')) {
+              await loadDDS_ToTexture(f);
+            } else if (/\.(hdr|pic|exr)$/.test(fileName)) {
+              logApp(`Loading ${f.name}...`, 'info');
+              const { image, source } = await readFloatImage(f);
+              loadFloatImageToTexture(f, image, source);
             } else {
               await loadImageToTexture(f);
             }
+            currentFile = f;
           }
         } catch (e) {
           console.error(e);
           logApp('Failed to load ' + f.name + ': ' + (e.message || e), 'error');
           stat.textContent = 'Error: ' + (e.message || e);
+          return false;
+        }
+        return true;
+      }
+
+      // View state kept across a live reload; exposure, channel mix and cube view
+      // live in their own controls and are never reset by the loaders
+      function captureViewState() {
+        return {
+          mip: currentMip, layer: currentLayer, contactSheet: contactSheetBox.checked,
+          volAxis, volSlice, volMode,
+          viewPreset, viewScale, viewCenter
+        };
+      }
+      function restoreViewState(state) {
+        currentMip = Math.min(state.mip, mipCount - 1);
+        mipSlider.value = currentMip;
+        mipLabel.textContent = currentMip;
+        currentLayer = Math.min(state.layer, layerCount - 1);
+        layerSlider.value = currentLayer;
+        layerLabel.textContent = currentLayer;
+        if (contactSheetBox.parentNode.style.display !== 'none') contactSheetBox.checked = state.contactSheet;
+        if (texViewDimension === '3d') {
+          volAxis = state.volAxis;
+          volAxisSel.value = String(volAxis);
+          volSlice = state.volSlice;
+          volMode = state.volMode;
+          volModeSel.value = String(volMode);
+          volSliceSlider.disabled = volMode === 1;
+          updateVolumeSlider();
+        }
+        applySelectedMip();
+        viewPreset = state.viewPreset;
+        viewScale = state.viewScale;
+        viewCenter = state.viewCenter;
+        lastContent = contentSize();
+      }
+
+      // Several files may be picked at once: a .gltf together with its buffers and images
+      fileInp.addEventListener('change', async () => {
+        const files = [...(fileInp.files || [])];
+        const f = files.find(file => /\.(gltf|glb)$/i.test(file.name)) || files[0];
+        sceneResourceFiles = files;
+        if (f) await openFile(f);
+      });
+
+      // Custom editor: the extension host reads the file and posts its bytes
+      window.addEventListener('message', async (event) => {
+        const message = event.data;
+        if (message.command === 'resource') {
+          // Answer to a readSceneResource request for an external glTF buffer or image
+          const pending = hostResources.get(message.id);
+          if (!pending) return;
+          hostResources.delete(message.id);
+          if (message.error) pending.reject(new Error(message.error));
+          else pending.resolve(new Uint8Array(message.data).buffer);
+          return;
+        }
+        if (message.command !== 'loadFile') return;
+        sceneResourceFiles = null;
+        const file = new File([message.data], message.fileName);
+        if (!message.reload) {
+          await openFile(file);
+          return;
+        }
+        const state = captureViewState();
+        if (await openFile(file, true)) {
+          restoreViewState(state);
+          logApp(`Reloaded ${message.fileName} (changed on disk)`, 'info');
+        } else {
+          logApp(`Reload of ${message.fileName} failed; will retry on the next change`, 'warn');
         }
       });
 
@@ -792,6 +1616,10 @@
       logApp('Shaders compiled', 'success');
 
       let texPipeline = null;
+      let cubePipeline = null;
+      let arrayPipeline = null;
+      let volumePipeline = null;
+      let comparePipeline = null;
       let solidPipeline = null;
 
       try {
@@ -807,6 +1635,225 @@
         logApp('Textured pipeline failed: ' + (e.message || e), 'error');
       }
 
+      // Pipelines for the other texture view dimensions share vs_textured and shade()
+      async function createViewPipeline(entryPoint, label) {
+        try {
+          const pipeline = await device.createRenderPipelineAsync({
+            layout: 'auto',
+            vertex:   { module: shaderModule, entryPoint: 'vs_textured' },
+            fragment: { module: shaderModule, entryPoint, targets: [{ format }] },
+            primitive:{ topology: 'triangle-list' }
+          });
+          logApp(`${label} pipeline created`, 'success');
+          return pipeline;
+        } catch (e) {
+          console.error(`${label} pipeline creation failed:`, e);
+          logApp(`${label} pipeline failed: ` + (e.message || e), 'error');
+          return null;
+        }
+      }
+
+      cubePipeline = await createViewPipeline('fs_cube', 'Cubemap');
+      arrayPipeline = await createViewPipeline('fs_array', 'Array');
+      volumePipeline = await createViewPipeline('fs_volume', 'Volume');
+      comparePipeline = await createViewPipeline('fs_compare', 'Comparison');
+
+      // Pixel inspector readback: one texel via textureLoad, copied to a mappable buffer
+      let inspectArrayPipeline = null;
+      let inspectVolumePipeline = null;
+      try {
+        inspectArrayPipeline = await device.createComputePipelineAsync({
+          layout: 'auto', compute: { module: shaderModule, entryPoint: 'cs_inspect_array' }
+        });
+        inspectVolumePipeline = await device.createComputePipelineAsync({
+          layout: 'auto', compute: { module: shaderModule, entryPoint: 'cs_inspect_volume' }
+        });
+      } catch (e) {
+        console.error('Inspector pipeline creation failed:', e);
+        logApp('Pixel inspector unavailable: ' + (e.message || e), 'error');
+      }
+      const inspectAtBuf = device.createBuffer({ size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+      const inspectOutBuf = device.createBuffer({ size: 32, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+      const inspectReadBuf = device.createBuffer({ size: 32, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+      let inspectBusy = false;
+
+      async function inspectTexel(t) {
+        const is3D = texViewDimension === '3d';
+        const pipeline = is3D ? inspectVolumePipeline : inspectArrayPipeline;
+        if (!pipeline) return;
+        inspectBusy = true;
+        try {
+          // Cube faces are array layers; 2D textures are a one-layer array
+          const layerIndex = texViewDimension === 'cube' ? t.layer * 6 + t.face : t.layer;
+          const view = srcTex.createView({ dimension: is3D ? '3d' : '2d-array' });
+          device.queue.writeBuffer(inspectAtBuf, 0, new Int32Array([t.x, t.y, is3D ? t.z : layerIndex, t.mip]));
+          const bindGroup = device.createBindGroup({
+            layout: pipeline.getBindGroupLayout(0),
+            entries: [
+              { binding: 0, resource: { buffer: uniformBuf } },
+              { binding: is3D ? 5 : 4, resource: view },
+              { binding: 6, resource: { buffer: inspectAtBuf } },
+              { binding: 7, resource: { buffer: inspectOutBuf } }
+            ]
+          });
+          const encoder = device.createCommandEncoder();
+          const pass = encoder.beginComputePass();
+          pass.setPipeline(pipeline);
+          pass.setBindGroup(0, bindGroup);
+          pass.dispatchWorkgroups(1);
+          pass.end();
+          encoder.copyBufferToBuffer(inspectOutBuf, 0, inspectReadBuf, 0, 32);
+          device.queue.submit([encoder.finish()]);
+
+          await inspectReadBuf.mapAsync(GPUMapMode.READ);
+          const out = new Float32Array(inspectReadBuf.getMappedRange().slice(0));
+          inspectReadBuf.unmap();
+          showInspection(t, out.subarray(0, 4), out.subarray(4, 8));
+        } catch (e) {
+          console.error('Pixel inspector readback failed:', e);
+        } finally {
+          inspectBusy = false;
+        }
+      }
+
+      function showInspection(t, linear, output) {
+        const fmt = (v) => Array.from(v, c => c.toPrecision(4)).join(', ');
+        const where = [`Texel (${t.x}, ${t.y}${texViewDimension === '3d' ? `, ${t.z}` : ''})`, `mip ${t.mip}`];
+        if (layerCount > 1) where.push(`layer ${t.layer}`);
+        if (texViewDimension === 'cube') where.push(`face ${['+X', '-X', '+Y', '-Y', '+Z', '-Z'][t.face]}`);
+
+        let rawText = 'n/a';
+        const level = inspectSource?.levels[t.mip];
+        const image = level?.images.find(img => img.layer === t.layer && img.face === t.face);
+        if (image) {
+          const raw = window.getRawTexel(image.data, inspectSource.formatInfo, level.width, level.height, t.x, t.y, t.z);
+          rawText = window.describeRawTexel(raw, inspectSource.formatInfo);
+        }
+        const mipNote = texViewDimension === '3d' && volMode === 1 ? ' (slice shown; view is a projection)' : '';
+        const out8 = Array.from(output.subarray(0, 3), c => Math.round(Math.min(1, Math.max(0, c)) * 255)).join(', ');
+
+        inspectorContent.textContent =
+          `${where.join(', ')}\n` +
+          `Raw${mipNote}: ${rawText}\n` +
+          `Linear: ${fmt(linear)}\n` +
+          `Output: ${fmt(output.subarray(0, 3))} (${out8})`;
+        inspectorPanel.style.display = 'block';
+      }
+
+      // Histogram and statistics: every texel of the shown mip/layer (all layers of a contact
+      // sheet, the whole cube outside single-face view, the whole volume for 3D) read back as
+      // float32, so compressed, CPU-decoded and float textures all report their decoded values
+      let statsArrayPipeline = null;
+      let statsVolumePipeline = null;
+      try {
+        statsArrayPipeline = await device.createComputePipelineAsync({
+          layout: 'auto', compute: { module: shaderModule, entryPoint: 'cs_stats_array' }
+        });
+        statsVolumePipeline = await device.createComputePipelineAsync({
+          layout: 'auto', compute: { module: shaderModule, entryPoint: 'cs_stats_volume' }
+        });
+      } catch (e) {
+        console.error('Statistics pipeline creation failed:', e);
+        logApp('Histogram unavailable: ' + (e.message || e), 'error');
+      }
+      const statsAtBuf = device.createBuffer({ size: 16, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+      let statsKey = null;   // load, selection and channel layout of the last readback
+      let statsBusy = false;
+      let lastStats = null;
+
+      function statsSelection() {
+        const mip = mipOnlyBox.checked ? currentMip : 0;
+        if (texViewDimension === 'cube') {
+          return cubeMode === 0
+            ? { mip, firstLayer: currentLayer * 6 + cubeFace, layers: 1 }
+            : { mip, firstLayer: currentLayer * 6, layers: 6 };
+        }
+        if (texViewDimension === '2d-array') {
+          return contactSheetBox.checked
+            ? { mip, firstLayer: 0, layers: layerCount }
+            : { mip, firstLayer: currentLayer, layers: 1 };
+        }
+        return { mip, firstLayer: 0, layers: 1 };
+      }
+
+      // Channels the format has, per CHANNELS_* in shaders.wgsl
+      function layoutChannels(layout) {
+        return [[0, 1, 2, 3], [0], [0, 1]][layout] || [0, 1, 2, 3];
+      }
+
+      // Decoded texels of sel ({ mip, firstLayer, layers }) of tex as RGBA float32, every
+      // stride-th texel across, down and (3D) in depth; resolves to { values, count }
+      async function readTexels(tex, is3D, sel, stride) {
+        const pipeline = is3D ? statsVolumePipeline : statsArrayPipeline;
+        let outBuf = null, readBuf = null;
+        try {
+          const w = Math.max(1, tex.width >> sel.mip);
+          const h = Math.max(1, tex.height >> sel.mip);
+          const d = is3D ? Math.max(1, tex.depthOrArrayLayers >> sel.mip) : 1;
+          const gw = Math.ceil(w / stride), gh = Math.ceil(h / stride);
+          const gz = is3D ? Math.ceil(d / stride) : sel.layers;
+          const count = gw * gh * gz;
+          outBuf = device.createBuffer({ size: count * 16, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+          readBuf = device.createBuffer({ size: count * 16, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+          device.queue.writeBuffer(statsAtBuf, 0, new Int32Array([sel.firstLayer, sel.mip, stride, 0]));
+          const bindGroup = device.createBindGroup({
+            layout: pipeline.getBindGroupLayout(0),
+            entries: [
+              { binding: is3D ? 5 : 4, resource: tex.createView({ dimension: is3D ? '3d' : '2d-array' }) },
+              { binding: 8, resource: { buffer: statsAtBuf } },
+              { binding: 9, resource: { buffer: outBuf } }
+            ]
+          });
+          const encoder = device.createCommandEncoder();
+          const pass = encoder.beginComputePass();
+          pass.setPipeline(pipeline);
+          pass.setBindGroup(0, bindGroup);
+          pass.dispatchWorkgroups(Math.ceil(gw / 8), Math.ceil(gh / 8), gz);
+          pass.end();
+          encoder.copyBufferToBuffer(outBuf, 0, readBuf, 0, count * 16);
+          device.queue.submit([encoder.finish()]);
+
+          await readBuf.mapAsync(GPUMapMode.READ);
+          const values = new Float32Array(readBuf.getMappedRange().slice(0));
+          readBuf.unmap();
+          return { values, count };
+        } finally {
+          outBuf?.destroy();
+          readBuf?.destroy();
+        }
+      }
+
+      async function computeStats(sel, layout) {
+        const is3D = texViewDimension === '3d';
+        if (!(is3D ? statsVolumePipeline : statsArrayPipeline)) return;
+        statsBusy = true;
+        try {
+          // Large levels are read at a stride to keep the readback under ~1M texels
+          const w = Math.max(1, srcTex.width >> sel.mip);
+          const h = Math.max(1, srcTex.height >> sel.mip);
+          const d = is3D ? Math.max(1, srcTex.depthOrArrayLayers >> sel.mip) : 1;
+          const stride = window.statsSampleStride(w, h, d, sel.layers);
+          const { values, count } = await readTexels(srcTex, is3D, sel, stride);
+          lastStats = window.computeTextureStats(values, count, layoutChannels(layout));
+          lastStats.stride = stride;
+          showStats();
+        } catch (e) {
+          console.error('Statistics readback failed:', e);
+        } finally {
+          statsBusy = false;
+        }
+      }
+
+      function showStats() {
+        window.drawHistogram(histogramCanvas, lastStats, histScaleSel.value);
+        const sampled = lastStats.stride > 1 ? `, sampled at a stride of ${lastStats.stride}` : '';
+        statsContent.textContent = `${window.describeTextureStats(lastStats)}\n${lastStats.count} texels${sampled}`;
+        statsPanel.style.display = 'block';
+      }
+      histScaleSel.onchange = () => {
+        if (lastStats) showStats();
+      };
+
       try {
         solidPipeline = await device.createRenderPipelineAsync({
           layout: 'auto',
@@ -821,14 +1868,27 @@
         throw new Error('Pipeline creation failed');
       }
 
+      // Pipeline and texture binding matching the current texture view dimension
+      function activePipeline() {
+        if (texViewDimension === 'cube') return cubePipeline;
+        if (texViewDimension === '2d-array') return arrayPipeline;
+        if (texViewDimension === '3d') return volumePipeline;
+        if (compareActive()) return comparePipeline;
+        return texPipeline;
+      }
+      const TEXTURE_BINDINGS = { '2d': 2, 'cube': 3, '2d-array': 4, '3d': 5 };
+
       function makeTexBindGroup() {
-        const bgl0 = texPipeline.getBindGroupLayout(0);
+        const pipeline = activePipeline();
+        if (!pipeline) return null;
+        const bgl0 = pipeline.getBindGroupLayout(0);
         return device.createBindGroup({
           layout: bgl0,
           entries: [
             { binding: 0, resource: { buffer: uniformBuf } },
             { binding: 1, resource: sampler },
-            { binding: 2, resource: srcView }
+            { binding: TEXTURE_BINDINGS[texViewDimension], resource: srcView },
+            ...(compareActive() ? [{ binding: 10, resource: compareTarget.view }] : [])
           ]
         });
       }
@@ -836,17 +1896,626 @@
 
       function applySelectedMip() {
         if (srcTex && mipCount > 0 && mipOnlyBox.checked) {
-          srcView = srcTex.createView({ baseMipLevel: currentMip, mipLevelCount: 1 });
+          srcView = createSrcView({ baseMipLevel: currentMip, mipLevelCount: 1 });
+        } else {
+          srcView = createSrcView();
+        }
+        if (compareTarget) compareTarget.view = createCompareView();
+        if (texPipeline) texBindGroup = makeTexBindGroup();
+      }
+
+      // B follows the selected mip of A, clamped to its own mip count
+      function createCompareView() {
+        const { tex, mipCount: count } = compareTarget;
+        const mips = mipOnlyBox.checked ? { baseMipLevel: Math.min(currentMip, count - 1), mipLevelCount: 1 } : {};
+        return tex.createView({ dimension: '2d', baseArrayLayer: 0, arrayLayerCount: 1, ...mips });
+      }
+
+      function updateCompareControls() {
+        compareControls.style.display = compareTarget ? 'block' : 'none';
+        compareSplitRow.style.display = compareMode === COMPARE_WIPE ? 'flex' : 'none';
+        compareFlickerRow.style.display = compareMode === COMPARE_FLICKER ? 'flex' : 'none';
+        compareGainRow.style.display = compareMode === COMPARE_DIFFERENCE ? 'flex' : 'none';
+        if (compareTarget) {
+          compareNameLabel.textContent = `B: ${compareTarget.name} (${compareTarget.width}×${compareTarget.height}, ${compareTarget.mipCount} mip${compareTarget.mipCount > 1 ? 's' : ''})`;
+        }
+      }
+
+      function clearComparison() {
+        compareTarget?.tex.destroy();
+        compareTarget = null;
+        compareMetricsContent.style.display = 'none';
+        compareFileInp.value = '';
+        updateCompareControls();
+        if (texPipeline) texBindGroup = makeTexBindGroup();
+      }
+
+      // Comparison texture from any file the viewer opens except glTF, built without touching A or
+      // the viewer state: { texture, channelLayout, block }. KTX2 files skip the validator here.
+      async function createComparisonTexture(f) {
+        const fileName = f.name.toLowerCase();
+        if (/\.(hdr|pic|exr)$/.test(fileName)) {
+          const { image } = await readFloatImage(f);
+          return { texture: createFloatImageTexture(image).texture, channelLayout: 0, block: null };
+        }
+        if (!/\.(ktx2|ktx|dds)$/.test(fileName)) {
+          const bmp = await createImageBitmap(f, { imageOrientation: 'from-image' });
+          const { texture } = await createImageTexture(bmp);
+          bmp.close?.();
+          return { texture, channelLayout: 0, block: null };
+        }
+        const buf = await f.arrayBuffer();
+        let parsed;
+        if (fileName.endsWith('.ktx2')) {
+          await waitForKTXParser();
+          parsed = await window.parseKTX2(buf);
         } else {
-          srcView = srcTex.createView();
+          parsed = fileName.endsWith('.ktx') ? window.parseKTX1(buf) : window.parseDDS(buf);
+        }
+        if (parsed.header.pixelDepth > 0) throw new Error('3D textures cannot be compared; pick a 2D texture');
+        const { texture, formatInfo } = await createParsedTexture(buf, parsed);
+        return {
+          texture, channelLayout: vkFormatChannelLayout(parsed.header.vkFormat),
+          block: formatInfo.blockWidth ? [formatInfo.blockWidth, formatInfo.blockHeight] : null
+        };
+      }
+
+      // B goes straight into compareTarget; A keeps its texture, view state and Texture Info panel.
+      // A failed load leaves the previous B in place.
+      async function loadComparison(f) {
+        if (!currentFile || texViewDimension !== '2d' || scene) {
+          logApp('Open a 2D texture before loading a comparison', 'warn');
+          compareFileInp.value = '';
+          return;
+        }
+        if (/\.(gltf|glb)$/i.test(f.name)) {
+          logApp('Pick a texture to compare with, not a glTF file', 'warn');
+          compareFileInp.value = '';
+          return;
         }
+        compareMetricsContent.style.display = 'none';
+        logApp(`Loading comparison ${f.name}...`, 'info');
+        let created;
+        try {
+          created = await createComparisonTexture(f);
+        } catch (e) {
+          console.error(e);
+          logApp(`Failed to load comparison ${f.name}: ${e.message || e}`, 'error');
+          compareFileInp.value = '';
+          return;
+        }
+
+        const { texture, channelLayout, block } = created;
+        compareTarget?.tex.destroy();
+        compareTarget = {
+          tex: texture, name: f.name, width: texture.width, height: texture.height,
+          mipCount: texture.mipLevelCount, channelLayout, block
+        };
+        compareTarget.view = createCompareView();
+        if (compareTarget.width !== srcTex.width || compareTarget.height !== srcTex.height) {
+          logApp(`Comparison is ${compareTarget.width}×${compareTarget.height}, A is ${srcTex.width}×${srcTex.height}; B is stretched to A`, 'warn');
+        }
+        logApp(`Loaded comparison ${f.name} (${texture.width}×${texture.height}, ${texture.mipLevelCount} mips)`, 'success');
+        updateCompareControls();
         if (texPipeline) texBindGroup = makeTexBindGroup();
       }
 
+      // Footprint of the loaded texture's compression blocks, null for uncompressed data
+      function compressionBlock() {
+        const info = inspectSource?.formatInfo;
+        return info?.blockWidth ? [info.blockWidth, info.blockHeight] : null;
+      }
+
+      // PSNR / SSIM / RMSE / max error of every mip level A and B both have at the same size,
+      // over the channels both formats have (metrics.js); sRGB data is compared sRGB-encoded
+      async function computeComparisonMetrics() {
+        if (!compareTarget || texViewDimension !== '2d' || !statsArrayPipeline) return;
+        const texA = srcTex, target = compareTarget;
+        const channels = layoutChannels(formatChannelLayout).filter(c => layoutChannels(target.channelLayout).includes(c));
+        const block = target.block || compressionBlock() || undefined;
+        const maxTexels = Math.floor(device.limits.maxStorageBufferBindingSize / 16);
+        compareMetricsBtn.disabled = true;
+        compareMetricsContent.textContent = 'Computing...';
+        compareMetricsContent.style.display = 'block';
+        try {
+          const results = [];
+          for (let mip = 0; mip < Math.min(texA.mipLevelCount, target.mipCount); mip++) {
+            const w = Math.max(1, texA.width >> mip), h = Math.max(1, texA.height >> mip);
+            const bw = Math.max(1, target.width >> mip), bh = Math.max(1, target.height >> mip);
+            if (w !== bw || h !== bh) {
+              results.push({ mip, skipped: `sizes differ (${w}×${h} vs ${bw}×${bh})` });
+              continue;
+            }
+            if (w * h > maxTexels) {
+              results.push({ mip, skipped: `${w}×${h} is too large to read back; use media/metrics.js` });
+              continue;
+            }
+            const sel = { mip, firstLayer: 0, layers: 1 };
+            const a = (await readTexels(texA, false, sel, 1)).values;
+            const b = (await readTexels(target.tex, false, sel, 1)).values;
+            if (texA.format.endsWith('-srgb')) window.encodeSRGBTexels(a, w * h);
+            if (target.tex.format.endsWith('-srgb')) window.encodeSRGBTexels(b, w * h);
+            results.push({ mip, metrics: window.computeImageMetrics(a, b, w, h, channels, block) });
+          }
+          compareMetricsContent.textContent = `A: ${currentFile.name}\nB: ${target.name}\n${window.formatImageMetrics(results)}`;
+        } catch (e) {
+          console.error('Quality metrics failed:', e);
+          logApp('Quality metrics failed: ' + (e.message || e), 'error');
+          compareMetricsContent.style.display = 'none';
+        } finally {
+          compareMetricsBtn.disabled = false;
+        }
+      }
+
+      compareFileInp.addEventListener('change', async () => {
+        const f = compareFileInp.files?.[0];
+        if (f) await loadComparison(f);
+      });
+      compareClearBtn.onclick = clearComparison;
+      compareMetricsBtn.onclick = computeComparisonMetrics;
+      compareModeSel.onchange = () => {
+        compareMode = parseInt(compareModeSel.value, 10);
+        updateCompareControls();
+        if (texPipeline) texBindGroup = makeTexBindGroup();
+      };
+      compareSplitSlider.oninput = () => {
+        compareSplit = parseFloat(compareSplitSlider.value);
+      };
+      compareFlickerSlider.oninput = () => {
+        compareFlickerMs = parseInt(compareFlickerSlider.value, 10);
+        compareFlickerLabel.textContent = `${compareFlickerMs} ms`;
+      };
+      compareGainSlider.oninput = () => {
+        compareGain = Math.pow(2, parseFloat(compareGainSlider.value));
+        compareGainLabel.textContent = `×${+compareGain.toPrecision(4)}`;
+      };
+
+      // ---------- glTF scene preview ----------
+      // The default scene of a .gltf/.glb (parsed by gltf.js) is drawn by vs_scene/fs_scene into an
+      // rgba16float target that becomes srcTex, so fs_textured shows the render like an HDR image
+      // and exposure, tone mapping, channels, the inspector and statistics all apply to it.
+      // Drag orbits, Shift+drag pans, the wheel dollies and a double-click frames the scene again.
+      const SCENE_FOV = Math.PI / 4;
+      const SCENE_CLEAR = { r: 0.02, g: 0.02, b: 0.025, a: 0 };
+      const SCENE_LIGHT_INTENSITY = 3;
+      const SCENE_AMBIENT_INTENSITY = 0.4;
+      // glTF textures without a sampler repeat with trilinear filtering
+      const SCENE_DEFAULT_SAMPLER = {
+        magFilter: 'linear', minFilter: 'linear', mipmapFilter: 'linear', addressModeU: 'repeat', addressModeV: 'repeat'
+      };
+      // Texture slots of fs_scene (bindings 1-5, samplers 6-10) and whether they hold sRGB color
+      const SCENE_TEXTURE_SLOTS = [
+        ['baseColorTexture', true], ['metallicRoughnessTexture', false], ['normalTexture', false],
+        ['occlusionTexture', false], ['emissiveTexture', true]
+      ];
+      // Positions, normals, uvs, tangents and colors each come from their own buffer
+      const SCENE_VERTEX_BUFFERS = [['float32x3', 12], ['float32x3', 12], ['float32x2', 8], ['float32x4', 16], ['float32x4', 16]]
+        .map(([format, arrayStride], shaderLocation) => ({ arrayStride, attributes: [{ shaderLocation, offset: 0, format }] }));
+
+      let scene = null;       // { geometry, materials, draws, textures, buffers, center, radius, info }
+      let orbit = null;       // { target, yaw, pitch, distance }
+      let sceneRevision = 0;  // bumped whenever the rendered image changes (camera, size, load)
+      let sceneRenderedRevision = -1;
+      let sceneTarget = null; // { color, depth, width, height }
+      const sceneFrameBuf = device.createBuffer({ size: 96, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+      let sceneLayouts = null;
+      const scenePipelines = new Map();
+
+      // External buffers and images: files picked together with the .gltf, or (null) read by the
+      // extension host relative to the opened document
+      let sceneResourceFiles = null;
+      let hostResourceId = 0;
+      const hostResources = new Map();
+      function readSceneResource(uri) {
+        if (sceneResourceFiles) {
+          const name = uri.split('/').pop();
+          const file = sceneResourceFiles.find(f => f.name === name);
+          if (!file) return Promise.reject(new Error(`not found; select ${name} together with the glTF file`));
+          return file.arrayBuffer();
+        }
+        if (!window.vscodeApi) return Promise.reject(new Error('no access to external files'));
+        return new Promise((resolve, reject) => {
+          const id = ++hostResourceId;
+          hostResources.set(id, { resolve, reject });
+          window.vscodeApi.postMessage({ command: 'readResource', id, uri });
+        });
+      }
+
+      function sceneBindGroupLayouts() {
+        if (sceneLayouts) return sceneLayouts;
+        const FRAGMENT = GPUShaderStage.FRAGMENT, VERTEX = GPUShaderStage.VERTEX;
+        const frame = device.createBindGroupLayout({
+          entries: [{ binding: 11, visibility: VERTEX | FRAGMENT, buffer: {} }]
+        });
+        const material = device.createBindGroupLayout({
+          entries: [
+            { binding: 0, visibility: FRAGMENT, buffer: {} },
+            ...SCENE_TEXTURE_SLOTS.map((_, i) => ({ binding: 1 + i, visibility: FRAGMENT, texture: {} })),
+            ...SCENE_TEXTURE_SLOTS.map((_, i) => ({ binding: 6 + i, visibility: FRAGMENT, sampler: {} }))
+          ]
+        });
+        const node = device.createBindGroupLayout({ entries: [{ binding: 0, visibility: VERTEX, buffer: {} }] });
+        const white = device.createTexture({ size: [1, 1], format: 'rgba8unorm', usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST });
+        device.queue.writeTexture({ texture: white }, new Uint8Array([255, 255, 255, 255]), { bytesPerRow: 4 }, [1, 1]);
+        sceneLayouts = {
+          material, node,
+          pipeline: device.createPipelineLayout({ bindGroupLayouts: [frame, material, node] }),
+          frameBindGroup: device.createBindGroup({ layout: frame, entries: [{ binding: 11, resource: { buffer: sceneFrameBuf } }] }),
+          white: white.createView() // stands in for missing textures
+        };
+        return sceneLayouts;
+      }
+
+      // One pipeline per blend / cull mode / winding combination, created on first use
+      function scenePipeline(blend, cullMode, mirrored) {
+        const key = `${blend}|${cullMode}|${mirrored}`;
+        if (!scenePipelines.has(key)) {
+          scenePipelines.set(key, device.createRenderPipeline({
+            layout: sceneBindGroupLayouts().pipeline,
+            vertex: { module: shaderModule, entryPoint: 'vs_scene', buffers: SCENE_VERTEX_BUFFERS },
+            fragment: {
+              module: shaderModule, entryPoint: 'fs_scene',
+              targets: [{
+                format: 'rgba16float',
+                blend: blend ? {
+                  color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha' },
+                  alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha' }
+                } : undefined
+              }]
+            },
+            primitive: { topology: 'triangle-list', cullMode, frontFace: mirrored ? 'cw' : 'ccw' },
+            depthStencil: { format: 'depth24plus', depthWriteEnabled: !blend, depthCompare: 'less' }
+          }));
+        }
+        return scenePipelines.get(key);
+      }
+
+      function sceneBuffer(data, usage) {
+        const buffer = device.createBuffer({ size: Math.max(4, data.byteLength), usage: usage | GPUBufferUsage.COPY_DST });
+        device.queue.writeBuffer(buffer, 0, data);
+        return buffer;
+      }
+
+      // GPU texture of a glTF image: KTX2 through the container upload path (transcoding Basis
+      // payloads), PNG/JPEG/WebP decoded by the browser with a box-filtered mip chain
+      async function createSceneImageTexture(image, srgb) {
+        if (!image.bytes) throw new Error('image data could not be read');
+        if (image.mimeType === 'image/ktx2') {
+          await waitForKTXParser();
+          const buf = image.bytes.slice().buffer;
+          const parsed = await window.parseKTX2(buf);
+          const { header } = parsed;
+          if (header.pixelDepth > 0 || header.faceCount !== 1 || header.layerCount > 0) {
+            throw new Error('KTX2 images in glTF must be 2D textures');
+          }
+          const created = await createParsedTexture(buf, parsed);
+          return { texture: created.texture, format: created.formatName };
+        }
+        const bmp = await createImageBitmap(new Blob([image.bytes], { type: image.mimeType }), { colorSpaceConversion: 'none' });
+        const mipImages = await createMipImages(bmp);
+        bmp.close?.();
+        const format = srgb ? 'rgba8unorm-srgb' : 'rgba8unorm';
+        const texture = device.createTexture({
+          size: [mipImages[0].width, mipImages[0].height],
+          format,
+          mipLevelCount: mipImages.length,
+          usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+        });
+        mipImages.forEach((m, i) => {
+          const { data, bytesPerRow } = padRows(m.data, m.width, m.height, 4);
+          device.queue.writeTexture({ texture, mipLevel: i }, data, { bytesPerRow }, [m.width, m.height]);
+        });
+        return { texture, format: `${image.mimeType.replace('image/', '').toUpperCase()} → ${format}` };
+      }
+
+      // Texture of a glTF texture index, falling back from a KTX2 (KHR_texture_basisu) image that
+      // fails to load to the texture's PNG/JPEG source; null (white) when neither loads
+      async function sceneTexture(asset, cache, textureIndex, srgb) {
+        const tex = asset.textures[textureIndex];
+        if (!tex) return null;
+        for (const source of [tex.source, tex.fallback]) {
+          const image = asset.images[source];
+          if (!image) continue;
+          const key = image.mimeType === 'image/ktx2' ? `${source}` : `${source}|${srgb}`;
+          if (!cache.has(key)) {
+            cache.set(key, createSceneImageTexture(image, srgb).then(
+              (loaded) => ({ ...loaded, name: image.name }),
+              (err) => {
+                logApp(`glTF image ${source} (${image.name}): ${err.message || err}`, 'warn');
+                return null;
+              }));
+          }
+          const loaded = await cache.get(key);
+          if (loaded) return loaded;
+        }
+        return null;
+      }
+
+      async function createScene(asset) {
+        const layouts = sceneBindGroupLayouts();
+        const buffers = [];
+        const track = (buffer) => (buffers.push(buffer), buffer);
+        const textureCache = new Map();
+        const samplers = new Map();
+        const sceneSampler = (index) => {
+          if (!samplers.has(index)) samplers.set(index, device.createSampler(asset.samplers[index] || SCENE_DEFAULT_SAMPLER));
+          return samplers.get(index);
+        };
+
+        const geometry = asset.meshes.map(prims => prims.map((p) => {
+          const count = p.positions.length / 3;
+          const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+          for (let i = 0; i < p.positions.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], p.positions[i]);
+            max[i % 3] = Math.max(max[i % 3], p.positions[i]);
+          }
+          const attributes = [
+            p.positions, p.normals, p.uvs || new Float32Array(count * 2),
+            p.tangents || new Float32Array(count * 4), p.colors || new Float32Array(count * 4).fill(1)
+          ];
+          return {
+            vertexBuffers: attributes.map(data => track(sceneBuffer(data, GPUBufferUsage.VERTEX))),
+            indexBuffer: track(sceneBuffer(p.indices, GPUBufferUsage.INDEX)),
+            indexCount: p.indices.length,
+            material: p.material,
+            center: min.map((v, i) => (v + max[i]) / 2)
+          };
+        }));
+
+        const textures = [];
+        const materials = [];
+        for (const m of asset.materials) {
+          const entries = [];
+          for (const [i, [slot, srgb]] of SCENE_TEXTURE_SLOTS.entries()) {
+            const ref = m[slot];
+            const loaded = ref ? await sceneTexture(asset, textureCache, ref.texture, srgb) : null;
+            if (loaded && !textures.includes(loaded)) textures.push(loaded);
+            entries.push({ binding: 1 + i, resource: loaded ? loaded.texture.createView() : layouts.white });
+            entries.push({ binding: 6 + i, resource: sceneSampler(ref ? asset.textures[ref.texture]?.sampler : undefined) });
+          }
+          const hasNormalMap = entries.find(e => e.binding === 3).resource !== layouts.white;
+          const uniform = track(sceneBuffer(new Float32Array([
+            ...m.baseColorFactor,
+            ...m.emissiveFactor, m.metallicFactor,
+            m.roughnessFactor, hasNormalMap ? m.normalTexture.scale : 0, m.occlusionTexture?.strength ?? 1, m.alphaMode,
+            m.alphaCutoff, 0, 0, 0
+          ]), GPUBufferUsage.UNIFORM));
+          entries.push({ binding: 0, resource: { buffer: uniform } });
+          materials.push({ ...m, bindGroup: device.createBindGroup({ layout: layouts.material, entries }) });
+        }
+
+        const draws = [];
+        let primitives = 0, triangles = 0;
+        for (const { mesh, matrix } of asset.instances) {
+          const node = track(sceneBuffer(new Float32Array([...matrix, ...window.gltfNormalMatrix(matrix)]), GPUBufferUsage.UNIFORM));
+          const bindGroup = device.createBindGroup({ layout: layouts.node, entries: [{ binding: 0, resource: { buffer: node } }] });
+          for (const g of geometry[mesh]) {
+            const material = materials[g.material];
+            const blend = material.alphaMode === 2;
+            const center = window.gltfTransformPoint(matrix, ...g.center);
+            // Double-sided blended primitives draw their back faces first, then the front ones
+            const cullModes = !material.doubleSided ? ['back'] : (blend ? ['front', 'back'] : ['none']);
+            for (const cullMode of cullModes) {
+              draws.push({
+                geometry: g, material, bindGroup, blend, center,
+                pipeline: scenePipeline(blend, cullMode, window.gltfDeterminant3(matrix) < 0)
+              });
+            }
+            primitives++;
+            triangles += g.indexCount / 3;
+          }
+        }
+
+        const { min, max } = asset.bounds;
+        return {
+          draws, materials, textures, buffers,
+          center: min.map((v, i) => (v + max[i]) / 2),
+          radius: Math.max(1e-6, Math.hypot(...min.map((v, i) => max[i] - v)) / 2),
+          info: {
+            instances: asset.instances.length, primitives, triangles,
+            materials: asset.materials.length, extensions: asset.extensionsUsed,
+            size: min.map((v, i) => max[i] - v)
+          }
+        };
+      }
+
+      function disposeScene(s) {
+        if (!s) return;
+        for (const b of s.buffers) b.destroy();
+        for (const t of s.textures) t.texture.destroy();
+      }
+
+      // Leaves scene mode; the next loader replaces (and destroys) the color target in srcTex
+      function clearScene() {
+        if (!scene) return;
+        disposeScene(scene);
+        scene = null;
+        sceneTarget?.depth.destroy();
+        sceneTarget = null;
+      }
+
+      // Camera looking at the scene's bounding sphere from +Z, far enough to fit it in the canvas
+      function resetOrbit() {
+        const aspect = lastW && lastH ? lastW / lastH : 1;
+        const fov = Math.min(SCENE_FOV, 2 * Math.atan(Math.tan(SCENE_FOV / 2) * aspect));
+        orbit = { target: [...scene.center], yaw: 0, pitch: 0, distance: scene.radius / Math.sin(fov / 2) * 1.05 };
+        sceneRevision++;
+      }
+
+      function orbitView() {
+        const { target, yaw, pitch, distance } = orbit;
+        const eye = [
+          target[0] + distance * Math.cos(pitch) * Math.sin(yaw),
+          target[1] + distance * Math.sin(pitch),
+          target[2] + distance * Math.cos(pitch) * Math.cos(yaw)
+        ];
+        const view = window.gltfLookAt(eye, target, [0, 1, 0]);
+        return { eye, view, right: [view[0], view[4], view[8]], up: [view[1], view[5], view[9]], back: [view[2], view[6], view[10]] };
+      }
+
+      // Drag: rotate around the target; with pan, move the target in the view plane so the
+      // point under the cursor follows it
+      function moveOrbit(dx, dy, pan) {
+        if (pan) {
+          const { right, up } = orbitView();
+          const scale = 2 * orbit.distance * Math.tan(SCENE_FOV / 2) / lastH;
+          orbit.target = orbit.target.map((t, i) => t - (right[i] * dx - up[i] * dy) * scale);
+        } else {
+          orbit.yaw -= dx * 0.01;
+          orbit.pitch = Math.min(1.55, Math.max(-1.55, orbit.pitch + dy * 0.01));
+        }
+        sceneRevision++;
+      }
+
+      function dollyOrbit(deltaY) {
+        orbit.distance = Math.min(scene.radius * 100, Math.max(scene.radius * 0.01, orbit.distance * Math.pow(1.0015, deltaY)));
+        sceneRevision++;
+      }
+
+      // The render target follows the canvas size, so the fitted view shows it 1:1
+      function ensureSceneTarget() {
+        const width = Math.max(1, lastW), height = Math.max(1, lastH);
+        if (sceneTarget && sceneTarget.width === width && sceneTarget.height === height) return;
+        sceneTarget?.depth.destroy();
+        const color = device.createTexture({
+          size: [width, height], format: 'rgba16float',
+          usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+        });
+        const depth = device.createTexture({ size: [width, height], format: 'depth24plus', usage: GPUTextureUsage.RENDER_ATTACHMENT });
+        srcTex?.destroy?.();
+        srcTex = color;
+        srcView = createSrcView();
+        if (texPipeline) texBindGroup = makeTexBindGroup();
+        sceneTarget = { color, depth, width, height };
+        sceneRevision++;
+      }
+
+      // Draws the scene when the camera or target changed: opaque and masked primitives first,
+      // then blended ones back to front. Submitted on its own so readbacks see the new image.
+      function renderSceneIfNeeded() {
+        ensureSceneTarget();
+        if (sceneRenderedRevision === sceneRevision) return;
+        sceneRenderedRevision = sceneRevision;
+
+        const { eye, view, right, up, back } = orbitView();
+        const toCenter = Math.hypot(...eye.map((v, i) => v - scene.center[i]));
+        const far = toCenter + scene.radius * 1.1;
+        const near = Math.max(far * 1e-4, (toCenter - scene.radius) * 0.9);
+        const proj = window.gltfPerspective(SCENE_FOV, sceneTarget.width / sceneTarget.height, near, far);
+        // Key light from above and to the left of the camera, so it follows the orbit
+        const light = [0, 1, 2].map(i => -0.4 * right[i] + 0.7 * up[i] + 0.6 * back[i]);
+        const lightLength = Math.hypot(...light);
+        device.queue.writeBuffer(sceneFrameBuf, 0, new Float32Array([
+          ...window.gltfMat4Multiply(proj, view),
+          ...eye, SCENE_LIGHT_INTENSITY,
+          ...light.map(v => v / lightLength), SCENE_AMBIENT_INTENSITY
+        ]));
+
+        const distance = (d) => Math.hypot(...d.center.map((v, i) => v - eye[i]));
+        const blended = scene.draws.filter(d => d.blend).sort((a, b) => distance(b) - distance(a));
+        const encoder = device.createCommandEncoder();
+        const pass = encoder.beginRenderPass({
+          colorAttachments: [{ view: sceneTarget.color.createView(), clearValue: SCENE_CLEAR, loadOp: 'clear', storeOp: 'store' }],
+          depthStencilAttachment: { view: sceneTarget.depth.createView(), depthClearValue: 1, depthLoadOp: 'clear', depthStoreOp: 'discard' }
+        });
+        pass.setBindGroup(0, sceneLayouts.frameBindGroup);
+        for (const d of [...scene.draws.filter(d => !d.blend), ...blended]) {
+          pass.setPipeline(d.pipeline);
+          pass.setBindGroup(1, d.material.bindGroup);
+          pass.setBindGroup(2, d.bindGroup);
+          d.geometry.vertexBuffers.forEach((b, i) => pass.setVertexBuffer(i, b));
+          pass.setIndexBuffer(d.geometry.indexBuffer, 'uint32');
+          pass.drawIndexed(d.geometry.indexCount);
+        }
+        pass.end();
+        device.queue.submit([encoder.finish()]);
+      }
+
+      function updateSceneInfo(file, asset) {
+        const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+        const { info, textures } = scene;
+        const row = (label, value) =>
+          `<div style="color:#8cf;">${label}:</div><div style="margin-left:8px; margin-bottom:4px;">${value}</div>`;
+        let html = row('Scene', `${info.instances} mesh node${info.instances === 1 ? '' : 's'}, ${info.primitives} primitive${info.primitives === 1 ? '' : 's'}, ${info.triangles.toLocaleString('en-US')} triangles`);
+        html += row('Size', info.size.map(v => +v.toPrecision(4)).join(' × '));
+        html += row('Materials', info.materials);
+        html += row('Textures', textures.length
+          ? textures.map(t => `${escape(t.name)}: ${escape(t.format)}, ${t.texture.width}×${t.texture.height}`).join('<br>')
+          : 'none');
+        if (info.extensions.length) html += row('Extensions', escape(info.extensions.join(', ')));
+        html += row('File Size', formatBytes(file.size));
+        const images = asset.images.filter(i => i.bytes).reduce((t, i) => t + i.bytes.byteLength, 0);
+        if (images) html += row('Image Data', formatBytes(images));
+        texInfoContent.innerHTML = html;
+        texInfo.style.display = 'block';
+      }
+
+      async function loadGLTFScene(file, reload) {
+        logApp(`Loading glTF ${file.name}...`, 'info');
+        const t0 = performance.now();
+        const asset = await window.loadGLTF(await file.arrayBuffer(), file.name, readSceneResource);
+        for (const warning of asset.warnings) logApp(warning, 'warn');
+        const next = await createScene(asset);
+
+        disposeScene(scene);
+        scene = next;
+        if (!reload || !orbit) resetOrbit();
+        clearComparison();
+        sceneRevision++;
+
+        texViewDimension = '2d';
+        alphaPremultiplied = false;
+        formatChannelLayout = 0;
+        ktx2ValidateBtn.style.display = 'none';
+        cubeControls.style.display = 'none';
+        volumeControls.style.display = 'none';
+        resetLayerControls(1, false);
+        ensureSceneTarget();
+        inspectSource = null;
+        inspectKey = null;
+        loadCount++;
+        mipCount = 1;
+        currentMip = 0;
+        mipSlider.value = 0;
+        mipLabel.textContent = '0';
+        mipControls.style.display = 'none';
+        viewPreset = 'fit';
+
+        const { triangles } = scene.info;
+        stat.textContent = `Loaded ${file.name} (${triangles.toLocaleString('en-US')} triangles)`;
+        meta.textContent = 'Drag to orbit, Shift+drag to pan, wheel to zoom, double-click to reset the view.';
+        updateSceneInfo(file, asset);
+        logApp(`Successfully loaded glTF ${file.name} (${scene.info.primitives} primitives, ${scene.textures.length} textures) in ${(performance.now() - t0).toFixed(1)} ms`, 'success');
+      }
+
       // frame loop
       function frame() {
         configureIfNeeded();
-        updateUniforms();
+        if (scene) renderSceneIfNeeded();
+        const uniforms = updateUniforms();
+
+        // Read the hovered texel back again whenever it or the view settings
+        // (exposure, channels, ...) change, so the readout stays live
+        if (hoverPos && !inspectBusy && srcTex) {
+          const t = texelAt(hoverPos[0], hoverPos[1]);
+          const key = t && `${t.mip},${t.x},${t.y},${t.z},${t.layer},${t.face}|${uniforms.join()}|${sceneRevision}`;
+          if (t && key !== inspectKey) {
+            inspectKey = key;
+            inspectTexel(t);
+          }
+        }
+
+        // Statistics follow the shown mip/layer and the channel layout, and a scene's camera
+        // once it stops moving
+        if (loadCount && !statsBusy && srcTex && !(scene && dragging)) {
+          const sel = statsSelection();
+          const layout = currentChannelLayout();
+          const key = `${loadCount}|${sel.mip},${sel.firstLayer},${sel.layers}|${layout}|${sceneRevision}`;
+          if (key !== statsKey) {
+            statsKey = key;
+            computeStats(sel, layout);
+          }
+        }
 
         const swap = context.getCurrentTexture();
         const rtv = swap.createView();
@@ -872,8 +2541,8 @@
             colorAttachments: [{ view: rtv, loadOp: 'load', storeOp: 'store' }]
           });
 
-          if (texPipeline && texBindGroup) {
-            pass.setPipeline(texPipeline);
+          if (activePipeline() && texBindGroup) {
+            pass.setPipeline(activePipeline());
             pass.setBindGroup(0, texBindGroup);
             pass.draw(3);
           } else {
@@ -888,6 +2557,9 @@
       }
       frame();
 
+      // Loaders and pipelines are ready; a custom editor host sends its file now
+      window.vscodeApi?.postMessage({ command: 'ready' });
+
       // Adapter info log
       try {
         const info = await adapter.requestAdapterInfo?.();
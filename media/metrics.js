@@ -0,0 +1,391 @@
+// metrics.js - Compression quality metrics (PSNR, SSIM, RMSE, max error) between two images
+// Runs in the webview (window.computeImageMetrics, on texels read back from the GPU) and
+// headless in Node, decoding the files with the viewer's own parsers and CPU decoders:
+//   node media/metrics.js reference.png texture.ktx2 [--min-psnr dB] [--min-ssim v] [--max-error v] [--json]
+// Values are compared as stored: normalized for UNORM/SNORM data, sRGB-encoded for sRGB
+// formats and 8-bit images, linear for float data.
+
+const METRICS_CHANNELS = ['R', 'G', 'B', 'A'];
+const METRICS_SSIM_WINDOW = 8;
+const METRICS_SSIM_STEP = 4;
+
+// Linear -> sRGB in place for count RGBA texels (alpha stays linear), to compare
+// sRGB textures read back through an -srgb view in their stored encoding
+function encodeSRGBTexels(values, count) {
+  for (let p = 0; p < count; p++) {
+    for (let c = 0; c < 3; c++) {
+      const v = values[p * 4 + c];
+      values[p * 4 + c] = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    }
+  }
+  return values;
+}
+
+// Mean SSIM of channel c over METRICS_SSIM_WINDOW-square windows (uniform weights) placed every
+// METRICS_SSIM_STEP texels; an image smaller than a window is one window of its own size.
+// Windows holding NaN or Inf are left out.
+function metricsChannelSSIM(a, b, width, height, c, peak) {
+  const ww = Math.min(METRICS_SSIM_WINDOW, width), wh = Math.min(METRICS_SSIM_WINDOW, height);
+  const n = ww * wh;
+  const c1 = (0.01 * peak) ** 2, c2 = (0.03 * peak) ** 2;
+  let total = 0, windows = 0;
+  for (let y0 = 0; y0 + wh <= height; y0 += METRICS_SSIM_STEP) {
+    for (let x0 = 0; x0 + ww <= width; x0 += METRICS_SSIM_STEP) {
+      let sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0;
+      for (let y = y0; y < y0 + wh; y++) {
+        for (let x = x0; x < x0 + ww; x++) {
+          const va = a[(y * width + x) * 4 + c], vb = b[(y * width + x) * 4 + c];
+          sa += va; sb += vb; saa += va * va; sbb += vb * vb; sab += va * vb;
+        }
+      }
+      if (!Number.isFinite(saa + sbb)) continue;
+      const ma = sa / n, mb = sb / n;
+      const varA = saa / n - ma * ma, varB = sbb / n - mb * mb, cov = sab / n - ma * mb;
+      total += ((2 * ma * mb + c1) * (2 * cov + c2)) / ((ma * ma + mb * mb + c1) * (varA + varB + c2));
+      windows++;
+    }
+  }
+  return windows ? total / windows : NaN;
+}
+
+const metricsPSNR = (mse, peak) => (mse > 0 ? 10 * Math.log10(peak * peak / mse) : Infinity);
+
+// a, b: width x height RGBA float32 texels; channels: the indices compared (e.g. [0, 1, 2]);
+// block: [width, height] of the blocks searched for the worst one, usually the compression block.
+// PSNR uses a peak of 1, or the largest magnitude in either image for HDR data. Texel pairs
+// with NaN or Inf on either side are counted in nonFinite and left out of the other metrics.
+function computeImageMetrics(a, b, width, height, channels, block = [4, 4]) {
+  const count = width * height;
+  let peak = 1;
+  for (let p = 0; p < count; p++) {
+    for (const c of channels) {
+      const m = Math.max(Math.abs(a[p * 4 + c]), Math.abs(b[p * 4 + c]));
+      if (m > peak && Number.isFinite(m)) peak = m;
+    }
+  }
+
+  const [bw, bh] = block;
+  const blocksX = Math.ceil(width / bw), blocksY = Math.ceil(height / bh);
+  const blockSum = new Float64Array(blocksX * blocksY);
+  const blockCount = new Uint32Array(blocksX * blocksY);
+  const blockMax = new Float32Array(blocksX * blocksY);
+  const stats = channels.map(channel => ({ channel, sum: 0, count: 0, maxError: 0, nonFinite: 0 }));
+  let worstTexel = null;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      const k = Math.floor(y / bh) * blocksX + Math.floor(x / bw);
+      for (const s of stats) {
+        const va = a[p * 4 + s.channel], vb = b[p * 4 + s.channel];
+        if (!Number.isFinite(va) || !Number.isFinite(vb)) { s.nonFinite++; continue; }
+        const e = Math.abs(va - vb);
+        s.sum += e * e;
+        s.count++;
+        blockSum[k] += e * e;
+        blockCount[k]++;
+        if (e > blockMax[k]) blockMax[k] = e;
+        if (e > s.maxError) s.maxError = e;
+        if (!worstTexel || e > worstTexel.error) worstTexel = { x, y, channel: s.channel, error: e, a: va, b: vb };
+      }
+    }
+  }
+
+  const perChannel = stats.map(s => {
+    const mse = s.count ? s.sum / s.count : NaN;
+    return {
+      channel: s.channel, mse, rmse: Math.sqrt(mse), psnr: metricsPSNR(mse, peak),
+      maxError: s.maxError, ssim: metricsChannelSSIM(a, b, width, height, s.channel, peak), nonFinite: s.nonFinite
+    };
+  });
+  const compared = stats.reduce((n, s) => n + s.count, 0);
+  const mse = compared ? stats.reduce((sum, s) => sum + s.sum, 0) / compared : NaN;
+  const overall = {
+    mse, rmse: Math.sqrt(mse), psnr: metricsPSNR(mse, peak),
+    maxError: Math.max(0, ...stats.map(s => s.maxError)),
+    ssim: perChannel.reduce((sum, s) => sum + s.ssim, 0) / perChannel.length,
+    nonFinite: stats.reduce((n, s) => n + s.nonFinite, 0)
+  };
+
+  let worst = -1;
+  for (let k = 0; k < blockSum.length; k++) {
+    if (blockCount[k] && (worst < 0 || blockSum[k] / blockCount[k] > blockSum[worst] / blockCount[worst])) worst = k;
+  }
+  let worstBlock = null;
+  if (worst >= 0) {
+    const x = (worst % blocksX) * bw, y = Math.floor(worst / blocksX) * bh;
+    worstBlock = {
+      x, y, width: Math.min(bw, width - x), height: Math.min(bh, height - y),
+      rmse: Math.sqrt(blockSum[worst] / blockCount[worst]), maxError: blockMax[worst]
+    };
+  }
+
+  return { width, height, peak, channels: perChannel, overall, worstTexel, worstBlock };
+}
+
+function metricsFormat(v, digits) {
+  if (Number.isNaN(v)) return '-';
+  if (v === Infinity) return 'inf';
+  return Math.abs(v) >= 1e4 || (v !== 0 && Math.abs(v) < Math.pow(10, -digits)) ? v.toExponential(2) : v.toFixed(digits);
+}
+
+// Plain-text report of [{ mip, metrics }] (or { mip, skipped: reason }), for the sidebar,
+// review threads and the CLI
+function formatImageMetrics(results) {
+  const lines = [];
+  for (const r of results) {
+    if (r.skipped) {
+      lines.push(`mip ${r.mip}: ${r.skipped}`);
+      continue;
+    }
+    const m = r.metrics;
+    lines.push(`mip ${r.mip} (${m.width}×${m.height}${m.peak !== 1 ? `, peak ${metricsFormat(m.peak, 3)}` : ''})`);
+    const cols = ['', 'PSNR dB', 'SSIM', 'RMSE', 'max err'];
+    const row = (name, s) => [name, metricsFormat(s.psnr, 2), metricsFormat(s.ssim, 4), metricsFormat(s.rmse, 5), metricsFormat(s.maxError, 5)];
+    const rows = [...m.channels.map(s => row(METRICS_CHANNELS[s.channel], s)), row('all', m.overall)];
+    const widths = cols.map((c, i) => Math.max(c.length, ...rows.map(r => r[i].length)));
+    const line = (r) => r.map((v, i) => i === 0 ? v.padEnd(widths[i]) : v.padStart(widths[i])).join(' ');
+    lines.push(line(cols), ...rows.map(line));
+    const b = m.worstBlock;
+    if (b) {
+      lines.push(`worst block ${b.width}×${b.height} at (${b.x}, ${b.y}): RMSE ${metricsFormat(b.rmse, 5)}, max err ${metricsFormat(b.maxError, 5)}`);
+    }
+    if (m.overall.nonFinite) lines.push(`${m.overall.nonFinite} NaN/Inf values not compared`);
+  }
+  return lines.join('\n');
+}
+
+// Threshold failures of the compared mips' overall metrics, e.g. for CI:
+// thresholds { minPSNR, minSSIM, maxError }, each optional
+function checkImageMetrics(results, thresholds) {
+  const failures = [];
+  for (const r of results) {
+    if (r.skipped) continue;
+    const { psnr, ssim, maxError } = r.metrics.overall;
+    if (thresholds.minPSNR !== undefined && !(psnr >= thresholds.minPSNR)) {
+      failures.push(`mip ${r.mip}: PSNR ${metricsFormat(psnr, 2)} dB < ${thresholds.minPSNR} dB`);
+    }
+    if (thresholds.minSSIM !== undefined && !(ssim >= thresholds.minSSIM)) {
+      failures.push(`mip ${r.mip}: SSIM ${metricsFormat(ssim, 4)} < ${thresholds.minSSIM}`);
+    }
+    if (thresholds.maxError !== undefined && !(maxError <= thresholds.maxError)) {
+      failures.push(`mip ${r.mip}: max error ${metricsFormat(maxError, 5)} > ${thresholds.maxError}`);
+    }
+  }
+  return failures;
+}
+
+if (typeof window !== 'undefined') {
+  window.encodeSRGBTexels = encodeSRGBTexels;
+  window.computeImageMetrics = computeImageMetrics;
+  window.formatImageMetrics = formatImageMetrics;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { computeImageMetrics, formatImageMetrics, checkImageMetrics, encodeSRGBTexels };
+
+  // CLI: exit code 1 when a threshold fails, 2 on usage or decode errors
+  if (require.main === module) {
+    const fs = require('fs');
+    const path = require('path');
+    const vm = require('vm');
+    const zlib = require('zlib');
+
+    // The webview's classic scripts share one global object, as in decode-worker.js
+    const viewer = { console, Blob, Response, DecompressionStream, TextDecoder, performance };
+    viewer.window = viewer;
+    vm.createContext(viewer);
+    for (const file of ['zstd.js', 'formats.js', 'pixelconvert.js', 'read.js', 'hdr.js', 'exr.js',
+      'bcdecode.js', 'etcdecode.js', 'astcdecode.js']) {
+      vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), viewer, { filename: file });
+    }
+
+    const channelSlots = (channels) => METRICS_CHANNELS.map((c, i) => (channels.includes(c) ? i : -1)).filter(i => i >= 0);
+
+    // Non-interlaced PNG of any bit depth and color type -> RGBA float32 (gAMA/iCCP are ignored)
+    const readPNG = (bytes) => {
+      if (bytes.readUInt32BE(0) !== 0x89504E47 || bytes.readUInt32BE(4) !== 0x0D0A1A0A) throw new Error('Not a PNG file');
+      let width = 0, height = 0, bitDepth = 8, colorType = 6, palette = null, trns = null;
+      const idat = [];
+      for (let pos = 8; pos + 8 <= bytes.length;) {
+        const length = bytes.readUInt32BE(pos);
+        const type = bytes.toString('latin1', pos + 4, pos + 8);
+        const chunk = bytes.subarray(pos + 8, pos + 8 + length);
+        if (type === 'IHDR') {
+          width = chunk.readUInt32BE(0); height = chunk.readUInt32BE(4);
+          bitDepth = chunk[8]; colorType = chunk[9];
+          if (chunk[12]) throw new Error('Interlaced PNGs are not supported');
+        } else if (type === 'PLTE') palette = chunk;
+        else if (type === 'tRNS') trns = chunk;
+        else if (type === 'IDAT') idat.push(chunk);
+        else if (type === 'IEND') break;
+        pos += 12 + length;
+      }
+      const samples = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+      const bpp = Math.max(1, (samples * bitDepth) >> 3);
+      const rowBytes = Math.ceil(width * samples * bitDepth / 8);
+      const raw = zlib.inflateSync(Buffer.concat(idat));
+      const pixels = Buffer.alloc(rowBytes * height);
+      for (let y = 0; y < height; y++) {
+        const filter = raw[y * (rowBytes + 1)];
+        const src = y * (rowBytes + 1) + 1, dst = y * rowBytes;
+        for (let i = 0; i < rowBytes; i++) {
+          const left = i >= bpp ? pixels[dst + i - bpp] : 0;
+          const up = y > 0 ? pixels[dst + i - rowBytes] : 0;
+          const upLeft = y > 0 && i >= bpp ? pixels[dst + i - rowBytes - bpp] : 0;
+          let v = raw[src + i];
+          if (filter === 1) v += left;
+          else if (filter === 2) v += up;
+          else if (filter === 3) v += (left + up) >> 1;
+          else if (filter === 4) {
+            const p = left + up - upLeft;
+            const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+            v += pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+          }
+          pixels[dst + i] = v & 0xFF;
+        }
+      }
+
+      const max = 2 ** bitDepth - 1;
+      const sample = (y, i) => (bitDepth === 16 ? pixels.readUInt16BE(y * rowBytes + i * 2)
+        : bitDepth === 8 ? pixels[y * rowBytes + i]
+          : (pixels[y * rowBytes + ((i * bitDepth) >> 3)] >> (8 - bitDepth - ((i * bitDepth) & 7))) & max);
+      const data = new Float32Array(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const o = (y * width + x) * 4;
+          const s = (c) => sample(y, x * samples + c);
+          if (colorType === 3) {
+            const index = s(0);
+            for (let c = 0; c < 3; c++) data[o + c] = palette[index * 3 + c] / 255;
+            data[o + 3] = trns && index < trns.length ? trns[index] / 255 : 1;
+            continue;
+          }
+          const gray = colorType === 0 || colorType === 4;
+          for (let c = 0; c < 3; c++) data[o + c] = s(gray ? 0 : c) / max;
+          data[o + 3] = colorType === 4 ? s(1) / max : (colorType === 6 ? s(3) / max : 1);
+          if (trns && colorType === 0 && s(0) === trns.readUInt16BE(0)) data[o + 3] = 0;
+          if (trns && colorType === 2 && [0, 1, 2].every(c => s(c) === trns.readUInt16BE(c * 2))) data[o + 3] = 0;
+        }
+      }
+      const alpha = colorType === 4 || colorType === 6 || !!trns;
+      return { levels: [{ width, height, data }], channels: alpha ? [0, 1, 2, 3] : [0, 1, 2], block: null };
+    };
+
+    // B10G11R11 / E5B9G9R9 unsigned floats from their integer fields (pixelTexelReader order)
+    const ufloat = (v, mantissaBits) => {
+      const e = v >> mantissaBits, m = v & ((1 << mantissaBits) - 1);
+      if (e === 31) return m ? NaN : Infinity;
+      return e === 0 ? m * 2 ** (-14 - mantissaBits) : (1 + m / 2 ** mantissaBits) * 2 ** (e - 15);
+    };
+
+    // First image (layer 0, face 0, slice 0) of every level of a KTX2/KTX/DDS file -> RGBA float32
+    const readContainer = async (buf, parse) => {
+      const { header, levels } = await parse(buf);
+      if (header.vkFormat === 0) throw new Error('Basis Universal textures are not decoded headless; transcode them first');
+      const info = viewer.getVkFormatInfo(header.vkFormat);
+      const formatInfo = viewer.vkFormatToWebGPU(header.vkFormat);
+      if (!info || !formatInfo) throw new Error(`Unsupported vkFormat ${header.vkFormat}`);
+      const slots = channelSlots(info.channels);
+      const result = { levels: [], channels: slots, block: info.compressed ? [info.blockWidth, info.blockHeight] : null };
+
+      for (let i = 0; i < levels.length; i++) {
+        const lvl = levels[i];
+        const levelData = lvl.data ?? await viewer.decodeLevelData(buf, lvl, header.supercompressionScheme, i);
+        const image = viewer.getLevelImages(levelData, formatInfo, lvl, header.layerCount, header.faceCount, i)[0].data;
+        const count = lvl.width * lvl.height;
+        const data = new Float32Array(count * 4);
+
+        if (info.compressed) {
+          const f = formatInfo.format;
+          const [target, decode] = f.startsWith('bc') ? [viewer.bcDecodeTarget, viewer.decodeBCImage]
+            : (f.startsWith('astc') ? [viewer.astcDecodeTarget, viewer.decodeASTCImage] : [viewer.etcDecodeTarget, viewer.decodeETCImage]);
+          const decoded = decode(image, lvl.width, lvl.height, 1, formatInfo);
+          if (target(formatInfo).format === 'rgba16float') {
+            const halves = new Uint16Array(decoded.buffer, decoded.byteOffset, count * 4);
+            for (let k = 0; k < count * 4; k++) data[k] = viewer.pixelHalfToFloat(halves[k]);
+          } else {
+            for (let k = 0; k < count * 4; k++) data[k] = decoded[k] / 255;
+          }
+        } else {
+          const read = viewer.pixelTexelReader(info);
+          const dv = new DataView(image.buffer, image.byteOffset, image.byteLength);
+          const normalize = info.componentBits.map(bits => viewer.pixelNormalizer(info, bits));
+          const values = [];
+          for (let p = 0; p < count; p++) {
+            read(dv, p * info.bytesPerBlock, values);
+            data[p * 4 + 3] = 1;
+            let exponent = null;
+            Array.from(info.channels).forEach((c, k) => {
+              if (c === 'E') exponent = values[k];
+              else if (METRICS_CHANNELS.includes(c)) {
+                const slot = METRICS_CHANNELS.indexOf(c);
+                data[p * 4 + slot] = info.numeric !== 'UFLOAT' ? normalize[k](values[k])
+                  : (exponent !== null ? values[k] * 2 ** (exponent - 15 - 9) : ufloat(values[k], info.componentBits[k] - 5));
+              }
+            });
+          }
+        }
+        result.levels.push({ width: lvl.width, height: lvl.height, data });
+      }
+      return result;
+    };
+
+    const readImage = async (file) => {
+      const bytes = fs.readFileSync(file);
+      const buf = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+      const ext = path.extname(file).toLowerCase();
+      if (ext === '.png') return readPNG(bytes);
+      if (ext === '.ktx2') return readContainer(buf, viewer.parseKTX2);
+      if (ext === '.ktx') return readContainer(buf, viewer.parseKTX1);
+      if (ext === '.dds') return readContainer(buf, viewer.parseDDS);
+      if (ext === '.hdr' || ext === '.pic' || ext === '.exr') {
+        const image = ext === '.exr' ? await viewer.parseEXR(buf) : viewer.parseRadianceHDR(buf);
+        const alpha = ext === '.exr' && image.channels.includes('A');
+        return { levels: [{ width: image.width, height: image.height, data: image.data }], channels: alpha ? [0, 1, 2, 3] : [0, 1, 2], block: null };
+      }
+      throw new Error(`Unsupported file type ${ext} (PNG, KTX2, KTX, DDS, HDR and EXR can be read headless)`);
+    };
+
+    const args = process.argv.slice(2);
+    const files = [];
+    const thresholds = {};
+    let json = false;
+    const options = { '--min-psnr': 'minPSNR', '--min-ssim': 'minSSIM', '--max-error': 'maxError' };
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--json') json = true;
+      else if (options[args[i]]) thresholds[options[args[i]]] = parseFloat(args[++i]);
+      else files.push(args[i]);
+    }
+    if (files.length !== 2 || Object.values(thresholds).some(Number.isNaN)) {
+      console.error('usage: node media/metrics.js <reference> <texture> [--min-psnr dB] [--min-ssim v] [--max-error v] [--json]');
+      process.exit(2);
+    }
+
+    (async () => {
+      const [a, b] = await Promise.all(files.map(readImage));
+      const channels = a.channels.filter(c => b.channels.includes(c));
+      const results = [];
+      for (let mip = 0; mip < Math.min(a.levels.length, b.levels.length); mip++) {
+        const la = a.levels[mip], lb = b.levels[mip];
+        if (la.width !== lb.width || la.height !== lb.height) {
+          results.push({ mip, skipped: `sizes differ (${la.width}×${la.height} vs ${lb.width}×${lb.height})` });
+          continue;
+        }
+        results.push({ mip, metrics: computeImageMetrics(la.data, lb.data, la.width, la.height, channels, b.block || a.block || undefined) });
+      }
+      const failures = checkImageMetrics(results, thresholds);
+      if (json) {
+        console.log(JSON.stringify({ reference: files[0], texture: files[1], results, failures }, (k, v) => (typeof v === 'number' && !Number.isFinite(v) ? String(v) : v), 2));
+      } else {
+        console.log(`${files[0]} vs ${files[1]}`);
+        console.log(formatImageMetrics(results));
+        for (const f of failures) console.log(`FAIL ${f}`);
+      }
+      process.exit(failures.length ? 1 : 0);
+    })().catch((e) => {
+      console.error(e.message || e);
+      process.exit(2);
+    });
+  }
+}
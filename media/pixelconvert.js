@@ -0,0 +1,146 @@
+// pixelconvert.js - CPU conversion of uncompressed vkFormats WebGPU can't sample as stored
+// formats.js picks the target (upload.convert): RGBA8 for 8-bit normalized data, r/rg/rgba
+// 16- or 32-bit float for integer, 16-bit norm, packed 10-bit and 3-channel float data.
+// Components land in RGBA by channel name; missing ones read as 0, alpha as 1.
+
+const PIXEL_CHANNEL_INDEX = { R: 0, G: 1, B: 2, A: 3 };
+
+function pixelHalfToFloat(h) {
+  const exp = (h >> 10) & 0x1F;
+  const mant = h & 0x3FF;
+  const v = exp === 0 ? mant * Math.pow(2, -24)
+    : (exp === 31 ? (mant ? NaN : Infinity) : (1 + mant / 1024) * Math.pow(2, exp - 15));
+  return h & 0x8000 ? -v : v;
+}
+
+const pixelF32 = new Float32Array(1);
+const pixelU32 = new Uint32Array(pixelF32.buffer);
+
+// Round-to-nearest float32 -> half bits, overflowing to infinity
+function pixelFloatToHalf(v) {
+  pixelF32[0] = v;
+  const x = pixelU32[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = (x >>> 23) & 0xFF;
+  let mant = x & 0x7FFFFF;
+  if (exp === 0xFF) return sign | 0x7C00 | (mant ? 0x200 : 0);
+  let e = exp - 112;
+  if (e >= 31) return sign | 0x7C00;
+  if (e <= 0) {
+    if (e < -10) return sign;
+    mant |= 0x800000;
+    const shift = 14 - e;
+    let h = mant >> shift;
+    if ((mant >> (shift - 1)) & 1) h++;
+    return sign | h;
+  }
+  let h = (e << 10) | (mant >> 13);
+  if (mant & 0x1000) h++; // carries into the exponent when the mantissa overflows
+  return sign | h;
+}
+
+// Reader for the stored component values of one texel, in the order of the format's channels:
+// integers for UNORM/SNORM/UINT/SINT/SRGB data, numbers for float data. info is a formats.js entry.
+// Returns (dv, offset, out) => out, filling out[0..channels).
+function pixelTexelReader(info) {
+  const signed = info.numeric === 'SNORM' || info.numeric === 'SINT';
+  if (/_PACK\d+$/.test(info.name)) {
+    // Packed: one little-endian word, first component in the most significant bits
+    const size = info.bytesPerBlock;
+    const fields = [];
+    let shift = size * 8;
+    for (const bits of info.componentBits) {
+      shift -= bits;
+      fields.push({ div: Math.pow(2, shift), range: Math.pow(2, bits), half: Math.pow(2, bits - 1) });
+    }
+    return (dv, offset, out) => {
+      const word = size === 1 ? dv.getUint8(offset) : (size === 2 ? dv.getUint16(offset, true) : dv.getUint32(offset, true));
+      for (let i = 0; i < fields.length; i++) {
+        const f = fields[i];
+        const v = Math.floor(word / f.div) % f.range;
+        out[i] = signed && v >= f.half ? v - f.range : v;
+      }
+      return out;
+    };
+  }
+  const size = info.typeSize;
+  const n = info.channels.length;
+  const float = info.numeric === 'SFLOAT';
+  const read = size === 1 ? (signed ? (dv, o) => dv.getInt8(o) : (dv, o) => dv.getUint8(o))
+    : size === 2 ? (float ? (dv, o) => pixelHalfToFloat(dv.getUint16(o, true))
+      : (signed ? (dv, o) => dv.getInt16(o, true) : (dv, o) => dv.getUint16(o, true)))
+    : (float ? (dv, o) => dv.getFloat32(o, true)
+      : (signed ? (dv, o) => dv.getInt32(o, true) : (dv, o) => dv.getUint32(o, true)));
+  return (dv, offset, out) => {
+    for (let i = 0; i < n; i++) out[i] = read(dv, offset + i * size);
+    return out;
+  };
+}
+
+// Stored component values of the texel at offset (for the pixel inspector)
+function readTexelComponents(bytes, offset, info) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return pixelTexelReader(info)(dv, offset, []);
+}
+
+// Stored value -> the value the GPU would sample: UNORM/SRGB/SNORM normalized, integers as is
+function pixelNormalizer(info, bits) {
+  if (info.numeric === 'UNORM' || info.numeric === 'SRGB') {
+    const max = Math.pow(2, bits) - 1;
+    return v => v / max;
+  }
+  if (info.numeric === 'SNORM') {
+    const max = Math.pow(2, bits - 1) - 1;
+    return v => Math.max(v / max, -1);
+  }
+  return v => v;
+}
+
+// Convert count texels of raw (stored as formatInfo.vkFormat) to formatInfo.format
+function convertPixels(raw, count, formatInfo) {
+  const info = window.getVkFormatInfo(formatInfo.vkFormat);
+  const stride = info.bytesPerBlock;
+  const slots = Array.from(info.channels, c => PIXEL_CHANNEL_INDEX[c]);
+  const normalize = info.componentBits.map(bits => pixelNormalizer(info, bits));
+  const target = formatInfo.format;
+  const outChannels = target.startsWith('rgba') ? 4 : (target.startsWith('rg') ? 2 : 1);
+  const texel = [0, 0, 0, 1];
+  const dv = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+  const readTexel = pixelTexelReader(info);
+  const values = [];
+
+  // 8-bit normalized data keeps its bytes, moved into RGBA order
+  if (/^rgba8/.test(target)) {
+    const out = new Uint8Array(count * 4);
+    const signed = target === 'rgba8snorm';
+    const scale = signed ? 127 : 255;
+    const packed = /_PACK\d+$/.test(info.name);
+    for (let p = 0; p < count; p++) {
+      texel[0] = texel[1] = texel[2] = 0; texel[3] = 1;
+      if (packed) {
+        readTexel(dv, p * stride, values);
+        for (let c = 0; c < slots.length; c++) texel[slots[c]] = normalize[c](values[c]);
+        for (let c = 0; c < 4; c++) out[p * 4 + c] = Math.round(texel[c] * scale) & 0xFF;
+      } else {
+        for (let c = 0; c < 4; c++) out[p * 4 + c] = c === 3 ? scale : 0;
+        for (let c = 0; c < slots.length; c++) out[p * 4 + slots[c]] = raw[p * stride + c];
+      }
+    }
+    return out;
+  }
+
+  const half = target.includes('16float');
+  const out = half ? new Uint16Array(count * outChannels) : new Float32Array(count * outChannels);
+  for (let p = 0; p < count; p++) {
+    readTexel(dv, p * stride, values);
+    texel[0] = texel[1] = texel[2] = 0; texel[3] = 1;
+    for (let c = 0; c < slots.length; c++) texel[slots[c]] = normalize[c](values[c]);
+    for (let c = 0; c < outChannels; c++) {
+      out[p * outChannels + c] = half ? pixelFloatToHalf(texel[c]) : texel[c];
+    }
+  }
+  return new Uint8Array(out.buffer);
+}
+
+window.readTexelComponents = readTexelComponents;
+window.convertPixels = convertPixels;
@@ -1,19 +1,33 @@
 // File for parsing KTX2 files
 // | Identifier | Header | Level Index | DFD | KVD | SGD | Mip Level Array |
 
+// Every structure is range-checked before it is read, so truncated or corrupt
+// files fail with the structure name and byte offset instead of a RangeError.
+
+function hexOffset(n) {
+  return '0x' + n.toString(16).toUpperCase();
+}
+
+// Throws unless [offset, offset + length) ends at or before limit (the file size by default)
+function checkRange(limit, what, offset, length, limitName = 'EOF') {
+  if (!Number.isSafeInteger(offset) || !Number.isSafeInteger(length) || offset + length > limit) {
+    throw new Error(`${what} at ${hexOffset(offset)} (${length} bytes) extends past ${limitName} at ${hexOffset(limit)}`);
+  }
+}
+
 async function parseKTX2(arrayBuffer) {
   const dv = new DataView(arrayBuffer);
+  const fileSize = arrayBuffer.byteLength;
 
   // Identifier (12 bytes) - validates that this is truly ktx2 file
+  checkRange(fileSize, 'KTX2 identifier', 0, 12);
   const identifier = new Uint8Array(arrayBuffer, 0, 12);
   const KTX2_IDENTIFIER = new Uint8Array([0xAB,0x4B,0x54,0x58,0x20,0x32,0x30,0xBB,0x0D,0x0A,0x1A,0x0A]);
   for (let i = 0; i < 12; i++) {
-    if (identifier[i] !== KTX2_IDENTIFIER[i]) throw new Error('Invalid KTX2 identifier');
+    if (identifier[i] !== KTX2_IDENTIFIER[i]) throw new Error(`Invalid KTX2 identifier (byte ${hexOffset(i)})`);
   }
 
-  if (arrayBuffer.byteLength < 12 + 68) {
-    throw new Error('KTX2 too small to contain header.');
-  }
+  checkRange(fileSize, 'KTX2 header', 12, 68);
 
   // Header (68 bytes) - Describes global properties of the texture (dimensions, format, data locations, etc.)
   let offset = 12; // After identifier which is 12 bytes
@@ -41,36 +55,50 @@ async function parseKTX2(arrayBuffer) {
 
   // Level Index - array of mip levels
   const levelCount = Math.max(1, header.levelCount || 1);
+  checkRange(fileSize, `Level index (${levelCount} entries)`, offset, levelCount * 24);
   const levels = [];
   for (let i = 0; i < levelCount; i++) {
     const byteOffset = Number(dv.getBigUint64(offset, true)); offset += 8;
     const byteLength = Number(dv.getBigUint64(offset, true)); offset += 8;
     const uncompressedByteLength = Number(dv.getBigUint64(offset, true)); offset += 8;
+    checkRange(fileSize, `Level ${i} data`, byteOffset, byteLength);
     levels.push({
       byteOffset, byteLength, uncompressedByteLength,
       width: Math.max(1, header.pixelWidth  >> i),
       height: Math.max(1, header.pixelHeight >> i),
+      depth: Math.max(1, header.pixelDepth >> i), // 3D textures halve depth too; 1 for 2D
     });
   }
 
   // Parse DFD if present
   let dfd = null;
   if (index.dfdByteLength > 0) {
+    checkRange(fileSize, 'DFD', index.dfdByteOffset, index.dfdByteLength);
     dfd = parseDFD(dv, index.dfdByteOffset, index.dfdByteLength);
   }
 
   // Parse KVD if present
   let kvd = null;
   if (index.kvdByteLength > 0) {
+    checkRange(fileSize, 'KVD', index.kvdByteOffset, index.kvdByteLength);
     kvd = parseKVD(dv, index.kvdByteOffset, index.kvdByteLength);
   }
 
+  // SGD is only handed to the transcoder, but must still be inside the file
+  if (index.sgdByteLength > 0) {
+    checkRange(fileSize, 'SGD', index.sgdByteOffset, index.sgdByteLength);
+  }
+
   return { header, index, levels, dfd, kvd };
 }
 
-// DFD data block parser
+// DFD data block parser (Khronos Data Format, basic descriptor block)
 function parseDFD(dv, baseOffset, length) {
-  const view = new DataView(dv.buffer, baseOffset, length);
+  checkRange(dv.byteLength, 'DFD', baseOffset, length);
+  if (length < 4 + 24) {
+    throw new Error(`DFD at ${hexOffset(baseOffset)} is ${length} bytes, too short for a basic descriptor block (28 bytes)`);
+  }
+  const view = new DataView(dv.buffer, dv.byteOffset + baseOffset, length);
   let offset = 0;
   const totalSize = view.getUint32(offset, true); offset += 4;
   const vendorId = view.getUint16(offset, true); offset += 2;
@@ -83,6 +111,7 @@ function parseDFD(dv, baseOffset, length) {
   const transferFunction = view.getUint8(offset++);
   const flags = view.getUint8(offset++);
 
+  // Stored as dimension - 1
   const texelBlockDimension = [
     view.getUint8(offset++), view.getUint8(offset++),
     view.getUint8(offset++), view.getUint8(offset++)
@@ -91,25 +120,173 @@ function parseDFD(dv, baseOffset, length) {
   const bytesPlane = [];
   for (let i = 0; i < 8; i++) bytesPlane.push(view.getUint8(offset++));
 
+  // Sample information follows the 24 byte block header, 16 bytes per sample
+  if (descriptorBlockSize < 24 || 4 + descriptorBlockSize > length) {
+    throw new Error(
+      `DFD descriptor block at ${hexOffset(baseOffset + 4)} has descriptorBlockSize ${descriptorBlockSize}, ` +
+      `outside the DFD's ${length} bytes`
+    );
+  }
+  const samples = [];
+  const sampleCount = Math.floor((descriptorBlockSize - 24) / 16);
+  for (let i = 0; i < sampleCount; i++) {
+    const bitOffset = view.getUint16(offset, true);
+    const bitLength = view.getUint8(offset + 2) + 1;
+    const channelType = view.getUint8(offset + 3);
+    const samplePosition = [
+      view.getUint8(offset + 4), view.getUint8(offset + 5),
+      view.getUint8(offset + 6), view.getUint8(offset + 7)
+    ];
+    samples.push({
+      bitOffset, bitLength,
+      channelId: channelType & 0x0F,
+      qualifiers: channelType & 0xF0,
+      samplePosition,
+      sampleLower: view.getUint32(offset + 8, true),
+      sampleUpper: view.getUint32(offset + 12, true),
+    });
+    offset += 16;
+  }
+
   return { totalSize, vendorId, descriptorType, versionNumber,
           colorModel, colorPrimaries, transferFunction, flags,
-          texelBlockDimension, bytesPlane, descriptorBlockSize };
+          texelBlockDimension, bytesPlane, descriptorBlockSize, samples };
+}
+
+// Khronos Data Format enum names (khr_df.h)
+const DFD_COLOR_MODELS = {
+  0: 'UNSPECIFIED', 1: 'RGBSDA', 2: 'YUVSDA', 3: 'YIQSDA', 4: 'LABSDA', 5: 'CMYKA',
+  6: 'XYZW', 7: 'HSVA_ANG', 8: 'HSLA_ANG', 9: 'HSVA_HEX', 10: 'HSLA_HEX', 11: 'YCGCOA',
+  12: 'YCCBCCRC', 13: 'ICTCP', 14: 'CIEXYZ', 15: 'CIEXYY',
+  128: 'BC1A', 129: 'BC2', 130: 'BC3', 131: 'BC4', 132: 'BC5', 133: 'BC6H', 134: 'BC7',
+  160: 'ETC1', 161: 'ETC2', 162: 'ASTC', 163: 'ETC1S', 164: 'PVRTC', 165: 'PVRTC2', 166: 'UASTC'
+};
+
+const DFD_PRIMARIES = {
+  0: 'UNSPECIFIED', 1: 'BT709', 2: 'BT601_EBU', 3: 'BT601_SMPTE', 4: 'BT2020', 5: 'CIEXYZ',
+  6: 'ACES', 7: 'ACESCC', 8: 'NTSC1953', 9: 'PAL525', 10: 'DISPLAYP3', 11: 'ADOBERGB'
+};
+
+const DFD_TRANSFER_FUNCTIONS = {
+  0: 'UNSPECIFIED', 1: 'LINEAR', 2: 'SRGB', 3: 'ITU', 4: 'NTSC', 5: 'SLOG', 6: 'SLOG2',
+  7: 'BT1886', 8: 'HLG_OETF', 9: 'HLG_EOTF', 10: 'PQ_EOTF', 11: 'PQ_OETF', 12: 'DCIP3',
+  13: 'PAL_OETF', 14: 'PAL625_EOTF', 15: 'ST240', 16: 'ACESCC', 17: 'ACESCCT', 18: 'ADOBERGB'
+};
+
+// Channel ids are interpreted per color model
+const DFD_CHANNELS = {
+  1:   { 0: 'R', 1: 'G', 2: 'B', 13: 'STENCIL', 14: 'DEPTH', 15: 'A' },
+  2:   { 0: 'Y', 1: 'U', 2: 'V', 13: 'STENCIL', 14: 'DEPTH', 15: 'A' },
+  128: { 0: 'COLOR', 1: 'ALPHA' },
+  129: { 0: 'COLOR', 15: 'ALPHA' },
+  130: { 0: 'COLOR', 15: 'ALPHA' },
+  131: { 0: 'DATA' },
+  132: { 0: 'RED', 1: 'GREEN' },
+  133: { 0: 'COLOR' },
+  134: { 0: 'COLOR' },
+  160: { 0: 'COLOR' },
+  161: { 0: 'RED', 1: 'GREEN', 2: 'COLOR', 15: 'ALPHA' },
+  162: { 0: 'DATA' },
+  163: { 0: 'RGB', 3: 'RRR', 4: 'GGG', 15: 'AAA' },
+  166: { 0: 'RGB', 3: 'RGBA', 4: 'RRR', 5: 'RRRG', 6: 'RG' }
+};
+
+const DFD_FLAG_ALPHA_PREMULTIPLIED = 0x01;
+
+// Sample channelType qualifier bits
+const DFD_SAMPLE_LINEAR   = 0x10;
+const DFD_SAMPLE_EXPONENT = 0x20;
+const DFD_SAMPLE_SIGNED   = 0x40;
+const DFD_SAMPLE_FLOAT    = 0x80;
+
+function getDFDColorModelName(colorModel) {
+  return DFD_COLOR_MODELS[colorModel] || `Color model ${colorModel}`;
+}
+
+function getDFDPrimariesName(primaries) {
+  return DFD_PRIMARIES[primaries] || `Primaries ${primaries}`;
+}
+
+function getDFDTransferName(transfer) {
+  return DFD_TRANSFER_FUNCTIONS[transfer] || `Transfer ${transfer}`;
+}
+
+function getDFDChannelName(colorModel, channelId) {
+  return DFD_CHANNELS[colorModel]?.[channelId] ?? `${channelId}`;
+}
+
+function getDFDQualifierNames(qualifiers) {
+  const names = [];
+  if (qualifiers & DFD_SAMPLE_LINEAR)   names.push('LINEAR');
+  if (qualifiers & DFD_SAMPLE_EXPONENT) names.push('EXPONENT');
+  if (qualifiers & DFD_SAMPLE_SIGNED)   names.push('SIGNED');
+  if (qualifiers & DFD_SAMPLE_FLOAT)    names.push('FLOAT');
+  return names;
+}
+
+function isDFDSRGB(dfd) {
+  return dfd?.transferFunction === 2;
+}
+
+function isDFDPremultiplied(dfd) {
+  return !!dfd && (dfd.flags & DFD_FLAG_ALPHA_PREMULTIPLIED) !== 0;
+}
+
+// Human readable lines describing a parsed DFD, for the Texture Info panel
+function describeDFD(dfd) {
+  const block = dfd.texelBlockDimension.map(d => d + 1);
+  const flags = isDFDPremultiplied(dfd) ? 'ALPHA_PREMULTIPLIED' : 'ALPHA_STRAIGHT';
+  const lines = [
+    `Color model: ${getDFDColorModelName(dfd.colorModel)} (${dfd.colorModel})`,
+    `Primaries: ${getDFDPrimariesName(dfd.colorPrimaries)} (${dfd.colorPrimaries})`,
+    `Transfer: ${getDFDTransferName(dfd.transferFunction)} (${dfd.transferFunction})`,
+    `Flags: ${flags} (0x${dfd.flags.toString(16)})`,
+    `Texel block: ${block[0]}×${block[1]}×${block[2]}×${block[3]}`,
+    `Bytes plane 0: ${dfd.bytesPlane[0]}`
+  ];
+  dfd.samples.forEach((s, i) => {
+    const channel = getDFDChannelName(dfd.colorModel, s.channelId);
+    const qualifiers = getDFDQualifierNames(s.qualifiers);
+    const q = qualifiers.length ? ` [${qualifiers.join(' ')}]` : '';
+    const pos = s.samplePosition.some(p => p) ? ` pos ${s.samplePosition.join(',')}` : '';
+    lines.push(`Sample ${i}: ${channel}${q} bits ${s.bitOffset}+${s.bitLength}${pos}, ` +
+      `range ${s.sampleLower}..${s.sampleUpper}`);
+  });
+  return lines;
+}
+
+// The DFD transfer function is authoritative for sRGB vs. linear; pick the
+// matching WebGPU format so sampling decodes (or doesn't decode) the curve.
+function applyDFDTransfer(formatInfo, dfd) {
+  if (!dfd || (dfd.transferFunction !== 1 && dfd.transferFunction !== 2)) return formatInfo;
+  const isSRGB = formatInfo.format.endsWith('-srgb');
+  const base = isSRGB ? formatInfo.format.slice(0, -5) : formatInfo.format;
+  // Only formats with an -srgb twin in WebGPU can follow the DFD
+  if (!window.getWebGPUFormatInfo(`${base}-srgb`)) return formatInfo;
+  const format = isDFDSRGB(dfd) ? `${base}-srgb` : base;
+  return format === formatInfo.format ? formatInfo : { ...formatInfo, format };
 }
 
 // KVD data block parser
-function parseKVD(dv, baseOffset, length) {
+// KTX1 files may be big-endian, which only changes the kvByteLength fields
+function parseKVD(dv, baseOffset, length, littleEndian = true) {
+  checkRange(dv.byteLength, 'KVD', baseOffset, length);
   const kv = {};
+  const end = baseOffset + length;
   let offset = baseOffset;
-  while (offset < baseOffset + length) {
-    const kvByteLength = dv.getUint32(offset, true); offset += 4;
-    if (kvByteLength === 0) break; // Safety check
-    const bytes = new Uint8Array(dv.buffer, offset, kvByteLength);
+  while (offset < end) {
+    checkRange(end, 'KVD entry length', offset, 4, 'end of KVD');
+    const kvByteLength = dv.getUint32(offset, littleEndian); offset += 4;
+    if (kvByteLength === 0) throw new Error(`KVD entry at ${hexOffset(offset - 4)} has kvByteLength 0`);
+    checkRange(end, 'KVD entry', offset, kvByteLength, 'end of KVD');
+    const bytes = new Uint8Array(dv.buffer, dv.byteOffset + offset, kvByteLength);
     const str = new TextDecoder().decode(bytes);
     const nullPos = str.indexOf('\0');
     if (nullPos >= 0) {
+      // String values end in NUL (KTX2 spec 3.11); drop it so values compare as written
       const key = str.slice(0, nullPos);
       const value = str.slice(nullPos + 1);
-      kv[key] = value;
+      kv[key] = value.endsWith('\0') ? value.slice(0, -1) : value;
     }
     offset += kvByteLength;
     offset += (4 - (kvByteLength % 4)) % 4; // 4-byte align
@@ -118,110 +295,617 @@ function parseKVD(dv, baseOffset, length) {
 }
 
 // Mip level accessor
-function getLevelData(arrayBuffer, level) {
+function getLevelData(arrayBuffer, level, levelIndex) {
+  const what = levelIndex === undefined ? 'Level data' : `Level ${levelIndex} data`;
+  checkRange(arrayBuffer.byteLength, what, level.byteOffset, level.byteLength);
   return new Uint8Array(arrayBuffer, level.byteOffset, level.byteLength);
 }
 
-// Vulkan format enum to WebGPU format string + metadata
-// Returns: { format: 'bc7-rgba-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 }
-function vkFormatToWebGPU(vkFormat) {
-  const formats = {
-    // BC1 (DXT1) - 4x4 blocks, 8 bytes per block
-    131: { format: 'bc1-rgba-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
-    132: { format: 'bc1-rgba-unorm-srgb', blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
-    
-    // BC2 (DXT3) - 4x4 blocks, 16 bytes per block
-    135: { format: 'bc2-rgba-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
-    136: { format: 'bc2-rgba-unorm-srgb', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
-    
-    // BC3 (DXT5) - 4x4 blocks, 16 bytes per block
-    137: { format: 'bc3-rgba-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
-    138: { format: 'bc3-rgba-unorm-srgb', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
-    
-    // BC4 (RGTC1) - 4x4 blocks, 8 bytes per block
-    139: { format: 'bc4-r-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
-    140: { format: 'bc4-r-snorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
-    
-    // BC5 (RGTC2) - 4x4 blocks, 16 bytes per block
-    141: { format: 'bc5-rg-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
-    142: { format: 'bc5-rg-snorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
-    
-    // BC6H (HDR) - 4x4 blocks, 16 bytes per block
-    143: { format: 'bc6h-rgb-ufloat', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
-    144: { format: 'bc6h-rgb-float', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
-    
-    // BC7 - 4x4 blocks, 16 bytes per block
-    145: { format: 'bc7-rgba-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
-    146: { format: 'bc7-rgba-unorm-srgb', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
-
-    // --- MOBILE FORMATS ---
-
-    // ETC2 formats
-    152: { format: "etc2-rgb8unorm",  blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
-    153: { format: "etc2-rgb8a1unorm", blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 },
-    154: { format: "etc2-rgba8unorm", blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
-
-    157: { format: 'astc-4x4-unorm',      blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
-    158: { format: 'astc-4x4-unorm-srgb', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 },
-
-    // --- UNCOMPRESSED FORMATS ---
-
-    // RGB8 (UNORM & SRGB) — 3 bytes per pixel
-    // these formats can't be used directly in WebGPU, need to be expanded to RGBA8
-    23: { format: 'rgba8unorm', bytesPerPixel: 4, sourceChannels: 3 },
-    24: { format: 'rgba8unorm-srgb', bytesPerPixel: 4, sourceChannels: 3 },
-    29: { format: 'rgba8unorm', bytesPerPixel: 4, sourceChannels: 3 },
-
-    // RGBA8
-    37:  { format: 'rgba8unorm',       bytesPerPixel: 4 },
-    43:  { format: 'rgba8unorm-srgb',  bytesPerPixel: 4 },
-
-    // RGBA16F — 8 bytes per pixel
-    97:  { format: 'rgba16float',      bytesPerPixel: 8 },
-
-    // RGBA32F — 16 bytes per pixel
-    // going to doconvert to RGBA16F for WebGPU usage for now
-    109: { format: 'rgba16float', bytesPerPixel: 8, sourceBytesPerPixel: 16 },
-
-
-    // R11G11B10 UFLOAT
-    100: { format: 'rg11b10ufloat',    bytesPerPixel: 4 },
-    122: { format: "rg11b10ufloat", bytesPerPixel: 4 },
-
-
-    // RGB9E5
-    99:  { format: 'rgb9e5ufloat',     bytesPerPixel: 4 },
-    123: { format: 'rgb9e5ufloat', bytesPerPixel: 4 },
+// Mip level accessor that undoes Zstandard / ZLIB supercompression
+// The inflated size must match the level's uncompressedByteLength
+async function decodeLevelData(arrayBuffer, level, scheme, levelIndex) {
+  const raw = getLevelData(arrayBuffer, level, levelIndex);
+  if (scheme === 0) return raw;
+  const name = getSupercompressionName(scheme);
+
+  let data;
+  try {
+    if (scheme === 2) data = window.decompressZstd(raw, level.uncompressedByteLength);
+    else if (scheme === 3) data = await inflateZlib(raw);
+    else throw new Error(`${name} levels can't be inflated directly`);
+  } catch (e) {
+    throw new Error(`Level ${levelIndex}: ${name} decode failed: ${e.message || e}`);
+  }
+
+  if (data.byteLength !== level.uncompressedByteLength) {
+    throw new Error(
+      `Level ${levelIndex}: ${name} inflated to ${data.byteLength} bytes, ` +
+      `but uncompressedByteLength is ${level.uncompressedByteLength}`
+    );
+  }
+  return data;
+}
+
+// Byte length of one image (a single layer/face, all z slices) of a mip level as stored in the file.
+// KTX2 packs images without padding: block formats round up to whole blocks,
+// uncompressed formats use their stored (source) texel size.
+function getImageByteLength(formatInfo, width, height, depth = 1) {
+  if (formatInfo.blockWidth) {
+    const wBlocks = Math.ceil(width / formatInfo.blockWidth);
+    const hBlocks = Math.ceil(height / formatInfo.blockHeight);
+    return wBlocks * hBlocks * depth * formatInfo.bytesPerBlock;
+  }
+  const texelBytes = formatInfo.sourceBytesPerPixel || formatInfo.bytesPerPixel;
+  return width * height * depth * texelBytes;
+}
+
+// Exact sizes of every mip level, each over all its layers, faces and slices (images = layers x faces):
+// stored and uncompressed bytes from the container's level index (null for decoded images),
+// the GPU allocation in the uploaded WebGPU format (formats.js) rounded up to whole blocks,
+// and the number of blocks (texels for uncompressed data) of the stored format
+function getLevelSizes(width, height, levelCount, gpuFormat, { depth = 1, images = 1, blockSize = [1, 1], levels = null } = {}) {
+  const info = window.getWebGPUFormatInfo(gpuFormat);
+  const { blockWidth = 1, blockHeight = 1, bytesPerBlock = 4 } = info || {};
+  const rows = [];
+  for (let i = 0; i < levelCount; i++) {
+    const w = Math.max(1, width >> i);
+    const h = Math.max(1, height >> i);
+    const d = Math.max(1, depth >> i);
+    rows.push({
+      level: i, width: w, height: h, depth: d,
+      stored: levels?.[i]?.byteLength ?? null,
+      uncompressed: levels?.[i]?.uncompressedByteLength || null, // 0 for BasisLZ
+      gpu: Math.ceil(w / blockWidth) * Math.ceil(h / blockHeight) * d * images * bytesPerBlock,
+      blocks: Math.ceil(w / blockSize[0]) * Math.ceil(h / blockSize[1]) * d * images
+    });
+  }
+  return rows;
+}
+
+// Column totals of getLevelSizes() rows; a column with any unknown (null) level totals null
+function sumLevelSizes(rows) {
+  const sum = (key) => (rows.some(r => r[key] === null) ? null : rows.reduce((t, r) => t + r[key], 0));
+  return { stored: sum('stored'), uncompressed: sum('uncompressed'), gpu: sum('gpu'), blocks: sum('blocks') };
+}
+
+// Split a level's (inflated) data into its images, in KTX2 order: layer, then face.
+// Returns [{ layer, face, data }]
+function getLevelImages(levelData, formatInfo, level, layerCount, faceCount, levelIndex) {
+  const layers = Math.max(1, layerCount || 1);
+  const faces = Math.max(1, faceCount || 1);
+  const imageSize = getImageByteLength(formatInfo, level.width, level.height, level.depth || 1);
+  const expected = imageSize * layers * faces;
+  if (levelData.byteLength < expected) {
+    throw new Error(
+      `Level ${levelIndex}: ${levelData.byteLength} bytes, expected ${expected} ` +
+      `(${layers} layer(s) × ${faces} face(s) × ${imageSize} bytes)`
+    );
+  }
 
+  const images = [];
+  for (let layer = 0; layer < layers; layer++) {
+    for (let face = 0; face < faces; face++) {
+      const offset = (layer * faces + face) * imageSize;
+      images.push({ layer, face, data: levelData.subarray(offset, offset + imageSize) });
+    }
+  }
+  return images;
+}
+
+// DDS
+// | "DDS " | DDS_HEADER (124) | DDS_HEADER_DXT10 (20, FourCC "DX10" only) | images |
+// Images are stored per array element and face, each with its full mip chain;
+// parseDDS regroups them per mip level (layer, then face, as in KTX2) and returns
+// the parseKTX2 shape, with every level's bytes in level.data.
+
+const DDS_MAGIC = 0x20534444; // "DDS "
+const DDSD_DEPTH = 0x800000;
+const DDPF_ALPHAPIXELS = 0x1;
+const DDPF_ALPHA = 0x2;
+const DDPF_FOURCC = 0x4;
+const DDPF_RGB = 0x40;
+const DDPF_LUMINANCE = 0x20000;
+const DDSCAPS2_CUBEMAP = 0x200;
+const DDSCAPS2_CUBEMAP_ALLFACES = 0xFC00;
+const DDSCAPS2_VOLUME = 0x200000;
+const DDS_RESOURCE_MISC_TEXTURECUBE = 0x4;
+const DDS_DIMENSION_TEXTURE3D = 4;
+const DDS_ALPHA_MODE_PREMULTIPLIED = 2;
+
+// Legacy FourCC (or D3DFMT number) -> vkFormat; DXT2/DXT4 are premultiplied DXT3/DXT5
+const DDS_FOURCC_FORMATS = {
+  DXT1: { vkFormat: 133 },
+  DXT2: { vkFormat: 135, premultiplied: true },
+  DXT3: { vkFormat: 135 },
+  DXT4: { vkFormat: 137, premultiplied: true },
+  DXT5: { vkFormat: 137 },
+  ATI1: { vkFormat: 139 }, BC4U: { vkFormat: 139 }, BC4S: { vkFormat: 140 },
+  ATI2: { vkFormat: 141 }, BC5U: { vkFormat: 141 }, BC5S: { vkFormat: 142 },
+  113: { vkFormat: 97, name: 'D3DFMT_A16B16G16R16F' },
+  116: { vkFormat: 109, name: 'D3DFMT_A32B32G32R32F' }
+};
+
+// DXGI_FORMAT -> vkFormat; swizzle 'bgra' / 'bgrx' formats are reordered to RGBA8 on load
+const DDS_DXGI_FORMATS = {
+  2: { vkFormat: 109, name: 'R32G32B32A32_FLOAT' },
+  6: { vkFormat: 106, name: 'R32G32B32_FLOAT' },
+  10: { vkFormat: 97, name: 'R16G16B16A16_FLOAT' },
+  11: { vkFormat: 91, name: 'R16G16B16A16_UNORM' },
+  12: { vkFormat: 95, name: 'R16G16B16A16_UINT' },
+  13: { vkFormat: 92, name: 'R16G16B16A16_SNORM' },
+  14: { vkFormat: 96, name: 'R16G16B16A16_SINT' },
+  16: { vkFormat: 103, name: 'R32G32_FLOAT' },
+  // R in the low bits, like VK_FORMAT_A2B10G10R10_*_PACK32
+  23: { vkFormat: 64, name: 'R10G10B10A2_TYPELESS' },
+  24: { vkFormat: 64, name: 'R10G10B10A2_UNORM' },
+  25: { vkFormat: 68, name: 'R10G10B10A2_UINT' },
+  26: { vkFormat: 122, name: 'R11G11B10_FLOAT' },
+  27: { vkFormat: 37, name: 'R8G8B8A8_TYPELESS' },
+  28: { vkFormat: 37, name: 'R8G8B8A8_UNORM' },
+  29: { vkFormat: 43, name: 'R8G8B8A8_UNORM_SRGB' },
+  30: { vkFormat: 41, name: 'R8G8B8A8_UINT' },
+  31: { vkFormat: 38, name: 'R8G8B8A8_SNORM' },
+  32: { vkFormat: 42, name: 'R8G8B8A8_SINT' },
+  34: { vkFormat: 83, name: 'R16G16_FLOAT' },
+  35: { vkFormat: 77, name: 'R16G16_UNORM' },
+  36: { vkFormat: 81, name: 'R16G16_UINT' },
+  37: { vkFormat: 78, name: 'R16G16_SNORM' },
+  38: { vkFormat: 82, name: 'R16G16_SINT' },
+  41: { vkFormat: 100, name: 'R32_FLOAT' },
+  42: { vkFormat: 98, name: 'R32_UINT' },
+  43: { vkFormat: 99, name: 'R32_SINT' },
+  49: { vkFormat: 16, name: 'R8G8_UNORM' },
+  50: { vkFormat: 20, name: 'R8G8_UINT' },
+  51: { vkFormat: 17, name: 'R8G8_SNORM' },
+  52: { vkFormat: 21, name: 'R8G8_SINT' },
+  54: { vkFormat: 76, name: 'R16_FLOAT' },
+  56: { vkFormat: 70, name: 'R16_UNORM' },
+  57: { vkFormat: 74, name: 'R16_UINT' },
+  58: { vkFormat: 71, name: 'R16_SNORM' },
+  59: { vkFormat: 75, name: 'R16_SINT' },
+  61: { vkFormat: 9, name: 'R8_UNORM' },
+  62: { vkFormat: 13, name: 'R8_UINT' },
+  63: { vkFormat: 10, name: 'R8_SNORM' },
+  64: { vkFormat: 14, name: 'R8_SINT' },
+  67: { vkFormat: 123, name: 'R9G9B9E5_SHAREDEXP' },
+  70: { vkFormat: 133, name: 'BC1_TYPELESS' },
+  71: { vkFormat: 133, name: 'BC1_UNORM' },
+  72: { vkFormat: 134, name: 'BC1_UNORM_SRGB' },
+  73: { vkFormat: 135, name: 'BC2_TYPELESS' },
+  74: { vkFormat: 135, name: 'BC2_UNORM' },
+  75: { vkFormat: 136, name: 'BC2_UNORM_SRGB' },
+  76: { vkFormat: 137, name: 'BC3_TYPELESS' },
+  77: { vkFormat: 137, name: 'BC3_UNORM' },
+  78: { vkFormat: 138, name: 'BC3_UNORM_SRGB' },
+  79: { vkFormat: 139, name: 'BC4_TYPELESS' },
+  80: { vkFormat: 139, name: 'BC4_UNORM' },
+  81: { vkFormat: 140, name: 'BC4_SNORM' },
+  82: { vkFormat: 141, name: 'BC5_TYPELESS' },
+  83: { vkFormat: 141, name: 'BC5_UNORM' },
+  84: { vkFormat: 142, name: 'BC5_SNORM' },
+  // B in the low bits, like VK_FORMAT_R5G6B5 / A1R5G5B5_UNORM_PACK16
+  85: { vkFormat: 4, name: 'B5G6R5_UNORM' },
+  86: { vkFormat: 8, name: 'B5G5R5A1_UNORM' },
+  87: { vkFormat: 37, name: 'B8G8R8A8_UNORM', swizzle: 'bgra' },
+  88: { vkFormat: 37, name: 'B8G8R8X8_UNORM', swizzle: 'bgrx' },
+  90: { vkFormat: 37, name: 'B8G8R8A8_TYPELESS', swizzle: 'bgra' },
+  91: { vkFormat: 43, name: 'B8G8R8A8_UNORM_SRGB', swizzle: 'bgra' },
+  92: { vkFormat: 37, name: 'B8G8R8X8_TYPELESS', swizzle: 'bgrx' },
+  93: { vkFormat: 43, name: 'B8G8R8X8_UNORM_SRGB', swizzle: 'bgrx' },
+  94: { vkFormat: 143, name: 'BC6H_TYPELESS' },
+  95: { vkFormat: 143, name: 'BC6H_UF16' },
+  96: { vkFormat: 144, name: 'BC6H_SF16' },
+  97: { vkFormat: 145, name: 'BC7_TYPELESS' },
+  98: { vkFormat: 145, name: 'BC7_UNORM' },
+  99: { vkFormat: 146, name: 'BC7_UNORM_SRGB' }
+};
+
+function fourCCToString(fourCC) {
+  return String.fromCharCode(fourCC & 0xFF, (fourCC >> 8) & 0xFF, (fourCC >> 16) & 0xFF, fourCC >>> 24);
+}
+
+// Legacy uncompressed pixels described by bit masks (RGB, luminance or alpha only) -> RGBA8
+function expandDDSMaskedPixels(src, count, pf) {
+  const bytesPerPixel = pf.rgbBitCount / 8;
+  const channel = (mask) => {
+    if (!mask) return null;
+    let shift = 0;
+    while (!((mask >>> shift) & 1)) shift++;
+    return { mask, shift, max: mask >>> shift };
   };
-  
-  return formats[vkFormat] || null;
+  const luminance = (pf.flags & DDPF_LUMINANCE) !== 0;
+  const alphaOnly = (pf.flags & DDPF_ALPHA) !== 0 && !(pf.flags & (DDPF_RGB | DDPF_LUMINANCE));
+  const r = channel(pf.rMask), g = channel(pf.gMask), b = channel(pf.bMask);
+  const a = (pf.flags & (DDPF_ALPHAPIXELS | DDPF_ALPHA)) ? channel(pf.aMask) : null;
+  const read = (c, v) => Math.round((((v & c.mask) >>> 0) >>> c.shift) * 255 / c.max);
+
+  const out = new Uint8Array(count * 4);
+  for (let i = 0; i < count; i++) {
+    let v = 0;
+    for (let k = bytesPerPixel - 1; k >= 0; k--) v = v * 256 + src[i * bytesPerPixel + k];
+    const o = i * 4;
+    if (alphaOnly) {
+      out[o] = out[o + 1] = out[o + 2] = 0;
+    } else if (luminance) {
+      out[o] = out[o + 1] = out[o + 2] = r ? read(r, v) : 0;
+    } else {
+      out[o] = r ? read(r, v) : 0;
+      out[o + 1] = g ? read(g, v) : 0;
+      out[o + 2] = b ? read(b, v) : 0;
+    }
+    out[o + 3] = a ? read(a, v) : 255;
+  }
+  return out;
+}
+
+// BGRA8 / BGRX8 -> RGBA8
+function swizzleDDSBGRA(src, count, opaque) {
+  const out = new Uint8Array(count * 4);
+  for (let i = 0; i < count * 4; i += 4) {
+    out[i] = src[i + 2];
+    out[i + 1] = src[i + 1];
+    out[i + 2] = src[i];
+    out[i + 3] = opaque ? 255 : src[i + 3];
+  }
+  return out;
+}
+
+function parseDDS(arrayBuffer) {
+  const dv = new DataView(arrayBuffer);
+  const fileSize = arrayBuffer.byteLength;
+
+  checkRange(fileSize, 'DDS header', 0, 128);
+  if (dv.getUint32(0, true) !== DDS_MAGIC) throw new Error('Invalid DDS magic (expected "DDS ")');
+  if (dv.getUint32(4, true) !== 124) throw new Error(`DDS header size is ${dv.getUint32(4, true)}, expected 124`);
+
+  const flags = dv.getUint32(8, true);
+  const height = dv.getUint32(12, true);
+  const width = dv.getUint32(16, true);
+  const depthField = dv.getUint32(24, true);
+  const levelCount = Math.max(1, dv.getUint32(28, true));
+  const pf = {
+    flags: dv.getUint32(80, true),
+    fourCC: dv.getUint32(84, true),
+    rgbBitCount: dv.getUint32(88, true),
+    rMask: dv.getUint32(92, true),
+    gMask: dv.getUint32(96, true),
+    bMask: dv.getUint32(100, true),
+    aMask: dv.getUint32(104, true)
+  };
+  const caps2 = dv.getUint32(112, true);
+  if (width === 0 || height === 0) throw new Error('DDS image has no pixels');
+
+  let dataOffset = 128;
+  let format;
+  let source;
+  let faceCount = 1;
+  let layerCount = 0;
+  let depth = 0;
+  let premultiplied = false;
+  let masked = false;
+
+  if ((pf.flags & DDPF_FOURCC) && fourCCToString(pf.fourCC) === 'DX10') {
+    checkRange(fileSize, 'DDS DX10 header', 128, 20);
+    const dxgiFormat = dv.getUint32(128, true);
+    const dimension = dv.getUint32(132, true);
+    const miscFlag = dv.getUint32(136, true);
+    const arraySize = Math.max(1, dv.getUint32(140, true));
+    const alphaMode = dv.getUint32(144, true) & 0x7;
+    dataOffset = 148;
+
+    format = DDS_DXGI_FORMATS[dxgiFormat];
+    if (!format) throw new Error(`Unsupported DDS DXGI_FORMAT ${dxgiFormat}`);
+    source = `DDS DXGI_FORMAT_${format.name} (${dxgiFormat})`;
+    if (dimension === DDS_DIMENSION_TEXTURE3D) {
+      depth = Math.max(1, depthField);
+    } else {
+      if (miscFlag & DDS_RESOURCE_MISC_TEXTURECUBE) faceCount = 6;
+      if (arraySize > 1) layerCount = arraySize;
+    }
+    premultiplied = alphaMode === DDS_ALPHA_MODE_PREMULTIPLIED;
+  } else if (pf.flags & DDPF_FOURCC) {
+    const name = fourCCToString(pf.fourCC);
+    format = DDS_FOURCC_FORMATS[name] || DDS_FOURCC_FORMATS[pf.fourCC];
+    if (!format) throw new Error(`Unsupported DDS FourCC ${/^[\x20-\x7E]{4}$/.test(name) ? `"${name}"` : pf.fourCC}`);
+    source = `DDS ${format.name || `FourCC ${name}`}`;
+    premultiplied = !!format.premultiplied;
+  } else if (pf.flags & (DDPF_RGB | DDPF_LUMINANCE | DDPF_ALPHA)) {
+    if (![8, 16, 24, 32].includes(pf.rgbBitCount)) {
+      throw new Error(`Unsupported DDS pixel size of ${pf.rgbBitCount} bits`);
+    }
+    masked = true;
+    format = { vkFormat: 37 };
+    const hex = (m) => m.toString(16).toUpperCase().padStart(8, '0');
+    source = `DDS ${pf.rgbBitCount}-bit masks R ${hex(pf.rMask)} G ${hex(pf.gMask)} B ${hex(pf.bMask)} A ${hex(pf.aMask)}`;
+  } else {
+    throw new Error(`Unsupported DDS pixel format flags 0x${pf.flags.toString(16)}`);
+  }
+
+  // Legacy cubemaps and volumes are flagged in caps2
+  if (dataOffset === 128) {
+    if (caps2 & DDSCAPS2_CUBEMAP) {
+      if ((caps2 & DDSCAPS2_CUBEMAP_ALLFACES) !== DDSCAPS2_CUBEMAP_ALLFACES) {
+        throw new Error('DDS cubemaps without all six faces are not supported');
+      }
+      faceCount = 6;
+    }
+    if ((caps2 & DDSCAPS2_VOLUME) && (flags & DDSD_DEPTH)) depth = Math.max(1, depthField);
+  }
+
+  const formatInfo = vkFormatToWebGPU(format.vkFormat);
+  // Stored texel layout; masked and swizzled pixels are converted to RGBA8 below
+  const stored = masked ? { bytesPerPixel: pf.rgbBitCount / 8 } : formatInfo;
+  const layers = Math.max(1, layerCount);
+  const levelSizes = [];
+  for (let i = 0; i < levelCount; i++) {
+    levelSizes.push({
+      width: Math.max(1, width >> i),
+      height: Math.max(1, height >> i),
+      depth: Math.max(1, (depth || 1) >> i)
+    });
+  }
+
+  // Walk the file in DDS order (layer, face, mip) and collect each level's images
+  const levelImages = levelSizes.map(() => []);
+  const storedLengths = levelSizes.map(() => 0);
+  let offset = dataOffset;
+  for (let layer = 0; layer < layers; layer++) {
+    for (let face = 0; face < faceCount; face++) {
+      for (let i = 0; i < levelCount; i++) {
+        const { width: w, height: h, depth: d } = levelSizes[i];
+        const size = getImageByteLength(stored, w, h, d);
+        checkRange(fileSize, `DDS image (layer ${layer}, face ${face}, level ${i})`, offset, size);
+        let image = new Uint8Array(arrayBuffer, offset, size);
+        if (masked) image = expandDDSMaskedPixels(image, w * h * d, pf);
+        else if (format.swizzle) image = swizzleDDSBGRA(image, w * h * d, format.swizzle === 'bgrx');
+        levelImages[i].push(image);
+        storedLengths[i] += size;
+        offset += size;
+      }
+    }
+  }
+
+  const levels = levelImages.map((images, i) => {
+    const data = new Uint8Array(images.reduce((sum, img) => sum + img.length, 0));
+    let o = 0;
+    for (const img of images) { data.set(img, o); o += img.length; }
+    // Byte lengths as in the file, before masked pixels are expanded
+    return {
+      byteOffset: dataOffset, byteLength: storedLengths[i], uncompressedByteLength: storedLengths[i],
+      ...levelSizes[i], data
+    };
+  });
+
+  const header = {
+    vkFormat: format.vkFormat,
+    typeSize: window.getVkFormatInfo(format.vkFormat).typeSize,
+    pixelWidth: width,
+    pixelHeight: height,
+    pixelDepth: depth,
+    layerCount,
+    faceCount,
+    levelCount,
+    supercompressionScheme: 0
+  };
+  return { header, levels, dfd: null, kvd: {}, premultiplied, source };
+}
+
+// KTX 1.1
+// | Identifier | Header (52) | KVD | per level: imageSize, images, mipPadding |
+// Non-array cubemaps store imageSize per face and pad every face to 4 bytes;
+// otherwise imageSize covers the whole level (array elements, then faces).
+// Uncompressed rows are padded to 4 bytes (GL_UNPACK_ALIGNMENT). parseKTX1 maps
+// glInternalFormat to a vkFormat, strips row padding, swaps big-endian texels and
+// returns the parseKTX2 shape with every level's bytes in level.data.
+
+const KTX1_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+const KTX1_ENDIANNESS = 0x04030201;
+
+// glInternalFormat -> vkFormat
+const KTX1_GL_FORMATS = {
+  0x8051: { vkFormat: 23, name: 'GL_RGB8' },
+  0x8C41: { vkFormat: 29, name: 'GL_SRGB8' },
+  0x8058: { vkFormat: 37, name: 'GL_RGBA8' },
+  0x8C43: { vkFormat: 43, name: 'GL_SRGB8_ALPHA8' },
+  0x881A: { vkFormat: 97, name: 'GL_RGBA16F' },
+  0x8814: { vkFormat: 109, name: 'GL_RGBA32F' },
+  0x8C3A: { vkFormat: 122, name: 'GL_R11F_G11F_B10F' },
+  0x8C3D: { vkFormat: 123, name: 'GL_RGB9_E5' },
+  0x83F0: { vkFormat: 131, name: 'GL_COMPRESSED_RGB_S3TC_DXT1_EXT' },
+  0x8C4C: { vkFormat: 132, name: 'GL_COMPRESSED_SRGB_S3TC_DXT1_EXT' },
+  0x83F1: { vkFormat: 133, name: 'GL_COMPRESSED_RGBA_S3TC_DXT1_EXT' },
+  0x8C4D: { vkFormat: 134, name: 'GL_COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT' },
+  0x83F2: { vkFormat: 135, name: 'GL_COMPRESSED_RGBA_S3TC_DXT3_EXT' },
+  0x8C4E: { vkFormat: 136, name: 'GL_COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT' },
+  0x83F3: { vkFormat: 137, name: 'GL_COMPRESSED_RGBA_S3TC_DXT5_EXT' },
+  0x8C4F: { vkFormat: 138, name: 'GL_COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT' },
+  0x8DBB: { vkFormat: 139, name: 'GL_COMPRESSED_RED_RGTC1' },
+  0x8DBC: { vkFormat: 140, name: 'GL_COMPRESSED_SIGNED_RED_RGTC1' },
+  0x8DBD: { vkFormat: 141, name: 'GL_COMPRESSED_RG_RGTC2' },
+  0x8DBE: { vkFormat: 142, name: 'GL_COMPRESSED_SIGNED_RG_RGTC2' },
+  0x8E8F: { vkFormat: 143, name: 'GL_COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT' },
+  0x8E8E: { vkFormat: 144, name: 'GL_COMPRESSED_RGB_BPTC_SIGNED_FLOAT' },
+  0x8E8C: { vkFormat: 145, name: 'GL_COMPRESSED_RGBA_BPTC_UNORM' },
+  0x8E8D: { vkFormat: 146, name: 'GL_COMPRESSED_SRGB_ALPHA_BPTC_UNORM' },
+  0x8D64: { vkFormat: 147, name: 'GL_ETC1_RGB8_OES' }, // ETC1 is a subset of ETC2 RGB8
+  0x9274: { vkFormat: 147, name: 'GL_COMPRESSED_RGB8_ETC2' },
+  0x9275: { vkFormat: 148, name: 'GL_COMPRESSED_SRGB8_ETC2' },
+  0x9276: { vkFormat: 149, name: 'GL_COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2' },
+  0x9277: { vkFormat: 150, name: 'GL_COMPRESSED_SRGB8_PUNCHTHROUGH_ALPHA1_ETC2' },
+  0x9278: { vkFormat: 151, name: 'GL_COMPRESSED_RGBA8_ETC2_EAC' },
+  0x9279: { vkFormat: 152, name: 'GL_COMPRESSED_SRGB8_ALPHA8_ETC2_EAC' },
+  0x9270: { vkFormat: 153, name: 'GL_COMPRESSED_R11_EAC' },
+  0x9271: { vkFormat: 154, name: 'GL_COMPRESSED_SIGNED_R11_EAC' },
+  0x9272: { vkFormat: 155, name: 'GL_COMPRESSED_RG11_EAC' },
+  0x9273: { vkFormat: 156, name: 'GL_COMPRESSED_SIGNED_RG11_EAC' }
+};
+
+// ASTC: GL_COMPRESSED_RGBA_ASTC_4x4 + i / GL_COMPRESSED_SRGB8_ALPHA8_ASTC_4x4 + i
+// for the 14 block sizes, in the same order as the vkFormats (UNORM, SRGB pairs from 157)
+const KTX1_ASTC_BLOCKS = ['4x4', '5x4', '5x5', '6x5', '6x6', '8x5', '8x6', '8x8', '10x5', '10x6', '10x8', '10x10', '12x10', '12x12'];
+
+// Unsized glInternalFormat written by some old tools: use glFormat + glType instead
+const KTX1_GL_UNSIZED = {
+  '6407/5121': 0x8051, // GL_RGB, GL_UNSIGNED_BYTE
+  '6408/5121': 0x8058, // GL_RGBA, GL_UNSIGNED_BYTE
+  '6408/5131': 0x881A, // GL_RGBA, GL_HALF_FLOAT
+  '6408/5126': 0x8814 // GL_RGBA, GL_FLOAT
+};
+
+function ktx1FormatForGL(glInternalFormat, glFormat, glType) {
+  const astc = glInternalFormat >= 0x93D0 ? glInternalFormat - 0x93D0 : glInternalFormat - 0x93B0;
+  if (astc >= 0 && astc < KTX1_ASTC_BLOCKS.length) {
+    const srgb = glInternalFormat >= 0x93D0;
+    return {
+      vkFormat: 157 + astc * 2 + (srgb ? 1 : 0),
+      name: `GL_COMPRESSED_${srgb ? 'SRGB8_ALPHA8' : 'RGBA'}_ASTC_${KTX1_ASTC_BLOCKS[astc]}`
+    };
+  }
+  return KTX1_GL_FORMATS[glInternalFormat] || KTX1_GL_FORMATS[KTX1_GL_UNSIZED[`${glFormat}/${glType}`]] || null;
+}
+
+function parseKTX1(arrayBuffer) {
+  const dv = new DataView(arrayBuffer);
+  const fileSize = arrayBuffer.byteLength;
+
+  checkRange(fileSize, 'KTX1 identifier', 0, 12);
+  const identifier = new Uint8Array(arrayBuffer, 0, 12);
+  for (let i = 0; i < 12; i++) {
+    if (identifier[i] !== KTX1_IDENTIFIER[i]) throw new Error(`Invalid KTX1 identifier (byte ${hexOffset(i)})`);
+  }
+
+  checkRange(fileSize, 'KTX1 header', 12, 52);
+  // The writer stores 0x04030201 in its native byte order
+  let littleEndian;
+  if (dv.getUint32(12, true) === KTX1_ENDIANNESS) littleEndian = true;
+  else if (dv.getUint32(12, false) === KTX1_ENDIANNESS) littleEndian = false;
+  else throw new Error(`Invalid KTX1 endianness 0x${dv.getUint32(12, true).toString(16).toUpperCase()}`);
+
+  let offset = 16;
+  const u32 = () => { const v = dv.getUint32(offset, littleEndian); offset += 4; return v; };
+  const gl = {
+    glType: u32(),
+    glTypeSize: u32(),
+    glFormat: u32(),
+    glInternalFormat: u32(),
+    glBaseInternalFormat: u32(),
+    pixelWidth: u32(),
+    pixelHeight: u32(),
+    pixelDepth: u32(),
+    numberOfArrayElements: u32(),
+    numberOfFaces: u32(),
+    numberOfMipmapLevels: u32(),
+    bytesOfKeyValueData: u32()
+  };
+  if (gl.pixelWidth === 0) throw new Error('KTX1 image has no pixels');
+  if (gl.numberOfFaces !== 1 && gl.numberOfFaces !== 6) {
+    throw new Error(`KTX1 numberOfFaces is ${gl.numberOfFaces}, expected 1 or 6`);
+  }
+
+  const format = ktx1FormatForGL(gl.glInternalFormat, gl.glFormat, gl.glType);
+  if (!format) throw new Error(`Unsupported KTX1 glInternalFormat 0x${gl.glInternalFormat.toString(16).toUpperCase()}`);
+  const formatInfo = vkFormatToWebGPU(format.vkFormat);
+  if (!formatInfo) throw new Error(`Unsupported KTX1 format ${format.name} (vkFormat ${format.vkFormat})`);
+
+  let kvd = {};
+  if (gl.bytesOfKeyValueData > 0) {
+    checkRange(fileSize, 'KTX1 KVD', offset, gl.bytesOfKeyValueData);
+    kvd = parseKVD(dv, offset, gl.bytesOfKeyValueData, littleEndian);
+    offset += gl.bytesOfKeyValueData;
+  }
+
+  // 0 mip levels asks the loader to generate them; only the base level is stored
+  const levelCount = Math.max(1, gl.numberOfMipmapLevels);
+  const layerCount = gl.numberOfArrayElements;
+  const faceCount = gl.numberOfFaces;
+  const images = Math.max(1, layerCount) * faceCount;
+  const cubePadded = faceCount === 6 && layerCount === 0;
+  // Texel words to byte-swap in big-endian files (compressed data is a byte stream)
+  const swapSize = !littleEndian && !formatInfo.blockWidth && (gl.glTypeSize === 2 || gl.glTypeSize === 4) ? gl.glTypeSize : 0;
+
+  const levels = [];
+  for (let i = 0; i < levelCount; i++) {
+    const width = Math.max(1, gl.pixelWidth >> i);
+    const height = Math.max(1, gl.pixelHeight >> i);
+    const depth = Math.max(1, gl.pixelDepth >> i);
+
+    const imageLength = getImageByteLength(formatInfo, width, height, depth);
+    const rowLength = formatInfo.blockWidth ? 0 : width * (formatInfo.sourceBytesPerPixel || formatInfo.bytesPerPixel);
+    const paddedRowLength = (rowLength + 3) & ~3;
+    const storedImageLength = formatInfo.blockWidth ? imageLength : paddedRowLength * height * depth;
+    const expected = cubePadded ? storedImageLength : storedImageLength * images;
+
+    checkRange(fileSize, `KTX1 level ${i} imageSize`, offset, 4);
+    const imageSize = dv.getUint32(offset, littleEndian);
+    if (imageSize !== expected) {
+      throw new Error(`KTX1 level ${i} imageSize at ${hexOffset(offset)} is ${imageSize}, expected ${expected}`);
+    }
+    offset += 4;
+
+    const data = new Uint8Array(imageLength * images);
+    for (let img = 0; img < images; img++) {
+      checkRange(fileSize, `KTX1 level ${i} image ${img}`, offset, storedImageLength);
+      const src = new Uint8Array(arrayBuffer, offset, storedImageLength);
+      const dst = data.subarray(img * imageLength, (img + 1) * imageLength);
+      if (paddedRowLength === rowLength) {
+        dst.set(src);
+      } else {
+        for (let row = 0; row < height * depth; row++) {
+          dst.set(src.subarray(row * paddedRowLength, row * paddedRowLength + rowLength), row * rowLength);
+        }
+      }
+      offset += storedImageLength;
+      if (cubePadded) offset += 3 - ((storedImageLength + 3) % 4);
+    }
+    if (!cubePadded) offset += 3 - ((imageSize + 3) % 4); // mipPadding
+
+    if (swapSize) {
+      for (let j = 0; j + swapSize <= data.length; j += swapSize) {
+        for (let a = j, b = j + swapSize - 1; a < b; a++, b--) {
+          const t = data[a]; data[a] = data[b]; data[b] = t;
+        }
+      }
+    }
+
+    // Byte lengths as in the file: row padding included, cube and mip padding not
+    levels.push({
+      byteOffset: 0, byteLength: storedImageLength * images, uncompressedByteLength: storedImageLength * images,
+      width, height, depth, data
+    });
+  }
+
+  const header = {
+    vkFormat: format.vkFormat,
+    typeSize: formatInfo.blockWidth ? 1 : Math.max(1, gl.glTypeSize),
+    pixelWidth: gl.pixelWidth,
+    pixelHeight: gl.pixelHeight,
+    pixelDepth: gl.pixelDepth,
+    layerCount,
+    faceCount,
+    levelCount,
+    supercompressionScheme: 0
+  };
+  const source = `KTX 1.1 ${format.name} (0x${gl.glInternalFormat.toString(16).toUpperCase()})${littleEndian ? '' : ', big-endian'}`;
+  return { header, levels, dfd: null, kvd, source };
+}
+
+// ZLIB (RFC 1950) via the browser's DecompressionStream ('deflate' is the zlib-wrapped format)
+async function inflateZlib(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Vulkan format enum to the WebGPU format the viewer uploads (see formats.js)
+// Returns: { format: 'bc7-rgba-unorm', blockWidth: 4, blockHeight: 4, bytesPerBlock: 16 }
+// or { format: 'rgba8unorm', bytesPerPixel: 4, [sourceChannels, sourceBytesPerPixel] }, null if unsupported
+function vkFormatToWebGPU(vkFormat) {
+  const upload = window.getVkFormatInfo(vkFormat)?.upload;
+  return upload ? { ...upload } : null;
 }
 
 // Get human-readable format name
 function getFormatName(vkFormat) {
-  const names = {
-    131: 'BC1 (DXT1) UNORM', 132: 'BC1 (DXT1) SRGB',
-    135: 'BC2 (DXT3) UNORM', 136: 'BC2 (DXT3) SRGB',
-    137: 'BC3 (DXT5) UNORM', 138: 'BC3 (DXT5) SRGB',
-    139: 'BC4 (RGTC1) UNORM', 140: 'BC4 (RGTC1) SNORM',
-    141: 'BC5 (RGTC2) UNORM', 142: 'BC5 (RGTC2) SNORM',
-    143: 'BC6H UFLOAT', 144: 'BC6H FLOAT',
-    145: 'BC7 UNORM', 146: 'BC7 SRGB',
-    157: 'ASTC 4x4 UNORM',
-    158: 'ASTC 4x4 SRGB',
-    23:  'RGB8 UNORM',
-    24:  'RGB8 SRGB',
-    29:  'RGB8 SRGB',
-    37:  'RGBA8 UNORM',
-    43:  'RGBA8 SRGB',
-    97:  'RGBA16 FLOAT',
-    99:  'RGB9E5 UFLOAT', 
-    100: 'R11G11B10 UFLOAT',
-    109: 'RGBA32 FLOAT',
-    
-  };
-  return names[vkFormat] || `VK Format ${vkFormat}`;
+  return window.getVkFormatInfo(vkFormat)?.label || `VK Format ${vkFormat}`;
 }
 
 function getSupercompressionName(scheme) {
@@ -236,9 +920,23 @@ function getSupercompressionName(scheme) {
 
 // Expose functions
 window.parseKTX2 = parseKTX2;
+window.parseDDS = parseDDS;
+window.parseKTX1 = parseKTX1;
 window.vkFormatToWebGPU = vkFormatToWebGPU;
 window.getFormatName = getFormatName;
 window.getSupercompressionName = getSupercompressionName;
 window.parseDFD = parseDFD;
+window.describeDFD = describeDFD;
+window.isDFDSRGB = isDFDSRGB;
+window.isDFDPremultiplied = isDFDPremultiplied;
+window.applyDFDTransfer = applyDFDTransfer;
+window.getDFDColorModelName = getDFDColorModelName;
+window.getDFDTransferName = getDFDTransferName;
 window.parseKVD = parseKVD;
 window.getLevelData = getLevelData;
+window.decodeLevelData = decodeLevelData;
+window.inflateZlib = inflateZlib;
+window.getImageByteLength = getImageByteLength;
+window.getLevelSizes = getLevelSizes;
+window.sumLevelSizes = sumLevelSizes;
+window.getLevelImages = getLevelImages;
@@ -10,12 +10,42 @@ struct Params {
   channelR: f32,
   channelG: f32,
   channelB: f32,
-  channelA: f32
+  channelA: f32,
+  cubeMode: f32,   // 0 = single face, 1 = horizontal cross, 2 = equirectangular
+  cubeFace: f32,   // face index for single face mode (+X, -X, +Y, -Y, +Z, -Z)
+  layer: f32,      // array layer shown in single layer mode
+  layerCount: f32,
+  contactSheet: f32, // 1 = tile all array layers in a grid
+  volAxis: f32,    // 3D slice axis: 0 = X, 1 = Y, 2 = Z
+  volSlice: f32,   // normalized slice position along volAxis
+  volMode: f32,    // 0 = single slice, 1 = maximum intensity projection
+  premultiplied: f32, // 1 = color is premultiplied by alpha (DFD flag)
+  // View transform shared by all texture views: the displayed content is
+  // contentWidth x contentHeight texels, drawn at viewScale canvas pixels per
+  // texel with content texel viewCenter at the middle of the canvas
+  contentWidth: f32,
+  contentHeight: f32,
+  viewScale: f32,
+  viewCenterX: f32,
+  viewCenterY: f32,
+  texelGrid: f32,  // 1 = draw texel boundaries
+  toneMap: f32,    // TONEMAP_* operator applied after exposure
+  whitePoint: f32, // linear value mapped to 1.0 by extended Reinhard
+  outputTransform: f32, // OUTPUT_* encoding of the tone-mapped color
+  channelLayout: f32, // CHANNELS_* reading of the sampled color
+  compareMode: f32,  // COMPARE_* view of tex0 (A) against texCompare (B) in fs_compare
+  compareSplit: f32, // wipe position as a fraction of the content width
+  compareGain: f32,  // multiplier of the difference heatmap
+  compareShowB: f32  // 1 = flicker currently shows B
 }
 
 @group(0) @binding(0) var<uniform> U : Params;
 @group(0) @binding(1) var samp : sampler;
 @group(0) @binding(2) var tex0 : texture_2d<f32>;
+@group(0) @binding(3) var texCube : texture_cube<f32>;
+@group(0) @binding(4) var texArray : texture_2d_array<f32>;
+@group(0) @binding(5) var texVolume : texture_3d<f32>;
+@group(0) @binding(10) var texCompare : texture_2d<f32>;
 
 struct VSOut { 
   @builtin(position) pos: vec4f, 
@@ -32,23 +62,172 @@ struct VSOut {
   var o: VSOut;
   o.pos = vec4f(p, 0.0, 1.0);
   let uv_raw = 0.5 * (p + vec2f(1.0, 1.0));
-  o.uv = vec2f(uv_raw.x, 1.0 - uv_raw.y);
+  // Canvas pixel -> content texel -> content uv; linear, so it interpolates exactly
+  let canvas = vec2f(U.width, U.height);
+  let screen = vec2f(uv_raw.x, 1.0 - uv_raw.y) * canvas;
+  let texel = (screen - 0.5 * canvas) / U.viewScale + vec2f(U.viewCenterX, U.viewCenterY);
+  o.uv = texel / vec2f(U.contentWidth, U.contentHeight);
   return o;
 }
 
-fn aces_tonemap(x: vec3f) -> vec3f {
-  let a=2.51; let b=0.03; let c=2.43; let d=0.59; let e=0.14;
-  return clamp((x*(a*x + b)) / (x*(c*x + d) + e), vec3f(0.0), vec3f(1.0));
+const BACKGROUND = vec4f(0.07, 0.07, 0.08, 1.0);
+
+// Letterbox outside the content and overlay the texel grid when zoomed in
+fn present(uv: vec2f, color: vec4f) -> vec4f {
+  if (any(uv < vec2f(0.0)) || any(uv > vec2f(1.0))) {
+    return BACKGROUND;
+  }
+  if (U.texelGrid > 0.5) {
+    let f = fract(uv * vec2f(U.contentWidth, U.contentHeight));
+    let edge = min(f, vec2f(1.0) - f) * U.viewScale; // canvas pixels to the nearest texel edge
+    if (min(edge.x, edge.y) < 0.5) {
+      return vec4f(mix(color.rgb, vec3f(0.5), 0.6), 1.0);
+    }
+  }
+  return color;
 }
 
-@fragment fn fs_textured(@location(0) uv: vec2f) -> @location(0) vec4f {
-  let raw = textureSample(tex0, samp, uv);
-  
+// TONE MAPPING
+// All operators take and return linear Rec.709 color; the output transform
+// encodes the result for the (non-sRGB) swapchain afterwards.
+
+const TONEMAP_NONE = 0;
+const TONEMAP_REINHARD = 1;
+const TONEMAP_REINHARD_EXTENDED = 2;
+const TONEMAP_ACES = 3;
+const TONEMAP_AGX = 4;
+const TONEMAP_PBR_NEUTRAL = 5;
+const TONEMAP_HABLE = 6;
+
+const OUTPUT_SRGB = 0;
+const OUTPUT_GAMMA22 = 1;
+const OUTPUT_LINEAR = 2;
+
+// One- and two-channel textures: R as grayscale, or R and G with B = 0
+const CHANNELS_RGBA = 0;
+const CHANNELS_GRAY = 1;
+const CHANNELS_RG = 2;
+
+fn reinhard_extended(x: vec3f, white: f32) -> vec3f {
+  return x * (vec3f(1.0) + x / (white * white)) / (vec3f(1.0) + x);
+}
+
+// ACES fitted (Stephen Hill): sRGB -> AP1 with the RRT saturation, the RRT+ODT
+// curve fit, then back to sRGB. Matrices are column-major. The 1/0.6 exposure
+// boost matches three.js and the glTF Sample Viewer.
+fn aces_fitted(x: vec3f) -> vec3f {
+  let acesIn = mat3x3f(
+    vec3f(0.59719, 0.07600, 0.02840),
+    vec3f(0.35458, 0.90834, 0.13383),
+    vec3f(0.04823, 0.01566, 0.83777)
+  );
+  let acesOut = mat3x3f(
+    vec3f( 1.60475, -0.10208, -0.00327),
+    vec3f(-0.53108,  1.10813, -0.07276),
+    vec3f(-0.07367, -0.00605,  1.07602)
+  );
+  let v = acesIn * (x / 0.6);
+  let a = v * (v + 0.0245786) - 0.000090537;
+  let b = v * (0.983729 * v + 0.4329510) + 0.238081;
+  return acesOut * (a / b);
+}
+
+// AgX base look (Troy Sobotka), with Benjamin Wrensch's polynomial fit of the
+// sigmoid; the curve output is display encoded, so it is decoded back to linear
+fn agx(x: vec3f) -> vec3f {
+  let agxIn = mat3x3f(
+    vec3f(0.842479062253094, 0.0423282422610123, 0.0423756549057051),
+    vec3f(0.0784335999999992, 0.878468636469772, 0.0784336),
+    vec3f(0.0792237451477643, 0.0791661274605434, 0.879142973793104)
+  );
+  let agxOut = mat3x3f(
+    vec3f(1.19687900512017, -0.0528968517574562, -0.0529716355144438),
+    vec3f(-0.0980208811401368, 1.15190312990417, -0.0980434501171241),
+    vec3f(-0.0990297440797205, -0.0989611768448433, 1.15107367264116)
+  );
+  let minEv = -12.47393;
+  let maxEv = 4.026069;
+  var v = agxIn * max(x, vec3f(1e-10));
+  v = clamp((log2(v) - minEv) / (maxEv - minEv), vec3f(0.0), vec3f(1.0));
+  let v2 = v * v;
+  let v4 = v2 * v2;
+  v = 15.5 * v4 * v2 - 40.14 * v4 * v + 31.96 * v4 - 6.868 * v2 * v + 0.4298 * v2
+    + 0.1191 * v - 0.00232;
+  return pow(max(agxOut * v, vec3f(0.0)), vec3f(2.2));
+}
+
+// Khronos PBR Neutral (Khronos 3D Commerce reference implementation)
+fn pbr_neutral(x: vec3f) -> vec3f {
+  let startCompression = 0.8 - 0.04;
+  let desaturation = 0.15;
+  let m = min(x.r, min(x.g, x.b));
+  let offset = select(0.04, m - 6.25 * m * m, m < 0.08);
+  var c = x - offset;
+  let peak = max(c.r, max(c.g, c.b));
+  if (peak < startCompression) {
+    return c;
+  }
+  let d = 1.0 - startCompression;
+  let newPeak = 1.0 - d * d / (peak + d - startCompression);
+  c *= newPeak / peak;
+  let g = 1.0 - 1.0 / (desaturation * (peak - newPeak) + 1.0);
+  return mix(c, vec3f(newPeak), g);
+}
+
+// Hable / Uncharted 2 filmic curve, white point 11.2 and exposure bias 2
+fn hable_curve(x: vec3f) -> vec3f {
+  let A = 0.15; let B = 0.50; let C = 0.10; let D = 0.20; let E = 0.02; let F = 0.30;
+  return ((x * (A * x + C * B) + D * E) / (x * (A * x + B) + D * F)) - E / F;
+}
+fn hable(x: vec3f) -> vec3f {
+  return hable_curve(2.0 * x) / hable_curve(vec3f(11.2));
+}
+
+fn tonemap(x: vec3f) -> vec3f {
+  let c = max(x, vec3f(0.0));
+  switch i32(U.toneMap) {
+    case TONEMAP_REINHARD: { return c / (vec3f(1.0) + c); }
+    case TONEMAP_REINHARD_EXTENDED: { return reinhard_extended(c, max(U.whitePoint, 1e-3)); }
+    case TONEMAP_ACES: { return aces_fitted(c); }
+    case TONEMAP_AGX: { return agx(c); }
+    case TONEMAP_PBR_NEUTRAL: { return pbr_neutral(c); }
+    case TONEMAP_HABLE: { return hable(c); }
+    default: { return c; }
+  }
+}
+
+fn srgb_encode(c: vec3f) -> vec3f {
+  return select(1.055 * pow(c, vec3f(1.0 / 2.4)) - 0.055, 12.92 * c, c <= vec3f(0.0031308));
+}
+
+fn output_transform(linear: vec3f) -> vec3f {
+  let c = clamp(linear, vec3f(0.0), vec3f(1.0));
+  switch i32(U.outputTransform) {
+    case OUTPUT_GAMMA22: { return pow(c, vec3f(1.0 / 2.2)); }
+    case OUTPUT_LINEAR: { return c; }
+    default: { return srgb_encode(c); }
+  }
+}
+
+// Channel mix, exposure and tone mapping shared by all texture views
+fn shade(raw: vec4f) -> vec4f {
+  var rgb = raw.rgb;
+  switch i32(U.channelLayout) {
+    case CHANNELS_GRAY: { rgb = vec3f(raw.r); }
+    case CHANNELS_RG: { rgb = vec3f(raw.rg, 0.0); }
+    default: {}
+  }
+
+  // Show premultiplied color unassociated, so RGB reads the same as straight alpha
+  if (U.premultiplied > 0.5 && raw.a > 0.0) {
+    rgb = rgb / raw.a;
+  }
+
   // Apply channel multipliers (colored)
   var c = vec3f(
-    raw.r * U.channelR,
-    raw.g * U.channelG,
-    raw.b * U.channelB
+    rgb.r * U.channelR,
+    rgb.g * U.channelG,
+    rgb.b * U.channelB
   );
   
   // Alpha shows as grayscale, added to all channels
@@ -57,8 +236,388 @@ fn aces_tonemap(x: vec3f) -> vec3f {
   // Apply exposure
   c *= U.exposureMul;
   
-  let ldr = aces_tonemap(c);
-  return vec4f(ldr, 1.0);
+  return vec4f(output_transform(tonemap(c)), 1.0);
+}
+
+@fragment fn fs_textured(@location(0) uv: vec2f) -> @location(0) vec4f {
+  return present(uv, shade(textureSample(tex0, samp, uv)));
+}
+
+// COMPARISON (2D textures)
+// A is the opened texture, B the comparison texture; both are sampled at the
+// same uv (and mip), so zoom, pan and mip selection apply to both
+
+const COMPARE_SIDE_BY_SIDE = 1;
+const COMPARE_WIPE = 2;
+const COMPARE_FLICKER = 3;
+const COMPARE_DIFFERENCE = 4;
+
+// Black -> blue -> magenta -> orange -> white ramp for t in [0, 1]
+fn heatmap(t: f32) -> vec3f {
+  var stops = array<vec3f, 5>(
+    vec3f(0.0, 0.0, 0.0),
+    vec3f(0.1, 0.1, 0.8),
+    vec3f(0.8, 0.1, 0.6),
+    vec3f(1.0, 0.6, 0.0),
+    vec3f(1.0, 1.0, 1.0)
+  );
+  let x = clamp(t, 0.0, 1.0) * 4.0;
+  let i = min(u32(x), 3u);
+  return mix(stops[i], stops[i + 1u], x - f32(i));
+}
+
+@fragment fn fs_compare(@location(0) uv: vec2f) -> @location(0) vec4f {
+  // Side by side puts A and B next to each other in a content twice as wide;
+  // gradients come from the continuous coordinate so the seam keeps its mip
+  var p = uv;
+  if (i32(U.compareMode) == COMPARE_SIDE_BY_SIDE) {
+    p = uv * vec2f(2.0, 1.0);
+  }
+  let local = vec2f(fract(p.x), p.y);
+  let a = textureSampleGrad(tex0, samp, local, dpdx(p), dpdy(p));
+  let b = textureSampleGrad(texCompare, samp, local, dpdx(p), dpdy(p));
+
+  var showB = false;
+  switch i32(U.compareMode) {
+    case COMPARE_SIDE_BY_SIDE: { showB = p.x >= 1.0; }
+    case COMPARE_WIPE: {
+      // One canvas pixel wide split line
+      if (abs(uv.x - U.compareSplit) * U.contentWidth * U.viewScale < 1.0 && all(uv >= vec2f(0.0)) && all(uv <= vec2f(1.0))) {
+        return vec4f(1.0, 1.0, 1.0, 1.0);
+      }
+      showB = uv.x >= U.compareSplit;
+    }
+    case COMPARE_FLICKER: { showB = U.compareShowB > 0.5; }
+    default: {
+      // Largest absolute channel difference of the raw (decoded, linear) values
+      let d = abs(a - b);
+      return present(uv, vec4f(heatmap(max(max(d.r, d.g), max(d.b, d.a)) * U.compareGain), 1.0));
+    }
+  }
+  return present(uv, shade(select(a, b, showB)));
+}
+
+// CUBEMAP VIEWS
+
+const PI = 3.14159265359;
+
+// Direction for a face-local uv (u right, v down), Vulkan/WebGPU face order
+fn cube_dir(face: i32, uv: vec2f) -> vec3f {
+  let s = uv.x * 2.0 - 1.0;
+  let t = uv.y * 2.0 - 1.0;
+  switch face {
+    case 0: { return vec3f( 1.0, -t, -s); }
+    case 1: { return vec3f(-1.0, -t,  s); }
+    case 2: { return vec3f( s,  1.0,  t); }
+    case 3: { return vec3f( s, -1.0, -t); }
+    case 4: { return vec3f( s, -t,  1.0); }
+    default: { return vec3f(-s, -t, -1.0); }
+  }
+}
+
+// Horizontal cross, 4x3 cells:
+//        +Y
+//   -X   +Z   +X   -Z
+//        -Y
+fn cross_face(cell: vec2i) -> i32 {
+  if (cell.y == 0 && cell.x == 1) { return 2; }
+  if (cell.y == 2 && cell.x == 1) { return 3; }
+  if (cell.y == 1) {
+    switch cell.x {
+      case 0: { return 1; }
+      case 1: { return 4; }
+      case 2: { return 0; }
+      default: { return 5; }
+    }
+  }
+  return -1;
+}
+
+@fragment fn fs_cube(@location(0) uv: vec2f) -> @location(0) vec4f {
+  var dir: vec3f;
+  var inside = true;
+
+  if (U.cubeMode < 0.5) {
+    dir = cube_dir(i32(U.cubeFace), uv);
+  } else if (U.cubeMode < 1.5) {
+    let grid = uv * vec2f(4.0, 3.0);
+    let cell = vec2i(clamp(floor(grid), vec2f(0.0), vec2f(3.0, 2.0)));
+    let face = cross_face(cell);
+    inside = face >= 0;
+    dir = cube_dir(max(face, 0), fract(grid));
+  } else {
+    let lon = (uv.x - 0.5) * 2.0 * PI;
+    let lat = (0.5 - uv.y) * PI;
+    dir = vec3f(cos(lat) * sin(lon), sin(lat), cos(lat) * cos(lon));
+  }
+
+  // Sample before branching so derivatives stay in uniform control flow
+  let color = shade(textureSample(texCube, samp, dir));
+  return present(uv, select(BACKGROUND, color, inside));
+}
+
+
+// TEXTURE ARRAY VIEWS
+
+@fragment fn fs_array(@location(0) uv: vec2f) -> @location(0) vec4f {
+  var layer = i32(U.layer);
+  var cellUV = uv;
+  var inside = true;
+
+  if (U.contactSheet > 0.5) {
+    // Near-square grid, filled row by row
+    let count = max(U.layerCount, 1.0);
+    let cols = ceil(sqrt(count));
+    let rows = ceil(count / cols);
+    let grid = uv * vec2f(cols, rows);
+    let cell = floor(grid);
+    layer = i32(cell.y * cols + cell.x);
+    cellUV = fract(grid);
+    inside = f32(layer) < count;
+  }
+
+  let color = shade(textureSample(texArray, samp, cellUV, max(layer, 0)));
+  return present(uv, select(BACKGROUND, color, inside));
+}
+
+
+// 3D VOLUME VIEWS
+
+// Volume coordinate for a screen uv and a depth along the slice axis
+//   X: Z across, Y down    Y: X across, Z down    Z: X across, Y down
+fn volume_coord(uv: vec2f, depth: f32) -> vec3f {
+  if (U.volAxis < 0.5) { return vec3f(depth, uv.y, uv.x); }
+  if (U.volAxis < 1.5) { return vec3f(uv.x, depth, uv.y); }
+  return vec3f(uv, depth);
+}
+
+@fragment fn fs_volume(@location(0) uv: vec2f) -> @location(0) vec4f {
+  if (U.volMode < 0.5) {
+    return present(uv, shade(textureSample(texVolume, samp, volume_coord(uv, U.volSlice))));
+  }
+
+  // Maximum intensity projection through every slice of the (view's) base level
+  let dims = textureDimensions(texVolume);
+  let axis = u32(clamp(U.volAxis, 0.0, 2.0));
+  let steps = min(dims[axis], 1024u);
+  var peak = vec4f(0.0);
+  for (var i = 0u; i < steps; i++) {
+    let depth = (f32(i) + 0.5) / f32(steps);
+    peak = max(peak, textureSampleLevel(texVolume, samp, volume_coord(uv, depth), 0.0));
+  }
+  return present(uv, shade(peak));
+}
+
+
+// PIXEL INSPECTOR
+// Reads one texel (x, y, layer or z, mip) and writes its linear value and the
+// shaded output, for readback into the sidebar
+
+@group(0) @binding(6) var<uniform> inspectAt : vec4i;
+@group(0) @binding(7) var<storage, read_write> inspectOut : array<vec4f, 2>;
+
+@compute @workgroup_size(1) fn cs_inspect_array() {
+  let v = textureLoad(texArray, inspectAt.xy, inspectAt.z, inspectAt.w);
+  inspectOut[0] = v;
+  inspectOut[1] = shade(v);
+}
+
+@compute @workgroup_size(1) fn cs_inspect_volume() {
+  let v = textureLoad(texVolume, inspectAt.xyz, inspectAt.w);
+  inspectOut[0] = v;
+  inspectOut[1] = shade(v);
+}
+
+
+// STATISTICS
+// Copies every stride-th texel of one mip (across, down and, for 3D textures, in
+// depth) to a storage buffer for the histogram and statistics panel; array
+// textures read one layer per workgroup z, starting at the first layer
+
+@group(0) @binding(8) var<uniform> statsAt : vec4i; // first layer, mip, stride, unused
+@group(0) @binding(9) var<storage, read_write> statsOut : array<vec4f>;
+
+@compute @workgroup_size(8, 8) fn cs_stats_array(@builtin(global_invocation_id) id: vec3u) {
+  let stride = u32(statsAt.z);
+  let grid = (textureDimensions(texArray, statsAt.y) + vec2u(stride - 1u)) / stride;
+  if (id.x >= grid.x || id.y >= grid.y) { return; }
+  statsOut[(id.z * grid.y + id.y) * grid.x + id.x] =
+    textureLoad(texArray, vec2i(id.xy * stride), statsAt.x + i32(id.z), statsAt.y);
+}
+
+@compute @workgroup_size(8, 8) fn cs_stats_volume(@builtin(global_invocation_id) id: vec3u) {
+  let stride = u32(statsAt.z);
+  let grid = (textureDimensions(texVolume, statsAt.y) + vec3u(stride - 1u)) / stride;
+  if (any(id >= grid)) { return; }
+  statsOut[(id.z * grid.y + id.y) * grid.x + id.x] = textureLoad(texVolume, vec3i(id * stride), statsAt.y);
+}
+
+
+// GLTF SCENE PREVIEW
+// Metallic-roughness PBR (glTF 2.0 Appendix B BRDF) lit by a directional key light
+// and a sky/ground ambient term. The result is linear radiance in an rgba16float
+// target, which fs_textured then shows like any HDR texture, so exposure, tone
+// mapping and the channel controls apply to it. Alpha is 0 where nothing was drawn.
+
+const ALPHA_OPAQUE = 0;
+const ALPHA_MASK = 1;
+const ALPHA_BLEND = 2;
+
+const SCENE_SKY = vec3f(0.85, 0.9, 1.0);
+const SCENE_GROUND = vec3f(0.3, 0.27, 0.24);
+
+struct SceneFrame {
+  viewProj: mat4x4f,
+  cameraPos: vec3f,
+  lightIntensity: f32,
+  lightDir: vec3f,        // unit vector toward the key light
+  ambientIntensity: f32
+}
+
+struct SceneMaterial {
+  baseColor: vec4f,
+  emissive: vec3f,
+  metallic: f32,
+  roughness: f32,
+  normalScale: f32,       // 0 without a normal texture
+  occlusionStrength: f32,
+  alphaMode: f32,         // ALPHA_*
+  alphaCutoff: f32
+}
+
+struct SceneNode {
+  model: mat4x4f,
+  normalMatrix: mat4x4f   // inverse transpose of model
+}
+
+@group(0) @binding(11) var<uniform> sceneFrame : SceneFrame;
+@group(1) @binding(0) var<uniform> sceneMaterial : SceneMaterial;
+@group(1) @binding(1) var baseColorTex : texture_2d<f32>;
+@group(1) @binding(2) var metallicRoughnessTex : texture_2d<f32>;
+@group(1) @binding(3) var normalTex : texture_2d<f32>;
+@group(1) @binding(4) var occlusionTex : texture_2d<f32>;
+@group(1) @binding(5) var emissiveTex : texture_2d<f32>;
+@group(1) @binding(6) var baseColorSamp : sampler;
+@group(1) @binding(7) var metallicRoughnessSamp : sampler;
+@group(1) @binding(8) var normalSamp : sampler;
+@group(1) @binding(9) var occlusionSamp : sampler;
+@group(1) @binding(10) var emissiveSamp : sampler;
+@group(2) @binding(0) var<uniform> sceneNode : SceneNode;
+
+struct SceneVertex {
+  @location(0) position: vec3f,
+  @location(1) normal: vec3f,
+  @location(2) uv: vec2f,
+  @location(3) tangent: vec4f, // w = 0 when the mesh has no tangents
+  @location(4) color: vec4f
+}
+
+struct SceneVSOut {
+  @builtin(position) pos: vec4f,
+  @location(0) world: vec3f,
+  @location(1) normal: vec3f,
+  @location(2) uv: vec2f,
+  @location(3) tangent: vec4f,
+  @location(4) color: vec4f
+}
+
+@vertex fn vs_scene(v: SceneVertex) -> SceneVSOut {
+  let world = sceneNode.model * vec4f(v.position, 1.0);
+  var o: SceneVSOut;
+  o.pos = sceneFrame.viewProj * world;
+  o.world = world.xyz;
+  o.normal = (sceneNode.normalMatrix * vec4f(v.normal, 0.0)).xyz;
+  o.uv = v.uv;
+  o.tangent = vec4f((sceneNode.model * vec4f(v.tangent.xyz, 0.0)).xyz, v.tangent.w);
+  o.color = v.color;
+  return o;
+}
+
+// Shading normal from the normal texture, in the vertex tangent frame or, without
+// tangents, in one built from screen-space derivatives of position and uv
+fn scene_normal(in: SceneVSOut, frontFacing: bool, texel: vec3f) -> vec3f {
+  let ng = normalize(select(-in.normal, in.normal, frontFacing));
+  let q1 = dpdx(in.world);
+  let q2 = dpdy(in.world);
+  let st1 = dpdx(in.uv);
+  let st2 = dpdy(in.uv);
+  if (sceneMaterial.normalScale == 0.0) { return ng; }
+
+  var t: vec3f;
+  var b: vec3f;
+  if (in.tangent.w != 0.0) {
+    let side = select(-1.0, 1.0, frontFacing);
+    t = normalize(in.tangent.xyz - ng * dot(ng, in.tangent.xyz)) * side;
+    b = cross(ng, t) * in.tangent.w * side;
+  } else {
+    let det = st1.x * st2.y - st2.x * st1.y;
+    if (abs(det) < 1e-12) { return ng; }
+    let tu = (q1 * st2.y - q2 * st1.y) / det;
+    let tv = (q2 * st1.x - q1 * st2.x) / det;
+    // Texture +Y (the bitangent) points toward decreasing v
+    t = normalize(tu - ng * dot(ng, tu));
+    b = cross(ng, t) * select(1.0, -1.0, dot(cross(ng, t), tv) > 0.0);
+  }
+  let n = (texel * 2.0 - 1.0) * vec3f(sceneMaterial.normalScale, sceneMaterial.normalScale, 1.0);
+  return normalize(mat3x3f(t, b, ng) * n);
+}
+
+// Karis' analytic fit of the split-sum environment BRDF
+fn env_brdf(f0: vec3f, roughness: f32, NoV: f32) -> vec3f {
+  let r = roughness * vec4f(-1.0, -0.0275, -0.572, 0.022) + vec4f(1.0, 0.0425, 1.04, -0.04);
+  let a004 = min(r.x * r.x, exp2(-9.28 * NoV)) * r.x + r.y;
+  let ab = vec2f(-1.04, 1.04) * a004 + r.zw;
+  return f0 * ab.x + ab.y;
+}
+
+fn scene_ambient(dir: vec3f) -> vec3f {
+  return mix(SCENE_GROUND, SCENE_SKY, 0.5 * dir.y + 0.5) * sceneFrame.ambientIntensity;
+}
+
+@fragment fn fs_scene(in: SceneVSOut, @builtin(front_facing) frontFacing: bool) -> @location(0) vec4f {
+  let baseSample = textureSample(baseColorTex, baseColorSamp, in.uv);
+  let mrSample = textureSample(metallicRoughnessTex, metallicRoughnessSamp, in.uv);
+  let normalSample = textureSample(normalTex, normalSamp, in.uv);
+  let occlusionSample = textureSample(occlusionTex, occlusionSamp, in.uv);
+  let emissiveSample = textureSample(emissiveTex, emissiveSamp, in.uv);
+
+  let base = sceneMaterial.baseColor * baseSample * in.color;
+  var alpha = base.a;
+  switch i32(sceneMaterial.alphaMode) {
+    case ALPHA_MASK: {
+      if (alpha < sceneMaterial.alphaCutoff) { discard; }
+      alpha = 1.0;
+    }
+    case ALPHA_BLEND: {}
+    default: { alpha = 1.0; }
+  }
+
+  let metallic = clamp(sceneMaterial.metallic * mrSample.b, 0.0, 1.0);
+  let roughness = clamp(sceneMaterial.roughness * mrSample.g, 0.03, 1.0);
+  let n = scene_normal(in, frontFacing, normalSample.xyz);
+  let v = normalize(sceneFrame.cameraPos - in.world);
+  let l = sceneFrame.lightDir;
+  let h = normalize(v + l);
+  let NoV = clamp(abs(dot(n, v)), 1e-4, 1.0);
+  let NoL = clamp(dot(n, l), 0.0, 1.0);
+  let NoH = clamp(dot(n, h), 0.0, 1.0);
+  let VoH = clamp(dot(v, h), 0.0, 1.0);
+
+  // GGX distribution, height-correlated Smith visibility, Schlick Fresnel
+  let f0 = mix(vec3f(0.04), base.rgb, metallic);
+  let a2 = pow(roughness, 4.0);
+  let dd = NoH * NoH * (a2 - 1.0) + 1.0;
+  let d = a2 / (PI * dd * dd);
+  let vis = 0.5 / max(NoL * sqrt(NoV * NoV * (1.0 - a2) + a2) + NoV * sqrt(NoL * NoL * (1.0 - a2) + a2), 1e-6);
+  let f = f0 + (1.0 - f0) * pow(1.0 - VoH, 5.0);
+  let diffuseColor = base.rgb * (1.0 - metallic);
+  let direct = ((1.0 - f) * diffuseColor / PI + f * d * vis) * NoL * sceneFrame.lightIntensity;
+
+  let occlusion = 1.0 + sceneMaterial.occlusionStrength * (occlusionSample.r - 1.0);
+  let ambient = (scene_ambient(n) * diffuseColor + scene_ambient(reflect(-v, n)) * env_brdf(f0, roughness, NoV)) * occlusion;
+  let emissive = sceneMaterial.emissive * emissiveSample.rgb;
+
+  return vec4f(direct + ambient + emissive, alpha);
 }
 
 
@@ -0,0 +1,151 @@
+// stats.js - Histogram and per-channel statistics for the sidebar
+// main.js reads the decoded texels of the shown mip/layer back from the GPU
+// (cs_stats_* in shaders.wgsl) as RGBA float32; this file reduces them.
+
+const STATS_CHANNELS = ['R', 'G', 'B', 'A'];
+const STATS_BINS = 128;
+const STATS_MAX_SAMPLES = 1 << 20;
+const STATS_LOG_STOPS = 24; // log histograms span at most this many stops below the maximum
+const STATS_EXPOSE_PERCENTILE = 0.99;
+
+// Smallest texel stride (across, down and for 3D textures in depth) that keeps
+// the readback of a width x height x depth x layers level under STATS_MAX_SAMPLES
+function statsSampleStride(width, height, depth = 1, layers = 1) {
+  let stride = 1;
+  const count = (s) => Math.ceil(width / s) * Math.ceil(height / s) * Math.ceil(depth / s) * layers;
+  while (stride < Math.max(width, height, depth) && count(stride) > STATS_MAX_SAMPLES) stride++;
+  return stride;
+}
+
+// values: count RGBA texels; channels: indices of the channels the format has (e.g. [0] for R8).
+// Alpha gets statistics but stays out of the histogram ranges and auto-exposure.
+function computeTextureStats(values, count, channels) {
+  const color = channels.filter(c => c !== 3);
+  const stats = channels.map(c => ({
+    channel: c, min: Infinity, max: -Infinity, mean: 0, m2: 0, finite: 0, nan: 0, inf: 0, negative: 0, minPositive: Infinity
+  }));
+
+  for (let p = 0; p < count; p++) {
+    for (const s of stats) {
+      const v = values[p * 4 + s.channel];
+      if (Number.isNaN(v)) { s.nan++; continue; }
+      if (v < 0) s.negative++;
+      if (!Number.isFinite(v)) { s.inf++; continue; }
+      if (v < s.min) s.min = v;
+      if (v > s.max) s.max = v;
+      if (v > 0 && v < s.minPositive) s.minPositive = v;
+      // Welford's running mean and sum of squared deviations
+      s.finite++;
+      const d = v - s.mean;
+      s.mean += d / s.finite;
+      s.m2 += d * (v - s.mean);
+    }
+  }
+  for (const s of stats) s.std = s.finite ? Math.sqrt(s.m2 / s.finite) : NaN;
+
+  // Shared histogram ranges over the color channels: linear from min(0, min) to max,
+  // log2 over the positive values
+  const ranged = stats.filter(s => s.channel !== 3 && s.finite);
+  let lo = Math.min(0, ...ranged.map(s => s.min));
+  let hi = Math.max(lo, ...ranged.map(s => s.max));
+  if (hi <= lo) hi = lo + 1;
+  const positives = ranged.filter(s => s.minPositive <= s.max);
+  let logHi = positives.length ? Math.ceil(Math.log2(Math.max(...positives.map(s => s.max)))) : 0;
+  let logLo = positives.length ? Math.floor(Math.log2(Math.min(...positives.map(s => s.minPositive)))) : -1;
+  logLo = Math.max(logLo, logHi - STATS_LOG_STOPS);
+  if (logHi <= logLo) logHi = logLo + 1;
+
+  const linear = color.map(() => new Uint32Array(STATS_BINS));
+  const log = color.map(() => new Uint32Array(STATS_BINS));
+  const peaks = new Float32Array(count);
+  let peakCount = 0;
+  for (let p = 0; p < count; p++) {
+    let peak = 0;
+    for (let i = 0; i < color.length; i++) {
+      const v = values[p * 4 + color[i]];
+      if (!Number.isFinite(v)) continue;
+      linear[i][Math.min(STATS_BINS - 1, Math.floor((v - lo) / (hi - lo) * STATS_BINS))]++;
+      if (v > 0) {
+        const t = (Math.log2(v) - logLo) / (logHi - logLo);
+        log[i][Math.max(0, Math.min(STATS_BINS - 1, Math.floor(t * STATS_BINS)))]++;
+      }
+      if (v > peak) peak = v;
+    }
+    if (peak > 0) peaks[peakCount++] = peak;
+  }
+
+  // Auto-exposure maps the 99th percentile of the brightest color channel to 1.0
+  let exposureEV = 0;
+  if (peakCount) {
+    const sorted = peaks.subarray(0, peakCount).sort();
+    exposureEV = -Math.log2(sorted[Math.min(peakCount - 1, Math.floor(peakCount * STATS_EXPOSE_PERCENTILE))]);
+  }
+
+  return {
+    count, stats, color, exposureEV,
+    histograms: {
+      linear: { lo, hi, bins: linear },
+      log: { lo: logLo, hi: logHi, bins: log }
+    }
+  };
+}
+
+const STATS_COLORS = ['rgba(255,96,96,0.6)', 'rgba(96,255,96,0.6)', 'rgba(96,140,255,0.6)'];
+
+// Draw the linear or log histogram of computeTextureStats() result into a canvas;
+// single-channel textures draw in gray
+function drawHistogram(canvas, result, scale) {
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width, h = canvas.height;
+  ctx.clearRect(0, 0, w, h);
+  ctx.fillStyle = '#161616';
+  ctx.fillRect(0, 0, w, h);
+  const hist = result.histograms[scale];
+  const peak = Math.max(1, ...hist.bins.map(b => Math.max(...b)));
+  const barW = w / STATS_BINS;
+
+  ctx.globalCompositeOperation = 'lighter';
+  hist.bins.forEach((bins, i) => {
+    ctx.fillStyle = result.color.length === 1 ? 'rgba(200,200,200,0.8)' : STATS_COLORS[result.color[i]];
+    for (let b = 0; b < STATS_BINS; b++) {
+      const bh = bins[b] / peak * (h - 12);
+      if (bh > 0) ctx.fillRect(b * barW, h - 12 - bh, Math.max(1, barW), bh);
+    }
+  });
+  ctx.globalCompositeOperation = 'source-over';
+
+  // Range labels along the bottom edge
+  const label = scale === 'log' ? (v) => `2^${v}` : (v) => statsFormat(v);
+  ctx.fillStyle = '#999';
+  ctx.font = '10px monospace';
+  ctx.textBaseline = 'bottom';
+  ctx.textAlign = 'left';
+  ctx.fillText(label(hist.lo), 2, h);
+  ctx.textAlign = 'right';
+  ctx.fillText(label(hist.hi), w - 2, h);
+}
+
+function statsFormat(v) {
+  if (!Number.isFinite(v)) return String(v);
+  if (Number.isInteger(v) && Math.abs(v) < 1e6) return String(v);
+  return Math.abs(v) >= 1e4 || (v !== 0 && Math.abs(v) < 1e-3) ? v.toExponential(2) : v.toPrecision(4);
+}
+
+// Plain-text table of computeTextureStats() result, one row per channel
+function describeTextureStats(result) {
+  const cols = ['', 'min', 'max', 'mean', 'std', 'NaN', 'Inf', '<0'];
+  const rows = result.stats.map(s => [
+    STATS_CHANNELS[s.channel],
+    s.finite ? statsFormat(s.min) : '-', s.finite ? statsFormat(s.max) : '-',
+    s.finite ? statsFormat(s.mean) : '-', s.finite ? statsFormat(s.std) : '-',
+    String(s.nan), String(s.inf), String(s.negative)
+  ]);
+  const widths = cols.map((c, i) => Math.max(c.length, ...rows.map(r => r[i].length)));
+  const line = (r) => r.map((v, i) => i === 0 ? v.padEnd(widths[i]) : v.padStart(widths[i])).join(' ');
+  return [line(cols), ...rows.map(line)].join('\n');
+}
+
+window.statsSampleStride = statsSampleStride;
+window.computeTextureStats = computeTextureStats;
+window.drawHistogram = drawHistogram;
+window.describeTextureStats = describeTextureStats;
@@ -0,0 +1,514 @@
+// zstd.js - Pure JS Zstandard decoder (RFC 8878) for KTX2 supercompression scheme 2
+// Only what KTX2 needs: no dictionaries, checksums are skipped (sizes are checked by the caller)
+
+const ZSTD_MAGIC = 0xFD2FB528;
+
+// Literals length codes: [baseline, extra bits]
+const LL_CODES = [
+  [0,0],[1,0],[2,0],[3,0],[4,0],[5,0],[6,0],[7,0],[8,0],[9,0],[10,0],[11,0],[12,0],[13,0],[14,0],[15,0],
+  [16,1],[18,1],[20,1],[22,1],[24,2],[28,2],[32,3],[40,3],[48,4],[64,6],[128,7],[256,8],[512,9],
+  [1024,10],[2048,11],[4096,12],[8192,13],[16384,14],[32768,15],[65536,16]
+];
+
+// Match length codes: [baseline, extra bits]
+const ML_CODES = [];
+for (let i = 0; i < 32; i++) ML_CODES.push([i + 3, 0]);
+ML_CODES.push(
+  [35,1],[37,1],[39,1],[41,1],[43,2],[47,2],[51,3],[59,3],[67,4],[83,4],[99,5],[131,7],[259,8],
+  [515,9],[1027,10],[2051,11],[4099,12],[8195,13],[16387,14],[32771,15],[65539,16]
+);
+
+// Predefined FSE distributions (RFC 8878, 3.1.1.3.2.2)
+const LL_DEFAULT = [4,3,2,2,2,2,2,2,2,2,2,2,2,1,1,1,2,2,2,2,2,2,2,2,2,3,2,1,1,1,1,1,-1,-1,-1,-1];
+const ML_DEFAULT = [1,4,3,2,2,2,2,2,2,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,-1,-1,-1,-1,-1,-1,-1];
+const OF_DEFAULT = [1,1,1,1,1,1,2,2,2,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,-1,-1,-1,-1,-1];
+
+function zstdError(msg, pos) {
+  return new Error(`Zstandard: ${msg}` + (pos !== undefined ? ` at 0x${pos.toString(16).toUpperCase()}` : ''));
+}
+
+function highBit(v) {
+  return 31 - Math.clz32(v);
+}
+
+// Forward little-endian bit reader (FSE table descriptions)
+function forwardBits(src, start, end) {
+  let pos = start * 8;
+  return {
+    read(n) {
+      let v = 0;
+      for (let i = 0; i < n; i++, pos++) {
+        const byte = pos >> 3;
+        if (byte >= end) throw zstdError('table description extends past block', byte);
+        v |= ((src[byte] >> (pos & 7)) & 1) << i;
+      }
+      return v;
+    },
+    peek(n) {
+      const saved = pos;
+      const v = this.read(n);
+      pos = saved;
+      return v;
+    },
+    skip(n) { pos += n; },
+    bytePos() { return (pos + 7) >> 3; }
+  };
+}
+
+// Backward bit reader (Huffman streams and sequence bitstreams)
+// Reading past the start yields zero bits and leaves pos negative (overflow)
+function backwardBits(src, start, end) {
+  if (end <= start) throw zstdError('empty bitstream', start);
+  const last = src[end - 1];
+  if (last === 0) throw zstdError('bitstream missing end marker', end - 1);
+  const r = {
+    pos: (end - start - 1) * 8 + highBit(last),
+    read(n) {
+      if (n === 0) return 0;
+      if (n > 24) {
+        const hi = r.read(n - 16);
+        return hi * 65536 + r.read(16);
+      }
+      r.pos -= n;
+      const p = r.pos;
+      if (p < 0) {
+        if (p <= -n) return 0;
+        return get(0, n + p) << -p;
+      }
+      return get(p, n);
+    },
+    peek(n) {
+      const p = r.pos - n;
+      if (p < 0) return p <= -n ? 0 : get(0, n + p) << -p;
+      return get(p, n);
+    },
+    skip(n) { r.pos -= n; }
+  };
+  function get(p, n) {
+    const b = start + (p >> 3);
+    const v = (src[b] | (src[b + 1] << 8) | (src[b + 2] << 16) | (src[b + 3] << 24)) >>> (p & 7);
+    return v & ((1 << n) - 1);
+  }
+  return r;
+}
+
+// Build an FSE decoding table from normalized counts
+function buildFSETable(norm, accuracyLog) {
+  const size = 1 << accuracyLog;
+  const symbols = new Uint8Array(size);
+  const nbBits = new Uint8Array(size);
+  const baseline = new Uint16Array(size);
+  const next = new Uint16Array(norm.length);
+
+  let high = size - 1;
+  for (let s = 0; s < norm.length; s++) {
+    if (norm[s] === -1) {
+      symbols[high--] = s;
+      next[s] = 1;
+    } else {
+      next[s] = norm[s];
+    }
+  }
+
+  const step = (size >> 1) + (size >> 3) + 3;
+  const mask = size - 1;
+  let pos = 0;
+  for (let s = 0; s < norm.length; s++) {
+    for (let i = 0; i < norm[s]; i++) {
+      symbols[pos] = s;
+      do { pos = (pos + step) & mask; } while (pos > high);
+    }
+  }
+  if (pos !== 0) throw zstdError('corrupt FSE distribution');
+
+  for (let u = 0; u < size; u++) {
+    const state = next[symbols[u]]++;
+    nbBits[u] = accuracyLog - highBit(state);
+    baseline[u] = (state << nbBits[u]) - size;
+  }
+  return { accuracyLog, symbols, nbBits, baseline };
+}
+
+function rleFSETable(symbol) {
+  return {
+    accuracyLog: 0,
+    symbols: new Uint8Array([symbol]),
+    nbBits: new Uint8Array(1),
+    baseline: new Uint16Array(1)
+  };
+}
+
+// Read an FSE table description, returns { table, size } (size in bytes)
+function readFSETable(src, start, end, maxSymbol, maxLog) {
+  const bits = forwardBits(src, start, end);
+  const accuracyLog = bits.read(4) + 5;
+  if (accuracyLog > maxLog) throw zstdError(`FSE accuracy log ${accuracyLog} exceeds ${maxLog}`, start);
+
+  const norm = [];
+  let remaining = (1 << accuracyLog) + 1;
+  let threshold = 1 << accuracyLog;
+  let nb = accuracyLog + 1;
+  let previous0 = false;
+
+  while (remaining > 1 && norm.length <= maxSymbol) {
+    if (previous0) {
+      let repeat = bits.read(2);
+      let zeros = repeat;
+      while (repeat === 3) {
+        repeat = bits.read(2);
+        zeros += repeat;
+      }
+      for (let i = 0; i < zeros; i++) norm.push(0);
+      if (norm.length > maxSymbol) break;
+    }
+    const max = (2 * threshold - 1) - remaining;
+    let count;
+    const low = bits.peek(nb - 1);
+    if (low < max) {
+      count = low;
+      bits.skip(nb - 1);
+    } else {
+      count = bits.read(nb);
+      if (count >= threshold) count -= max;
+    }
+    count--;
+    remaining -= count < 0 ? -count : count;
+    norm.push(count);
+    previous0 = count === 0;
+    while (remaining < threshold) {
+      nb--;
+      threshold >>= 1;
+    }
+  }
+  if (remaining !== 1 || norm.length > maxSymbol + 1) throw zstdError('corrupt FSE table description', start);
+
+  return { table: buildFSETable(norm, accuracyLog), size: bits.bytePos() - start };
+}
+
+// Huffman literals table: { maxBits, symbols, nbBits } indexed by maxBits peeked bits
+function readHuffmanTable(src, start, end) {
+  const headerByte = src[start];
+  const weights = [];
+  let size;
+
+  if (headerByte < 128) {
+    // FSE-compressed weights, two interleaved states
+    size = 1 + headerByte;
+    if (start + size > end) throw zstdError('Huffman weights extend past block', start);
+    const { table, size: descSize } = readFSETable(src, start + 1, start + size, 255, 6);
+    const bits = backwardBits(src, start + 1 + descSize, start + size);
+    let s1 = bits.read(table.accuracyLog);
+    let s2 = bits.read(table.accuracyLog);
+    while (weights.length < 255) {
+      weights.push(table.symbols[s1]);
+      s1 = table.baseline[s1] + bits.read(table.nbBits[s1]);
+      if (bits.pos < 0) { weights.push(table.symbols[s2]); break; }
+      weights.push(table.symbols[s2]);
+      s2 = table.baseline[s2] + bits.read(table.nbBits[s2]);
+      if (bits.pos < 0) { weights.push(table.symbols[s1]); break; }
+    }
+  } else {
+    // Direct 4-bit weights
+    const count = headerByte - 127;
+    size = 1 + ((count + 1) >> 1);
+    if (start + size > end) throw zstdError('Huffman weights extend past block', start);
+    for (let i = 0; i < count; i++) {
+      const byte = src[start + 1 + (i >> 1)];
+      weights.push(i & 1 ? byte & 15 : byte >> 4);
+    }
+  }
+
+  // Last weight is implied by the others summing to a power of two
+  let total = 0;
+  for (const w of weights) if (w > 0) total += 1 << (w - 1);
+  if (total === 0) throw zstdError('empty Huffman table', start);
+  const maxBits = highBit(total) + 1;
+  const leftover = (1 << maxBits) - total;
+  if (leftover & (leftover - 1)) throw zstdError('corrupt Huffman weights', start);
+  weights.push(highBit(leftover) + 1);
+  if (maxBits > 11) throw zstdError(`Huffman code length ${maxBits} exceeds 11`, start);
+
+  const tableSize = 1 << maxBits;
+  const symbols = new Uint8Array(tableSize);
+  const nbBits = new Uint8Array(tableSize);
+  let pos = 0;
+  for (let w = 1; w <= maxBits; w++) {
+    for (let s = 0; s < weights.length; s++) {
+      if (weights[s] !== w) continue;
+      const span = 1 << (w - 1);
+      symbols.fill(s, pos, pos + span);
+      nbBits.fill(maxBits + 1 - w, pos, pos + span);
+      pos += span;
+    }
+  }
+  return { table: { maxBits, symbols, nbBits }, size };
+}
+
+function decodeHuffmanStream(src, start, end, table, out, outPos, count) {
+  const bits = backwardBits(src, start, end);
+  const { maxBits, symbols, nbBits } = table;
+  for (let i = 0; i < count; i++) {
+    const idx = bits.peek(maxBits);
+    out[outPos + i] = symbols[idx];
+    bits.skip(nbBits[idx]);
+  }
+  if (bits.pos !== 0) throw zstdError('Huffman stream not fully consumed', start);
+}
+
+// Literals section, returns { literals, size }
+function readLiterals(src, start, end, state) {
+  const b0 = src[start];
+  const type = b0 & 3;
+  const sizeFormat = (b0 >> 2) & 3;
+
+  if (type === 0 || type === 1) {
+    let regen, hdr;
+    if (sizeFormat === 0 || sizeFormat === 2) { regen = b0 >> 3; hdr = 1; }
+    else if (sizeFormat === 1) { regen = (b0 >> 4) + (src[start + 1] << 4); hdr = 2; }
+    else { regen = (b0 >> 4) + (src[start + 1] << 4) + (src[start + 2] << 12); hdr = 3; }
+
+    if (type === 0) {
+      if (start + hdr + regen > end) throw zstdError('raw literals extend past block', start);
+      return { literals: src.subarray(start + hdr, start + hdr + regen), size: hdr + regen };
+    }
+    if (start + hdr >= end) throw zstdError('RLE literals extend past block', start);
+    return { literals: new Uint8Array(regen).fill(src[start + hdr]), size: hdr + 1 };
+  }
+
+  let regen, comp, hdr;
+  const fourStreams = sizeFormat !== 0;
+  if (sizeFormat <= 1) {
+    const v = b0 | (src[start + 1] << 8) | (src[start + 2] << 16);
+    regen = (v >> 4) & 0x3FF; comp = (v >> 14) & 0x3FF; hdr = 3;
+  } else if (sizeFormat === 2) {
+    const v = (b0 | (src[start + 1] << 8) | (src[start + 2] << 16) | (src[start + 3] << 24)) >>> 0;
+    regen = (v >>> 4) & 0x3FFF; comp = v >>> 18; hdr = 4;
+  } else {
+    regen = (b0 >> 4) | (src[start + 1] << 4) | ((src[start + 2] & 0x3F) << 12);
+    comp = (src[start + 2] >> 6) | (src[start + 3] << 2) | (src[start + 4] << 10); hdr = 5;
+  }
+
+  let pos = start + hdr;
+  const streamsEnd = pos + comp;
+  if (streamsEnd > end) throw zstdError('compressed literals extend past block', start);
+
+  if (type === 2) {
+    const { table, size } = readHuffmanTable(src, pos, streamsEnd);
+    state.huffman = table;
+    pos += size;
+  } else if (!state.huffman) {
+    throw zstdError('treeless literals without a previous Huffman table', start);
+  }
+
+  const literals = new Uint8Array(regen);
+  if (!fourStreams) {
+    decodeHuffmanStream(src, pos, streamsEnd, state.huffman, literals, 0, regen);
+  } else {
+    const s1 = src[pos] | (src[pos + 1] << 8);
+    const s2 = src[pos + 2] | (src[pos + 3] << 8);
+    const s3 = src[pos + 4] | (src[pos + 5] << 8);
+    pos += 6;
+    const bounds = [pos, pos + s1, pos + s1 + s2, pos + s1 + s2 + s3, streamsEnd];
+    if (bounds[3] > streamsEnd) throw zstdError('literal jump table out of range', pos - 6);
+    const seg = (regen + 3) >> 2;
+    for (let i = 0; i < 4; i++) {
+      const n = i < 3 ? seg : regen - 3 * seg;
+      decodeHuffmanStream(src, bounds[i], bounds[i + 1], state.huffman, literals, i * seg, n);
+    }
+  }
+  return { literals, size: streamsEnd - start };
+}
+
+function readSequenceTable(src, pos, end, mode, defaults, defaultLog, maxSymbol, maxLog, previous) {
+  switch (mode) {
+    case 0: return { table: buildFSETable(defaults, defaultLog), size: 0 };
+    case 1: return { table: rleFSETable(src[pos]), size: 1 };
+    case 2: return readFSETable(src, pos, end, maxSymbol, maxLog);
+    default:
+      if (!previous) throw zstdError('repeat sequence table without a previous table', pos);
+      return { table: previous, size: 0 };
+  }
+}
+
+function decompressBlock(src, start, end, state, out) {
+  const lit = readLiterals(src, start, end, state);
+  const literals = lit.literals;
+  let pos = start + lit.size;
+
+  // Number of sequences
+  let nbSeq = src[pos++];
+  if (nbSeq === undefined || pos > end) throw zstdError('sequences header extends past block', start);
+  if (nbSeq >= 128) {
+    if (nbSeq === 255) { nbSeq = src[pos] + (src[pos + 1] << 8) + 0x7F00; pos += 2; }
+    else { nbSeq = ((nbSeq - 128) << 8) + src[pos]; pos += 1; }
+  }
+
+  if (nbSeq === 0) {
+    out.write(literals, 0, literals.length);
+    return;
+  }
+
+  const modes = src[pos++];
+  const ll = readSequenceTable(src, pos, end, modes >> 6, LL_DEFAULT, 6, 35, 9, state.llTable);
+  pos += ll.size;
+  const of = readSequenceTable(src, pos, end, (modes >> 4) & 3, OF_DEFAULT, 5, 31, 8, state.ofTable);
+  pos += of.size;
+  const ml = readSequenceTable(src, pos, end, (modes >> 2) & 3, ML_DEFAULT, 6, 52, 9, state.mlTable);
+  pos += ml.size;
+  state.llTable = ll.table;
+  state.ofTable = of.table;
+  state.mlTable = ml.table;
+
+  const bits = backwardBits(src, pos, end);
+  const llT = ll.table, ofT = of.table, mlT = ml.table;
+  let llState = bits.read(llT.accuracyLog);
+  let ofState = bits.read(ofT.accuracyLog);
+  let mlState = bits.read(mlT.accuracyLog);
+  const rep = state.rep;
+  let litPos = 0;
+
+  for (let i = 0; i < nbSeq; i++) {
+    const ofCode = ofT.symbols[ofState];
+    const mlCode = mlT.symbols[mlState];
+    const llCode = llT.symbols[llState];
+    if (llCode > 35 || mlCode > 52 || ofCode > 31) throw zstdError('invalid sequence code', pos);
+
+    const ofValue = ofCode > 0 ? 2 ** ofCode + bits.read(ofCode) : 1;
+    const matchLength = ML_CODES[mlCode][0] + bits.read(ML_CODES[mlCode][1]);
+    const literalLength = LL_CODES[llCode][0] + bits.read(LL_CODES[llCode][1]);
+
+    let offset;
+    if (ofValue > 3) {
+      offset = ofValue - 3;
+      rep[2] = rep[1]; rep[1] = rep[0]; rep[0] = offset;
+    } else {
+      const idx = ofValue - 1 + (literalLength === 0 ? 1 : 0);
+      if (idx === 0) {
+        offset = rep[0];
+      } else {
+        offset = idx === 3 ? rep[0] - 1 : rep[idx];
+        if (idx > 1) rep[2] = rep[1];
+        rep[1] = rep[0];
+        rep[0] = offset;
+      }
+    }
+
+    if (litPos + literalLength > literals.length) throw zstdError('sequence reads past literals', pos);
+    out.write(literals, litPos, literalLength);
+    litPos += literalLength;
+    out.copyMatch(offset, matchLength);
+
+    if (i < nbSeq - 1) {
+      llState = llT.baseline[llState] + bits.read(llT.nbBits[llState]);
+      mlState = mlT.baseline[mlState] + bits.read(mlT.nbBits[mlState]);
+      ofState = ofT.baseline[ofState] + bits.read(ofT.nbBits[ofState]);
+    }
+  }
+  if (bits.pos !== 0) throw zstdError('sequence bitstream not fully consumed', pos);
+
+  out.write(literals, litPos, literals.length - litPos);
+}
+
+// Growable output buffer with LZ77 match copy
+function createOutput(capacity) {
+  let buf = new Uint8Array(Math.max(capacity, 64));
+  let len = 0;
+  function reserve(n) {
+    if (len + n <= buf.length) return;
+    const grown = new Uint8Array(Math.max(buf.length * 2, len + n));
+    grown.set(buf.subarray(0, len));
+    buf = grown;
+  }
+  return {
+    write(src, start, n) {
+      reserve(n);
+      buf.set(src.subarray(start, start + n), len);
+      len += n;
+    },
+    fill(value, n) {
+      reserve(n);
+      buf.fill(value, len, len + n);
+      len += n;
+    },
+    copyMatch(offset, n) {
+      if (offset > len || offset === 0) throw zstdError(`match offset ${offset} before start of output`);
+      reserve(n);
+      let from = len - offset;
+      if (offset >= n) {
+        buf.copyWithin(len, from, from + n);
+        len += n;
+      } else {
+        for (let i = 0; i < n; i++) buf[len++] = buf[from++];
+      }
+    },
+    result() { return buf.length === len ? buf : buf.slice(0, len); }
+  };
+}
+
+// Decompress one or more concatenated zstd frames
+// expectedSize is only a capacity hint
+function decompressZstd(src, expectedSize = 0) {
+  const out = createOutput(expectedSize || src.length * 4);
+  let pos = 0;
+
+  while (pos < src.length) {
+    if (pos + 4 > src.length) throw zstdError('truncated frame magic', pos);
+    const magic = (src[pos] | (src[pos + 1] << 8) | (src[pos + 2] << 16) | (src[pos + 3] << 24)) >>> 0;
+    pos += 4;
+
+    // Skippable frame
+    if ((magic & 0xFFFFFFF0) === 0x184D2A50) {
+      const size = (src[pos] | (src[pos + 1] << 8) | (src[pos + 2] << 16) | (src[pos + 3] << 24)) >>> 0;
+      pos += 4 + size;
+      continue;
+    }
+    if (magic !== ZSTD_MAGIC) throw zstdError(`bad frame magic 0x${magic.toString(16)}`, pos - 4);
+
+    const fhd = src[pos++];
+    const fcsFlag = fhd >> 6;
+    const singleSegment = (fhd >> 5) & 1;
+    const hasChecksum = (fhd >> 2) & 1;
+    const dictIdFlag = fhd & 3;
+    if (fhd & 0x08) throw zstdError('reserved frame header bit set', pos - 1);
+    if (!singleSegment) pos++; // window descriptor, output is unbounded here
+    const dictIdSize = [0, 1, 2, 4][dictIdFlag];
+    let dictId = 0;
+    for (let i = 0; i < dictIdSize; i++) dictId |= src[pos + i] << (8 * i);
+    if (dictId !== 0) throw zstdError('dictionaries are not supported', pos);
+    pos += dictIdSize;
+    pos += fcsFlag === 0 ? singleSegment : 1 << fcsFlag;
+
+    const state = { rep: [1, 4, 8], huffman: null, llTable: null, ofTable: null, mlTable: null };
+    let last = 0;
+    while (!last) {
+      if (pos + 3 > src.length) throw zstdError('truncated block header', pos);
+      const bh = src[pos] | (src[pos + 1] << 8) | (src[pos + 2] << 16);
+      pos += 3;
+      last = bh & 1;
+      const type = (bh >> 1) & 3;
+      const size = bh >> 3;
+
+      if (type === 0) {
+        if (pos + size > src.length) throw zstdError('raw block extends past input', pos);
+        out.write(src, pos, size);
+        pos += size;
+      } else if (type === 1) {
+        if (pos >= src.length) throw zstdError('RLE block extends past input', pos);
+        out.fill(src[pos], size);
+        pos += 1;
+      } else if (type === 2) {
+        if (pos + size > src.length) throw zstdError('compressed block extends past input', pos);
+        decompressBlock(src, pos, pos + size, state, out);
+        pos += size;
+      } else {
+        throw zstdError('reserved block type', pos - 3);
+      }
+    }
+    if (hasChecksum) pos += 4;
+  }
+
+  return out.result();
+}
+
+// Expose functions
+window.decompressZstd = decompressZstd;
@@ -25,50 +25,162 @@ export function activate(context: vscode.ExtensionContext) {
         }
       );
 
-      const readUri = panel.webview.asWebviewUri(
-        vscode.Uri.joinPath(context.extensionUri, 'media', 'read.js')
-      );
-      const scriptUri = panel.webview.asWebviewUri(
-        vscode.Uri.joinPath(context.extensionUri, 'media', 'main.js')
-      );
-      const shaderUri = panel.webview.asWebviewUri(
-        vscode.Uri.joinPath(context.extensionUri, 'media', 'shaders.wgsl')
-      );
-
-      // Handle messages from the webview
       panel.webview.onDidReceiveMessage(
-        async (message) => {
-          switch (message.command) {
-            case 'validateGltf':
-              await handleValidateGltf(panel, message.fileData, message.fileName, message.fileDir);
-              break;
-          }
-        },
+        (message) => handleWebviewMessage(panel, message),
         undefined,
         context.subscriptions
       );
-
-      const nonce = getNonce();
-
-      // Load HTML templates from files
-      const htmlPath = vscode.Uri.joinPath(context.extensionUri, 'media', 'webview.html');
-      const sidebarPath = vscode.Uri.joinPath(context.extensionUri, 'media', 'sidebar-template.html');
-      
-      let html = fs.readFileSync(htmlPath.fsPath, 'utf8');
-      const sidebarHtml = fs.readFileSync(sidebarPath.fsPath, 'utf8');
-
-      // Replace placeholders
-      html = html
-        .replace(/\{\{nonce\}\}/g, nonce)
-        .replace(/\{\{cspSource\}\}/g, panel.webview.cspSource)
-        .replace(/\{\{readUri\}\}/g, readUri.toString())
-        .replace(/\{\{scriptUri\}\}/g, scriptUri.toString())
-        .replace(/\{\{shaderUri\}\}/g, shaderUri.toString())
-        .replace(/\{\{sidebarHtml\}\}/g, sidebarHtml.replace(/`/g, '\\`').replace(/\$/g, '\\$'));
-
-      panel.webview.html = html;
+      panel.webview.html = getWebviewHtml(panel.webview, context.extensionUri);
     })
   );
+
+  // Explorer double-click opens textures straight in the viewer
+  const editorOptions = {
+    webviewOptions: { retainContextWhenHidden: true },
+    supportsMultipleEditorsPerDocument: true
+  };
+  context.subscriptions.push(
+    vscode.window.registerCustomEditorProvider(
+      TextureEditorProvider.ktx2ViewType, new TextureEditorProvider(context), editorOptions
+    ),
+    vscode.window.registerCustomEditorProvider(
+      TextureEditorProvider.imageViewType, new TextureEditorProvider(context), editorOptions
+    )
+  );
+}
+
+const RELOAD_DEBOUNCE_MS = 200;
+
+// Read-only custom editor: each tab gets its own webview, and the host reads the
+// file so the webview never needs access to the user's filesystem
+class TextureEditorProvider implements vscode.CustomReadonlyEditorProvider {
+  static readonly ktx2ViewType = 'ktx2hdr.ktx2Viewer';
+  static readonly imageViewType = 'ktx2hdr.imageViewer';
+
+  constructor(private readonly context: vscode.ExtensionContext) {}
+
+  openCustomDocument(uri: vscode.Uri): vscode.CustomDocument {
+    return { uri, dispose: () => {} };
+  }
+
+  resolveCustomEditor(document: vscode.CustomDocument, panel: vscode.WebviewPanel): void {
+    panel.webview.options = {
+      enableScripts: true,
+      localResourceRoots: [vscode.Uri.joinPath(this.context.extensionUri, 'media')]
+    };
+
+    // The webview asks for the file once its loaders are ready
+    const sendFile = async (reload = false) => {
+      try {
+        const data = await vscode.workspace.fs.readFile(document.uri);
+        panel.webview.postMessage({
+          command: 'loadFile',
+          fileName: path.posix.basename(document.uri.path),
+          data,
+          reload
+        });
+      } catch (error: any) {
+        vscode.window.showErrorMessage(`Could not read ${document.uri.fsPath}: ${error.message}`);
+      }
+    };
+
+    // glTF buffers and images referenced by relative URI, read next to the document. `..` may not
+    // leave the document's workspace folder, or its directory when it is outside any workspace.
+    const rootUri = vscode.workspace.getWorkspaceFolder(document.uri)?.uri ?? vscode.Uri.joinPath(document.uri, '..');
+    const rootPath = rootUri.path.endsWith('/') ? rootUri.path : `${rootUri.path}/`;
+    const sendResource = async (id: number, uri: string) => {
+      try {
+        if (typeof uri !== 'string' || /^[a-z][a-z0-9+.-]*:/i.test(uri) || uri.startsWith('/')) {
+          throw new Error('only relative URIs can be read');
+        }
+        // Windows would treat a backslash as a separator that joinPath does not see
+        if (uri.includes('\\')) throw new Error('URIs use / as the path separator');
+        // joinPath normalizes the path, resolving every `..`
+        const target = vscode.Uri.joinPath(document.uri, '..', uri);
+        if (target.scheme !== rootUri.scheme || target.authority !== rootUri.authority || !target.path.startsWith(rootPath)) {
+          throw new Error(`${uri} is outside ${rootUri.fsPath}`);
+        }
+        const data = await vscode.workspace.fs.readFile(target);
+        panel.webview.postMessage({ command: 'resource', id, data });
+      } catch (error: any) {
+        panel.webview.postMessage({ command: 'resource', id, error: error.message });
+      }
+    };
+
+    const messages = panel.webview.onDidReceiveMessage(async (message) => {
+      if (message.command === 'ready') await sendFile();
+      else if (message.command === 'readResource') await sendResource(message.id, message.uri);
+      else await handleWebviewMessage(panel, message);
+    });
+
+    // Live reload: bake scripts rewrite files in several writes, so wait for them to settle
+    const watcher = vscode.workspace.createFileSystemWatcher(
+      new vscode.RelativePattern(vscode.Uri.joinPath(document.uri, '..'), path.posix.basename(document.uri.path))
+    );
+    let reloadTimer: NodeJS.Timeout | undefined;
+    const scheduleReload = () => {
+      if (reloadTimer) clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => sendFile(true), RELOAD_DEBOUNCE_MS);
+    };
+    watcher.onDidChange(scheduleReload);
+    watcher.onDidCreate(scheduleReload);
+
+    panel.onDidDispose(() => {
+      if (reloadTimer) clearTimeout(reloadTimer);
+      watcher.dispose();
+      messages.dispose();
+    });
+    panel.webview.html = getWebviewHtml(panel.webview, this.context.extensionUri);
+  }
+}
+
+// Handle messages from the webview
+async function handleWebviewMessage(panel: vscode.WebviewPanel, message: any) {
+  switch (message.command) {
+    case 'validateGltf':
+      await handleValidateGltf(panel, message.fileData, message.fileName, message.fileDir);
+      break;
+  }
+}
+
+function getWebviewHtml(webview: vscode.Webview, extensionUri: vscode.Uri): string {
+  const mediaUri = (file: string) =>
+    webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'media', file)).toString();
+
+  const nonce = getNonce();
+
+  // Load HTML templates from files
+  const htmlPath = vscode.Uri.joinPath(extensionUri, 'media', 'webview.html');
+  const sidebarPath = vscode.Uri.joinPath(extensionUri, 'media', 'sidebar-template.html');
+
+  const html = fs.readFileSync(htmlPath.fsPath, 'utf8');
+  const sidebarHtml = fs.readFileSync(sidebarPath.fsPath, 'utf8');
+
+  // Replace placeholders
+  return html
+    .replace(/\{\{nonce\}\}/g, nonce)
+    .replace(/\{\{cspSource\}\}/g, webview.cspSource)
+    .replace(/\{\{zstdUri\}\}/g, mediaUri('zstd.js'))
+    .replace(/\{\{formatsUri\}\}/g, mediaUri('formats.js'))
+    .replace(/\{\{pixelconvertUri\}\}/g, mediaUri('pixelconvert.js'))
+    .replace(/\{\{readUri\}\}/g, mediaUri('read.js'))
+    .replace(/\{\{ktx2ValidatorUri\}\}/g, mediaUri('ktx2-validator.js'))
+    .replace(/\{\{inspectorUri\}\}/g, mediaUri('inspector.js'))
+    .replace(/\{\{statsUri\}\}/g, mediaUri('stats.js'))
+    .replace(/\{\{metricsUri\}\}/g, mediaUri('metrics.js'))
+    .replace(/\{\{gltfUri\}\}/g, mediaUri('gltf.js'))
+    .replace(/\{\{hdrUri\}\}/g, mediaUri('hdr.js'))
+    .replace(/\{\{exrUri\}\}/g, mediaUri('exr.js'))
+    .replace(/\{\{bcdecodeUri\}\}/g, mediaUri('bcdecode.js'))
+    .replace(/\{\{etcdecodeUri\}\}/g, mediaUri('etcdecode.js'))
+    .replace(/\{\{astcdecodeUri\}\}/g, mediaUri('astcdecode.js'))
+    .replace(/\{\{decodeWorkerUri\}\}/g, mediaUri('decode-worker.js'))
+    .replace(/\{\{basisUri\}\}/g, mediaUri('basis_transcoder.js'))
+    .replace(/\{\{basisWasmUri\}\}/g, mediaUri('basis_transcoder.wasm'))
+    .replace(/\{\{transcoderUri\}\}/g, mediaUri('transcoder.js'))
+    .replace(/\{\{scriptUri\}\}/g, mediaUri('main.js'))
+    .replace(/\{\{shaderUri\}\}/g, mediaUri('shaders.wgsl'))
+    .replace(/\{\{sidebarHtml\}\}/g, sidebarHtml.replace(/`/g, '\\`').replace(/\$/g, '\\$'));
 }
 
 async function handleValidateGltf(
@@ -0,0 +1,227 @@
+// bcdecode.test.js - CPU BC1-BC7 decoding, block by block
+// The BC1-BC5 blocks are built here with hand-computed palettes. The BC6H and BC7 blocks
+// are fixed pseudo-random payloads with each mode's bits set; their expected texels come
+// from SwiftShader's decoder (WebGPU, rendered to rgba32float), which is exact on these.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadViewerScripts } = require('./viewer.js');
+
+const viewer = loadViewerScripts('bcdecode.js');
+
+// One 4x4 block as RGBA8 bytes, or as RGBA16F halves for BC6H and signed BC4/BC5
+function decodeBlock(format, block) {
+  const bytes = new Uint8Array(block);
+  const out = viewer.decodeBCImage(bytes, 4, 4, 1, { format, bytesPerBlock: bytes.length });
+  if (viewer.bcDecodeTarget({ format }).format === 'rgba16float') {
+    return Array.from(new Uint16Array(out.buffer, out.byteOffset, 64));
+  }
+  return Array.from(out);
+}
+
+function halfToFloat(h) {
+  const exp = (h >> 10) & 0x1F, mant = h & 0x3FF;
+  const v = exp === 0 ? mant * 2 ** -24 : (1 + mant / 1024) * 2 ** (exp - 15);
+  return h & 0x8000 ? -v : v;
+}
+
+// BC1 colour half: two RGB565 endpoints and a 2-bit index per texel
+function bc1Block(c0, c1, indices) {
+  const bits = indices.reduce((n, idx, t) => n + idx * 4 ** t, 0);
+  return [c0 & 0xFF, c0 >> 8, c1 & 0xFF, c1 >> 8, bits & 0xFF, (bits >>> 8) & 0xFF, (bits >>> 16) & 0xFF, bits >>> 24];
+}
+
+// BC3 alpha / BC4 channel: two 8-bit endpoints (two's complement when signed) and 3-bit indices
+function bc4Block(e0, e1, indices) {
+  const bits = indices.reduce((n, idx, t) => n + BigInt(idx) * 8n ** BigInt(t), 0n);
+  return [e0 & 0xFF, e1 & 0xFF, ...Array.from({ length: 6 }, (_, i) => Number((bits >> BigInt(i * 8)) & 0xFFn))];
+}
+
+const hexBytes = (hex) => Array.from(Buffer.from(hex, 'hex'));
+const texels = (palette, indices) => indices.flatMap(i => palette[i]);
+const RAMP = Array.from({ length: 16 }, (_, t) => t & 3);  // index t % 4
+const RAMP8 = Array.from({ length: 16 }, (_, t) => t & 7); // index t % 8
+
+test('BC1 four-colour mode (c0 > c1): endpoints and the 1/3, 2/3 blends', () => {
+  // red 0xF800 > blue 0x001F
+  const palette = [[255, 0, 0, 255], [0, 0, 255, 255], [170, 0, 85, 255], [85, 0, 170, 255]];
+  assert.deepStrictEqual(decodeBlock('bc1-rgba-unorm', bc1Block(0xF800, 0x001F, RAMP)), texels(palette, RAMP));
+});
+
+test('BC1 three-colour mode (c0 <= c1): the midpoint and transparent black', () => {
+  // (0 + 255) >> 1 = 127
+  const palette = [[0, 0, 255, 255], [255, 0, 0, 255], [127, 0, 127, 255], [0, 0, 0, 0]];
+  assert.deepStrictEqual(decodeBlock('bc1-rgba-unorm', bc1Block(0x001F, 0xF800, RAMP)), texels(palette, RAMP));
+  // Equal endpoints are three-colour as well
+  const reversed = RAMP.map(i => 3 - i);
+  assert.deepStrictEqual(decodeBlock('bc1-rgba-unorm', bc1Block(0x07E0, 0x07E0, reversed)).slice(0, 16),
+    [0, 0, 0, 0, 0, 255, 0, 255, 0, 255, 0, 255, 0, 255, 0, 255]);
+});
+
+test('BC2: explicit 4-bit alpha, colour always in four-colour mode', () => {
+  // Alpha nibbles 0..15 in texel order expand by 17; c0 < c1 still blends in thirds
+  const alpha = [0x10, 0x32, 0x54, 0x76, 0x98, 0xBA, 0xDC, 0xFE];
+  const palette = [[0, 0, 255], [255, 0, 0], [85, 0, 170], [170, 0, 85]];
+  const expected = RAMP.flatMap((i, t) => [...palette[i], t * 17]);
+  assert.deepStrictEqual(decodeBlock('bc2-rgba-unorm', [...alpha, ...bc1Block(0x001F, 0xF800, RAMP)]), expected);
+});
+
+test('BC3: eight-value alpha (a0 > a1), rounded to the nearest step', () => {
+  // 255 * 6/7 = 218.57, 255 * 5/7 = 182.14, ... 255 * 1/7 = 36.43
+  const alpha = [255, 0, 219, 182, 146, 109, 73, 36];
+  const expected = RAMP8.flatMap((i, t) => [255, 0, 0, alpha[i]]);
+  const red = bc1Block(0xF800, 0xF800, new Array(16).fill(0));
+  assert.deepStrictEqual(decodeBlock('bc3-rgba-unorm', [...bc4Block(255, 0, RAMP8), ...red]), expected);
+});
+
+test('BC4 unsigned: six-value mode (e0 <= e1) with 0 and 255', () => {
+  // 50 + (250 - 50) * i/5 for i = 1..4
+  const red = [50, 250, 90, 130, 170, 210, 0, 255];
+  assert.deepStrictEqual(decodeBlock('bc4-r-unorm', bc4Block(50, 250, RAMP8)), RAMP8.flatMap(i => [red[i], 0, 0, 255]));
+});
+
+test('BC5 unsigned: red and green decode independently', () => {
+  const red = [255, 0, 219, 182, 146, 109, 73, 36];
+  const green = [50, 250, 90, 130, 170, 210, 0, 255];
+  const greenIndices = RAMP8.slice().reverse();
+  assert.deepStrictEqual(decodeBlock('bc5-rg-unorm', [...bc4Block(255, 0, RAMP8), ...bc4Block(50, 250, greenIndices)]),
+    RAMP8.flatMap((i, t) => [red[i], green[greenIndices[t]], 0, 255]));
+});
+
+// Signed values are exact multiples of 1/127 (or of 1/(7*127), 1/(5*127)), compared at half precision
+function assertSigned(format, block, expectedRG) {
+  const halves = decodeBlock(format, block);
+  for (let t = 0; t < 16; t++) {
+    expectedRG[t].forEach((want, c) => {
+      const got = halfToFloat(halves[t * 4 + c]);
+      assert.ok(Math.abs(got - want) <= 2 ** -11, `texel ${t} channel ${c} is ${got}, expected ${want}`);
+    });
+    assert.deepStrictEqual(halves.slice(t * 4 + 2, t * 4 + 4), [0, 0x3C00]);
+  }
+}
+
+test('BC4 signed: eight-value mode between +1 and -1', () => {
+  // 127 and -127: 1, -1, then 5/7, 3/7, 1/7, -1/7, -3/7, -5/7
+  const red = [1, -1, 5 / 7, 3 / 7, 1 / 7, -1 / 7, -3 / 7, -5 / 7];
+  assertSigned('bc4-r-snorm', bc4Block(127, -127, RAMP8), RAMP8.map(i => [red[i], 0]));
+});
+
+test('BC4 signed: -128 reads as -127; six-value mode ends in -1 and +1', () => {
+  // -128 (clamped to -127) <= 33: -127 + 160 * i/5 = -95, -63, -31, 1 for i = 1..4
+  const red = [-1, 33 / 127, -95 / 127, -63 / 127, -31 / 127, 1 / 127, -1, 1];
+  assertSigned('bc4-r-snorm', bc4Block(-128, 33, RAMP8), RAMP8.map(i => [red[i], 0]));
+});
+
+test('BC5 signed: exact interpolants, not rounded to 8-bit steps', () => {
+  // Red 100 > -20: (6 * 100 - 20) / 7 = 82.857; green -20 <= 100: (4 * -20 + 100) / 5 = 4
+  const red = [100, -20, 580 / 7, 460 / 7, 340 / 7, 220 / 7, 100 / 7, -20 / 7].map(v => v / 127);
+  const green = [-20, 100, 4, 28, 52, 76, -127, 127].map(v => v / 127);
+  assertSigned('bc5-rg-snorm', [...bc4Block(100, -20, RAMP8), ...bc4Block(-20, 100, RAMP8)],
+    RAMP8.map(i => [red[i], green[i]]));
+});
+
+// [mode, block, expected RGBA8 texels]
+const BC7_BLOCKS = [
+  [0, 'e32cefbf860a75cd7cc8ef1d355466a9',
+    '724eabff6b396bff6d4080ff8e51a3ff7352b5ff6d4080ff8058dcff9c4a6bffff953effff953eff974c7eff8e51a3ffffa848ffff953effff953eff8456caff'],
+  [1, 'e68b3339e0af2297813953830890c397',
+    '2e835eff404945ff3d3540ff2e835eff35cb37ff2e835eff4b985cff4eab62ff2e835eff309454ff3a223aff4eab62ff3d3540ff3aff1aff31a64bff488457ff'],
+  [2, '5c926f384f0117259d2f8d35d2929d69',
+    '4a10e7ff8336b9ffc6a5c6ffacab73ff4a10e7ff8336b9ff6b5ad6ff9cef42ffbe5e88fff7845aff6b5ad6ff9cef42ff4a10e7ff8336b9ffc6a5c6ffce21d6ff'],
+  [3, '58ee268629eb3f2fec89534b39e9018b',
+    '7759f7ffa60a2cff5c8fd3ff745354ff7759f7ff3f9e7fff26fe88ffa60a2cff0de7a7ff7759f7ff0de7a7ff7759f7ffa60a2cff41c8acff0de7a7ff41c8acff'],
+  [4, 'f068d888faffe75087d9a2d01e86e449',
+    '3cafff5a2a9dffa636a9ff7342b5ff422498ffbe2498ffbe188cffef42b5ff421e92ffd742b5ff4236a9ff7336a9ff731e92ffd730a4ff8b36a9ff7336a9ff73'],
+  [5, 'e0ea7cce77f9760e4e51f33bd9f7fe6c',
+    'df759d5edf758c5ee979948fe979838fd572832ee979948fe979838fe979838fdf758c5ee979838ff37c83bff37c83bfdf759d5ef37c83bfdf758c5ee979948f'],
+  [6, '40f7675476ffe1d2491fea812607d097',
+    'b36ae6d1b36ae6d13fcbffa5d34fdfdd73a0f4b949c3fda9d34fdfdd898defc19d7debc9c75ae2d99385edc5dd47dde1dd47dde155b8faad9385edc57f95f1bd'],
+  [7, '80d5cb5e96f029ba271208a51759d7eb',
+    '951f6a41b315956579284120b3159565f7ff3c86cf0cbe86b3159565b3159565d7e2578bd7e2578b951f6a41cf0cbe8696a68e96b6c37391b6c37391cf0cbe86']
+];
+
+for (const [mode, block, expected] of BC7_BLOCKS) {
+  test(`BC7 mode ${mode}`, () => {
+    assert.deepStrictEqual(decodeBlock('bc7-rgba-unorm', hexBytes(block)), hexBytes(expected));
+  });
+}
+
+test('BC7 reserved mode 8 (first byte 0) decodes to transparent black', () => {
+  assert.deepStrictEqual(decodeBlock('bc7-rgba-unorm', new Array(16).fill(0)), new Array(64).fill(0));
+});
+
+// [mode bits, block, expected RGB halves]; alpha is always 1.0
+const BC6H_UF16_BLOCKS = [
+  [0, '7899df1987251b5b826874a5fc3baf95',
+    '185e74116dd716b473576ccd181973f36dac187d742d6c51174073946d24178573b36d5016d3729d6c5116d3729d6c51174073946d2417d373d46d80171972de6c5117f273aa6c51174073946d24175f73206c51183873eb6c51183873eb6c51'],
+  [1, '6967d007598f3dd57472b6bf7bd2fa84',
+    '36c71cc211d42ad635c44b332ad635c44b331e8435c410f4310e174f2eb6254c0c1c6a14218335c41f1f2ad635c44b3333eb1a09204533eb1a092045310e174f2eb6248235c42d4a254c0c1c6a1436c71cc211d436c71cc211d42de114483ec1'],
+  [2, '22012d493937f43b0d44b458fa0d6cd1',
+    '3ea2247d48053efd244147ca3ef42434479f3f0a2455480e3eb1247f48143ef8243a47b43f0f245b48243f0f245b48243ef0248848533ef0242d47893ef0242d47893efd244147ca3ec1248148233ef42434479f3ef8243a47b43efd244147ca'],
+  [6, 'a6da613289bc32fd8f1889333a7bfc5c',
+    '69f10ba6473169ed0bd6474b69fc0b2b46ee69f60b73471569ef0bbe473e69f10ba6473169fc0b2b46ee69f60b73471569f80b5b470869fc0b2b46ee69ed0bd6474b69fc0c3346ee69fc0b2b46ee69f60b7347156a320beb471b6a4c0bc84731'],
+  [10, '0a33bcbbf4113fc4280c9ee11c8b4c92',
+    '56ae739724dd56b773ba24ba56ae739724dd56bb73cb24a9563f743823df56a9738424f056ae739724dd56a9738424f0567473f623ec56f9734f240e56df7370240756ae739724dd56c57391240156c57391240156c57391240156c573912401'],
+  [14, '0ebe9e1751790f5138986c7e41904c8f',
+    '79444c6221fd7a534bda223379a54c3122107aab4baf224579444c6221fd78964cb921da783f4ce521c976de4b8d2293783f4ce521c978964cb921da78964cb921da760d4acd233078ed4c8d21eb7aab4baf224576de4b8d229376754b2d22e1'],
+  [18, 'd2262a15817d4be80d7e1db795cb4bb2',
+    '172127e83fd1194f289641ff13bd26d93c6d14d427303d8414d427303d8414d427303d841838283f40e813bd26d93c6d14d427303d8415eb27873e9b12a626823b561bf12747484e1838283f40e81bf12747484e192425e1441b1bf12747484e'],
+  [22, 'd62495999848ba2b94f97c2a8cf62e68',
+    '0ffd184323370c5a1d4e20b20f0219a0228810e0170923d411c315cf24710f0219a0228811c315cf2471145b115c26a10ffd184323370c5a1d4e20b20f7c1563285312ca12a7272c11c315cf2471177e0ec6258a0f7c1563285315ec10112615'],
+  [26, '5aca434209abb34258b136d3def660eb',
+    '2807416d4e91282a41054f3f28604062504e283d40ca4fa0299c3dcf547228604062504e282a41054f3f282a41054f3f2bba40fd55b8299c3dcf5472282a41054f3f27f641a24e3a299c3dcf5472299c3dcf54722c69420256202872402e50a6'],
+  [30, '5e02b30c2357adb4e273d06508d89a9d',
+    '23d84a980c983ce9502a3d55328e4ddd29335d2e49ed1548328e4ddd293323d84a980c985d2e49ed15485fe854480aa838014f1333cc3ce9502a3d5551fb1f5d40f74f4115024b9738014f1333cc51fb1f5d40f757bb35382a885a753f931fe8'],
+  [3, '03048dde8d79273affccb5e6f5c1cf2e',
+    '307e2415540562fe26344c1b4faf25644f224faf25644f2223202385561d49be252450102a8d23d554f35d0d25f44d0923202385561d62fe26344c1b09e022755a124faf25644f2262fe26344c1b4faf25644f225d0d25f44d09114d22c558e8'],
+  [7, 'c7112596e5f13f7225106ff450863ec2',
+    '472304806b43472304806b4346a00482695246da04816a2f4a4204737720481a047c6eed4797047e6cfc4a420473772046a00482695247d1047d6dd9481a047c6eed488e047a70a74a0804747643475d047f6c20472304806b43498504767452'],
+  [11, 'ebc5f7a58dba4822c6ffa96f8f941a8c',
+    '6e6f3dec164a6fe43f2a178370633f9617ee70633f9617ee6f653ebd17186f963ee7174170633f9617ee6eef3e5916b570633f9617ee6f3d3e9c16f76e963e0e166b6f653ebd17186f963ee717416e173da116006fe43f2a17836f3d3e9c16f7'],
+  [15, 'ef799b79650f8f247c3f63393eabc4eb',
+    '3bf76e0c10d13bf76e0c10d13bf66e0a10cf3bf76e0d10d23bf76e0d10d23bf76e0c10d13bf76e0b10d13bf76e0d10d23bf66e0a10cf3bf76e0d10d23bf66e0b10d03bf66e0b10d03bf76e0d10d23bf66e0b10d03bf66e0b10d03bf66e0a10cf']
+];
+
+const BC6H_SF16_BLOCKS = [
+  [0, '6c1371f9c8362a230fd6ae2801b2bfca',
+    '24f1c6eb1ec3252ec6681e8f256bc5e51e5b252ec6681e8f256bc5e51e5b256bc5e51e5b25a9c5631e2725a9c5631e272786c6411cf72434c8821f662434c8821f6623f7c9051f9b27ddc5931dfd2839c4db1f11252ec6681e8f2434c8821f66'],
+  [1, '618a1cc8eb1d85e2622d4dea9bd7fcc3',
+    'da9b5bcab321db845486b19ec74b1168cc61dee0b0bdba8cddf840e8ad88d3b49168c2fed3b49168c2feb0f35012dd45d3b49168c2febc1f30bdd4d3ea0cd012b21aa5c86f68e5b8a5c86f68e5b8d3b49168c2fef538ef68a9a8d3b49168c2fe'],
+  [2, '623e638e303283a0f558e86a2d67145d',
+    '3cb0e45208b13ad3e43308313af9e45208353b74e4b108423ccae47008b63af9e45208353af9e45208353b21e470083a3ccae47008b63ad3e43308313bc2e4ee084b3af9e45208353c7ce41508a83af9e45208353b4de492083e3b9be4cf0847'],
+  [6, '66dd89f7363cc5ba07024a24f3128d05',
+    '5ab89c748ffe5af09c208fd05a849cc2902a5a9e9c9a90145ae69b2a90715ad29c4c8fe85b249bd28fa45ad29c4c8fe85ae69b2a90715ae69b2a90715aea9b44905b5ad29c4c8fe85af39b7c902d5af79b9690185ae19b1090875ae19b109087'],
+  [10, '4a545438a5f9d6a43d7373ab66bae350',
+    'aa71e7b750f3a9f5e6de520aaa69e8445110a9fde86051ceaa4ee77a5141a9fde86051ceaa8ce83c50d3aa3de75b5169aa4ee77a5141a9b7e8715248a9dae868520baa60e798511ba9dae868520baa8ce83c50d3aa29e7395195aa4ee77a5141'],
+  [14, '4e26a59f5df3531a20cc1d81600424f6',
+    'e1c6d89a620ee346d87763b0e286d88862dfe406d8666482e988db826096ebc6dbca6482e988db826096eb3adbb8638deaafdba76299ebc6dbca6482ebc6dbca6482eb3adbb8638deb3adbb8638de871db5f5eaee871db5f5eaeea23db9561a5'],
+  [18, 'd2d310a9ca09450352284186e3ae86b0',
+    'df6c207451dce35724ef5538dfdc2007505cf063178d45c3e35724ef5538e5c31d004c93dfdc2007505ce5c31d004c93cfec28345a94eb131a47492bda8c22c153c4f063178d45c3dfdc2007505cf5b414d4425cd53c257a572ceb131a47492b'],
+  [22, 'f61d92031cf3e7fdc4b2032075d8fc4c',
+    '90f4235c017490f4235c017490f4235c017490f4235c01748e9b215806df8ced34f201458c8439b780178e9b215806df8f041c94083c8dca2ae104258dca2ae104258c8439b780178e0c2264845c908b233900a28fba22f380ff90222316802e'],
+  [26, '1ad4c6e984d3f41afd86c61fb92e7d39',
+    'dfaaef126f5ce672ec876ab2d94af4a00bedd0e4f1d4f3c4dfaaef126f5ce1d8ee416ddceaceeae567b3d4faf330b5a5eaceeae567b3e8a0ebb66933e672ec876ab2eaceeae567b3ecfcea146634e1d8ee416ddceaceeae567b3dfaaef126f5c'],
+  [30, 'fe09573a5fbb82d912f2ed68f59908e7',
+    '806c864c2c04bf263d849ce127e6b1e45ae113bd9c184373806c864c2c04aafd27b88573bf263d849ce1d3505350b45096d311ec11fb27e6b1e45ae127e6b1e45ae113bd9c18437324d03450e6b0ee703ff0a0f0b0513b08be5d994f3937c943'],
+  [3, '034435b938fcbcae21de8a448f32e952',
+    'f45fe2731667e824c4000dafa2dc6888a3b9a9a7579e9ee1b9f42f059341c62e10938a89dd46a8ef05efdd46a8ef05ef9d6d7611a799c62e10938a89e824c4000dafe2b5b67809cfc0bf1e1b8e69a2dc6888a3b9e824c4000dafd7d79b67020f'],
+  [7, 'a79e13cff46a8b16f1cd4d4b8a11dc5d',
+    '1dba42c8b1960a1c4dcdac230cde4c41ace70e184b90ad3e0cde4c41ace7188445b6b0230f524ae0ad95188445b6b023108c4a30adec134e48a3aeb11c804378b13f1c804378b13f0e184b90ad3e0cde4c41ace70cde4c41ace7174a4666afcc'],
+  [11, '2bbd0d1ded7d603e102abea903733800',
+    'a06c9d6527a0a0ad9d622818a3259d462caca0fe9d5e28afa4399d392eaaa3669d432d24a2d49d492c15a3259d462caca13f9d5b2927a06c9d6527a0a13f9d5b2927a2529d4e2b25a2939d4c2b9da13f9d5b2927a06c9d6527a0a06c9d6527a0'],
+  [15, '6f8721648215b17d5d8bb8af716c19db',
+    'aa66177e8a79aa66177e8a79aa66177b8a7baa66177d8a7aaa66177d8a7aaa66177b8a7baa6617798a7caa66177c8a7aaa6617808a77aa66177d8a79aa66177b8a7baa66177e8a79aa66177c8a7aaa6617808a77aa66177b8a7baa66177a8a7b']
+];
+
+const BC6H_CASES = [['UF16', 'bc6h-rgb-ufloat', BC6H_UF16_BLOCKS], ['SF16', 'bc6h-rgb-float', BC6H_SF16_BLOCKS]];
+for (const [name, format, blocks] of BC6H_CASES) {
+  for (const [mode, block, expected] of blocks) {
+    test(`BC6H ${name} mode bits 0x${mode.toString(16).padStart(2, '0')}`, () => {
+      const halves = decodeBlock(format, hexBytes(block));
+      const rgb = halves.filter((_, i) => (i & 3) !== 3);
+      const want = expected.match(/.{4}/g).map(h => parseInt(h, 16));
+      assert.deepStrictEqual(rgb, want);
+      assert.ok(halves.every((h, i) => (i & 3) !== 3 || h === 0x3C00));
+    });
+  }
+}
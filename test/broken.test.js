@@ -0,0 +1,30 @@
+// broken.test.js - every file in test_textures/broken/ fails to open with the error
+// makeBroken.js documents for it
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadViewerScripts, readFixture } = require('./viewer.js');
+const { cases } = require('../test_textures/makeBroken.js');
+
+const viewer = loadViewerScripts('zstd.js', 'formats.js', 'read.js');
+
+// Parses the header, then reads every level as the viewer's loaders do
+async function openKTX2(buf) {
+  const { header, levels } = await viewer.parseKTX2(buf);
+  for (let i = 0; i < levels.length; i++) {
+    await viewer.decodeLevelData(buf, levels[i], header.supercompressionScheme, i);
+  }
+}
+
+for (const { name, expected } of cases) {
+  test(`broken/${name}`, async () => {
+    await assert.rejects(openKTX2(readFixture(`broken/${name}`)), (err) => {
+      assert.strictEqual(err.message, expected);
+      return true;
+    });
+  });
+}
+
+test('2d_bc1.ktx2, the source of the broken files, opens', async () => {
+  await openKTX2(readFixture('2d_bc1.ktx2'));
+});
@@ -0,0 +1,111 @@
+// dds.test.js - legacy and DX10 DDS headers, image order and pixel expansion (makeDDS.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadViewerScripts, readFixture } = require('./viewer.js');
+
+const viewer = loadViewerScripts('zstd.js', 'formats.js', 'read.js');
+
+const levelSizes = (levels) => Array.from(levels, l => `${l.width}x${l.height}:${l.byteLength}`);
+
+// DX10 DDS of one width x height 2D image with the given texel bytes
+function dx10DDS(dxgiFormat, width, height, texels) {
+  const buf = new Uint8Array(148 + texels.length);
+  const dv = new DataView(buf.buffer);
+  buf.set([0x44, 0x44, 0x53, 0x20], 0); // 'DDS '
+  dv.setUint32(4, 124, true);
+  dv.setUint32(8, 0x1007, true);        // CAPS | HEIGHT | WIDTH | PIXELFORMAT
+  dv.setUint32(12, height, true);
+  dv.setUint32(16, width, true);
+  dv.setUint32(76, 32, true);
+  dv.setUint32(80, 0x4, true);          // DDPF_FOURCC
+  buf.set([0x44, 0x58, 0x31, 0x30], 84); // 'DX10'
+  dv.setUint32(108, 0x1000, true);
+  dv.setUint32(128, dxgiFormat, true);
+  dv.setUint32(132, 3, true);           // TEXTURE2D
+  dv.setUint32(140, 1, true);
+  buf.set(texels, 148);
+  return buf.buffer;
+}
+
+test('legacy DXT1 with a full mip chain, one tint per mip', () => {
+  const { header, levels, source } = viewer.parseDDS(readFixture('dds_dxt1_mips.dds'));
+  assert.deepStrictEqual([header.vkFormat, header.levelCount, header.layerCount, header.faceCount], [133, 7, 0, 1]);
+  assert.strictEqual(source, 'DDS FourCC DXT1');
+  assert.deepStrictEqual(levelSizes(levels),
+    ['64x64:2048', '32x32:512', '16x16:128', '8x8:32', '4x4:8', '2x2:8', '1x1:8']);
+  // the last block of a level blends its tint into red; endpoints are ordered for 4-colour mode
+  const lastEndpoints = (i) => {
+    const dv = new DataView(levels[i].data.buffer, levels[i].data.byteOffset + levels[i].byteLength - 8);
+    return [dv.getUint16(0, true), dv.getUint16(2, true)];
+  };
+  assert.deepStrictEqual(lastEndpoints(0), [0xF9E7, 0xF800]);
+  assert.deepStrictEqual(lastEndpoints(1), [0xF800, 0x3FE7]);
+});
+
+test('legacy A8R8G8B8 masks expand to RGBA8', () => {
+  const { header, levels, source } = viewer.parseDDS(readFixture('dds_a8r8g8b8.dds'));
+  assert.strictEqual(header.vkFormat, 37);
+  assert.strictEqual(source, 'DDS 32-bit masks R 00FF0000 G 0000FF00 B 000000FF A FF000000');
+  assert.deepStrictEqual(levelSizes(levels), ['48x32:6144']);
+  const texel = (x, y) => Array.from(levels[0].data.subarray((y * 48 + x) * 4, (y * 48 + x) * 4 + 4));
+  assert.deepStrictEqual(texel(47, 0), [255, 200, 0, 255]);
+  assert.deepStrictEqual(texel(0, 31), [0, 200, 255, 64]);
+  assert.deepStrictEqual(texel(0, 0), [0, 40, 0, 64]);
+});
+
+test('DX10 BC3 array: each layer stores its mip chain, levels come out layer by layer', () => {
+  const { header, levels, source } = viewer.parseDDS(readFixture('dds_dx10_bc3_array.dds'));
+  assert.deepStrictEqual([header.vkFormat, header.layerCount, header.faceCount, header.levelCount], [137, 3, 1, 6]);
+  assert.strictEqual(source, 'DDS DXGI_FORMAT_BC3_UNORM (77)');
+  assert.deepStrictEqual(levelSizes(levels).slice(0, 3), ['32x32:3072', '16x16:768', '8x8:192']);
+  const block = (level, offset) => {
+    const dv = new DataView(levels[level].data.buffer, levels[level].data.byteOffset + offset, 16);
+    return [dv.getUint8(0), dv.getUint16(8, true), dv.getUint16(10, true)];
+  };
+  // level 0, layer 1: alpha 128, layer colour (0, 160, 255) against the first mip tint
+  assert.deepStrictEqual(block(0, 1024), [128, 0xFA08, 0x051F]);
+  // level 1, layer 2: layer colour (120, 255, 60) against the second mip tint
+  assert.deepStrictEqual(block(1, 512), [128, 0x7FE7, 0x47E8]);
+});
+
+test('DX10 RGBA8 cubemap: faces in +X -X +Y -Y +Z -Z order, each with its mips', () => {
+  const { header, levels } = viewer.parseDDS(readFixture('dds_dx10_cube.dds'));
+  assert.deepStrictEqual([header.vkFormat, header.faceCount, header.layerCount, header.levelCount], [37, 6, 0, 5]);
+  assert.strictEqual(levels[0].byteLength, 6 * 16 * 16 * 4);
+  // texel (1, 0) of every face at full shade
+  const faces = [0, 1, 2, 3, 4, 5].map(f => Array.from(levels[0].data.subarray(f * 1024 + 4, f * 1024 + 8)));
+  assert.deepStrictEqual(faces, [[255, 0, 0, 255], [0, 255, 255, 255], [0, 255, 0, 255], [255, 0, 255, 255], [0, 0, 255, 255], [255, 255, 0, 255]]);
+  // the 1x1 level: one texel per face at 0.6 shade
+  assert.deepStrictEqual(Array.from(levels[4].data), [
+    153, 0, 0, 255, 0, 153, 153, 255, 0, 153, 0, 255, 153, 0, 153, 255, 0, 0, 153, 255, 153, 153, 0, 255
+  ]);
+});
+
+test('single- and two-channel DX10 formats map to the registry formats', () => {
+  const cases = [
+    [61, 9, 1, 'R8_UNORM'],
+    [49, 16, 2, 'R8G8_UNORM'],
+    [54, 76, 2, 'R16_FLOAT'],
+    [34, 83, 4, 'R16G16_FLOAT'],
+    [41, 100, 4, 'R32_FLOAT'],
+    [24, 64, 4, 'R10G10B10A2_UNORM'],
+    [85, 4, 2, 'B5G6R5_UNORM']
+  ];
+  for (const [dxgiFormat, vkFormat, texelBytes, name] of cases) {
+    const texels = Uint8Array.from({ length: 5 * 3 * texelBytes }, (_, i) => i);
+    const { header, levels, source } = viewer.parseDDS(dx10DDS(dxgiFormat, 5, 3, texels));
+    assert.strictEqual(header.vkFormat, vkFormat, name);
+    assert.strictEqual(source, `DDS DXGI_FORMAT_${name} (${dxgiFormat})`);
+    // stored as is; pixelconvert.js converts on upload like KTX2 levels
+    assert.deepStrictEqual(Array.from(levels[0].data), Array.from(texels), name);
+  }
+});
+
+test('unsupported formats and truncated images are rejected', () => {
+  assert.throws(() => viewer.parseDDS(dx10DDS(65, 4, 4, new Uint8Array(16))), { message: 'Unsupported DDS DXGI_FORMAT 65' });
+  assert.throws(() => viewer.parseDDS(dx10DDS(61, 4, 4, new Uint8Array(15))), /DDS image \(layer 0, face 0, level 0\)/);
+  const legacy = new Uint8Array(readFixture('dds_dxt1_mips.dds'));
+  legacy.set([0x44, 0x58, 0x54, 0x39], 84); // 'DXT9'
+  assert.throws(() => viewer.parseDDS(legacy.buffer), { message: 'Unsupported DDS FourCC "DXT9"' });
+});
@@ -0,0 +1,106 @@
+// dfd.test.js - DFD samples and enum names, and the DFD deciding sRGB and premultiplied alpha
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadViewerScripts, readFixture } = require('./viewer.js');
+
+const viewer = loadViewerScripts('zstd.js', 'formats.js', 'read.js');
+
+async function readDFD(name) {
+  return (await viewer.parseKTX2(readFixture(name))).dfd;
+}
+
+const sampleBits = (dfd) => Array.from(dfd.samples, s => [s.channelId, s.bitOffset, s.bitLength]);
+
+test('R8G8B8A8_UNORM: RGBSDA samples in R, G, B, A order with a linear transfer', async () => {
+  const dfd = await readDFD('rgba8_none.ktx2');
+  assert.deepStrictEqual([dfd.colorModel, dfd.colorPrimaries, dfd.transferFunction, dfd.flags], [1, 1, 1, 0]);
+  assert.deepStrictEqual(Array.from(dfd.bytesPlane), [4, 0, 0, 0, 0, 0, 0, 0]);
+  assert.deepStrictEqual(sampleBits(dfd), [[0, 0, 8], [1, 8, 8], [2, 16, 8], [15, 24, 8]]);
+  assert.deepStrictEqual(Array.from(viewer.describeDFD(dfd)), [
+    'Color model: RGBSDA (1)',
+    'Primaries: BT709 (1)',
+    'Transfer: LINEAR (1)',
+    'Flags: ALPHA_STRAIGHT (0x0)',
+    'Texel block: 1×1×1×1',
+    'Bytes plane 0: 4',
+    'Sample 0: R bits 0+8, range 0..255',
+    'Sample 1: G bits 8+8, range 0..255',
+    'Sample 2: B bits 16+8, range 0..255',
+    'Sample 3: A bits 24+8, range 0..255'
+  ]);
+});
+
+test('B8G8R8A8_SRGB: RGBSDA samples in B, G, R, A order with an sRGB transfer', async () => {
+  const dfd = await readDFD('bgra8_srgb.ktx2');
+  assert.deepStrictEqual([dfd.colorModel, dfd.colorPrimaries, dfd.transferFunction, dfd.flags], [1, 1, 2, 0]);
+  assert.deepStrictEqual(Array.from(dfd.bytesPlane), [4, 0, 0, 0, 0, 0, 0, 0]);
+  assert.deepStrictEqual(sampleBits(dfd), [[2, 0, 8], [1, 8, 8], [0, 16, 8], [15, 24, 8]]);
+  assert.deepStrictEqual(Array.from(viewer.describeDFD(dfd)), [
+    'Color model: RGBSDA (1)',
+    'Primaries: BT709 (1)',
+    'Transfer: SRGB (2)',
+    'Flags: ALPHA_STRAIGHT (0x0)',
+    'Texel block: 1×1×1×1',
+    'Bytes plane 0: 4',
+    'Sample 0: B bits 0+8, range 0..255',
+    'Sample 1: G bits 8+8, range 0..255',
+    'Sample 2: R bits 16+8, range 0..255',
+    'Sample 3: A bits 24+8, range 0..255'
+  ]);
+});
+
+test('R16_UNORM and R16G16_SFLOAT: sample ranges and qualifiers', async () => {
+  const r16 = await readDFD('r16_unorm.ktx2');
+  assert.deepStrictEqual(sampleBits(r16), [[0, 0, 16]]);
+  assert.strictEqual(r16.samples[0].sampleUpper, 65535);
+  assert.deepStrictEqual(Array.from(viewer.describeDFD(r16).slice(2)), ['Transfer: LINEAR (1)', 'Flags: ALPHA_STRAIGHT (0x0)',
+    'Texel block: 1×1×1×1', 'Bytes plane 0: 2', 'Sample 0: R bits 0+16, range 0..65535']);
+
+  const rg16f = await readDFD('rg16_sfloat.ktx2');
+  assert.deepStrictEqual(sampleBits(rg16f), [[0, 0, 16], [1, 16, 16]]);
+  // SIGNED | FLOAT, range -1.0..1.0 as float bits
+  assert.deepStrictEqual(Array.from(rg16f.samples, s => s.qualifiers), [0xC0, 0xC0]);
+  assert.strictEqual(viewer.describeDFD(rg16f)[7], 'Sample 1: G [SIGNED FLOAT] bits 16+16, range 3212836864..1065353216');
+});
+
+test('BC7 sRGB: one 128-bit sample over a 4x4 block', async () => {
+  const dfd = await readDFD('2d_bc7.ktx2');
+  assert.deepStrictEqual(Array.from(dfd.texelBlockDimension), [3, 3, 0, 0]);
+  assert.deepStrictEqual(sampleBits(dfd), [[0, 0, 128]]);
+  const lines = viewer.describeDFD(dfd);
+  assert.deepStrictEqual([lines[0], lines[2], lines[4], lines[6]],
+    ['Color model: BC7 (134)', 'Transfer: SRGB (2)', 'Texel block: 4×4×1×1', 'Sample 0: COLOR bits 0+128, range 0..4294967295']);
+});
+
+test('the DFD transfer picks the -srgb twin or the linear format', async () => {
+  const srgb = await readDFD('2d_bc7.ktx2');
+  const linear = await readDFD('rgba8_none.ktx2');
+  // a BC7_UNORM upload described as sRGB decodes the curve, and the reverse
+  const bc7 = viewer.vkFormatToWebGPU(145);
+  assert.strictEqual(viewer.applyDFDTransfer(bc7, srgb).format, 'bc7-rgba-unorm-srgb');
+  assert.strictEqual(bc7.format, 'bc7-rgba-unorm');
+  assert.strictEqual(viewer.applyDFDTransfer(viewer.vkFormatToWebGPU(132), linear).format, 'bc1-rgba-unorm');
+  const bgra8 = viewer.vkFormatToWebGPU(44);
+  assert.strictEqual(viewer.applyDFDTransfer(bgra8, srgb).format, 'bgra8unorm-srgb');
+  assert.strictEqual(viewer.applyDFDTransfer(viewer.vkFormatToWebGPU(50), linear).format, 'bgra8unorm');
+  // no -srgb twin, no DFD or an unspecified transfer: unchanged
+  const bc4 = viewer.vkFormatToWebGPU(139);
+  assert.strictEqual(viewer.applyDFDTransfer(bc4, srgb), bc4);
+  const r16 = viewer.vkFormatToWebGPU(70);
+  assert.strictEqual(viewer.applyDFDTransfer(r16, srgb), r16);
+  assert.strictEqual(viewer.applyDFDTransfer(bc7, null), bc7);
+  assert.strictEqual(viewer.applyDFDTransfer(bc7, { ...srgb, transferFunction: 0 }), bc7);
+});
+
+test('KHR_DF_FLAG_ALPHA_PREMULTIPLIED marks the texture premultiplied', async () => {
+  const buf = readFixture('rgba8_none.ktx2');
+  const { index, dfd } = await viewer.parseKTX2(buf);
+  assert.strictEqual(viewer.isDFDPremultiplied(dfd), false);
+  // flags follows totalSize, the 8-byte block header, the model, primaries and transfer
+  new Uint8Array(buf)[index.dfdByteOffset + 15] = 1;
+  const premultiplied = (await viewer.parseKTX2(buf)).dfd;
+  assert.strictEqual(viewer.isDFDPremultiplied(premultiplied), true);
+  assert.strictEqual(viewer.describeDFD(premultiplied)[3], 'Flags: ALPHA_PREMULTIPLIED (0x1)');
+  assert.strictEqual(viewer.isDFDPremultiplied(null), false);
+});
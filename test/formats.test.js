@@ -0,0 +1,65 @@
+// formats.test.js - the vkFormat registry and the read.js lookups built on it
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { VK_FORMATS, getVkFormatInfo, getWebGPUFormatInfo, isKTX2ProhibitedFormat } = require('../media/formats.js');
+const { loadViewerScripts } = require('./viewer.js');
+
+const viewer = loadViewerScripts('zstd.js', 'formats.js', 'read.js');
+
+test('every core vkFormat is either in the registry or prohibited by KTX2', () => {
+  for (let vkFormat = 1; vkFormat <= 184; vkFormat++) {
+    const info = getVkFormatInfo(vkFormat);
+    assert.strictEqual(!info, isKTX2ProhibitedFormat(vkFormat), `vkFormat ${vkFormat}`);
+  }
+  assert.strictEqual(getVkFormatInfo(0), null);
+  assert.ok(isKTX2ProhibitedFormat(39) && isKTX2ProhibitedFormat(57)); // R8G8B8A8_USCALED, A8B8G8R8_UNORM_PACK32
+  assert.ok(getVkFormatInfo(1000066000) && getVkFormatInfo(1000054000) && getVkFormatInfo(1000340001));
+});
+
+test('block sizes follow the component sizes, compressed formats have typeSize 1', () => {
+  for (const info of VK_FORMATS.values()) {
+    if (info.compressed) {
+      assert.strictEqual(info.typeSize, 1, info.name);
+      assert.ok(info.bytesPerBlock === 8 || info.bytesPerBlock === 16, info.name);
+    } else {
+      assert.strictEqual(info.componentBits.reduce((a, b) => a + b) / 8, info.bytesPerBlock, info.name);
+      // pixelconvert.js reads one component per channel of every format it uploads
+      if (info.upload) assert.strictEqual(info.componentBits.length, info.channels.length, info.name);
+    }
+    assert.strictEqual(info.srgb, /_SRGB/.test(info.name), info.name);
+    if (info.webgpu) {
+      assert.strictEqual(info.webgpu.endsWith('-srgb'), info.srgb, info.name);
+      assert.strictEqual(getWebGPUFormatInfo(info.webgpu).bytesPerBlock, info.bytesPerBlock, info.name);
+    }
+  }
+});
+
+test('the sRGB and RGBA variants of BC1 are 8 bytes per 4x4 block like BC1 RGB UNORM', () => {
+  for (const vkFormat of [131, 132, 133, 134]) {
+    const info = getVkFormatInfo(vkFormat);
+    assert.deepStrictEqual([info.blockWidth, info.blockHeight, info.bytesPerBlock], [4, 4, 8], info.name);
+    assert.strictEqual(info.feature, 'texture-compression-bc');
+  }
+  assert.strictEqual(getWebGPUFormatInfo('bc1-rgba-unorm-srgb').vkFormat, 132);
+  assert.strictEqual(getVkFormatInfo(132).label, 'BC1 (DXT1) SRGB');
+});
+
+test('ASTC footprints, and formats the viewer cannot upload', () => {
+  assert.deepStrictEqual(['blockWidth', 'blockHeight', 'bytesPerBlock'].map(k => getVkFormatInfo(168)[k]), [8, 5, 16]);
+  assert.strictEqual(getVkFormatInfo(168).name, 'ASTC_8x5_SRGB_BLOCK');
+  assert.strictEqual(getVkFormatInfo(184).webgpu, 'astc-12x12-unorm-srgb');
+  // ASTC HDR, PVRTC, depth/stencil and 4:2:2 have no upload
+  for (const vkFormat of [1000066000, 1000054000, 124, 129, 1000156000]) {
+    assert.strictEqual(getVkFormatInfo(vkFormat).upload, null, getVkFormatInfo(vkFormat).name);
+  }
+});
+
+test('read.js takes the upload and the label from the registry', () => {
+  const bc1 = viewer.vkFormatToWebGPU(134);
+  assert.deepStrictEqual({ ...bc1 }, { format: 'bc1-rgba-unorm-srgb', blockWidth: 4, blockHeight: 4, bytesPerBlock: 8 });
+  assert.notStrictEqual(bc1, getVkFormatInfo(134).upload); // a copy callers may change
+  assert.strictEqual(viewer.vkFormatToWebGPU(1000066000), null);
+  assert.strictEqual(viewer.getFormatName(44), 'BGRA8 UNORM');
+  assert.strictEqual(viewer.getFormatName(123456), 'VK Format 123456');
+});
@@ -0,0 +1,144 @@
+// gltf.test.js - glTF accessors, index expansion and the scenes makeGLTF.js wrote
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { TEXTURES_DIR, loadViewerScripts, readFixture } = require('./viewer.js');
+
+const viewer = loadViewerScripts('gltf.js');
+
+// One 32-byte buffer:
+//   view 0 (0..15)  two interleaved vertices, stride 8: normalized uint8 RGB + pad, normalized int16 UV
+//   view 1 (16..17) uint16 sparse index 2
+//   view 2 (20..23) float 7.5 (sparse value)
+//   view 3 (24..29) uint16 indices 0, 1, 2
+function accessorScene(accessors) {
+  const bytes = new Uint8Array(32);
+  const dv = new DataView(bytes.buffer);
+  bytes.set([255, 0, 51, 0], 0);
+  dv.setInt16(4, -32768, true);
+  dv.setInt16(6, 16384, true);
+  bytes.set([0, 255, 102, 0], 8);
+  dv.setInt16(12, 32767, true);
+  dv.setInt16(14, 0, true);
+  dv.setUint16(16, 2, true);
+  dv.setFloat32(20, 7.5, true);
+  [0, 1, 2].forEach((v, i) => dv.setUint16(24 + i * 2, v, true));
+  const json = {
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 16, byteStride: 8 },
+      { buffer: 0, byteOffset: 16, byteLength: 2 },
+      { buffer: 0, byteOffset: 20, byteLength: 4 },
+      { buffer: 0, byteOffset: 24, byteLength: 6 }
+    ],
+    accessors
+  };
+  return { json, buffers: [bytes] };
+}
+
+const read = (gltf, index, ArrayType) => {
+  const { data, size, count } = viewer.readAccessor(gltf, index, ArrayType);
+  return { data: Array.from(data), size, count };
+};
+
+test('interleaved accessors honour byteStride and byteOffset and normalize integers', () => {
+  const gltf = accessorScene([
+    { bufferView: 0, componentType: 5121, normalized: true, type: 'VEC3', count: 2 },
+    { bufferView: 0, byteOffset: 4, componentType: 5122, normalized: true, type: 'VEC2', count: 2 },
+    { bufferView: 0, componentType: 5121, type: 'VEC3', count: 2 }
+  ]);
+  assert.deepStrictEqual(read(gltf, 0), { data: [1, 0, 0.2, 0, 1, 0.4].map(Math.fround), size: 3, count: 2 });
+  // -32768 clamps to -1
+  assert.deepStrictEqual(read(gltf, 1).data, [-1, 16384 / 32767, 1, 0].map(Math.fround));
+  assert.deepStrictEqual(read(gltf, 2).data, [255, 0, 51, 0, 255, 102]);
+});
+
+test('sparse accessors replace values, with or without a bufferView', () => {
+  const sparse = { count: 1, indices: { bufferView: 1, componentType: 5123 }, values: { bufferView: 2 } };
+  const gltf = accessorScene([
+    { componentType: 5126, type: 'SCALAR', count: 4, sparse },
+    { bufferView: 3, componentType: 5123, type: 'SCALAR', count: 3, sparse }
+  ]);
+  assert.deepStrictEqual(read(gltf, 0).data, [0, 0, 7.5, 0]);
+  // the values view holds float bits; as uint16 the low half of 7.5 is 0
+  assert.deepStrictEqual(read(gltf, 1, Uint32Array).data, [0, 1, 0]);
+});
+
+test('indices read as Uint32Array; bad accessors name what is wrong', () => {
+  const gltf = accessorScene([
+    { bufferView: 3, componentType: 5123, type: 'SCALAR', count: 3 },
+    { bufferView: 1, componentType: 5123, type: 'SCALAR', count: 5 },
+    { bufferView: 7, componentType: 5123, type: 'SCALAR', count: 1 },
+    { bufferView: 3, componentType: 5130, type: 'SCALAR', count: 1 },
+    { bufferView: 3, componentType: 5123, type: 'VEC5', count: 1 }
+  ]);
+  const indices = viewer.readAccessor(gltf, 0, Uint32Array);
+  assert.strictEqual(indices.data.constructor.name, 'Uint32Array');
+  assert.deepStrictEqual(Array.from(indices.data), [0, 1, 2]);
+  assert.throws(() => viewer.readAccessor(gltf, 1), /^Error: accessor 1: 5 elements run past the end of bufferView 1$/);
+  assert.throws(() => viewer.readAccessor(gltf, 2), /^Error: accessor 2: bufferView 7 is missing$/);
+  assert.throws(() => viewer.readAccessor(gltf, 3), /^Error: accessor 3: unsupported componentType 5130$/);
+  assert.throws(() => viewer.readAccessor(gltf, 4), /^Error: accessor 4: unknown type VEC5$/);
+  assert.throws(() => viewer.readAccessor(gltf, 5), /^Error: accessor 5 is missing$/);
+});
+
+test('strips and fans expand to triangle lists that keep the winding', () => {
+  const indices = Uint32Array.from([0, 1, 2, 3, 4]);
+  // a list drops the trailing partial triangle
+  assert.deepStrictEqual(Array.from(viewer.triangleListIndices(4, indices)), [0, 1, 2]);
+  assert.deepStrictEqual(Array.from(viewer.triangleListIndices(5, indices)), [0, 1, 2, 2, 1, 3, 2, 3, 4]);
+  assert.deepStrictEqual(Array.from(viewer.triangleListIndices(6, indices)), [0, 1, 2, 0, 2, 3, 0, 3, 4]);
+  assert.strictEqual(viewer.triangleListIndices(5, Uint32Array.from([0, 1])).length, 0);
+});
+
+test('gltf_spheres.glb: 25 swatches, the glass sphere and its mirrored copy', async () => {
+  const scene = await viewer.loadGLTF(readFixture('gltf_spheres.glb'), 'gltf_spheres.glb', () => {
+    throw new Error('the GLB needs no external files');
+  });
+  assert.deepStrictEqual([scene.meshes.length, scene.instances.length, scene.materials.length], [26, 27, 26]);
+  assert.deepStrictEqual(Array.from(scene.warnings), []);
+  const glass = scene.materials[25];
+  assert.deepStrictEqual([glass.name, glass.alphaMode, glass.doubleSided], ['glass', 2, true]);
+  // only the negative-scale copy of mesh 0 flips the winding
+  const mirrored = scene.instances.filter(i => viewer.gltfDeterminant3(i.matrix) < 0);
+  assert.strictEqual(mirrored.length, 1);
+  assert.strictEqual(mirrored[0].mesh, 0);
+  assert.ok(Math.abs(viewer.gltfDeterminant3(mirrored[0].matrix) + 1.5 ** 3) < 1e-5);
+  const [prim] = scene.meshes[0];
+  assert.strictEqual(prim.indices.length % 3, 0);
+  assert.ok(Math.max(...prim.indices) < prim.positions.length / 3);
+});
+
+test('gltf_basisu_cube.gltf: external buffer and KTX2 image, PNG fallback from a data: URI', async () => {
+  const requested = [];
+  const scene = await viewer.loadGLTF(readFixture('gltf_basisu_cube.gltf'), 'gltf_basisu_cube.gltf', async (uri) => {
+    requested.push(uri);
+    const bytes = fs.readFileSync(path.join(TEXTURES_DIR, uri));
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  });
+  assert.deepStrictEqual(requested, ['gltf_basisu_cube.bin', '2d_etc1s.ktx2']);
+  assert.deepStrictEqual({ ...scene.textures[0] }, { source: 0, fallback: 1, sampler: 0 });
+  assert.deepStrictEqual(Array.from(scene.images, i => `${i.name} ${i.mimeType}`), ['2d_etc1s.ktx2 image/ktx2', 'image 1 image/png']);
+  assert.deepStrictEqual(Array.from(scene.images[1].bytes.subarray(0, 4)), [0x89, 0x50, 0x4E, 0x47]);
+  assert.strictEqual(scene.meshes[0][0].indices.length, 36);
+  assert.deepStrictEqual(Array.from(scene.extensionsUsed), ['KHR_texture_basisu']);
+});
+
+test('a missing external buffer fails the load; a missing image only warns', async () => {
+  const json = JSON.parse(fs.readFileSync(path.join(TEXTURES_DIR, 'gltf_basisu_cube.gltf'), 'utf8'));
+  const encode = (j) => new TextEncoder().encode(JSON.stringify(j)).buffer;
+  const missing = async (uri) => { throw new Error(`${uri} not found`); };
+  await assert.rejects(viewer.loadGLTF(encode(json), 'cube.gltf', missing), /^Error: buffer 0 \(gltf_basisu_cube\.bin\): gltf_basisu_cube\.bin not found$/);
+
+  const bin = fs.readFileSync(path.join(TEXTURES_DIR, 'gltf_basisu_cube.bin'));
+  const onlyBin = async (uri) => {
+    if (uri !== 'gltf_basisu_cube.bin') throw new Error(`${uri} not found`);
+    return bin.buffer.slice(bin.byteOffset, bin.byteOffset + bin.byteLength);
+  };
+  const scene = await viewer.loadGLTF(encode(json), 'cube.gltf', onlyBin);
+  assert.deepStrictEqual(Array.from(scene.warnings), ['image 0 (2d_etc1s.ktx2): 2d_etc1s.ktx2 not found']);
+  assert.strictEqual(scene.images[0].bytes, null);
+
+  await assert.rejects(viewer.loadGLTF(encode({ ...json, asset: { version: '1.0' } }), 'old.gltf', onlyBin), /old\.gltf: glTF asset version 1\.0 is not 2\.x/);
+});
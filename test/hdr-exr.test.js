@@ -0,0 +1,56 @@
+// hdr-exr.test.js - the OpenEXR and Radiance loaders decode makeEXR.js's files back to its pixel()
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadViewerScripts, readFixture } = require('./viewer.js');
+const { WIDTH, HEIGHT, pixel, floatToHalf, toRGBE, files } = require('../test_textures/makeEXR.js');
+
+const viewer = loadViewerScripts('zstd.js', 'formats.js', 'read.js', 'hdr.js', 'exr.js');
+
+function halfToFloat(h) {
+  const exp = (h >> 10) & 0x1F, mant = h & 0x3FF;
+  const v = exp === 0 ? mant * 2 ** -24 : (1 + mant / 1024) * 2 ** (exp - 15);
+  return h & 0x8000 ? -v : v;
+}
+
+// Every texel against expected(x, y), reporting the first mismatch
+function assertPixels(image, expected) {
+  assert.strictEqual(image.width, WIDTH);
+  assert.strictEqual(image.height, HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const want = expected(x, y);
+      const got = Array.from(image.data.subarray((y * WIDTH + x) * 4, (y * WIDTH + x) * 4 + 4));
+      assert.deepStrictEqual(got, want, `texel (${x}, ${y})`);
+    }
+  }
+}
+
+for (const { file, compression, channels, pixelType } of files) {
+  test(`${file} decodes to pixel()`, async () => {
+    const image = await viewer.parseEXR(readFixture(file));
+    assert.strictEqual(image.compression, compression);
+    assert.deepStrictEqual(Array.from(image.channels), channels.slice().sort());
+    const stored = pixelType === 1 ? (v) => halfToFloat(floatToHalf(v)) : Math.fround;
+    // Files without A read as opaque
+    assertPixels(image, (x, y) => pixel(x, y).map((v, c) => c < channels.length ? stored(v) : 1));
+  });
+}
+
+test('hdr_rle.hdr decodes to the RGBE-quantized pixel()', () => {
+  assertPixels(viewer.parseRadianceHDR(readFixture('hdr_rle.hdr')), (x, y) => {
+    const [r, g, b, e] = toRGBE(pixel(x, y));
+    const f = e === 0 ? 0 : 2 ** (e - 136);
+    return [r * f, g * f, b * f, 1];
+  });
+});
+
+test('a truncated OpenEXR file reports the chunk that runs past EOF', async () => {
+  const buf = readFixture('exr_zip_float.exr').slice(0, 2000);
+  await assert.rejects(viewer.parseEXR(buf), /^Error: OpenEXR chunk \d+( data)? at 0x[0-9A-F]+ \(\d+ bytes\) extends past EOF at 0x7D0$/);
+});
+
+test('a file without the Radiance signature is rejected', () => {
+  assert.throws(() => viewer.parseRadianceHDR(readFixture('exr_none_half.exr')),
+    { message: 'Not a Radiance file (missing #?RADIANCE signature)' });
+});
@@ -0,0 +1,74 @@
+// ktx1.test.js - KTX 1.1 headers, byte order, row padding, cubemaps and arrays (makeKTX1.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadViewerScripts, readFixture } = require('./viewer.js');
+
+const viewer = loadViewerScripts('zstd.js', 'formats.js', 'read.js');
+
+const levelSizes = (levels) => Array.from(levels, l => `${l.width}x${l.height}:${l.data.length}`);
+
+test('GL_RGB8 with mips: 4-byte row padding is stripped, KVD values lose their NUL', () => {
+  const { header, levels, kvd, source } = viewer.parseKTX1(readFixture('ktx1_rgb8_mips.ktx'));
+  assert.deepStrictEqual([header.vkFormat, header.typeSize, header.levelCount], [23, 1, 4]);
+  assert.strictEqual(source, 'KTX 1.1 GL_RGB8 (0x8051)');
+  assert.deepStrictEqual({ ...kvd }, { KTXorientation: 'S=r,T=d', KTXwriter: 'makeKTX1.js' });
+  // 13 * 3 = 39 byte rows, stored as 40; byteLength counts the padded rows in the file
+  assert.deepStrictEqual(levelSizes(levels), ['13x9:351', '6x4:72', '3x2:18', '1x1:3']);
+  assert.deepStrictEqual(Array.from(levels, l => l.byteLength), [360, 80, 24, 4]);
+  const level0 = levels[0].data;
+  assert.deepStrictEqual(Array.from(level0.subarray(36, 42)), [255, 0, 0, 0, 32, 0]);
+  assert.ok(!level0.includes(0xEE), 'row padding leaked into the texels');
+  assert.deepStrictEqual(Array.from(levels[3].data), [0, 0, 120]);
+});
+
+test('big-endian GL_RGBA16F: half floats are byte-swapped to little-endian', () => {
+  const { header, levels, source } = viewer.parseKTX1(readFixture('ktx1_rgba16f_be.ktx'));
+  assert.deepStrictEqual([header.vkFormat, header.typeSize], [97, 2]);
+  assert.match(source, /GL_RGBA16F \(0x881A\), big-endian$/);
+  const halves = new Uint16Array(levels[0].data.buffer);
+  // (0, 0) = 0, 0, 0.25, 1; (23, 15) = 8, 2, 0.25, 1
+  assert.deepStrictEqual(Array.from(halves.subarray(0, 4)), [0, 0, 0x3400, 0x3C00]);
+  assert.deepStrictEqual(Array.from(halves.subarray(halves.length - 4)), [0x4800, 0x4000, 0x3400, 0x3C00]);
+});
+
+test('big-endian DXT1 cubemap: one imageSize per face, block bytes left alone', () => {
+  const { header, levels } = viewer.parseKTX1(readFixture('ktx1_dxt1_cube_be.ktx'));
+  assert.deepStrictEqual([header.vkFormat, header.faceCount, header.layerCount, header.levelCount], [133, 6, 0, 5]);
+  assert.deepStrictEqual(levelSizes(levels), ['16x16:768', '8x8:192', '4x4:48', '2x2:48', '1x1:48']);
+  // level 0 face 1 (cyan): block 0 is the half-intensity colour, block 1 the full one
+  const face1 = new DataView(levels[0].data.buffer, 128, 128);
+  assert.deepStrictEqual([face1.getUint16(0, true), face1.getUint16(8, true)], [0x03EF, 0x07FF]);
+  // the 1x1 level still holds one block per face, in face order
+  const last = new DataView(levels[4].data.buffer);
+  assert.deepStrictEqual([0, 1, 2, 3, 4, 5].map(f => last.getUint16(f * 8, true)), [0x7800, 0x03EF, 0x03E0, 0x780F, 0x000F, 0x7BE0]);
+});
+
+test('DXT5 array: imageSize covers every layer of the level', () => {
+  const { header, levels } = viewer.parseKTX1(readFixture('ktx1_dxt5_array.ktx'));
+  assert.deepStrictEqual([header.vkFormat, header.layerCount, header.faceCount], [137, 3, 1]);
+  assert.deepStrictEqual(levelSizes(levels), ['16x16:768']);
+  // layer 2, block 1: alpha 255, colour (128, 255, 0)
+  const block = levels[0].data.subarray(2 * 256 + 16, 2 * 256 + 32);
+  assert.deepStrictEqual([block[0], block[1], block[8] | (block[9] << 8)], [255, 255, 0x87E0]);
+});
+
+test('bad endianness, unknown formats and wrong image sizes are rejected', () => {
+  const patched = (name, offset, value, littleEndian = true) => {
+    const buf = readFixture(name);
+    new DataView(buf).setUint32(offset, value, littleEndian);
+    return buf;
+  };
+  assert.throws(() => viewer.parseKTX1(patched('ktx1_dxt5_array.ktx', 12, 0x12345678)), {
+    message: 'Invalid KTX1 endianness 0x12345678'
+  });
+  assert.throws(() => viewer.parseKTX1(patched('ktx1_dxt5_array.ktx', 28, 0x1234)), {
+    message: 'Unsupported KTX1 glInternalFormat 0x1234'
+  });
+  assert.throws(() => viewer.parseKTX1(patched('ktx1_dxt5_array.ktx', 64, 256)), {
+    message: 'KTX1 level 0 imageSize at 0x40 is 256, expected 768'
+  });
+  assert.throws(() => viewer.parseKTX1(patched('ktx1_dxt1_cube_be.ktx', 52, 4, false)), {
+    message: 'KTX1 numberOfFaces is 4, expected 1 or 6'
+  });
+});
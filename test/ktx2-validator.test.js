@@ -0,0 +1,198 @@
+// ktx2-validator.test.js - every spec rule on a file with exactly that defect, and the CLI
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { TEXTURES_DIR, readFixture } = require('./viewer.js');
+const { validateKTX2 } = require('../media/ktx2-validator.js');
+
+const CLI = path.join(__dirname, '..', 'media', 'ktx2-validator.js');
+
+// Runs the CLI, returning its exit code and both output streams
+function runCLI(...files) {
+  try {
+    const stdout = execFileSync(process.execPath, [CLI, ...files], { encoding: 'utf8', stdio: 'pipe' });
+    return { status: 0, stdout, stderr: '' };
+  } catch (err) {
+    return { status: err.status, stdout: err.stdout, stderr: err.stderr };
+  }
+}
+
+// KTX2 file of zero texels, packed smallest level first. Options override the header fields;
+// kvd is a list of [key, value] (a Uint8Array value is stored without the NUL) and align is
+// the level alignment (lcm(texel block size, 4) by default).
+function ktx2({
+  vkFormat = 37, typeSize = 1, width = 8, height = 8, depth = 0, layers = 0, faces = 1,
+  levels = 4, levelCount = levels, scheme = 0, bytesPlane0 = 4, block = [1, 1], align,
+  kvd = [['KTXorientation', depth ? 'rdi' : 'rd'], ['KTXwriter', 'ktx2-validator.test.js']],
+  largestFirst = false, sgd = null
+} = {}) {
+  const dfd = new Uint8Array(28 + 16);
+  const dfdView = new DataView(dfd.buffer);
+  dfdView.setUint32(0, dfd.length, true);
+  dfdView.setUint16(8, 2, true);
+  dfdView.setUint16(10, dfd.length - 4, true);
+  dfd.set([1, 1, 1, 0, block[0] - 1, block[1] - 1, 0, 0, bytesPlane0], 12);
+  dfd[30] = bytesPlane0 * 8 - 1;
+
+  const kvdParts = kvd.map(([key, value]) => {
+    const text = typeof value === 'string' ? new TextEncoder().encode(`${value}\0`) : value;
+    const entry = new Uint8Array(4 + key.length + 1 + text.length + 3 & ~3);
+    new DataView(entry.buffer).setUint32(0, key.length + 1 + text.length, true);
+    entry.set(new TextEncoder().encode(key), 4);
+    entry.set(text, 4 + key.length + 1);
+    return entry;
+  });
+  const kvdLength = kvdParts.reduce((n, e) => n + e.length, 0);
+
+  const blockBytes = bytesPlane0 || 4;
+  const images = Math.max(1, layers) * faces;
+  const sizes = [];
+  for (let i = 0; i < levels; i++) {
+    const w = Math.max(1, width >> i), h = Math.max(1, height >> i), d = Math.max(1, depth >> i);
+    sizes.push(Math.ceil(w / block[0]) * Math.ceil(h / block[1]) * d * blockBytes * images);
+  }
+  const levelAlign = align ?? (blockBytes % 4 === 0 ? blockBytes : 4 * blockBytes / (blockBytes % 2 ? 1 : 2));
+  const indexEnd = 80 + levels * 24;
+  const kvdOffset = indexEnd + dfd.length;
+  let pos = kvdOffset + kvdLength;
+  let sgdOffset = 0;
+  if (sgd) {
+    pos = (pos + 7) & ~7;
+    sgdOffset = pos;
+    pos += sgd.length;
+  }
+  const offsets = [];
+  const order = sizes.map((_, i) => i);
+  for (const i of largestFirst ? order : order.reverse()) {
+    pos += (levelAlign - pos % levelAlign) % levelAlign;
+    offsets[i] = pos;
+    pos += sizes[i];
+  }
+
+  const bytes = new Uint8Array(pos);
+  const dv = new DataView(bytes.buffer);
+  bytes.set([0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A]);
+  [vkFormat, typeSize, width, height, depth, layers, faces, levelCount, scheme,
+    indexEnd, dfd.length, kvdLength ? kvdOffset : 0, kvdLength].forEach((v, i) => dv.setUint32(12 + i * 4, v, true));
+  if (sgd) {
+    dv.setBigUint64(64, BigInt(sgdOffset), true);
+    dv.setBigUint64(72, BigInt(sgd.length), true);
+    bytes.set(sgd, sgdOffset);
+  }
+  sizes.forEach((size, i) => {
+    dv.setBigUint64(80 + i * 24, BigInt(offsets[i]), true);
+    dv.setBigUint64(88 + i * 24, BigInt(size), true);
+    dv.setBigUint64(96 + i * 24, BigInt(size), true);
+  });
+  bytes.set(dfd, indexEnd);
+  let o = kvdOffset;
+  for (const entry of kvdParts) { bytes.set(entry, o); o += entry.length; }
+  return bytes;
+}
+
+const codes = (bytes) => validateKTX2(bytes).issues.messages.map(m => m.code);
+
+test('valid files report no issues at all', () => {
+  for (const bytes of [ktx2(), ktx2({ faces: 6, levels: 3 }), ktx2({ layers: 3 }), ktx2({ depth: 4 })]) {
+    const { numErrors, numWarnings, numInfos, messages } = validateKTX2(bytes).issues;
+    assert.deepStrictEqual([numErrors, numWarnings, numInfos], [0, 0, 0], messages.map(m => m.message).join('; '));
+  }
+  for (const name of ['2d_bc1.ktx2', 'rgba8_none.ktx2', 'rgba8_zstd.ktx2', 'rgba8_zlib.ktx2']) {
+    assert.strictEqual(validateKTX2(new Uint8Array(readFixture(name))).issues.numErrors, 0, name);
+  }
+});
+
+test('levels must be stored smallest first and aligned to lcm(texel size, 4)', () => {
+  const reversed = validateKTX2(ktx2({ largestFirst: true })).issues.messages;
+  // level 0 now ends before the file does
+  assert.deepStrictEqual(reversed.map(m => m.code), ['LEVEL_ORDER', 'LEVEL_ORDER', 'LEVEL_ORDER', 'TRAILING_DATA']);
+  assert.match(reversed[0].message, /^Level 1 \(0x[0-9a-f]+\) must be stored before level 0/);
+  // RG8: 2-byte texels, packed without padding
+  const packed = validateKTX2(ktx2({ vkFormat: 16, bytesPlane0: 2, align: 1 })).issues.messages;
+  assert.deepStrictEqual(packed.map(m => m.code), ['LEVEL_ALIGNMENT', 'LEVEL_ALIGNMENT', 'LEVEL_ALIGNMENT']);
+  assert.match(packed[0].message, /^Level 0 byteOffset 0x[0-9a-f]+ is not aligned to 4 bytes$/);
+});
+
+test('DFD, KVD and SGD must lie inside the file; SGD only for BasisLZ', () => {
+  const patched = (offset, value, bytes = ktx2()) => {
+    new DataView(bytes.buffer).setUint32(offset, value, true);
+    return bytes;
+  };
+  // the levels then also overlap the metadata, which now seems to end past the file
+  const boundsCodes = (bytes) => codes(bytes).filter(code => code !== 'LEVEL_OVERLAP');
+  assert.deepStrictEqual(boundsCodes(patched(52, 0x10000)), ['DFD_BOUNDS']);
+  assert.deepStrictEqual(boundsCodes(patched(60, 0x10000)), ['KVD_BOUNDS']);
+  const sgd = ktx2({ sgd: new Uint8Array(8) });
+  assert.deepStrictEqual(codes(sgd), ['SGD_UNEXPECTED']);
+  assert.deepStrictEqual(boundsCodes(patched(72, 0x10000, sgd)), ['SGD_BOUNDS']);
+  assert.deepStrictEqual(boundsCodes(patched(64, 0x10000, ktx2())), ['SGD_OFFSET']);
+});
+
+test('typeSize, levelCount and prohibited formats', () => {
+  assert.deepStrictEqual(codes(ktx2({ typeSize: 2 })), ['TYPE_SIZE']);
+  // R16G16B16A16_SFLOAT: bytesPlane0 must be a multiple of the 2-byte typeSize
+  assert.deepStrictEqual(codes(ktx2({ vkFormat: 97, typeSize: 2, bytesPlane0: 8 })), []);
+  // 8x8 has 4 levels
+  const tooMany = validateKTX2(ktx2({ levels: 5 })).issues.messages;
+  assert.deepStrictEqual(tooMany.map(m => m.code), ['LEVEL_COUNT']);
+  assert.strictEqual(tooMany[0].message, 'levelCount 5 exceeds the 4 levels possible for 8 texels');
+  // levelCount 0 asks for generated mips: fine for RGBA8, not for BC1
+  const generate = validateKTX2(ktx2({ levels: 1, levelCount: 0 })).issues;
+  assert.deepStrictEqual([generate.numErrors, generate.messages[0].code], [0, 'LEVEL_COUNT']);
+  assert.deepStrictEqual(codes(ktx2({ vkFormat: 131, bytesPlane0: 8, block: [4, 4], levels: 1, levelCount: 0 })), ['LEVEL_COUNT']);
+  // R8G8B8A8_USCALED and A8B8G8R8_UNORM_PACK32
+  assert.deepStrictEqual(codes(ktx2({ vkFormat: 39 })), ['VK_FORMAT_PROHIBITED']);
+  assert.deepStrictEqual(codes(ktx2({ vkFormat: 51 })), ['VK_FORMAT_PROHIBITED']);
+});
+
+test('cubemaps need six square faces and no depth', () => {
+  assert.deepStrictEqual(codes(ktx2({ faces: 3 })), ['FACE_COUNT']);
+  assert.deepStrictEqual(codes(ktx2({ faces: 6, width: 8, height: 4, levels: 3 })), ['CUBEMAP_NOT_SQUARE']);
+  assert.deepStrictEqual(codes(ktx2({ faces: 6, depth: 8 })), ['CUBEMAP_DEPTH']);
+});
+
+test('keys must be sorted and unique', () => {
+  const unsorted = validateKTX2(ktx2({ kvd: [['KTXwriter', 'a'], ['KTXorientation', 'rd']] })).issues.messages;
+  assert.deepStrictEqual(unsorted.map(m => m.code), ['KVD_ORDER']);
+  assert.strictEqual(unsorted[0].message, 'Keys must be sorted; "KTXorientation" follows "KTXwriter"');
+  assert.deepStrictEqual(codes(ktx2({ kvd: [['KTXorientation', 'rd'], ['KTXorientation', 'rd'], ['KTXwriter', 'a']] })), ['KVD_DUPLICATE']);
+});
+
+test('KTXorientation, KTXwriter and KTXswizzle values', () => {
+  const withKeys = (...kvd) => codes(ktx2({ kvd }));
+  assert.deepStrictEqual(withKeys(['KTXorientation', 'rdi'], ['KTXwriter', 'a']), ['KTXORIENTATION_VALUE']);
+  assert.deepStrictEqual(codes(ktx2({ depth: 4, kvd: [['KTXorientation', 'rdi'], ['KTXwriter', 'a']] })), []);
+  assert.deepStrictEqual(withKeys(['KTXorientation', 'rd']), ['KTXWRITER_MISSING']);
+  assert.deepStrictEqual(withKeys(['KTXorientation', 'rd'], ['KTXwriterScParams', '--zstd 18']), ['KTXWRITER_REQUIRED']);
+  assert.deepStrictEqual(withKeys(['KTXwriter', 'a']), ['KTXORIENTATION_MISSING']);
+  assert.deepStrictEqual(withKeys(['KTXorientation', 'rd'], ['KTXswizzle', 'rgbx'], ['KTXwriter', 'a']), ['KTXSWIZZLE_VALUE']);
+  assert.deepStrictEqual(withKeys(['KTXorientation', 'rd'], ['KTXswizzle', 'rgb1'], ['KTXwriter', 'a']), []);
+  assert.deepStrictEqual(withKeys(['KTXorientation', 'rd'], ['KTXwriter', new Uint8Array([0x61])]), ['KVD_VALUE']);
+});
+
+test('a zero kvByteLength gets its own error, not a bounds error', () => {
+  const bytes = new Uint8Array(readFixture('2d_bc1.ktx2'));
+  const dv = new DataView(bytes.buffer);
+  const kvdOffset = dv.getUint32(56, true);
+  dv.setUint32(kvdOffset, 0, true);
+  const messages = validateKTX2(bytes).issues.messages;
+  const empty = messages.find(m => m.code === 'KVD_ENTRY_EMPTY');
+  assert.ok(empty, messages.map(m => m.code).join(', '));
+  assert.strictEqual(empty.message,
+    `Key/value entry at 0x${kvdOffset.toString(16)} has a kvByteLength of 0; it must hold at least a key and its NUL`);
+  assert.ok(!messages.some(m => m.code === 'KVD_ENTRY_BOUNDS' && m.message.startsWith('Key/value entry of 0 bytes')));
+});
+
+test('the CLI reports a missing file, validates the rest and exits 1', () => {
+  const missing = path.join(TEXTURES_DIR, 'does_not_exist.ktx2');
+  const { status, stdout, stderr } = runCLI(missing, path.join(TEXTURES_DIR, '2d_bc1.ktx2'));
+  assert.strictEqual(status, 1);
+  assert.match(stderr, /does_not_exist\.ktx2: cannot read \(ENOENT/);
+  assert.match(stdout, /2d_bc1\.ktx2: 0 error\(s\)/);
+});
+
+test('the CLI exits 0 when every file is valid', () => {
+  assert.strictEqual(runCLI(path.join(TEXTURES_DIR, '2d_bc1.ktx2')).status, 0);
+});
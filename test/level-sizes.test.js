@@ -0,0 +1,68 @@
+// level-sizes.test.js - per-level stored, uncompressed and GPU sizes and their totals (Texture Info)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadViewerScripts, readFixture } = require('./viewer.js');
+
+const viewer = loadViewerScripts('zstd.js', 'formats.js', 'read.js');
+
+const column = (rows, key) => Array.from(rows, r => r[key]);
+
+test('partial blocks are padded to whole blocks', () => {
+  // 10x6 BC1: 3x2, 2x1 and 1x1 blocks of 8 bytes
+  const rows = viewer.getLevelSizes(10, 6, 3, 'bc1-rgba-unorm', { blockSize: [4, 4] });
+  assert.deepStrictEqual(column(rows, 'gpu'), [48, 16, 8]);
+  assert.deepStrictEqual(column(rows, 'blocks'), [6, 2, 1]);
+  assert.deepStrictEqual(Array.from(rows, r => `${r.width}x${r.height}`), ['10x6', '5x3', '2x1']);
+  assert.deepStrictEqual({ ...viewer.sumLevelSizes(rows) }, { stored: null, uncompressed: null, gpu: 72, blocks: 9 });
+});
+
+test('cube arrays count every layer of every face', () => {
+  // 2 cubes = 12 images of 4x4, 2x2 and 1x1 RGBA8
+  const rows = viewer.getLevelSizes(4, 4, 3, 'rgba8unorm', { images: 2 * 6 });
+  assert.deepStrictEqual(column(rows, 'gpu'), [768, 192, 48]);
+  assert.deepStrictEqual(column(rows, 'blocks'), [192, 48, 12]);
+  assert.strictEqual(viewer.sumLevelSizes(rows).gpu, 1008);
+});
+
+test('3D textures halve their slices with every mip', () => {
+  const rows = viewer.getLevelSizes(8, 8, 4, 'rgba8unorm', { depth: 4 });
+  assert.deepStrictEqual(column(rows, 'depth'), [4, 2, 1, 1]);
+  assert.deepStrictEqual(column(rows, 'gpu'), [1024, 128, 16, 4]);
+  assert.strictEqual(viewer.sumLevelSizes(rows).gpu, 1172);
+});
+
+test('stored and uncompressed bytes come from the level index', async () => {
+  const { levels } = await viewer.parseKTX2(readFixture('rgba8_zstd.ktx2'));
+  const zstd = viewer.sumLevelSizes(viewer.getLevelSizes(32, 32, 6, 'rgba8unorm', { levels }));
+  assert.deepStrictEqual([zstd.stored, zstd.uncompressed, zstd.gpu], [2105, 5460, 5460]);
+  // BasisLZ levels have no uncompressedByteLength
+  const basis = await viewer.parseKTX2(readFixture('2d_etc1s.ktx2'));
+  const basisRows = viewer.getLevelSizes(40, 40, 6, 'bc7-rgba-unorm', { levels: basis.levels, blockSize: [4, 4] });
+  assert.deepStrictEqual(column(basisRows, 'uncompressed'), [null, null, null, null, null, null]);
+  assert.deepStrictEqual([viewer.sumLevelSizes(basisRows).stored, viewer.sumLevelSizes(basisRows).uncompressed], [120, null]);
+});
+
+test('KTX1 and DDS levels count the bytes in the file, not the converted texels', () => {
+  // GL_RGB8 rows padded to 4 bytes, uploaded as RGBA8
+  const ktx1 = viewer.parseKTX1(readFixture('ktx1_rgb8_mips.ktx'));
+  const ktx1Rows = viewer.getLevelSizes(13, 9, 4, 'rgba8unorm', { levels: ktx1.levels });
+  assert.deepStrictEqual(column(ktx1Rows, 'stored'), [360, 80, 24, 4]);
+  assert.deepStrictEqual(column(ktx1Rows, 'gpu'), [468, 96, 24, 4]);
+
+  // A 24-bit R8G8B8 DDS, 3x2, expanded to RGBA8 on load
+  const dds = new Uint8Array(128 + 18);
+  const dv = new DataView(dds.buffer);
+  dds.set([0x44, 0x44, 0x53, 0x20], 0); // 'DDS '
+  dv.setUint32(4, 124, true);
+  dv.setUint32(8, 0x1007, true);
+  dv.setUint32(12, 2, true);
+  dv.setUint32(16, 3, true);
+  dv.setUint32(76, 32, true);
+  dv.setUint32(80, 0x40, true);         // DDPF_RGB
+  dv.setUint32(88, 24, true);
+  [0xFF0000, 0xFF00, 0xFF].forEach((mask, i) => dv.setUint32(92 + i * 4, mask, true));
+  dv.setUint32(108, 0x1000, true);
+  const { levels } = viewer.parseDDS(dds.buffer);
+  assert.deepStrictEqual([levels[0].byteLength, levels[0].uncompressedByteLength, levels[0].data.length], [18, 18, 24]);
+});
@@ -0,0 +1,184 @@
+// metrics.test.js - quality metrics, thresholds and the metrics CLI's report and exit codes
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { TEXTURES_DIR, loadViewerScripts, readFixture } = require('./viewer.js');
+const { computeImageMetrics, checkImageMetrics, formatImageMetrics } = require('../media/metrics.js');
+
+const CLI = path.join(__dirname, '..', 'media', 'metrics.js');
+
+// Runs the CLI, returning its exit code and both output streams
+function runCLI(...args) {
+  try {
+    const stdout = execFileSync(process.execPath, [CLI, ...args], { encoding: 'utf8', stdio: 'pipe' });
+    return { status: 0, stdout, stderr: '' };
+  } catch (err) {
+    return { status: err.status, stdout: err.stdout, stderr: err.stderr };
+  }
+}
+
+// width x height RGBA float32 image from texel(x, y) -> [r, g, b, a]
+function image(width, height, texel) {
+  const data = new Float32Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) data.set(texel(x, y), (y * width + x) * 4);
+  }
+  return data;
+}
+
+const gradient = (x, y) => [x / 8, y / 8, 0.5, 1];
+
+test('identical images: infinite PSNR, SSIM 1, no error', () => {
+  const a = image(8, 8, gradient);
+  const m = computeImageMetrics(a, a.slice(), 8, 8, [0, 1, 2, 3]);
+  assert.deepStrictEqual([m.overall.psnr, m.overall.ssim, m.overall.rmse, m.overall.maxError], [Infinity, 1, 0, 0]);
+  assert.strictEqual(m.channels.length, 4);
+  assert.strictEqual(m.peak, 1);
+});
+
+test('a constant offset of 0.1 gives 20 dB; SSIM only drops with the mean', () => {
+  const a = image(16, 16, (x, y) => [x / 32, y / 32, 0.5, 1]);
+  const b = image(16, 16, (x, y) => [x / 32 + 0.1, y / 32, 0.5, 1]);
+  const m = computeImageMetrics(a, b, 16, 16, [0, 1]);
+  const [r, g] = m.channels;
+  assert.ok(Math.abs(r.psnr - 20) < 1e-5, String(r.psnr));
+  assert.ok(Math.abs(r.maxError - 0.1) < 1e-6);
+  assert.strictEqual(g.psnr, Infinity);
+  // half the compared values carry the error
+  assert.ok(Math.abs(m.overall.psnr - (20 + 10 * Math.log10(2))) < 1e-5, String(m.overall.psnr));
+  assert.ok(r.ssim > 0.9 && r.ssim < 1, String(r.ssim));
+});
+
+test('the worst texel and the worst block are located', () => {
+  const a = image(8, 8, gradient);
+  const b = a.slice();
+  b[(6 * 8 + 5) * 4 + 2] += 0.5;
+  const m = computeImageMetrics(a, b, 8, 8, [0, 1, 2]);
+  assert.deepStrictEqual([m.worstTexel.x, m.worstTexel.y, m.worstTexel.channel, m.worstTexel.error], [5, 6, 2, 0.5]);
+  assert.deepStrictEqual({ ...m.worstBlock }, { x: 4, y: 4, width: 4, height: 4, rmse: Math.sqrt(0.25 / 48), maxError: 0.5 });
+  // partial blocks at the edges of a 6x5 image with a 4x4 footprint
+  const edge = computeImageMetrics(image(6, 5, gradient), image(6, 5, (x, y) => [x === 5 && y === 4 ? 1 : x / 8, y / 8, 0.5, 1]), 6, 5, [0]);
+  assert.deepStrictEqual([edge.worstBlock.x, edge.worstBlock.y, edge.worstBlock.width, edge.worstBlock.height], [4, 4, 2, 1]);
+});
+
+test('HDR data uses the largest magnitude as the PSNR peak; NaN and Inf are left out', () => {
+  const a = image(4, 4, (x) => [x, 0, 0, 1]);
+  const b = a.slice();
+  b[0] = NaN;
+  b[4] = Infinity;
+  b[8] += 0.5;
+  const m = computeImageMetrics(a, b, 4, 4, [0]);
+  assert.strictEqual(m.peak, 3);
+  assert.strictEqual(m.overall.nonFinite, 2);
+  assert.strictEqual(m.overall.mse, 0.25 / 14);
+  assert.ok(Math.abs(m.overall.psnr - 10 * Math.log10(9 / (0.25 / 14))) < 1e-9);
+  assert.match(formatImageMetrics([{ mip: 0, metrics: m }]), /peak 3\.000\)[\s\S]*2 NaN\/Inf values not compared$/);
+});
+
+test('thresholds fail per mip; skipped mips and an infinite PSNR pass', () => {
+  const a = image(8, 8, gradient);
+  const b = image(8, 8, (x, y) => [x / 8 + 0.1, y / 8, 0.5, 1]);
+  const results = [
+    { mip: 0, metrics: computeImageMetrics(a, a, 8, 8, [0]) },
+    { mip: 1, metrics: computeImageMetrics(a, b, 8, 8, [0]) },
+    { mip: 2, skipped: 'sizes differ (4×4 vs 2×2)' }
+  ];
+  assert.deepStrictEqual(checkImageMetrics(results, {}), []);
+  assert.deepStrictEqual(checkImageMetrics(results, { minPSNR: 30, maxError: 0.05 }), [
+    'mip 1: PSNR 20.00 dB < 30 dB',
+    'mip 1: max error 0.10000 > 0.05'
+  ]);
+  assert.deepStrictEqual(checkImageMetrics(results, { minPSNR: 19, minSSIM: 0.5, maxError: 0.2 }), []);
+});
+
+// 8-bit RGBA PNG (filter 0 on every row)
+function encodePNG(width, height, rgba) {
+  const raw = Buffer.alloc(height * (1 + width * 4));
+  for (let y = 0; y < height; y++) raw.set(rgba.subarray(y * width * 4, (y + 1) * width * 4), y * (1 + width * 4) + 1);
+  const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+  const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    let crc = ~0;
+    for (const b of body) crc = crcTable[(crc ^ b) & 0xFF] ^ (crc >>> 8);
+    const out = Buffer.alloc(12 + data.length);
+    out.writeUInt32BE(data.length, 0);
+    body.copy(out, 4);
+    out.writeUInt32BE(~crc >>> 0, 8 + data.length);
+    return out;
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', ihdr), chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+test('the CLI reads a PNG of bgra8_srgb.ktx2 as identical, and exits 1 once a texel differs', async (t) => {
+  const viewer = loadViewerScripts('zstd.js', 'formats.js', 'read.js');
+  const buf = readFixture('bgra8_srgb.ktx2');
+  const { header, levels } = await viewer.parseKTX2(buf);
+  const bgra = await viewer.decodeLevelData(buf, levels[0], header.supercompressionScheme, 0);
+  const rgba = new Uint8Array(bgra.length);
+  for (let p = 0; p < bgra.length; p += 4) rgba.set([bgra[p + 2], bgra[p + 1], bgra[p], bgra[p + 3]], p);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  const png = path.join(dir, 'bars.png');
+  fs.writeFileSync(png, encodePNG(64, 64, rgba));
+  const ktx2 = path.join(TEXTURES_DIR, 'bgra8_srgb.ktx2');
+
+  const same = runCLI(png, ktx2, '--max-error', '0', '--min-psnr', '99');
+  assert.strictEqual(same.status, 0, same.stdout + same.stderr);
+  assert.match(same.stdout, /^all +inf 1\.0000 0\.00000 0\.00000$/m);
+
+  rgba[(10 * 64 + 20) * 4 + 1] ^= 0x80;
+  fs.writeFileSync(png, encodePNG(64, 64, rgba));
+  const changed = runCLI(png, ktx2, '--max-error', '0', '--json');
+  assert.strictEqual(changed.status, 1);
+  const report = JSON.parse(changed.stdout);
+  assert.deepStrictEqual(report.failures, ['mip 0: max error 0.50196 > 0']);
+  const { worstTexel, worstBlock } = report.results[0].metrics;
+  assert.deepStrictEqual([worstTexel.x, worstTexel.y, worstTexel.channel], [20, 10, 1]);
+  assert.deepStrictEqual([worstBlock.x, worstBlock.y], [20, 8]);
+});
+
+test('the CLI checks every mip of two KTX2 files and skips the sizes that differ', () => {
+  const bc = runCLI(path.join(TEXTURES_DIR, '2d_bc7.ktx2'), path.join(TEXTURES_DIR, '2d_bc7.ktx2'), '--min-ssim', '1');
+  assert.strictEqual(bc.status, 0, bc.stderr);
+  assert.strictEqual(bc.stdout.match(/^mip \d+ \(/gm).length, 6);
+
+  const sizes = runCLI(path.join(TEXTURES_DIR, 'bgra8_srgb.ktx2'), path.join(TEXTURES_DIR, '2d_bc7.ktx2'), '--min-psnr', '40');
+  assert.strictEqual(sizes.status, 0);
+  assert.match(sizes.stdout, /mip 0: sizes differ \(64×64 vs 40×40\)/);
+
+  const worse = runCLI(path.join(TEXTURES_DIR, '2d_bc1.ktx2'), path.join(TEXTURES_DIR, '2d_bc7.ktx2'), '--min-psnr', '40');
+  assert.strictEqual(worse.status, 1);
+  assert.match(worse.stdout, /^FAIL mip 0: PSNR \d+\.\d\d dB < 40 dB$/m);
+});
+
+test('the CLI exits 2 on usage errors and files it cannot decode', () => {
+  const ktx2 = path.join(TEXTURES_DIR, '2d_bc7.ktx2');
+  assert.strictEqual(runCLI(ktx2).status, 2);
+  assert.strictEqual(runCLI(ktx2, ktx2, '--min-psnr', 'high').status, 2);
+
+  const basis = runCLI(path.join(TEXTURES_DIR, '2d_etc1s.ktx2'), ktx2);
+  assert.strictEqual(basis.status, 2);
+  assert.match(basis.stderr, /Basis Universal textures are not decoded headless/);
+
+  const unsupported = runCLI(path.join(TEXTURES_DIR, 'makeEXR.js'), ktx2);
+  assert.strictEqual(unsupported.status, 2);
+  assert.match(unsupported.stderr, /Unsupported file type \.js/);
+});
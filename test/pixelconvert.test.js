@@ -0,0 +1,87 @@
+// pixelconvert.test.js - CPU conversion of the uncompressed formats WebGPU can't sample as stored
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadViewerScripts, readFixture } = require('./viewer.js');
+
+const viewer = loadViewerScripts('zstd.js', 'formats.js', 'read.js', 'pixelconvert.js');
+
+// Converts texels given as little-endian words of `wordBytes` bytes (or raw bytes when 1)
+function convert(vkFormat, words, wordBytes, target) {
+  const raw = new Uint8Array(words.length * wordBytes);
+  const dv = new DataView(raw.buffer);
+  words.forEach((w, i) => {
+    if (wordBytes === 1) dv.setUint8(i, w);
+    else if (wordBytes === 2) dv.setUint16(i * 2, w, true);
+    else dv.setUint32(i * 4, w, true);
+  });
+  const upload = viewer.vkFormatToWebGPU(vkFormat);
+  let formatInfo = upload;
+  while (target && formatInfo.format !== target) formatInfo = formatInfo.fallback;
+  assert.ok(formatInfo.convert, `${vkFormat} -> ${formatInfo.format} is not converted`);
+  const texels = raw.length / viewer.getVkFormatInfo(vkFormat).bytesPerBlock;
+  const out = viewer.convertPixels(raw, texels, formatInfo);
+  if (/^rgba8/.test(formatInfo.format)) return Array.from(out);
+  if (formatInfo.format.includes('16float')) return Array.from(new Uint16Array(out.buffer));
+  return Array.from(new Float32Array(out.buffer));
+}
+
+test('RGB8 and BGR8 gain an opaque alpha; BGR moves into RGB order', () => {
+  assert.deepStrictEqual(convert(23, [10, 20, 30, 40, 50, 60], 1), [10, 20, 30, 255, 40, 50, 60, 255]);
+  assert.deepStrictEqual(convert(30, [1, 2, 3], 1), [3, 2, 1, 255]);
+});
+
+test('packed 16-bit colour: R5G6B5, A1R5G5B5 and R4G4B4A4 expand to RGBA8', () => {
+  // r 16/31 -> 132, g 63/63 -> 255, b 1/31 -> 8
+  assert.deepStrictEqual(convert(4, [0xF800, (16 << 11) | (63 << 5) | 1], 2), [255, 0, 0, 255, 132, 255, 8, 255]);
+  // alpha is the top bit
+  assert.deepStrictEqual(convert(8, [0x83E0, 0x7C00], 2), [0, 255, 0, 255, 255, 0, 0, 0]);
+  assert.deepStrictEqual(convert(2, [0xF05A], 2), [255, 0, 85, 170]);
+});
+
+test('16-bit UNORM and integer formats convert to float32, or to half floats without float32-filterable', () => {
+  const r16 = convert(70, [0, 65535, 32768], 2, 'r32float');
+  assert.deepStrictEqual(r16, [0, 1, Math.fround(32768 / 65535)]);
+  assert.deepStrictEqual(convert(70, [0, 65535], 2, 'r16float'), [0, 0x3C00]);
+  // integers keep their values: 4096 exactly, 15 as half 0x4B80
+  assert.deepStrictEqual(convert(74, [4096, 15], 2, 'r32float'), [4096, 15]);
+  assert.deepStrictEqual(convert(74, [15], 2, 'r16float'), [0x4B80]);
+  // beyond the half range
+  assert.deepStrictEqual(convert(98, [70000], 4, 'r16float'), [0x7C00]);
+});
+
+test('signed formats: SINT keeps its sign, SNORM clamps -32768 to -1', () => {
+  // R8G8_SINT -128, 127 -> rg16float
+  assert.deepStrictEqual(convert(21, [0x80, 0x7F], 1), [0xD800, 0x57F0]);
+  assert.deepStrictEqual(convert(78, [0x40008000], 4, 'rg32float'), [-1, Math.fround(16384 / 32767)]);
+});
+
+test('A2B10G10R10 SNORM unpacks with alpha in the top bits and lands in RGBA order', () => {
+  // a = 1, b = 0, g = -512 (clamped to -1), r = 511
+  assert.deepStrictEqual(convert(65, [(1 << 30) | (512 << 10) | 511], 4), [0x3C00, 0xBC00, 0, 0x3C00]);
+});
+
+test('RGB32 float gets alpha 1 and passes NaN through', () => {
+  const raw = new Uint8Array(new Float32Array([1.5, -2, NaN]).buffer);
+  const formatInfo = viewer.vkFormatToWebGPU(106);
+  assert.strictEqual(formatInfo.format, 'rgba32float');
+  assert.deepStrictEqual(Array.from(new Float32Array(viewer.convertPixels(raw, 1, formatInfo).buffer)), [1.5, -2, NaN, 1]);
+});
+
+test('the inspector reads stored components in channel order', () => {
+  const info = viewer.getVkFormatInfo(8);
+  assert.deepStrictEqual(Array.from(viewer.readTexelComponents(new Uint8Array([0xE0, 0x83]), 0, info)), [1, 0, 31, 0]);
+  const snorm = new Uint8Array(new Int16Array([-32768, 16384]).buffer);
+  assert.deepStrictEqual(Array.from(viewer.readTexelComponents(snorm, 0, viewer.getVkFormatInfo(78))), [-32768, 16384]);
+});
+
+test('r4g4b4a4.ktx2 converts to the colour bars makeFormats.js wrote', async () => {
+  const buf = readFixture('r4g4b4a4.ktx2');
+  const { header, levels } = await viewer.parseKTX2(buf);
+  const raw = await viewer.decodeLevelData(buf, levels[0], header.supercompressionScheme, 0);
+  const rgba = viewer.convertPixels(raw, 64 * 64, viewer.vkFormatToWebGPU(header.vkFormat));
+  const texel = (x, y) => Array.from(rgba.subarray((y * 64 + x) * 4, (y * 64 + x) * 4 + 4));
+  assert.deepStrictEqual(texel(0, 0), [0, 0, 0, 255]);
+  assert.deepStrictEqual(texel(8, 0), [255, 0, 0, 255]);
+  assert.deepStrictEqual(texel(63, 63), [255, 255, 255, 0]);
+});
@@ -0,0 +1,136 @@
+// reference.test.js - the ASTC and ETC2/EAC decoders against astcenc's and PVRTexTool's own decodes
+// of the textures makeReference.js encoded with them, after checking that the blocks exercise
+// the features under test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadViewerScripts, readFixture } = require('./viewer.js');
+const { WIDTH, HEIGHT, ASTC_FOOTPRINTS, ETC_FORMATS } = require('../test_textures/makeReference.js');
+
+const viewer = loadViewerScripts('zstd.js', 'formats.js', 'read.js', 'etcdecode.js', 'astcdecode.js');
+const ASTC_RANGES = vm.runInContext('ASTC_RANGES', viewer);
+
+function halfToFloat(h) {
+  const exp = (h >> 10) & 0x1F, mant = h & 0x3FF;
+  const v = exp === 0 ? mant * 2 ** -24 : (1 + mant / 1024) * 2 ** (exp - 15);
+  return h & 0x8000 ? -v : v;
+}
+
+// RGBA8 texels of reference/<name>.ktx
+function readReference(name) {
+  const { header, levels } = viewer.parseKTX1(readFixture(`reference/${name}.ktx`));
+  assert.strictEqual(viewer.vkFormatToWebGPU(header.vkFormat).format, 'rgba8unorm');
+  assert.deepStrictEqual([header.pixelWidth, header.pixelHeight], [WIDTH, HEIGHT]);
+  return levels[0].data;
+}
+
+// Largest per-channel difference over the first `channels` channels, and where it first occurs
+function compare(decoded, reference, channels, tolerance) {
+  let max = 0, first = null;
+  for (let i = 0; i < WIDTH * HEIGHT; i++) {
+    for (let c = 0; c < channels; c++) {
+      const d = Math.abs(decoded[i * 4 + c] - reference[i * 4 + c]);
+      max = Math.max(max, d);
+      if (d > tolerance && !first) first = `texel (${i % WIDTH}, ${Math.floor(i / WIDTH)}) channel ${c}: ${decoded[i * 4 + c]}, reference ${reference[i * 4 + c]}`;
+    }
+  }
+  assert.ok(!first, first);
+  return max;
+}
+
+// Per-footprint counts of the block features the ASTC decoder has to get right
+function astcCoverage(blocks, bw, bh) {
+  const coverage = { voidExtent: 0, partitions: [0, 0, 0, 0, 0], dualPlane: 0, infill: 0, trits: 0, quints: 0 };
+  for (let o = 0; o < blocks.length; o += 16) {
+    const mode = blocks[o] | ((blocks[o + 1] & 7) << 8);
+    if ((mode & 0x1FF) === 0x1FC) {
+      coverage.voidExtent++;
+      continue;
+    }
+    const bm = viewer.astcBlockMode(mode);
+    coverage.partitions[((blocks[o + 1] >> 3) & 3) + 1]++;
+    if (bm.dualPlane) coverage.dualPlane++;
+    if (bm.width < bw || bm.height < bh) coverage.infill++;
+    if (ASTC_RANGES[bm.range][1]) coverage.trits++;
+    if (ASTC_RANGES[bm.range][2]) coverage.quints++;
+  }
+  return coverage;
+}
+
+const astcFixtures = ASTC_FOOTPRINTS.map(footprint => `astcenc_${footprint}`).concat(['astcenc_8x8_srgb']);
+const astcTotals = { partitions: [0, 0, 0, 0, 0], dualPlane: 0, infill: 0, trits: 0, quints: 0, voidExtent: 0 };
+
+for (const name of astcFixtures) {
+  // astcenc 1.3 writes 8-bit output through a truncating conversion to fp16, so its bytes can be
+  // one below the exact UNORM16 -> UNORM8 rounding the viewer does
+  test(`${name}.ktx2 matches astcenc's decode within 1`, async () => {
+    const buf = readFixture(`${name}.ktx2`);
+    const { header, levels } = await viewer.parseKTX2(buf);
+    const formatInfo = viewer.vkFormatToWebGPU(header.vkFormat);
+    const blocks = await viewer.decodeLevelData(buf, levels[0], header.supercompressionScheme, 0);
+    const coverage = astcCoverage(blocks, formatInfo.blockWidth, formatInfo.blockHeight);
+    coverage.partitions.forEach((n, i) => { astcTotals.partitions[i] += n; });
+    for (const key of ['dualPlane', 'infill', 'trits', 'quints', 'voidExtent']) astcTotals[key] += coverage[key];
+    assert.ok(coverage.partitions[2] > 0 && coverage.dualPlane > 0 && coverage.infill > 0, JSON.stringify(coverage));
+
+    const decoded = viewer.decodeASTCImage(blocks, WIDTH, HEIGHT, 1, formatInfo);
+    compare(decoded, readReference(name), 4, 1);
+  });
+}
+
+test('the astcenc fixtures cover 1-4 partitions, dual plane, infill, trits, quints and void extents', () => {
+  assert.ok(astcTotals.partitions.slice(1).every(n => n > 0), JSON.stringify(astcTotals));
+  for (const key of ['dualPlane', 'infill', 'trits', 'quints', 'voidExtent']) {
+    assert.ok(astcTotals[key] > 0, `${key}: ${JSON.stringify(astcTotals)}`);
+  }
+});
+
+// ETC2 colour block mode; in punch-through blocks the differential bit is the opaque flag instead
+function etcMode(b, o, punchThrough) {
+  if (!punchThrough && !(b[o + 3] & 2)) return 'individual';
+  const overflows = (i) => {
+    const base = b[o + i] >> 3, delta = ((b[o + i] & 7) << 29) >> 29;
+    return base + delta < 0 || base + delta > 31;
+  };
+  if (overflows(0)) return 'T';
+  if (overflows(1)) return 'H';
+  if (overflows(2)) return 'planar';
+  return 'differential';
+}
+
+const etcModes = {};
+
+for (const { name, format } of ETC_FORMATS) {
+  // PVRTexTool decodes EAC to 8 bits, so the 11-bit values are compared after rounding
+  test(`pvrtex_${name}.ktx matches PVRTexTool's decode`, () => {
+    const { header, levels } = viewer.parseKTX1(readFixture(`pvrtex_${name}.ktx`));
+    const formatInfo = viewer.vkFormatToWebGPU(header.vkFormat);
+    const blocks = levels[0].data;
+    if (format.startsWith('ETC2')) {
+      const punchThrough = format === 'ETC2_RGB_A1';
+      const colorOffset = format === 'ETC2_RGBA' ? 8 : 0;
+      for (let o = 0; o < blocks.length; o += formatInfo.bytesPerBlock) {
+        const mode = etcMode(blocks, o + colorOffset, punchThrough);
+        const key = punchThrough && !(blocks[o + 3] & 2) ? `${mode} punch-through` : mode;
+        etcModes[key] = (etcModes[key] || 0) + 1;
+      }
+    }
+
+    const decoded = viewer.decodeETCImage(blocks, WIDTH, HEIGHT, 1, formatInfo);
+    const reference = readReference(`pvrtex_${name}`);
+    if (format.startsWith('EAC')) {
+      const halves = new Uint16Array(decoded.buffer, decoded.byteOffset, decoded.byteLength / 2);
+      const bytes = Array.from(halves, h => Math.round(halfToFloat(h) * 255));
+      compare(bytes, reference, format === 'EAC_RG11' ? 2 : 1, 0);
+    } else {
+      compare(decoded, reference, 4, 0);
+    }
+  });
+}
+
+test('the PVRTexTool fixtures cover every ETC2 mode and punch-through blocks', () => {
+  for (const mode of ['individual', 'differential', 'T', 'H', 'planar', 'differential punch-through', 'T punch-through']) {
+    assert.ok(etcModes[mode] > 0, `${mode}: ${JSON.stringify(etcModes)}`);
+  }
+});
@@ -0,0 +1,84 @@
+// stats.test.js - per-channel statistics, histograms and auto-exposure of stats.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadViewerScripts } = require('./viewer.js');
+
+const viewer = loadViewerScripts('stats.js');
+
+// RGBA float32 texels from per-texel [r, g, b, a] (missing components 0)
+function texels(...rgba) {
+  const values = new Float32Array(rgba.length * 4);
+  rgba.forEach((t, p) => values.set(t, p * 4));
+  return values;
+}
+
+const sum = (bins) => bins.reduce((a, b) => a + b, 0);
+
+test('min, max, mean and standard deviation per channel', () => {
+  const { stats } = viewer.computeTextureStats(texels([0, 10], [1, 10], [2, 10], [3, 10]), 4, [0, 1]);
+  assert.deepStrictEqual(stats.map(s => [s.channel, s.min, s.max, s.mean]), [[0, 0, 3, 1.5], [1, 10, 10, 10]]);
+  assert.strictEqual(stats[0].std, Math.sqrt(1.25));
+  assert.strictEqual(stats[1].std, 0);
+});
+
+test('NaN and infinities are counted and left out of the moments; -Inf counts as negative', () => {
+  const { stats, histograms } = viewer.computeTextureStats(texels([NaN], [Infinity], [-Infinity], [-2], [4]), 5, [0]);
+  const r = stats[0];
+  assert.deepStrictEqual([r.nan, r.inf, r.negative, r.finite], [1, 2, 2, 2]);
+  assert.deepStrictEqual([r.min, r.max, r.mean, r.std], [-2, 4, 1, 3]);
+  // the linear range starts at the negative minimum; only finite values are binned
+  assert.deepStrictEqual([histograms.linear.lo, histograms.linear.hi], [-2, 4]);
+  assert.strictEqual(histograms.linear.bins[0][0], 1);
+  assert.strictEqual(histograms.linear.bins[0][127], 1);
+  assert.strictEqual(sum(histograms.linear.bins[0]), 2);
+});
+
+test('a channel without finite values reports NaN deviation', () => {
+  const { stats } = viewer.computeTextureStats(texels([NaN], [NaN]), 2, [0]);
+  assert.strictEqual(stats[0].nan, 2);
+  assert.ok(Number.isNaN(stats[0].std));
+});
+
+test('alpha gets statistics but no histogram and no say in the ranges', () => {
+  const result = viewer.computeTextureStats(texels([0.5, 0, 0, 100], [1, 0, 0, 0]), 2, [0, 3]);
+  assert.deepStrictEqual(Array.from(result.color), [0]);
+  assert.strictEqual(result.histograms.linear.bins.length, 1);
+  assert.deepStrictEqual([result.histograms.linear.lo, result.histograms.linear.hi], [0, 1]);
+  assert.strictEqual(result.stats[1].max, 100);
+});
+
+test('the log histogram spans the positive values, at most 24 stops below the maximum', () => {
+  const wide = viewer.computeTextureStats(texels([1 / 1024], [16], [0]), 3, [0]).histograms.log;
+  assert.deepStrictEqual([wide.lo, wide.hi], [-10, 4]);
+  assert.strictEqual(wide.bins[0][0], 1);
+  assert.strictEqual(sum(wide.bins[0]), 2); // zero has no logarithm
+
+  const clipped = viewer.computeTextureStats(texels([2 ** -30], [1]), 2, [0]).histograms.log;
+  assert.deepStrictEqual([clipped.lo, clipped.hi], [-24, 0]);
+  assert.strictEqual(clipped.bins[0][0], 1);
+});
+
+test('auto-exposure maps the 99th percentile of the brightest color channel to 1.0', () => {
+  assert.strictEqual(viewer.computeTextureStats(texels([4, 4, 4], [4, 4, 4]), 2, [0, 1, 2]).exposureEV, -2);
+  assert.strictEqual(viewer.computeTextureStats(texels([1, 8, 0]), 1, [0, 1, 2]).exposureEV, -3);
+  // one bright outlier in 200 texels sits above the percentile
+  const values = texels(...Array.from({ length: 200 }, (_, i) => [i === 0 ? 1024 : 0.25]));
+  assert.strictEqual(viewer.computeTextureStats(values, 200, [0]).exposureEV, 2);
+  assert.strictEqual(viewer.computeTextureStats(texels([0], [-1]), 2, [0]).exposureEV, 0);
+});
+
+test('the readback stride keeps every level under 2^20 samples', () => {
+  assert.strictEqual(viewer.statsSampleStride(2048, 512), 1);
+  assert.strictEqual(viewer.statsSampleStride(2048, 2048), 2);
+  assert.strictEqual(viewer.statsSampleStride(4096, 4096, 1, 6), 10);
+  assert.strictEqual(viewer.statsSampleStride(256, 256, 256), 3);
+});
+
+test('the text table has one row per channel', () => {
+  const result = viewer.computeTextureStats(texels([0], [0.5], [NaN]), 3, [0]);
+  assert.strictEqual(viewer.describeTextureStats(result), [
+    '  min    max   mean    std NaN Inf <0',
+    'R   0 0.5000 0.2500 0.2500   1   0  0'
+  ].join('\n'));
+});
@@ -0,0 +1,90 @@
+// supercompression.test.js - Zstandard and ZLIB supercompressed levels inflate to the
+// uncompressed levels makeSupercompressed.js wrote
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadViewerScripts, readFixture } = require('./viewer.js');
+
+const viewer = loadViewerScripts('zstd.js', 'read.js');
+
+async function readLevels(name) {
+  const buf = readFixture(name);
+  const { header, levels } = await viewer.parseKTX2(buf);
+  const data = [];
+  for (let i = 0; i < levels.length; i++) {
+    data.push(Array.from(await viewer.decodeLevelData(buf, levels[i], header.supercompressionScheme, i)));
+  }
+  return { buf, header, levels, data };
+}
+
+// Block types (0 raw, 1 RLE, 2 compressed) and checksum flag of a single zstd frame
+function zstdFrameLayout(frame) {
+  let pos = 4;
+  const fhd = frame[pos++];
+  const singleSegment = (fhd >> 5) & 1;
+  const fcsFlag = fhd >> 6;
+  pos += (singleSegment ? 0 : 1) + [0, 1, 2, 4][fhd & 3] + (fcsFlag === 0 ? singleSegment : 1 << fcsFlag);
+  const blocks = [];
+  for (let last = 0; !last;) {
+    const bh = frame[pos] | (frame[pos + 1] << 8) | (frame[pos + 2] << 16);
+    last = bh & 1;
+    const type = (bh >> 1) & 3;
+    blocks.push(type);
+    pos += 3 + (type === 1 ? 1 : bh >> 3);
+  }
+  return { blocks, checksum: !!(fhd & 4), end: pos + (fhd & 4) };
+}
+
+test('Zstandard levels inflate to the uncompressed levels', async () => {
+  const none = await readLevels('rgba8_none.ktx2');
+  const zstd = await readLevels('rgba8_zstd.ktx2');
+  assert.strictEqual(zstd.header.supercompressionScheme, 2);
+  assert.strictEqual(zstd.levels.length, 6);
+  zstd.data.forEach((level, i) => assert.deepStrictEqual(level, none.data[i], `level ${i}`));
+});
+
+test('the Zstandard fixture has raw, RLE and compressed blocks and content checksums', async () => {
+  const { buf, levels } = await readLevels('rgba8_zstd.ktx2');
+  const frames = levels.map((level, i) => new Uint8Array(viewer.getLevelData(buf, level, i)));
+  const layouts = frames.map(zstdFrameLayout);
+  assert.deepStrictEqual(layouts[0].blocks, [0, 1, 2, 2]);
+  layouts.forEach((layout, i) => {
+    assert.ok(layout.checksum, `level ${i}`);
+    // the checksum is the last 4 bytes of the level
+    assert.strictEqual(layout.end, frames[i].length, `level ${i}`);
+  });
+});
+
+test('ZLIB levels inflate to the uncompressed levels', async () => {
+  const none = await readLevels('rgba8_none.ktx2');
+  const zlib = await readLevels('rgba8_zlib.ktx2');
+  assert.strictEqual(zlib.header.supercompressionScheme, 3);
+  zlib.data.forEach((level, i) => assert.deepStrictEqual(level, none.data[i], `level ${i}`));
+});
+
+test('a level that inflates to the wrong size is rejected', async () => {
+  for (const [name, scheme] of [['rgba8_zstd.ktx2', 'Zstandard'], ['rgba8_zlib.ktx2', 'ZLIB']]) {
+    const buf = readFixture(name);
+    const { header, levels } = await viewer.parseKTX2(buf);
+    const level = { ...levels[1], uncompressedByteLength: 1025 };
+    await assert.rejects(viewer.decodeLevelData(buf, level, header.supercompressionScheme, 1), {
+      message: `Level 1: ${scheme} inflated to 1024 bytes, but uncompressedByteLength is 1025`
+    });
+  }
+});
+
+test('zstd frames that need a dictionary are rejected', async () => {
+  const buf = readFixture('rgba8_zstd.ktx2');
+  const { levels } = await viewer.parseKTX2(buf);
+  const frame = new Uint8Array(viewer.getLevelData(buf, levels[0], 0));
+  // set Dictionary_ID_Flag to 1 and insert a one-byte dictionary id after the window descriptor
+  const withDict = new Uint8Array(frame.length + 1);
+  withDict.set(frame.subarray(0, 6));
+  withDict[4] |= 1;
+  withDict[6] = 7;
+  withDict.set(frame.subarray(6), 7);
+  assert.strictEqual((frame[4] >> 5) & 1, 0); // the window descriptor is present
+  assert.throws(() => viewer.decompressZstd(withDict, 4096), { message: 'Zstandard: dictionaries are not supported at 0x6' });
+  // and the untouched frame still decodes
+  assert.strictEqual(viewer.decompressZstd(frame, 4096).length, 4096);
+});
@@ -0,0 +1,44 @@
+// transcoder.test.js - Basis Universal transcoding with the vendored basis_transcoder.js/.wasm
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { MEDIA_DIR, loadViewerScripts, readFixture } = require('./viewer.js');
+
+const viewer = loadViewerScripts('formats.js', 'bcdecode.js');
+viewer.BASIS = require('../media/basis_transcoder.js');
+viewer.BASIS_WASM = path.join(MEDIA_DIR, 'basis_transcoder.wasm');
+
+// transcoder.js is an ES module reading window.*; import it from source with the viewer as window
+async function loadTranscoder() {
+  globalThis.window = viewer;
+  const source = fs.readFileSync(path.join(MEDIA_DIR, 'transcoder.js'), 'utf8');
+  return import(`data:text/javascript,${encodeURIComponent(source)}`);
+}
+
+test('2d_etc1s.ktx2 transcodes every level to RGBA32 and BC7', async () => {
+  const { transcodeFullKTX2, TRANSCODE_TARGETS } = await loadTranscoder();
+  const rgba = TRANSCODE_TARGETS.find(t => t.name === 'RGBA32');
+  const bc7 = TRANSCODE_TARGETS.find(t => t.name === 'BC7_RGBA');
+  const buf = readFixture('2d_etc1s.ktx2');
+
+  const rgbaMips = await transcodeFullKTX2(buf, rgba, { pixelDepth: 0 });
+  const bc7Mips = await transcodeFullKTX2(buf, bc7, { pixelDepth: 0 });
+  assert.deepStrictEqual(rgbaMips.map(m => [m.width, m.height]), [[40, 40], [20, 20], [10, 10], [5, 5], [2, 2], [1, 1]]);
+  assert.deepStrictEqual(rgbaMips.map(m => m.data.byteLength), rgbaMips.map(m => m.width * m.height * 4));
+  assert.deepStrictEqual(bc7Mips.map(m => m.data.byteLength),
+    bc7Mips.map(m => Math.ceil(m.width / 4) * Math.ceil(m.height / 4) * 16));
+
+  // Both targets come from the same ETC1S blocks, so the BC7 blocks decode close to the RGBA32 texels
+  const decoded = viewer.decodeBCImage(bc7Mips[0].data, 40, 40, 1, bc7);
+  let maxError = 0;
+  for (let i = 0; i < decoded.length; i++) maxError = Math.max(maxError, Math.abs(decoded[i] - rgbaMips[0].data[i]));
+  assert.ok(maxError <= 16, `BC7 differs from RGBA32 by up to ${maxError}`);
+});
+
+test('3D Basis textures are rejected before transcoding', async () => {
+  const { transcodeFullKTX2, TRANSCODE_TARGETS } = await loadTranscoder();
+  await assert.rejects(transcodeFullKTX2(readFixture('2d_etc1s.ktx2'), TRANSCODE_TARGETS[0], { pixelDepth: 4 }),
+    { message: '3D Basis Universal textures are not supported (pixelDepth 4)' });
+});
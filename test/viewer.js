@@ -0,0 +1,28 @@
+// viewer.js - test helpers: the webview's classic scripts loaded into one Node context
+// and the fixtures in test_textures/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const MEDIA_DIR = path.join(__dirname, '..', 'media');
+const TEXTURES_DIR = path.join(__dirname, '..', 'test_textures');
+
+// Runs media/<file> for each file in one shared global object and returns it
+function loadViewerScripts(...files) {
+  const viewer = { console, atob, Blob, Response, DecompressionStream, TextDecoder, performance };
+  viewer.window = viewer;
+  vm.createContext(viewer);
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(MEDIA_DIR, file), 'utf8'), viewer, { filename: file });
+  }
+  return viewer;
+}
+
+// ArrayBuffer with the bytes of test_textures/<name>
+function readFixture(name) {
+  const bytes = fs.readFileSync(path.join(TEXTURES_DIR, name));
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+module.exports = { MEDIA_DIR, TEXTURES_DIR, loadViewerScripts, readFixture };
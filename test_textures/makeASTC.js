@@ -0,0 +1,178 @@
+// makeASTC.js
+// Writes ASTC KTX2 test textures for the CPU decoder (media/astcdecode.js):
+//   astc_6x6_mips.ktx2     6x6 UNORM, 72x48 with mips (partial blocks from 9x6 down)
+//   astc_10x8_srgb.ktx2    10x8 SRGB, 80x64 with an alpha ramp
+//   astc_5x4_array.ktx2    5x4 UNORM, 40x32 x 3 layers
+// Blocks use one partition, RGBA direct endpoints (CEM 12) and a 4x4 grid of 2-bit weights,
+// with every fifth block a void-extent (constant colour) block.
+// Run with: node test_textures/makeASTC.js
+
+const fs = require('fs');
+const path = require('path');
+
+const KTX2_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+const ASTC_FOOTPRINTS = ['4x4', '5x4', '5x5', '6x5', '6x6', '8x5', '8x6', '8x8', '10x5', '10x6', '10x8', '10x10', '12x10', '12x12'];
+
+// vkFormat 157 + 2 * footprint index (+1 for SRGB)
+const astcVkFormat = (bw, bh, srgb) => 157 + ASTC_FOOTPRINTS.indexOf(`${bw}x${bh}`) * 2 + (srgb ? 1 : 0);
+
+function writeBits(block, pos, count, value) {
+  for (let i = 0; i < count; i++, pos++) {
+    if ((value >> i) & 1) block[pos >> 3] |= 1 << (pos & 7);
+  }
+}
+
+// Single-partition block blending e0 -> e1 with weights[16] (0..3, 4x4 grid, row-major)
+function astcBlock(e0, e1, weights) {
+  // RGBA direct endpoints blue-contract unless e1 is at least as bright as e0
+  if (e1[0] + e1[1] + e1[2] < e0[0] + e0[1] + e0[2]) {
+    [e0, e1] = [e1, e0];
+    weights = weights.map(w => 3 - w);
+  }
+  const block = Buffer.alloc(16);
+  writeBits(block, 0, 11, 66);  // block mode: 4x4 weight grid, 4 weight levels
+  writeBits(block, 11, 2, 0);   // one partition
+  writeBits(block, 13, 4, 12);  // CEM 12: RGBA direct
+  // 8 endpoint values at 8 bits each: r0 r1 g0 g1 b0 b1 a0 a1
+  [0, 1, 2, 3].forEach(c => {
+    writeBits(block, 17 + c * 16, 8, e0[c]);
+    writeBits(block, 25 + c * 16, 8, e1[c]);
+  });
+  // Weights fill the block downwards from bit 127
+  weights.forEach((w, i) => {
+    for (let b = 0; b < 2; b++) {
+      if ((w >> b) & 1) writeBits(block, 127 - (i * 2 + b), 1, 1);
+    }
+  });
+  return block;
+}
+
+// Void-extent block: constant UNORM16 colour, extent coordinates all ones
+function astcVoidExtent(color) {
+  const block = Buffer.alloc(16);
+  block[0] = 0xFC;
+  block[1] = 0xFD;
+  block.fill(0xFF, 2, 8);
+  color.forEach((c, i) => block.writeUInt16LE(c * 257, 8 + i * 2));
+  return block;
+}
+
+// colorAt(x, y) -> [r, g, b, a]; blocks blend the colours at their top-left and bottom-right texels
+function astcImage(width, height, bw, bh, colorAt) {
+  const blocks = [];
+  const bx0 = Math.ceil(width / bw), by0 = Math.ceil(height / bh);
+  for (let by = 0; by < by0; by++) {
+    for (let bx = 0; bx < bx0; bx++) {
+      const x = bx * bw, y = by * bh;
+      if ((bx + by * bx0) % 5 === 4) {
+        blocks.push(astcVoidExtent(colorAt(x + bw / 2, y + bh / 2)));
+        continue;
+      }
+      const weights = [];
+      for (let gy = 0; gy < 4; gy++) for (let gx = 0; gx < 4; gx++) weights.push(Math.round((gx + gy) / 2));
+      blocks.push(astcBlock(colorAt(x, y), colorAt(x + bw - 1, y + bh - 1), weights));
+    }
+  }
+  return Buffer.concat(blocks);
+}
+
+// Basic DFD for ASTC: colour model 162, one 128-bit sample
+function astcDFD(bw, bh, srgb) {
+  const dfd = Buffer.alloc(44);
+  dfd.writeUInt32LE(44, 0);
+  dfd.writeUInt32LE(0, 4);                 // vendorId / descriptorType
+  dfd.writeUInt16LE(2, 8);                 // versionNumber
+  dfd.writeUInt16LE(40, 10);               // descriptorBlockSize
+  dfd[12] = 162;                           // KHR_DF_MODEL_ASTC
+  dfd[13] = 1;                             // BT709
+  dfd[14] = srgb ? 2 : 1;                  // SRGB / LINEAR
+  dfd[15] = 0;
+  dfd[16] = bw - 1; dfd[17] = bh - 1;      // texelBlockDimension
+  dfd[20] = 16;                            // bytesPlane0
+  dfd.writeUInt16LE(0, 28);                // sample: bitOffset
+  dfd[30] = 127;                           // bitLength - 1
+  dfd[31] = 0;                             // channel: ASTC data
+  dfd.writeUInt32LE(0, 36);
+  dfd.writeUInt32LE(0xFFFFFFFF, 40);
+  return dfd;
+}
+
+function kvdEntry(key, value) {
+  const kv = Buffer.from(`${key}\0${value}\0`, 'utf8');
+  const len = Buffer.alloc(4);
+  len.writeUInt32LE(kv.length);
+  return Buffer.concat([len, kv, Buffer.alloc((4 - (kv.length % 4)) % 4)]);
+}
+
+// levels: one buffer per mip holding every layer
+function writeKTX2(file, { bw, bh, srgb, width, height, layers = 0, writer = 'makeASTC.js' }, levels) {
+  const dfd = astcDFD(bw, bh, srgb);
+  const kvd = Buffer.concat([kvdEntry('KTXorientation', 'rd'), kvdEntry('KTXwriter', writer)]);
+  const indexEnd = 80 + levels.length * 24;
+  const dfdOffset = indexEnd, kvdOffset = dfdOffset + dfd.length;
+  let pos = kvdOffset + kvd.length;
+
+  // Mip data is stored smallest level first, each aligned to the 16-byte block size
+  const offsets = [];
+  const chunks = [];
+  for (let i = levels.length - 1; i >= 0; i--) {
+    const pad = (16 - (pos % 16)) % 16;
+    chunks.push(Buffer.alloc(pad));
+    pos += pad;
+    offsets[i] = pos;
+    chunks.push(levels[i]);
+    pos += levels[i].length;
+  }
+
+  const header = Buffer.alloc(indexEnd);
+  Buffer.from(KTX2_IDENTIFIER).copy(header, 0);
+  [astcVkFormat(bw, bh, srgb), 1, width, height, 0, layers, 1, levels.length, 0,
+    dfdOffset, dfd.length, kvdOffset, kvd.length].forEach((v, i) => header.writeUInt32LE(v, 12 + i * 4));
+  levels.forEach((level, i) => {
+    const o = 80 + i * 24;
+    header.writeBigUInt64LE(BigInt(offsets[i]), o);
+    header.writeBigUInt64LE(BigInt(level.length), o + 8);
+    header.writeBigUInt64LE(BigInt(level.length), o + 16);
+  });
+
+  const buf = Buffer.concat([header, dfd, kvd, ...chunks]);
+  fs.writeFileSync(path.join(__dirname, file), buf);
+  console.log(`Wrote ${file} (${buf.length} bytes)`);
+}
+
+module.exports = { writeKTX2 };
+
+const mipCount = (w, h) => Math.floor(Math.log2(Math.max(w, h))) + 1;
+const byte = (v) => Math.max(0, Math.min(255, Math.round(v)));
+
+if (require.main === module) {
+  // 6x6 UNORM with mips: red across, green down, blue rises with the mip
+  {
+    const width = 72, height = 48, bw = 6, bh = 6;
+    const levels = [];
+    for (let m = 0; m < mipCount(width, height); m++) {
+      const w = Math.max(1, width >> m), h = Math.max(1, height >> m);
+      levels.push(astcImage(w, h, bw, bh, (x, y) => [byte(255 * x / w), byte(255 * y / h), m * 36, 255]));
+    }
+    writeKTX2('astc_6x6_mips.ktx2', { bw, bh, srgb: false, width, height }, levels);
+  }
+
+  // 10x8 SRGB: colour wheel-ish ramp with alpha falling off to the right
+  {
+    const width = 80, height = 64, bw = 10, bh = 8;
+    const level = astcImage(width, height, bw, bh, (x, y) => [
+      byte(128 + 127 * Math.sin(x / 12)), byte(128 + 127 * Math.cos(y / 10)), byte(255 * (x + y) / (width + height)),
+      byte(255 - 200 * x / width)
+    ]);
+    writeKTX2('astc_10x8_srgb.ktx2', { bw, bh, srgb: true, width, height }, [level]);
+  }
+
+  // 5x4 UNORM array: one tint per layer
+  {
+    const width = 40, height = 32, bw = 5, bh = 4;
+    const tints = [[255, 96, 32], [32, 200, 255], [160, 255, 64]];
+    const level = Buffer.concat(tints.map(t =>
+      astcImage(width, height, bw, bh, (x, y) => t.map(c => byte(c * (0.25 + 0.75 * (x + y) / (width + height)))).concat(255))));
+    writeKTX2('astc_5x4_array.ktx2', { bw, bh, srgb: false, width, height, layers: 3 }, [level]);
+  }
+}
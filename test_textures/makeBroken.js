@@ -0,0 +1,98 @@
+// makeBroken.js
+// Writes intentionally malformed KTX2 files into test_textures/broken/, each
+// derived from 2d_bc1.ktx2 with a single defect. `expected` is the error
+// parseKTX2 (media/read.js) must report when the file is opened; test/broken.test.js
+// checks every case.
+// Run with: node test_textures/makeBroken.js
+
+const fs = require('fs');
+const path = require('path');
+
+const source = fs.readFileSync(path.join(__dirname, '2d_bc1.ktx2'));
+const outDir = path.join(__dirname, 'broken');
+
+// 2d_bc1.ktx2 layout: DFD at 0xE0 (44 bytes), KVD at 0x10C (56 bytes),
+// 6 levels with level 0 last at 0x288 (800 bytes), file ends at 0x5A8
+function patch(edit) {
+  const buf = Buffer.from(source);
+  edit(buf);
+  return buf;
+}
+
+const cases = [
+  {
+    name: 'empty.ktx2',
+    data: Buffer.alloc(0),
+    expected: 'KTX2 identifier at 0x0 (12 bytes) extends past EOF at 0x0'
+  },
+  {
+    name: 'bad_identifier.ktx2',
+    data: patch(b => { b[5] = 0x31; }), // "KTX 11"
+    expected: 'Invalid KTX2 identifier (byte 0x5)'
+  },
+  {
+    name: 'truncated_header.ktx2',
+    data: source.subarray(0, 40),
+    expected: 'KTX2 header at 0xC (68 bytes) extends past EOF at 0x28'
+  },
+  {
+    name: 'truncated_level_index.ktx2',
+    data: source.subarray(0, 100),
+    expected: 'Level index (6 entries) at 0x50 (144 bytes) extends past EOF at 0x64'
+  },
+  {
+    name: 'truncated_level0.ktx2', // half-downloaded: level 0 is stored last
+    data: source.subarray(0, 1000),
+    expected: 'Level 0 data at 0x288 (800 bytes) extends past EOF at 0x3E8'
+  },
+  {
+    name: 'level_offset_overflow.ktx2',
+    data: patch(b => b.writeBigUInt64LE(1n << 60n, 80 + 3 * 24)),
+    expected: 'Level 3 data at 0x1000000000000000 (32 bytes) extends past EOF at 0x5A8'
+  },
+  {
+    name: 'dfd_out_of_bounds.ktx2',
+    data: patch(b => b.writeUInt32LE(0x2000, 52)),
+    expected: 'DFD at 0xE0 (8192 bytes) extends past EOF at 0x5A8'
+  },
+  {
+    name: 'dfd_too_short.ktx2',
+    data: patch(b => b.writeUInt32LE(16, 52)),
+    expected: 'DFD at 0xE0 is 16 bytes, too short for a basic descriptor block (28 bytes)'
+  },
+  {
+    name: 'dfd_block_size.ktx2',
+    data: patch(b => b.writeUInt16LE(200, 0xE0 + 10)),
+    expected: 'DFD descriptor block at 0xE4 has descriptorBlockSize 200, outside the DFD\'s 44 bytes'
+  },
+  {
+    name: 'kvd_out_of_bounds.ktx2',
+    data: patch(b => b.writeUInt32LE(0x600, 56)),
+    expected: 'KVD at 0x600 (56 bytes) extends past EOF at 0x5A8'
+  },
+  {
+    name: 'kvd_zero_length.ktx2',
+    data: patch(b => b.writeUInt32LE(0, 0x10C)),
+    expected: 'KVD entry at 0x10C has kvByteLength 0'
+  },
+  {
+    name: 'kvd_entry_overrun.ktx2',
+    data: patch(b => b.writeUInt32LE(200, 0x10C)),
+    expected: 'KVD entry at 0x110 (200 bytes) extends past end of KVD at 0x144'
+  },
+  {
+    name: 'sgd_out_of_bounds.ktx2',
+    data: patch(b => { b.writeBigUInt64LE(0x1000n, 64); b.writeBigUInt64LE(64n, 72); }),
+    expected: 'SGD at 0x1000 (64 bytes) extends past EOF at 0x5A8'
+  }
+];
+
+module.exports = { cases: cases.map(({ name, expected }) => ({ name, expected })) };
+
+if (require.main === module) {
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const { name, data, expected } of cases) {
+    fs.writeFileSync(path.join(outDir, name), data);
+    console.log(`${name.padEnd(28)} ${expected}`);
+  }
+}
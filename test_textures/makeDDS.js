@@ -0,0 +1,178 @@
+// makeDDS.js
+// Writes DDS test textures covering the legacy and DX10 headers:
+//   dds_dxt1_mips.dds      legacy FourCC DXT1, 64x64 with the full mip chain
+//   dds_a8r8g8b8.dds       legacy bit-mask A8R8G8B8 (BGRA in memory), 48x32
+//   dds_dx10_bc3_array.dds DX10 BC3_UNORM, 32x32 x 3 layers with mips
+//   dds_dx10_cube.dds      DX10 R8G8B8A8_UNORM cubemap, 16x16 with mips
+// Run with: node test_textures/makeDDS.js
+
+const fs = require('fs');
+const path = require('path');
+
+const DDSD_CAPS = 0x1, DDSD_HEIGHT = 0x2, DDSD_WIDTH = 0x4, DDSD_PITCH = 0x8;
+const DDSD_PIXELFORMAT = 0x1000, DDSD_MIPMAPCOUNT = 0x20000, DDSD_LINEARSIZE = 0x80000;
+const DDPF_ALPHAPIXELS = 0x1, DDPF_FOURCC = 0x4, DDPF_RGB = 0x40;
+const DDSCAPS_COMPLEX = 0x8, DDSCAPS_TEXTURE = 0x1000, DDSCAPS_MIPMAP = 0x400000;
+const DDSCAPS2_CUBEMAP_ALLFACES = 0x200 | 0xFC00;
+
+const fourCC = (s) => s.charCodeAt(0) | (s.charCodeAt(1) << 8) | (s.charCodeAt(2) << 16) | (s.charCodeAt(3) << 24);
+
+// pf: { flags, fourCC?, rgbBitCount?, masks? }; dx10: { dxgiFormat, miscFlag, arraySize }
+function writeDDS(file, { width, height, mips, pf, dx10, caps2 = 0, pitchOrLinearSize }, images) {
+  const headerSize = 4 + 124 + (dx10 ? 20 : 0);
+  const body = Buffer.concat(images);
+  const buf = Buffer.alloc(headerSize + body.length);
+  buf.write('DDS ', 0, 'latin1');
+  let flags = DDSD_CAPS | DDSD_HEIGHT | DDSD_WIDTH | DDSD_PIXELFORMAT;
+  flags |= pf.flags & DDPF_FOURCC ? DDSD_LINEARSIZE : DDSD_PITCH;
+  if (mips > 1) flags |= DDSD_MIPMAPCOUNT;
+  buf.writeUInt32LE(124, 4);
+  buf.writeUInt32LE(flags, 8);
+  buf.writeUInt32LE(height, 12);
+  buf.writeUInt32LE(width, 16);
+  buf.writeUInt32LE(pitchOrLinearSize, 20);
+  buf.writeUInt32LE(0, 24); // depth
+  buf.writeUInt32LE(mips, 28);
+  // DDS_PIXELFORMAT at 76
+  buf.writeUInt32LE(32, 76);
+  buf.writeUInt32LE(pf.flags, 80);
+  buf.writeUInt32LE((pf.fourCC || 0) >>> 0, 84);
+  buf.writeUInt32LE(pf.rgbBitCount || 0, 88);
+  (pf.masks || [0, 0, 0, 0]).forEach((m, i) => buf.writeUInt32LE(m >>> 0, 92 + i * 4));
+  let caps = DDSCAPS_TEXTURE;
+  if (mips > 1) caps |= DDSCAPS_COMPLEX | DDSCAPS_MIPMAP;
+  if (caps2 || (dx10 && dx10.arraySize > 1)) caps |= DDSCAPS_COMPLEX;
+  buf.writeUInt32LE(caps, 108);
+  buf.writeUInt32LE(caps2, 112);
+  if (dx10) {
+    buf.writeUInt32LE(dx10.dxgiFormat, 128);
+    buf.writeUInt32LE(3, 132); // D3D10_RESOURCE_DIMENSION_TEXTURE2D
+    buf.writeUInt32LE(dx10.miscFlag || 0, 136);
+    buf.writeUInt32LE(dx10.arraySize || 1, 140);
+    buf.writeUInt32LE(0, 144);
+  }
+  body.copy(buf, headerSize);
+  fs.writeFileSync(path.join(__dirname, file), buf);
+  console.log(`Wrote ${file} (${buf.length} bytes)`);
+}
+
+const to565 = ([r, g, b]) => ((r >> 3) << 11) | ((g >> 2) << 5) | (b >> 3);
+
+// BC1 block blending c0 -> c1 from left to right
+function bc1Block(c0, c1) {
+  const block = Buffer.alloc(8);
+  let a = to565(c0), b = to565(c1);
+  let swap = false;
+  if (a < b) { [a, b] = [b, a]; swap = true; }
+  if (a === b) { block.writeUInt16LE(a, 0); block.writeUInt16LE(b, 2); return block; }
+  block.writeUInt16LE(a, 0);
+  block.writeUInt16LE(b, 2);
+  // 4-color mode indices: 0 = c0, 2 = 2/3 c0, 3 = 1/3 c0, 1 = c1
+  const ramp = swap ? [1, 3, 2, 0] : [0, 2, 3, 1];
+  let indices = 0;
+  for (let y = 0; y < 4; y++) for (let x = 0; x < 4; x++) indices |= ramp[x] << ((y * 4 + x) * 2);
+  block.writeUInt32LE(indices >>> 0, 4);
+  return block;
+}
+
+// BC3 block: constant alpha plus a BC1 color ramp
+function bc3Block(alpha, c0, c1) {
+  const block = Buffer.alloc(16);
+  block[0] = alpha;
+  block[1] = alpha;
+  bc1Block(c0, c1).copy(block, 8);
+  return block;
+}
+
+function blocks(width, height, fn) {
+  const out = [];
+  const bw = Math.max(1, Math.ceil(width / 4)), bh = Math.max(1, Math.ceil(height / 4));
+  for (let by = 0; by < bh; by++) for (let bx = 0; bx < bw; bx++) out.push(fn(bx, by, bw, bh));
+  return Buffer.concat(out);
+}
+
+const mipCount = (w, h) => Math.floor(Math.log2(Math.max(w, h))) + 1;
+const MIP_COLORS = [[255, 64, 64], [64, 255, 64], [64, 64, 255], [255, 255, 64], [64, 255, 255], [255, 64, 255], [255, 255, 255]];
+
+// Legacy DXT1: every mip tinted differently so the mip slider is easy to check
+{
+  const width = 64, height = 64, mips = mipCount(width, height);
+  const images = [];
+  for (let m = 0; m < mips; m++) {
+    const w = Math.max(1, width >> m), h = Math.max(1, height >> m);
+    const tint = MIP_COLORS[m % MIP_COLORS.length];
+    images.push(blocks(w, h, (bx, by, bw, bh) => {
+      const v = Math.round(255 * by / Math.max(1, bh - 1));
+      return bc1Block(tint.map(c => (c * v) >> 8), [(bx * 255 / Math.max(1, bw - 1)) | 0, 0, 0]);
+    }));
+  }
+  writeDDS('dds_dxt1_mips.dds', {
+    width, height, mips, pitchOrLinearSize: images[0].length,
+    pf: { flags: DDPF_FOURCC, fourCC: fourCC('DXT1') }
+  }, images);
+}
+
+// Legacy A8R8G8B8 (bit masks, BGRA byte order), alpha ramp across x
+{
+  const width = 48, height = 32;
+  const px = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      px[o] = Math.round(255 * y / (height - 1));      // B
+      px[o + 1] = (x ^ y) & 8 ? 200 : 40;              // G
+      px[o + 2] = Math.round(255 * x / (width - 1));   // R
+      px[o + 3] = Math.round(64 + 191 * x / (width - 1)); // A
+    }
+  }
+  writeDDS('dds_a8r8g8b8.dds', {
+    width, height, mips: 1, pitchOrLinearSize: width * 4,
+    pf: { flags: DDPF_RGB | DDPF_ALPHAPIXELS, rgbBitCount: 32, masks: [0x00FF0000, 0x0000FF00, 0x000000FF, 0xFF000000] }
+  }, [px]);
+}
+
+// DX10 BC3 array: per layer, each element's complete mip chain
+{
+  const width = 32, height = 32, layers = 3, mips = mipCount(width, height);
+  const layerColors = [[255, 80, 0], [0, 160, 255], [120, 255, 60]];
+  const images = [];
+  for (let l = 0; l < layers; l++) {
+    for (let m = 0; m < mips; m++) {
+      const w = Math.max(1, width >> m), h = Math.max(1, height >> m);
+      images.push(blocks(w, h, (bx, by) =>
+        bc3Block(((bx + by) & 1) ? 255 : 128, layerColors[l], MIP_COLORS[m % MIP_COLORS.length])));
+    }
+  }
+  writeDDS('dds_dx10_bc3_array.dds', {
+    width, height, mips, pitchOrLinearSize: images[0].length,
+    pf: { flags: DDPF_FOURCC, fourCC: fourCC('DX10') },
+    dx10: { dxgiFormat: 77, arraySize: layers }
+  }, images);
+}
+
+// DX10 RGBA8 cubemap: faces +X -X +Y -Y +Z -Z, each with its mip chain
+{
+  const size = 16, mips = mipCount(size, size);
+  const faceColors = [[255, 0, 0], [0, 255, 255], [0, 255, 0], [255, 0, 255], [0, 0, 255], [255, 255, 0]];
+  const images = [];
+  for (let f = 0; f < 6; f++) {
+    for (let m = 0; m < mips; m++) {
+      const s = Math.max(1, size >> m);
+      const px = Buffer.alloc(s * s * 4);
+      for (let y = 0; y < s; y++) {
+        for (let x = 0; x < s; x++) {
+          const o = (y * s + x) * 4;
+          const shade = (x + y) & 1 ? 1 : 0.6;
+          faceColors[f].forEach((c, i) => { px[o + i] = Math.round(c * shade); });
+          px[o + 3] = 255;
+        }
+      }
+      images.push(px);
+    }
+  }
+  writeDDS('dds_dx10_cube.dds', {
+    width: size, height: size, mips, pitchOrLinearSize: size * 4, caps2: DDSCAPS2_CUBEMAP_ALLFACES,
+    pf: { flags: DDPF_FOURCC, fourCC: fourCC('DX10') },
+    dx10: { dxgiFormat: 28, miscFlag: 0x4, arraySize: 1 }
+  }, images);
+}
@@ -0,0 +1,414 @@
+// makeEXR.js
+// Writes HDR test images for the Radiance and OpenEXR loaders (media/hdr.js,
+// media/exr.js): the same 67×45 gradient (values up to 16, odd size so PIZ and
+// ZIP get partial blocks and odd wavelet rows/columns) as OpenEXR with every
+// supported compression and as an adaptive-RLE Radiance file.
+// Run with: node test_textures/makeEXR.js
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const WIDTH = 67;
+const HEIGHT = 45;
+
+function pixel(x, y) {
+  const u = x / (WIDTH - 1), v = y / (HEIGHT - 1);
+  return [16 * u * u, 4 * v, 0.25 + 0.2 * Math.sin(x * 0.5) * Math.cos(y * 0.3), u];
+}
+
+function floatToHalf(val) {
+  const f = new Float32Array([val]);
+  const x = new Uint32Array(f.buffer)[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = ((x >>> 23) & 0xFF) - 112;
+  const mant = x & 0x7FFFFF;
+  if (exp <= 0) {
+    if (exp < -10) return sign;
+    return sign | ((mant | 0x800000) >> (14 - exp));
+  }
+  if (exp >= 31) return sign | 0x7C00;
+  return sign | (exp << 10) | (mant >> 13);
+}
+
+// OPENEXR
+
+const PIXEL_BYTES = { 1: 2, 2: 4 }; // HALF, FLOAT
+
+// Channels in name order, as OpenEXR stores them
+function channelList(names, pixelType) {
+  return names.slice().sort().map(name => ({ name, pixelType }));
+}
+
+// Uncompressed bytes of lines [y0, y0 + lines): per line, each channel in turn
+function scanlineBlock(channels, y0, lines) {
+  const out = [];
+  for (let y = y0; y < y0 + lines; y++) {
+    for (const ch of channels) {
+      const c = 'RGBA'.indexOf(ch.name);
+      const buf = Buffer.alloc(WIDTH * PIXEL_BYTES[ch.pixelType]);
+      for (let x = 0; x < WIDTH; x++) {
+        const value = pixel(x, y)[c];
+        if (ch.pixelType === 1) buf.writeUInt16LE(floatToHalf(value), x * 2);
+        else buf.writeFloatLE(value, x * 4);
+      }
+      out.push(buf);
+    }
+  }
+  return Buffer.concat(out);
+}
+
+// ZIP and RLE: split even/odd bytes, then delta-encode
+function predictAndSplit(data) {
+  const tmp = Buffer.alloc(data.length);
+  const half = (data.length + 1) >> 1;
+  for (let i = 0; i < data.length; i++) tmp[i & 1 ? half + (i >> 1) : i >> 1] = data[i];
+  for (let i = tmp.length - 1; i > 0; i--) tmp[i] = (tmp[i] - tmp[i - 1] + 128) & 0xFF;
+  return tmp;
+}
+
+function compressRLE(data) {
+  const src = predictAndSplit(data);
+  const out = [];
+  let i = 0;
+  while (i < src.length) {
+    let run = 1;
+    while (i + run < src.length && src[i + run] === src[i] && run < 128) run++;
+    if (run >= 3) {
+      out.push(run - 1, src[i]);
+      i += run;
+      continue;
+    }
+    let n = 0;
+    while (i + n < src.length && n < 127 &&
+      !(src[i + n] === src[i + n + 1] && src[i + n] === src[i + n + 2])) n++;
+    out.push(256 - n, ...src.subarray(i, i + n));
+    i += n;
+  }
+  return Buffer.from(out);
+}
+
+// PIZ: value remapping, Haar wavelet and Huffman coding, mirroring the
+// OpenEXR library (ImfPizCompressor, ImfWav, ImfHuf)
+
+function wenc14(a, b) {
+  const as = (a << 16) >> 16, bs = (b << 16) >> 16;
+  return [((as + bs) >> 1) & 0xFFFF, (as - bs) & 0xFFFF];
+}
+
+function wav2Encode(buf, start, nx, ox, ny, oy) {
+  const n = Math.min(nx, ny);
+  let p = 1, p2 = 2;
+  while (p2 <= n) {
+    let py = start;
+    const ey = start + oy * (ny - p2);
+    const oy1 = oy * p, oy2 = oy * p2, ox1 = ox * p, ox2 = ox * p2;
+    for (; py <= ey; py += oy2) {
+      let px = py;
+      const ex = py + ox * (nx - p2);
+      for (; px <= ex; px += ox2) {
+        const p01 = px + ox1, p10 = px + oy1, p11 = p10 + ox1;
+        const [i00, i01] = wenc14(buf[px], buf[p01]);
+        const [i10, i11] = wenc14(buf[p10], buf[p11]);
+        [buf[px], buf[p10]] = wenc14(i00, i10);
+        [buf[p01], buf[p11]] = wenc14(i01, i11);
+      }
+      if (nx & p) {
+        const p10 = px + oy1;
+        [buf[px], buf[p10]] = wenc14(buf[px], buf[p10]);
+      }
+    }
+    if (ny & p) {
+      let px = py;
+      const ex = py + ox * (nx - p2);
+      for (; px <= ex; px += ox2) {
+        const p01 = px + ox1;
+        [buf[px], buf[p01]] = wenc14(buf[px], buf[p01]);
+      }
+    }
+    p = p2;
+    p2 <<= 1;
+  }
+}
+
+function bitWriter() {
+  const bits = [];
+  return {
+    bits,
+    put(n, value) {
+      for (let i = n - 1; i >= 0; i--) bits.push(Math.floor(value / 2 ** i) % 2);
+    },
+    bytes() {
+      const out = Buffer.alloc(Math.ceil(bits.length / 8));
+      bits.forEach((b, i) => { out[i >> 3] |= b << (7 - (i & 7)); });
+      return out;
+    }
+  };
+}
+
+// Code lengths from symbol frequencies (plain Huffman tree, two-queue method)
+function huffmanLengths(freq) {
+  const leaves = [];
+  freq.forEach((f, symbol) => { if (f > 0) leaves.push({ f, symbol }); });
+  leaves.sort((a, b) => a.f - b.f);
+  const lengths = new Array(freq.length).fill(0);
+  if (leaves.length === 1) lengths[leaves[0].symbol] = 1;
+
+  const merged = [];
+  let i = 0, j = 0;
+  const next = () => (j >= merged.length || (i < leaves.length && leaves[i].f <= merged[j].f)
+    ? leaves[i++] : merged[j++]);
+  while (leaves.length - i + merged.length - j > 1) {
+    const a = next(), b = next();
+    merged.push({ f: a.f + b.f, children: [a, b] });
+  }
+  const walk = (node, depth) => {
+    if (node.children) node.children.forEach(child => walk(child, depth + 1));
+    else lengths[node.symbol] = depth;
+  };
+  if (merged.length) walk(merged[merged.length - 1], 0);
+  return lengths;
+}
+
+// Canonical codes as in hufCanonicalCodeTable: longer codes get the lower values
+function canonicalCodes(lengths) {
+  const n = new Array(59).fill(0);
+  for (const l of lengths) n[l]++;
+  let c = 0;
+  for (let i = 58; i > 0; i--) {
+    const nc = Math.floor((c + n[i]) / 2);
+    n[i] = c;
+    c = nc;
+  }
+  return lengths.map(l => (l > 0 ? n[l]++ : 0));
+}
+
+function hufCompress(values) {
+  const freq = new Array(65537).fill(0);
+  for (const v of values) freq[v]++;
+  let im = 0;
+  while (!freq[im]) im++;
+  let iM = 65535;
+  while (!freq[iM]) iM--;
+  const rlc = ++iM; // pseudo-symbol for runs
+  freq[rlc] = 1;
+
+  const lengths = huffmanLengths(freq);
+  const codes = canonicalCodes(lengths);
+
+  // Table: 6-bit lengths, zero runs packed as in hufPackEncTable
+  const table = bitWriter();
+  for (let i = im; i <= iM; i++) {
+    if (lengths[i] === 0) {
+      let run = 1;
+      while (i + run <= iM && lengths[i + run] === 0 && run < 255 + 6) run++;
+      if (run >= 6) { table.put(6, 63); table.put(8, run - 6); i += run - 1; continue; }
+      if (run >= 2) { table.put(6, 59 + run - 2); i += run - 1; continue; }
+    }
+    table.put(6, lengths[i]);
+  }
+
+  // Data: runs of a repeated value become value, rlc, 8-bit count
+  const data = bitWriter();
+  const send = (symbol) => data.put(lengths[symbol], codes[symbol]);
+  for (let i = 0; i < values.length;) {
+    let run = 0;
+    while (i + run + 1 < values.length && values[i + run + 1] === values[i] && run < 255) run++;
+    send(values[i]);
+    if (lengths[values[i]] + lengths[rlc] + 8 < lengths[values[i]] * run) {
+      send(rlc);
+      data.put(8, run);
+    } else {
+      for (let k = 0; k < run; k++) send(values[i]);
+    }
+    i += run + 1;
+  }
+
+  const header = Buffer.alloc(20);
+  const tableBytes = table.bytes();
+  header.writeUInt32LE(im, 0);
+  header.writeUInt32LE(iM, 4);
+  header.writeUInt32LE(tableBytes.length, 8);
+  header.writeUInt32LE(data.bits.length, 12);
+  return Buffer.concat([header, tableBytes, data.bytes()]);
+}
+
+function compressPIZ(data, channels, lines) {
+  // Scanline order -> one plane per channel, in 16-bit units
+  const src = new Uint16Array(data.buffer, data.byteOffset, data.length / 2);
+  const units = channels.map(ch => PIXEL_BYTES[ch.pixelType] / 2);
+  const planes = units.map(u => new Uint16Array(WIDTH * lines * u));
+  let s = 0;
+  for (let y = 0; y < lines; y++) {
+    units.forEach((u, c) => {
+      const n = WIDTH * u;
+      planes[c].set(src.subarray(s, s + n), y * n);
+      s += n;
+    });
+  }
+  const tmp = new Uint16Array(src.length);
+  let o = 0;
+  for (const plane of planes) { tmp.set(plane, o); o += plane.length; }
+
+  // Bitmap of used values (zero is implied) and the forward lookup
+  const bitmap = Buffer.alloc(8192);
+  for (const v of tmp) bitmap[v >> 3] |= 1 << (v & 7);
+  bitmap[0] &= ~1;
+  let minNonZero = 8191, maxNonZero = 0;
+  for (let i = 0; i < 8192; i++) {
+    if (bitmap[i]) { minNonZero = Math.min(minNonZero, i); maxNonZero = i; }
+  }
+  const lut = new Uint16Array(65536);
+  let k = 0;
+  for (let i = 0; i < 65536; i++) {
+    if (i === 0 || (bitmap[i >> 3] & (1 << (i & 7)))) lut[i] = k++;
+  }
+  for (let i = 0; i < tmp.length; i++) tmp[i] = lut[tmp[i]];
+  if (k - 1 >= (1 << 14)) throw new Error('test image needs the 16-bit wavelet, which this encoder does not implement');
+
+  o = 0;
+  for (const u of units) {
+    for (let j = 0; j < u; j++) wav2Encode(tmp, o + j, WIDTH, u, lines, WIDTH * u);
+    o += WIDTH * lines * u;
+  }
+
+  const range = Buffer.alloc(4);
+  range.writeUInt16LE(minNonZero, 0);
+  range.writeUInt16LE(maxNonZero, 2);
+  const huf = hufCompress(tmp);
+  const length = Buffer.alloc(4);
+  length.writeInt32LE(huf.length, 0);
+  const parts = [range];
+  if (minNonZero <= maxNonZero) parts.push(bitmap.subarray(minNonZero, maxNonZero + 1));
+  return Buffer.concat([...parts, length, huf]);
+}
+
+const COMPRESSIONS = {
+  NONE: { id: 0, lines: 1, compress: (data) => data },
+  RLE: { id: 1, lines: 1, compress: compressRLE },
+  ZIPS: { id: 2, lines: 1, compress: (data) => zlib.deflateSync(predictAndSplit(data)) },
+  ZIP: { id: 3, lines: 16, compress: (data) => zlib.deflateSync(predictAndSplit(data)) },
+  PIZ: { id: 4, lines: 32, compress: compressPIZ }
+};
+
+function attribute(name, type, value) {
+  const size = Buffer.alloc(4);
+  size.writeInt32LE(value.length, 0);
+  return Buffer.concat([Buffer.from(`${name}\0${type}\0`, 'latin1'), size, value]);
+}
+
+function box2i(xMax, yMax) {
+  const b = Buffer.alloc(16);
+  b.writeInt32LE(xMax, 8);
+  b.writeInt32LE(yMax, 12);
+  return b;
+}
+
+function writeEXR(file, compressionName, channelNames, pixelType) {
+  const { id, lines: linesPerBlock, compress } = COMPRESSIONS[compressionName];
+  const channels = channelList(channelNames, pixelType);
+
+  const chlist = Buffer.concat([
+    ...channels.map(ch => {
+      const info = Buffer.alloc(16);
+      info.writeInt32LE(ch.pixelType, 0);
+      info.writeInt32LE(1, 8);  // xSampling
+      info.writeInt32LE(1, 12); // ySampling
+      return Buffer.concat([Buffer.from(ch.name + '\0', 'latin1'), info]);
+    }),
+    Buffer.from([0])
+  ]);
+  const float = (v) => { const b = Buffer.alloc(4); b.writeFloatLE(v, 0); return b; };
+  const header = Buffer.concat([
+    Buffer.from([0x76, 0x2F, 0x31, 0x01, 2, 0, 0, 0]),
+    attribute('channels', 'chlist', chlist),
+    attribute('compression', 'compression', Buffer.from([id])),
+    attribute('dataWindow', 'box2i', box2i(WIDTH - 1, HEIGHT - 1)),
+    attribute('displayWindow', 'box2i', box2i(WIDTH - 1, HEIGHT - 1)),
+    attribute('lineOrder', 'lineOrder', Buffer.from([0])),
+    attribute('pixelAspectRatio', 'float', float(1)),
+    attribute('screenWindowCenter', 'v2f', Buffer.alloc(8)),
+    attribute('screenWindowWidth', 'float', float(1)),
+    Buffer.from([0])
+  ]);
+
+  const blockCount = Math.ceil(HEIGHT / linesPerBlock);
+  const offsets = Buffer.alloc(blockCount * 8);
+  const chunks = [];
+  let offset = header.length + offsets.length;
+  for (let b = 0; b < blockCount; b++) {
+    const y0 = b * linesPerBlock;
+    const lines = Math.min(linesPerBlock, HEIGHT - y0);
+    const raw = scanlineBlock(channels, y0, lines);
+    let data = compress(raw, channels, lines);
+    if (data.length >= raw.length) data = raw; // stored uncompressed, as OpenEXR does
+    const chunkHeader = Buffer.alloc(8);
+    chunkHeader.writeInt32LE(y0, 0);
+    chunkHeader.writeInt32LE(data.length, 4);
+    offsets.writeBigUInt64LE(BigInt(offset), b * 8);
+    chunks.push(chunkHeader, data);
+    offset += 8 + data.length;
+  }
+
+  const out = Buffer.concat([header, offsets, ...chunks]);
+  fs.writeFileSync(path.join(__dirname, file), out);
+  console.log(`${file.padEnd(22)} ${compressionName.padEnd(5)} ${channels.map(c => c.name).join('')} ${pixelType === 1 ? 'half' : 'float'} ${out.length} bytes`);
+}
+
+// RADIANCE
+
+function toRGBE([r, g, b]) {
+  const m = Math.max(r, g, b);
+  if (m < 1e-32) return [0, 0, 0, 0];
+  const e = Math.ceil(Math.log2(m + 1e-9));
+  const scale = 256 / 2 ** e;
+  return [r, g, b].map(c => Math.min(255, Math.floor(c * scale))).concat(e + 128);
+}
+
+// Adaptive RLE: each component of a scanline separately, runs of 3+ as (128 + n, value)
+function writeRadiance(file) {
+  const parts = [Buffer.from(`#?RADIANCE\nFORMAT=32-bit_rle_rgbe\n\n-Y ${HEIGHT} +X ${WIDTH}\n`, 'latin1')];
+  for (let y = 0; y < HEIGHT; y++) {
+    const rgbe = [];
+    for (let x = 0; x < WIDTH; x++) rgbe.push(toRGBE(pixel(x, y)));
+    const line = [2, 2, WIDTH >> 8, WIDTH & 0xFF];
+    for (let c = 0; c < 4; c++) {
+      const values = rgbe.map(p => p[c]);
+      for (let x = 0; x < WIDTH;) {
+        let run = 1;
+        while (x + run < WIDTH && values[x + run] === values[x] && run < 127) run++;
+        if (run >= 3) {
+          line.push(128 + run, values[x]);
+          x += run;
+          continue;
+        }
+        let n = 0;
+        while (x + n < WIDTH && n < 128 &&
+          !(values[x + n] === values[x + n + 1] && values[x + n] === values[x + n + 2])) n++;
+        line.push(n, ...values.slice(x, x + n));
+        x += n;
+      }
+    }
+    parts.push(Buffer.from(line));
+  }
+  const out = Buffer.concat(parts);
+  fs.writeFileSync(path.join(__dirname, file), out);
+  console.log(`${file.padEnd(22)} adaptive RLE RGBE ${out.length} bytes`);
+}
+
+// The files, for the tests: which channels each holds and in what pixel type
+const files = [
+  { file: 'exr_none_half.exr', compression: 'NONE', channels: ['R', 'G', 'B', 'A'], pixelType: 1 },
+  { file: 'exr_rle_half.exr', compression: 'RLE', channels: ['R', 'G', 'B', 'A'], pixelType: 1 },
+  { file: 'exr_zips_half.exr', compression: 'ZIPS', channels: ['R', 'G', 'B', 'A'], pixelType: 1 },
+  { file: 'exr_zip_float.exr', compression: 'ZIP', channels: ['R', 'G', 'B'], pixelType: 2 },
+  { file: 'exr_piz_half.exr', compression: 'PIZ', channels: ['R', 'G', 'B', 'A'], pixelType: 1 },
+  { file: 'exr_piz_float.exr', compression: 'PIZ', channels: ['R', 'G', 'B'], pixelType: 2 }
+];
+
+module.exports = { WIDTH, HEIGHT, pixel, floatToHalf, toRGBE, files };
+
+if (require.main === module) {
+  for (const { file, compression, channels, pixelType } of files) writeEXR(file, compression, channels, pixelType);
+  writeRadiance('hdr_rle.hdr');
+}
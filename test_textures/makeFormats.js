@@ -0,0 +1,194 @@
+// makeFormats.js
+// Writes KTX2 test textures for the uncompressed formats uploaded natively or converted by
+// media/pixelconvert.js (layout taken from the vkFormat registry in media/formats.js):
+//   r8_unorm_mips.ktx2      R8 UNORM roughness, 64x64 with mips
+//   r16_unorm.ktx2          R16 UNORM height rings
+//   r16_uint.ktx2           R16 UINT region ids 0..15
+//   r32_sfloat.ktx2         R32 SFLOAT height in metres (0..8)
+//   rg8_unorm.ktx2          RG8 UNORM flow map (0.5 = no flow)
+//   rg16_snorm.ktx2         RG16 SNORM flow map
+//   rg16_sfloat.ktx2        RG16 SFLOAT flow map
+//   bgra8_srgb.ktx2         B8G8R8A8 SRGB colour bars with an alpha ramp
+//   r5g6b5.ktx2, r4g4b4a4.ktx2, a1r5g5b5.ktx2   packed 16-bit colour bars
+// Run with: node test_textures/makeFormats.js
+
+const fs = require('fs');
+const path = require('path');
+const { getVkFormatInfo } = require('../media/formats.js');
+
+const KTX2_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+const DFD_CHANNEL = { R: 0, G: 1, B: 2, A: 15 };
+const DFD_SIGNED = 0x40, DFD_FLOAT = 0x80;
+
+// Basic RGBSDA DFD with one sample per component; packed formats list the first
+// component in the most significant bits
+function formatDFD(info) {
+  const samples = [];
+  const packed = /_PACK\d+$/.test(info.name);
+  let bitOffset = packed ? info.bytesPerBlock * 8 : 0;
+  Array.from(info.channels).forEach((channel, i) => {
+    const bits = info.componentBits[i];
+    if (packed) bitOffset -= bits;
+    const signed = /SNORM|SINT|SFLOAT/.test(info.numeric);
+    const float = info.numeric === 'SFLOAT';
+    let lower = 0, upper;
+    if (float) { lower = signed ? 0xBF800000 : 0; upper = 0x3F800000; }
+    else if (/INT/.test(info.numeric)) upper = 1;
+    else if (signed) { upper = 2 ** (bits - 1) - 1; lower = (-upper) >>> 0; }
+    else upper = 2 ** bits - 1;
+    samples.push({ bitOffset, bits, type: DFD_CHANNEL[channel] | (signed ? DFD_SIGNED : 0) | (float ? DFD_FLOAT : 0), lower, upper });
+    if (!packed) bitOffset += bits;
+  });
+
+  const size = 28 + samples.length * 16;
+  const dfd = Buffer.alloc(size);
+  dfd.writeUInt32LE(size, 0);
+  dfd.writeUInt32LE(0, 4);                 // vendorId / descriptorType
+  dfd.writeUInt16LE(2, 8);                 // versionNumber
+  dfd.writeUInt16LE(size - 4, 10);         // descriptorBlockSize
+  dfd[12] = 1;                             // KHR_DF_MODEL_RGBSDA
+  dfd[13] = 1;                             // BT709
+  dfd[14] = info.srgb ? 2 : 1;             // SRGB / LINEAR
+  dfd[20] = info.bytesPerBlock;            // bytesPlane0
+  samples.forEach((s, i) => {
+    const o = 28 + i * 16;
+    dfd.writeUInt16LE(s.bitOffset, o);
+    dfd[o + 2] = s.bits - 1;
+    dfd[o + 3] = s.type;
+    dfd.writeUInt32LE(s.lower, o + 8);
+    dfd.writeUInt32LE(s.upper, o + 12);
+  });
+  return dfd;
+}
+
+function kvdEntry(key, value) {
+  const kv = Buffer.from(`${key}\0${value}\0`, 'utf8');
+  const len = Buffer.alloc(4);
+  len.writeUInt32LE(kv.length);
+  return Buffer.concat([len, kv, Buffer.alloc((4 - (kv.length % 4)) % 4)]);
+}
+
+// Encodes texel(x, y, level) -> component values in channel order
+function writeTexels(info, w, h, level, texel) {
+  const out = Buffer.alloc(w * h * info.bytesPerBlock);
+  const packed = /_PACK\d+$/.test(info.name);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const values = texel(x, y, level);
+      const o = (y * w + x) * info.bytesPerBlock;
+      if (packed) {
+        let word = 0;
+        values.forEach((v, i) => { word = word * 2 ** info.componentBits[i] + v; });
+        out.writeUIntLE(word, o, info.bytesPerBlock);
+        continue;
+      }
+      values.forEach((v, i) => {
+        const p = o + i * info.typeSize;
+        if (info.numeric === 'SFLOAT') {
+          if (info.typeSize === 4) out.writeFloatLE(v, p);
+          else out.writeUInt16LE(floatToHalf(v), p);
+        } else if (/SNORM|SINT/.test(info.numeric)) out.writeIntLE(v, p, info.typeSize);
+        else out.writeUIntLE(v, p, info.typeSize);
+      });
+    }
+  }
+  return out;
+}
+
+function floatToHalf(v) {
+  const f = new Float32Array([v]);
+  const x = new Uint32Array(f.buffer)[0];
+  const sign = (x >>> 16) & 0x8000;
+  const e = ((x >>> 23) & 0xFF) - 112;
+  if (e <= 0) return sign;
+  if (e >= 31) return sign | 0x7C00;
+  return sign | (e << 10) | ((x >>> 13) & 0x3FF);
+}
+
+function writeKTX2(file, vkFormat, width, height, levelCount, texel) {
+  const info = getVkFormatInfo(vkFormat);
+  const levels = [];
+  for (let m = 0; m < levelCount; m++) {
+    levels.push(writeTexels(info, Math.max(1, width >> m), Math.max(1, height >> m), m, texel));
+  }
+  const dfd = formatDFD(info);
+  const kvd = Buffer.concat([kvdEntry('KTXorientation', 'rd'), kvdEntry('KTXwriter', 'makeFormats.js')]);
+  const indexEnd = 80 + levels.length * 24;
+  const dfdOffset = indexEnd, kvdOffset = dfdOffset + dfd.length;
+  let pos = kvdOffset + kvd.length;
+
+  // Mip data is stored smallest level first, each aligned to lcm(texel size, 4)
+  const align = info.bytesPerBlock % 4 === 0 ? info.bytesPerBlock : (info.bytesPerBlock % 2 === 0 ? 4 : 4 * info.bytesPerBlock);
+  const offsets = [];
+  const chunks = [];
+  for (let i = levels.length - 1; i >= 0; i--) {
+    const pad = (align - (pos % align)) % align;
+    chunks.push(Buffer.alloc(pad));
+    pos += pad;
+    offsets[i] = pos;
+    chunks.push(levels[i]);
+    pos += levels[i].length;
+  }
+
+  const header = Buffer.alloc(indexEnd);
+  Buffer.from(KTX2_IDENTIFIER).copy(header, 0);
+  [vkFormat, info.typeSize, width, height, 0, 0, 1, levels.length, 0,
+    dfdOffset, dfd.length, kvdOffset, kvd.length].forEach((v, i) => header.writeUInt32LE(v, 12 + i * 4));
+  levels.forEach((level, i) => {
+    const o = 80 + i * 24;
+    header.writeBigUInt64LE(BigInt(offsets[i]), o);
+    header.writeBigUInt64LE(BigInt(level.length), o + 8);
+    header.writeBigUInt64LE(BigInt(level.length), o + 16);
+  });
+
+  const buf = Buffer.concat([header, dfd, kvd, ...chunks]);
+  fs.writeFileSync(path.join(__dirname, file), buf);
+  console.log(`Wrote ${file} (${buf.length} bytes)`);
+}
+
+const W = 64, H = 64;
+const mipCount = Math.floor(Math.log2(Math.max(W, H))) + 1;
+// Normalized coordinates of texel (x, y) in mip level
+const uv = (x, y, level) => [(x + 0.5) / Math.max(1, W >> level), (y + 0.5) / Math.max(1, H >> level)];
+const flow = (x, y, level) => {
+  const [u, v] = uv(x, y, level);
+  const a = Math.atan2(v - 0.5, u - 0.5) + Math.PI / 2;
+  const r = Math.min(1, Math.hypot(u - 0.5, v - 0.5) * 2);
+  return [Math.cos(a) * r, Math.sin(a) * r];
+};
+const height = (x, y, level) => {
+  const [u, v] = uv(x, y, level);
+  return 0.5 + 0.5 * Math.cos(Math.hypot(u - 0.5, v - 0.5) * 24);
+};
+// Eight vertical colour bars, alpha fading downwards
+const bars = (x, y, level) => {
+  const [u, v] = uv(x, y, level);
+  const bar = Math.floor(u * 8);
+  return [bar & 1, (bar >> 1) & 1, (bar >> 2) & 1, 1 - v];
+};
+const q = (v, bits) => Math.round(Math.max(0, Math.min(1, v)) * (2 ** bits - 1));
+
+writeKTX2('r8_unorm_mips.ktx2', 9, W, H, mipCount, (x, y, level) => {
+  const [u, v] = uv(x, y, level);
+  return [q(0.15 + 0.7 * u * v + 0.1 * Math.sin(level), 8)];
+});
+writeKTX2('r16_unorm.ktx2', 70, W, H, 1, (x, y) => [q(height(x, y, 0), 16)]);
+writeKTX2('r16_uint.ktx2', 74, W, H, 1, (x, y) => [(x >> 4) + (y >> 4) * 4]);
+writeKTX2('r32_sfloat.ktx2', 100, W, H, 1, (x, y) => [8 * height(x, y, 0)]);
+writeKTX2('rg8_unorm.ktx2', 16, W, H, 1, (x, y) => flow(x, y, 0).map(c => q(c * 0.5 + 0.5, 8)));
+writeKTX2('rg16_snorm.ktx2', 78, W, H, 1, (x, y) => flow(x, y, 0).map(c => Math.round(c * 32767)));
+writeKTX2('rg16_sfloat.ktx2', 83, W, H, 1, (x, y) => flow(x, y, 0));
+writeKTX2('bgra8_srgb.ktx2', 50, W, H, 1, (x, y) => {
+  const [r, g, b, a] = bars(x, y, 0);
+  return [b, g, r, a].map(c => q(c, 8));
+});
+writeKTX2('r5g6b5.ktx2', 4, W, H, 1, (x, y) => {
+  const [r, g, b] = bars(x, y, 0);
+  const [, v] = uv(x, y, 0);
+  return [q(r * (1 - v / 2), 5), q(g * (1 - v / 2), 6), q(b * (1 - v / 2), 5)];
+});
+writeKTX2('r4g4b4a4.ktx2', 2, W, H, 1, (x, y) => bars(x, y, 0).map(c => q(c, 4)));
+writeKTX2('a1r5g5b5.ktx2', 8, W, H, 1, (x, y) => {
+  const [r, g, b] = bars(x, y, 0);
+  return [(x >> 3) & 1 ^ (y >> 3) & 1, q(r, 5), q(g, 5), q(b, 5)];
+});
@@ -0,0 +1,212 @@
+// makeGLTF.js
+// Writes glTF scenes for the scene preview:
+//   gltf_spheres.glb         5x5 UV spheres sweeping metallic (x) and roughness (y), plus a blended
+//                            glass sphere and a mirrored (negative scale) copy, buffer in the BIN chunk
+//   gltf_basisu_cube.gltf    textured cube with an external gltf_basisu_cube.bin; its texture uses
+//   gltf_basisu_cube.bin     KHR_texture_basisu with 2d_etc1s.ktx2 and an embedded PNG checkerboard fallback
+// Run with: node test_textures/makeGLTF.js
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const FLOAT = 5126, UNSIGNED_INT = 5125;
+const ARRAY_BUFFER = 34962, ELEMENT_ARRAY_BUFFER = 34963;
+
+// Accumulates typed arrays into one buffer with 4-byte aligned buffer views and accessors
+function createBufferBuilder() {
+  const chunks = [];
+  const bufferViews = [];
+  const accessors = [];
+  let byteLength = 0;
+  return {
+    bufferViews, accessors,
+    add(array, type, target, minMax) {
+      const bytes = Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+      bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length, target });
+      chunks.push(bytes, Buffer.alloc((4 - bytes.length % 4) % 4));
+      byteLength += bytes.length + (4 - bytes.length % 4) % 4;
+      const componentType = array instanceof Uint32Array ? UNSIGNED_INT : FLOAT;
+      const size = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }[type];
+      accessors.push({ bufferView: bufferViews.length - 1, componentType, count: array.length / size, type, ...minMax });
+      return accessors.length - 1;
+    },
+    finish: () => Buffer.concat(chunks)
+  };
+}
+
+function bounds(positions) {
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i++) {
+    min[i % 3] = Math.min(min[i % 3], positions[i]);
+    max[i % 3] = Math.max(max[i % 3], positions[i]);
+  }
+  return { min, max };
+}
+
+function uvSphere(radius, rings, segments) {
+  const positions = [], normals = [], uvs = [], indices = [];
+  for (let r = 0; r <= rings; r++) {
+    const theta = r / rings * Math.PI;
+    for (let s = 0; s <= segments; s++) {
+      const phi = s / segments * 2 * Math.PI;
+      const n = [Math.sin(theta) * Math.sin(phi), Math.cos(theta), Math.sin(theta) * Math.cos(phi)];
+      normals.push(...n);
+      positions.push(...n.map(v => v * radius));
+      uvs.push(s / segments, r / rings);
+    }
+  }
+  for (let r = 0; r < rings; r++) {
+    for (let s = 0; s < segments; s++) {
+      const a = r * (segments + 1) + s, b = a + segments + 1;
+      indices.push(a, b, a + 1, a + 1, b, b + 1);
+    }
+  }
+  return {
+    positions: new Float32Array(positions), normals: new Float32Array(normals),
+    uvs: new Float32Array(uvs), indices: new Uint32Array(indices)
+  };
+}
+
+function cube(size) {
+  const positions = [], normals = [], uvs = [], indices = [];
+  const faces = [
+    [[1, 0, 0], [0, 0, -1], [0, 1, 0]], [[-1, 0, 0], [0, 0, 1], [0, 1, 0]],
+    [[0, 1, 0], [1, 0, 0], [0, 0, -1]], [[0, -1, 0], [1, 0, 0], [0, 0, 1]],
+    [[0, 0, 1], [1, 0, 0], [0, 1, 0]], [[0, 0, -1], [-1, 0, 0], [0, 1, 0]]
+  ];
+  for (const [n, u, v] of faces) {
+    const base = positions.length / 3;
+    for (const [su, sv] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+      positions.push(...n.map((c, i) => (c + su * u[i] + sv * v[i]) * size / 2));
+      normals.push(...n);
+      uvs.push((su + 1) / 2, (1 - sv) / 2);
+    }
+    indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+  }
+  return {
+    positions: new Float32Array(positions), normals: new Float32Array(normals),
+    uvs: new Float32Array(uvs), indices: new Uint32Array(indices)
+  };
+}
+
+// Primitive without a material; meshes sharing the geometry reuse its accessors
+function addGeometry(builder, geometry) {
+  const attributes = {
+    POSITION: builder.add(geometry.positions, 'VEC3', ARRAY_BUFFER, bounds(geometry.positions)),
+    NORMAL: builder.add(geometry.normals, 'VEC3', ARRAY_BUFFER),
+    TEXCOORD_0: builder.add(geometry.uvs, 'VEC2', ARRAY_BUFFER)
+  };
+  return { attributes, indices: builder.add(geometry.indices, 'SCALAR', ELEMENT_ARRAY_BUFFER) };
+}
+
+function writeGLB(file, json, bin) {
+  const jsonBytes = Buffer.from(JSON.stringify(json));
+  const jsonChunk = Buffer.concat([jsonBytes, Buffer.alloc((4 - jsonBytes.length % 4) % 4, 0x20)]);
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546C67, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + 8 + jsonChunk.length + 8 + bin.length, 8);
+  const chunkHeader = (length, type) => {
+    const b = Buffer.alloc(8);
+    b.writeUInt32LE(length, 0);
+    b.writeUInt32LE(type, 4);
+    return b;
+  };
+  fs.writeFileSync(file, Buffer.concat([
+    header, chunkHeader(jsonChunk.length, 0x4E4F534A), jsonChunk, chunkHeader(bin.length, 0x004E4942), bin
+  ]));
+}
+
+function crc32(bytes) {
+  let crc = ~0;
+  for (const b of bytes) {
+    crc ^= b;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+  }
+  return ~crc >>> 0;
+}
+
+// 8-bit RGB PNG from a pixel callback
+function encodePNG(width, height, pixel) {
+  const raw = Buffer.alloc(height * (1 + width * 3));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) raw.set(pixel(x, y), y * (1 + width * 3) + 1 + x * 3);
+  }
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 2;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', ihdr), chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+const asset = { version: '2.0', generator: 'makeGLTF.js' };
+
+// Metallic/roughness sweep
+{
+  const builder = createBufferBuilder();
+  const materials = [];
+  const meshes = [];
+  const nodes = [];
+  const sphere = addGeometry(builder, uvSphere(0.45, 24, 48));
+  for (let y = 0; y < 5; y++) {
+    for (let x = 0; x < 5; x++) {
+      materials.push({
+        name: `metallic ${x / 4} roughness ${y / 4}`,
+        pbrMetallicRoughness: { baseColorFactor: [0.9, 0.3, 0.2, 1], metallicFactor: x / 4, roughnessFactor: Math.max(0.05, y / 4) }
+      });
+      meshes.push({ primitives: [{ ...sphere, material: materials.length - 1 }] });
+      nodes.push({ mesh: meshes.length - 1, translation: [x - 2, 2 - y, 0] });
+    }
+  }
+  materials.push({
+    name: 'glass', alphaMode: 'BLEND', doubleSided: true,
+    pbrMetallicRoughness: { baseColorFactor: [0.6, 0.8, 1, 0.35], metallicFactor: 0, roughnessFactor: 0.1 }
+  });
+  meshes.push({ primitives: [{ ...addGeometry(builder, uvSphere(1, 24, 48)), material: materials.length - 1 }] });
+  nodes.push({ mesh: meshes.length - 1, translation: [3.5, 0, 0] });
+  // Negative scale flips the winding; culling has to follow it
+  nodes.push({ mesh: 0, translation: [-3.5, 0, 0], scale: [-1.5, 1.5, 1.5] });
+  const root = { name: 'root', children: nodes.map((_, i) => i + 1), rotation: [0, Math.sin(0.1), 0, Math.cos(0.1)] };
+  const bin = builder.finish();
+  writeGLB(path.join(__dirname, 'gltf_spheres.glb'), {
+    asset, scene: 0, scenes: [{ nodes: [0] }], nodes: [root, ...nodes], meshes, materials,
+    accessors: builder.accessors, bufferViews: builder.bufferViews, buffers: [{ byteLength: bin.length }]
+  }, bin);
+}
+
+// KHR_texture_basisu cube with an external buffer
+{
+  const builder = createBufferBuilder();
+  const meshes = [{ primitives: [{ ...addGeometry(builder, cube(1)), material: 0 }] }];
+  const bin = builder.finish();
+  const checker = encodePNG(64, 64, (x, y) => ((x >> 3) + (y >> 3)) & 1 ? [230, 230, 230] : [40, 90, 200]);
+  fs.writeFileSync(path.join(__dirname, 'gltf_basisu_cube.bin'), bin);
+  fs.writeFileSync(path.join(__dirname, 'gltf_basisu_cube.gltf'), JSON.stringify({
+    asset, scene: 0, scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, rotation: [0.2, 0.3, 0, Math.sqrt(1 - 0.13)] }],
+    meshes,
+    materials: [{ name: 'basisu', pbrMetallicRoughness: { baseColorTexture: { index: 0 }, metallicFactor: 0, roughnessFactor: 0.6 } }],
+    textures: [{ source: 1, sampler: 0, extensions: { KHR_texture_basisu: { source: 0 } } }],
+    images: [
+      { uri: '2d_etc1s.ktx2', mimeType: 'image/ktx2' },
+      { uri: `data:image/png;base64,${checker.toString('base64')}` }
+    ],
+    samplers: [{ magFilter: 9729, minFilter: 9987, wrapS: 10497, wrapT: 10497 }],
+    extensionsUsed: ['KHR_texture_basisu'],
+    accessors: builder.accessors, bufferViews: builder.bufferViews,
+    buffers: [{ uri: 'gltf_basisu_cube.bin', byteLength: bin.length }]
+  }, null, 2));
+}
@@ -0,0 +1,149 @@
+// makeKTX1.js
+// Writes KTX 1.1 test textures:
+//   ktx1_rgb8_mips.ktx    little-endian GL_RGB8, 13x9 with mips (padded rows) and key/value data
+//   ktx1_rgba16f_be.ktx   big-endian GL_RGBA16F, 24x16 (byte-swapped half floats)
+//   ktx1_dxt1_cube_be.ktx big-endian DXT1 cubemap, 16x16 with mips (imageSize per face)
+//   ktx1_dxt5_array.ktx   little-endian DXT5 array, 16x16 x 3 layers
+// Run with: node test_textures/makeKTX1.js
+
+const fs = require('fs');
+const path = require('path');
+
+const IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x31, 0x31, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+
+function u32(value, littleEndian) {
+  const b = Buffer.alloc(4);
+  if (littleEndian) b.writeUInt32LE(value >>> 0); else b.writeUInt32BE(value >>> 0);
+  return b;
+}
+
+const pad4 = (n) => (4 - (n % 4)) % 4;
+
+// gl: { glType, glTypeSize, glFormat, glInternalFormat, glBaseInternalFormat }
+// levels: per level, a list of images (one per face for non-array cubemaps, else one for the level)
+function writeKTX1(file, { littleEndian, gl, width, height, depth = 0, layers = 0, faces = 1, kvd = {} }, levels) {
+  const parts = [Buffer.from(IDENTIFIER), u32(0x04030201, littleEndian)];
+  const kvdParts = [];
+  for (const [key, value] of Object.entries(kvd)) {
+    const kv = Buffer.from(`${key}\0${value}\0`, 'utf8');
+    kvdParts.push(u32(kv.length, littleEndian), kv, Buffer.alloc(pad4(kv.length)));
+  }
+  const kvdBuf = Buffer.concat(kvdParts);
+  [gl.glType, gl.glTypeSize, gl.glFormat, gl.glInternalFormat, gl.glBaseInternalFormat,
+    width, height, depth, layers, faces, levels.length, kvdBuf.length].forEach(v => parts.push(u32(v, littleEndian)));
+  parts.push(kvdBuf);
+  for (const images of levels) {
+    parts.push(u32(images[0].length * (faces === 6 && layers === 0 ? 1 : images.length), littleEndian));
+    for (const img of images) parts.push(img, Buffer.alloc(pad4(img.length)));
+  }
+  const buf = Buffer.concat(parts);
+  fs.writeFileSync(path.join(__dirname, file), buf);
+  console.log(`Wrote ${file} (${buf.length} bytes)`);
+}
+
+const to565 = ([r, g, b]) => ((r >> 3) << 11) | ((g >> 2) << 5) | (b >> 3);
+
+// Solid-colour BC1 block; bytes are little-endian in every KTX1 file
+function bc1Solid(color) {
+  const block = Buffer.alloc(8);
+  block.writeUInt16LE(to565(color), 0);
+  block.writeUInt16LE(to565(color), 2);
+  return block;
+}
+
+// BC3 block: alpha checker over a solid colour
+function bc3Solid(alpha, color) {
+  const block = Buffer.alloc(16);
+  block[0] = alpha;
+  block[1] = alpha;
+  bc1Solid(color).copy(block, 8);
+  return block;
+}
+
+function blocks(width, height, fn) {
+  const out = [];
+  for (let by = 0; by < Math.ceil(height / 4); by++) {
+    for (let bx = 0; bx < Math.ceil(width / 4); bx++) out.push(fn(bx, by));
+  }
+  return Buffer.concat(out);
+}
+
+function floatToHalf(v) {
+  const f = new Float32Array([v]);
+  const x = new Uint32Array(f.buffer)[0];
+  const sign = (x >>> 16) & 0x8000;
+  const exp = ((x >>> 23) & 0xFF) - 127 + 15;
+  if (exp <= 0) return sign;
+  if (exp >= 31) return sign | 0x7C00;
+  return sign | (exp << 10) | ((x >>> 13) & 0x3FF);
+}
+
+const mipCount = (w, h) => Math.floor(Math.log2(Math.max(w, h))) + 1;
+
+// GL_RGB8: 13 * 3 = 39 byte rows are padded to 40
+{
+  const width = 13, height = 9, mips = mipCount(width, height);
+  const levels = [];
+  for (let m = 0; m < mips; m++) {
+    const w = Math.max(1, width >> m), h = Math.max(1, height >> m);
+    const row = w * 3 + pad4(w * 3);
+    const img = Buffer.alloc(row * h, 0xEE); // padding bytes must not leak into the texture
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const o = y * row + x * 3;
+        img[o] = Math.round(255 * x / Math.max(1, w - 1));
+        img[o + 1] = Math.round(255 * y / Math.max(1, h - 1));
+        img[o + 2] = m * 40;
+      }
+    }
+    levels.push([img]);
+  }
+  writeKTX1('ktx1_rgb8_mips.ktx', {
+    littleEndian: true, width, height,
+    gl: { glType: 0x1401, glTypeSize: 1, glFormat: 0x1907, glInternalFormat: 0x8051, glBaseInternalFormat: 0x1907 },
+    kvd: { KTXorientation: 'S=r,T=d', KTXwriter: 'makeKTX1.js' }
+  }, levels);
+}
+
+// GL_RGBA16F big-endian: every half is stored high byte first
+{
+  const width = 24, height = 16;
+  const img = Buffer.alloc(width * height * 8);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 8;
+      const rgba = [8 * x / (width - 1), 2 * y / (height - 1), 0.25, 1];
+      rgba.forEach((v, c) => img.writeUInt16BE(floatToHalf(v), o + c * 2));
+    }
+  }
+  writeKTX1('ktx1_rgba16f_be.ktx', {
+    littleEndian: false, width, height,
+    gl: { glType: 0x140B, glTypeSize: 2, glFormat: 0x1908, glInternalFormat: 0x881A, glBaseInternalFormat: 0x1908 }
+  }, [[img]]);
+}
+
+// DXT1 cubemap, big-endian header: one imageSize per face
+{
+  const size = 16, mips = mipCount(size, size);
+  const faceColors = [[255, 0, 0], [0, 255, 255], [0, 255, 0], [255, 0, 255], [0, 0, 255], [255, 255, 0]];
+  const levels = [];
+  for (let m = 0; m < mips; m++) {
+    const s = Math.max(1, size >> m);
+    levels.push(faceColors.map(c => blocks(s, s, (bx, by) => bc1Solid((bx + by) & 1 ? c : c.map(v => v >> 1)))));
+  }
+  writeKTX1('ktx1_dxt1_cube_be.ktx', {
+    littleEndian: false, width: size, height: size, faces: 6,
+    gl: { glType: 0, glTypeSize: 1, glFormat: 0, glInternalFormat: 0x83F1, glBaseInternalFormat: 0x1908 }
+  }, levels);
+}
+
+// DXT5 array: imageSize covers all layers of the level
+{
+  const size = 16, layers = 3;
+  const layerColors = [[255, 128, 0], [0, 128, 255], [128, 255, 0]];
+  const img = Buffer.concat(layerColors.map(c => blocks(size, size, (bx, by) => bc3Solid((bx + by) & 1 ? 255 : 96, c))));
+  writeKTX1('ktx1_dxt5_array.ktx', {
+    littleEndian: true, width: size, height: size, layers,
+    gl: { glType: 0, glTypeSize: 1, glFormat: 0, glInternalFormat: 0x83F3, glBaseInternalFormat: 0x1908 }
+  }, [[img]]);
+}
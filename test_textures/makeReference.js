@@ -0,0 +1,146 @@
+// makeReference.js
+// Writes ASTC and ETC2/EAC textures made by independent encoders, each with the decode of the
+// same encoder's tools as a reference (test/reference.test.js compares media/astcdecode.js and
+// media/etcdecode.js against them):
+//   astcenc_<footprint>.ktx2      astcenc -cl -exhaustive of the source image (below), 4x4 to 12x12
+//   astcenc_8x8_srgb.ktx2         astcenc -cs, decoded with -ds
+//   pvrtex_<format>.ktx           PVRTexToolCLI -q etcslow: ETC2 RGB, RGB A1, RGBA, EAC R11 / RG11
+//   reference/<name>.ktx          the decodes as RGBA8 KTX: astcenc -dl / -ds, PVRTexToolCLI -f r8g8b8a8
+// The source is 68x52 (partial blocks at every footprint) with smooth gradients, hard-edged
+// shapes, noise with uncorrelated alpha and a cut-out alpha mask, so that the encoders pick
+// trit/quint ranges, 2-4 partitions, dual-plane and reduced weight grids, and the ETC2 T, H and
+// planar modes and punch-through alpha.
+// The tools ship in the texture-compressor npm package (astcenc 1.3, PVRTexToolCLI 4.17):
+//   npm pack texture-compressor && tar xzf texture-compressor-*.tgz
+//   ASTCENC=package/bin/linux/astcenc PVRTEXTOOL=package/bin/linux/PVRTexToolCLI node test_textures/makeReference.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { writeKTX2 } = require('./makeASTC.js');
+
+const WIDTH = 68;
+const HEIGHT = 52;
+
+const ASTC_FOOTPRINTS = ['4x4', '5x4', '6x6', '8x5', '8x8', '10x10', '12x12'];
+const ETC_FORMATS = [
+  { name: 'etc2_rgb', format: 'ETC2_RGB', decodeTo: 'r8g8b8a8' },
+  { name: 'etc2_rgba1', format: 'ETC2_RGB_A1', decodeTo: 'r8g8b8a8' },
+  { name: 'etc2_rgba', format: 'ETC2_RGBA', decodeTo: 'r8g8b8a8' },
+  { name: 'eac_r11', format: 'EAC_R11', decodeTo: 'r8g8b8a8' },
+  { name: 'eac_rg11', format: 'EAC_RG11', decodeTo: 'r8g8b8a8' }
+];
+
+// Small integer hash for repeatable noise
+function hash(x, y, seed) {
+  let h = (x * 374761393 + y * 668265263 + seed * 2147483647) >>> 0;
+  h = Math.imul(h ^ (h >>> 13), 1274126177) >>> 0;
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+const byte = (v) => Math.max(0, Math.min(255, Math.round(v)));
+
+// One quadrant per kind of content
+function sourcePixel(x, y) {
+  const left = x < WIDTH / 2, top = y < HEIGHT / 2;
+  if (left && top) {
+    // Smooth gradients: planar mode, low weight counts, infill
+    return [byte(255 * x / (WIDTH / 2)), byte(255 * y / (HEIGHT / 2)), byte(128 + 100 * Math.sin((x + y) / 9)), 255];
+  }
+  if (!left && top) {
+    // Hard edges between two or three flat colours: partitions, T and H modes
+    const d = Math.hypot(x - WIDTH * 0.75, y - HEIGHT * 0.25);
+    if (d < 8) return [250, 220, 30, 255];
+    return (x + 2 * y) % 14 < 7 ? [200, 30, 40, 255] : [20, 60, 190, 255];
+  }
+  if (left) {
+    // Colour noise with alpha that does not follow it: dual plane
+    const n = hash(x >> 1, y >> 1, 1);
+    return [byte(60 + 120 * n), byte(90 + 80 * n), byte(140 - 60 * n), byte(255 * hash(x, y, 2))];
+  }
+  // Cut-out shapes: punch-through alpha
+  const inside = ((x >> 2) + (y >> 2)) % 3 !== 0 && Math.hypot(x - WIDTH * 0.75, y - HEIGHT * 0.75) < 12;
+  return inside ? [byte(4 * x), 200, byte(4 * y), 255] : [0, 0, 0, 0];
+}
+
+function crc32(bytes) {
+  let crc = ~0;
+  for (const b of bytes) {
+    crc ^= b;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+  }
+  return ~crc >>> 0;
+}
+
+// 8-bit RGBA PNG of the source image
+function encodePNG() {
+  const raw = Buffer.alloc(HEIGHT * (1 + WIDTH * 4));
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) raw.set(sourcePixel(x, y), y * (1 + WIDTH * 4) + 1 + x * 4);
+  }
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(WIDTH, 0);
+  ihdr.writeUInt32BE(HEIGHT, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', ihdr), chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function run(tool, args) {
+  execFileSync(tool, args, { stdio: ['ignore', 'ignore', 'inherit'], timeout: 600000 });
+}
+
+// .astc file: 16-byte header (magic, block size, 24-bit dimensions), then the blocks
+function readASTCFile(file) {
+  const buf = fs.readFileSync(file);
+  if (buf.readUInt32LE(0) !== 0x5CA1AB13) throw new Error(`${file} is not an .astc file`);
+  return { bw: buf[4], bh: buf[5], blocks: buf.subarray(16) };
+}
+
+if (require.main === module) {
+  const { ASTCENC, PVRTEXTOOL } = process.env;
+  if (!ASTCENC || !PVRTEXTOOL) {
+    console.error('Set ASTCENC and PVRTEXTOOL to the astcenc and PVRTexToolCLI binaries (see the header)');
+    process.exit(2);
+  }
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'makeReference-'));
+  const refDir = path.join(__dirname, 'reference');
+  fs.mkdirSync(refDir, { recursive: true });
+  const source = path.join(tmp, 'source.png');
+  fs.writeFileSync(source, encodePNG());
+
+  const astc = ASTC_FOOTPRINTS.map(footprint => ({ footprint, srgb: false }))
+    .concat([{ footprint: '8x8', srgb: true }]);
+  for (const { footprint, srgb } of astc) {
+    const name = `astcenc_${footprint}${srgb ? '_srgb' : ''}`;
+    const encoded = path.join(tmp, `${name}.astc`);
+    run(ASTCENC, [srgb ? '-cs' : '-cl', source, encoded, footprint, '-exhaustive', '-silentmode']);
+    run(ASTCENC, [srgb ? '-ds' : '-dl', encoded, path.join(refDir, `${name}.ktx`), '-silentmode']);
+    const { bw, bh, blocks } = readASTCFile(encoded);
+    writeKTX2(`${name}.ktx2`, { bw, bh, srgb, width: WIDTH, height: HEIGHT, writer: 'astcenc 1.3 via makeReference.js' }, [blocks]);
+  }
+
+  for (const { name, format, decodeTo } of ETC_FORMATS) {
+    const file = path.join(__dirname, `pvrtex_${name}.ktx`);
+    run(PVRTEXTOOL, ['-i', source, '-o', file, '-f', `${format},UBN,lRGB`, '-q', 'etcslow', '-shh']);
+    run(PVRTEXTOOL, ['-i', file, '-o', path.join(refDir, `pvrtex_${name}.ktx`), '-f', decodeTo, '-shh']);
+    console.log(`Wrote pvrtex_${name}.ktx and reference/pvrtex_${name}.ktx`);
+  }
+
+  fs.rmSync(tmp, { recursive: true });
+}
+
+module.exports = { WIDTH, HEIGHT, ASTC_FOOTPRINTS, ETC_FORMATS };
@@ -0,0 +1,114 @@
+// makeSupercompressed.js
+// Writes one R8G8B8A8 UNORM texture, 32x32 with mips, three times:
+//   rgba8_none.ktx2   uncompressed levels
+//   rgba8_zstd.ktx2   Zstandard supercompression (scheme 2), with content checksums
+//   rgba8_zlib.ktx2   ZLIB supercompression (scheme 3)
+// Level 0 is noise in rows 0-7, bytes of 0x80 in rows 8-15 and a gradient below. With a
+// 1 KiB window every zstd block is 8 rows, so level 0 holds a raw, an RLE and compressed blocks.
+// Needs zlib.zstdCompressSync (Node 22.15 or later).
+// Run with: node test_textures/makeSupercompressed.js
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const KTX2_IDENTIFIER = [0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A];
+const VK_FORMAT_R8G8B8A8_UNORM = 37;
+const SIZE = 32;
+
+// Basic RGBSDA DFD: RGBA, 8 bits each, linear BT.709
+function rgba8DFD(scheme) {
+  const dfd = Buffer.alloc(28 + 4 * 16);
+  dfd.writeUInt32LE(dfd.length, 0);
+  dfd.writeUInt16LE(2, 8);                 // versionNumber
+  dfd.writeUInt16LE(dfd.length - 4, 10);   // descriptorBlockSize
+  dfd[12] = 1;                             // KHR_DF_MODEL_RGBSDA
+  dfd[13] = 1;                             // BT709
+  dfd[14] = 1;                             // LINEAR
+  dfd[20] = scheme === 0 ? 4 : 0;         // bytesPlane0 (0 when supercompressed)
+  [0, 1, 2, 15].forEach((channel, i) => {
+    const o = 28 + i * 16;
+    dfd.writeUInt16LE(i * 8, o);
+    dfd[o + 2] = 7;
+    dfd[o + 3] = channel;
+    dfd.writeUInt32LE(255, o + 12);
+  });
+  return dfd;
+}
+
+function kvdEntry(key, value) {
+  const kv = Buffer.from(`${key}\0${value}\0`, 'utf8');
+  const len = Buffer.alloc(4);
+  len.writeUInt32LE(kv.length);
+  return Buffer.concat([len, kv, Buffer.alloc((4 - (kv.length % 4)) % 4)]);
+}
+
+// Deterministic noise (xorshift32) so the fixtures don't change between runs
+function noise(seed) {
+  let s = seed;
+  return () => {
+    s ^= s << 13; s ^= s >>> 17; s ^= s << 5;
+    return (s >>> 0) & 0xFF;
+  };
+}
+
+function makeLevel(level) {
+  const w = Math.max(1, SIZE >> level), h = w;
+  const out = Buffer.alloc(w * h * 4);
+  const next = noise(0x9E3779B9 + level);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const o = (y * w + x) * 4;
+      if (level === 0 && y < 8) out.set([next(), next(), next(), next()], o);
+      else if (level === 0 && y < 16) out.fill(0x80, o, o + 4);
+      else out.set([Math.round(255 * x / w), Math.round(255 * y / h), 128 + level * 16, 255], o);
+    }
+  }
+  return out;
+}
+
+function writeKTX2(file, scheme, compress) {
+  const raw = [];
+  for (let m = 0; 1 << m <= SIZE; m++) raw.push(makeLevel(m));
+  const levels = raw.map(compress);
+  const dfd = rgba8DFD(scheme);
+  const kvd = Buffer.concat([kvdEntry('KTXorientation', 'rd'), kvdEntry('KTXwriter', 'makeSupercompressed.js')]);
+  const indexEnd = 80 + levels.length * 24;
+  const dfdOffset = indexEnd, kvdOffset = dfdOffset + dfd.length;
+  let pos = kvdOffset + kvd.length;
+
+  // Smallest level first; supercompressed levels need no alignment, others are 4-byte aligned
+  const align = scheme === 0 ? 4 : 1;
+  const offsets = [];
+  const chunks = [];
+  for (let i = levels.length - 1; i >= 0; i--) {
+    const pad = (align - (pos % align)) % align;
+    chunks.push(Buffer.alloc(pad));
+    pos += pad;
+    offsets[i] = pos;
+    chunks.push(levels[i]);
+    pos += levels[i].length;
+  }
+
+  const header = Buffer.alloc(indexEnd);
+  Buffer.from(KTX2_IDENTIFIER).copy(header, 0);
+  [VK_FORMAT_R8G8B8A8_UNORM, 1, SIZE, SIZE, 0, 0, 1, levels.length, scheme,
+    dfdOffset, dfd.length, kvdOffset, kvd.length].forEach((v, i) => header.writeUInt32LE(v, 12 + i * 4));
+  levels.forEach((level, i) => {
+    const o = 80 + i * 24;
+    header.writeBigUInt64LE(BigInt(offsets[i]), o);
+    header.writeBigUInt64LE(BigInt(level.length), o + 8);
+    header.writeBigUInt64LE(BigInt(raw[i].length), o + 16);
+  });
+
+  const buf = Buffer.concat([header, dfd, kvd, ...chunks]);
+  fs.writeFileSync(path.join(__dirname, file), buf);
+  console.log(`Wrote ${file} (${buf.length} bytes)`);
+}
+
+const { ZSTD_c_windowLog, ZSTD_c_checksumFlag, ZSTD_c_compressionLevel } = zlib.constants;
+writeKTX2('rgba8_none.ktx2', 0, (level) => level);
+writeKTX2('rgba8_zstd.ktx2', 2, (level) => zlib.zstdCompressSync(level, {
+  params: { [ZSTD_c_compressionLevel]: 19, [ZSTD_c_windowLog]: 10, [ZSTD_c_checksumFlag]: 1 }
+}));
+writeKTX2('rgba8_zlib.ktx2', 3, (level) => zlib.deflateSync(level, { level: 9 }));